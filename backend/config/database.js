@@ -17,6 +17,21 @@ export const supabase = createClient(supabaseUrl, supabaseServiceKey, {
   }
 })
 
+/**
+ * Fresh client for Supabase Auth calls (sign-in, sign-up, refresh).
+ * Sign-in stores the session on the client it is called on, so it must
+ * never run on the shared service-role client above.
+ */
+export const createAuthClient = () => {
+  return createClient(supabaseUrl, process.env.SUPABASE_ANON_KEY || supabaseServiceKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false,
+      detectSessionInUrl: false
+    }
+  })
+}
+
 // Test database connection
 export const testConnection = async () => {
   try {
@@ -0,0 +1,84 @@
+import { supabase } from '../config/database.js'
+import { logger } from '../utils/logger.js'
+
+const readBearerToken = (req) => {
+  const header = req.headers.authorization || ''
+  const [scheme, token] = header.split(' ')
+  return scheme?.toLowerCase() === 'bearer' && token ? token : null
+}
+
+/**
+ * Verify the Supabase access token and load the caller's profile.
+ * Sets req.auth ({ id, email, token }), req.user (users row or null) and
+ * req.userId (users.user_id or null — null until onboarding creates a profile).
+ */
+export const requireAuth = async (req, res, next) => {
+  try {
+    const token = readBearerToken(req)
+    if (!token) {
+      return res.status(401).json({ error: 'Authentication required' })
+    }
+
+    const { data, error } = await supabase.auth.getUser(token)
+    if (error || !data?.user) {
+      return res.status(401).json({ error: 'Invalid or expired session' })
+    }
+
+    const { data: profile, error: profileError } = await supabase
+      .from('users')
+      .select('*')
+      .eq('auth_id', data.user.id)
+      .maybeSingle()
+
+    if (profileError) throw profileError
+
+    req.auth = { id: data.user.id, email: data.user.email, token }
+    req.user = profile || null
+    req.userId = profile?.user_id || null
+    next()
+  } catch (error) {
+    logger.error('Auth middleware error:', error.message)
+    next(error)
+  }
+}
+
+/**
+ * Require a profile and make every user_id in the request the caller's own.
+ * A user_id in params, body or query that belongs to someone else is rejected;
+ * a missing one is filled in so existing handlers keep working unchanged.
+ * Must run after requireAuth, attached per route (not router.use) so that
+ * req.params is populated.
+ */
+export const requireSelf = (req, res, next) => {
+  if (!req.userId) {
+    return res.status(404).json({ error: 'User profile not found' })
+  }
+
+  const claimed = [req.params?.user_id, req.body?.user_id, req.query?.user_id].filter(Boolean)
+  if (claimed.some(id => id !== req.userId)) {
+    logger.warn(`Blocked cross-user access: auth=${req.auth?.id} user=${req.userId} requested=${claimed.join(',')}`)
+    return res.status(403).json({ error: 'You can only access your own data' })
+  }
+
+  if (req.body && typeof req.body === 'object') req.body.user_id = req.userId
+  req.query.user_id = req.userId
+  next()
+}
+
+/**
+ * Require the caller's profile to have one of the given roles.
+ * Must run after requireAuth.
+ * @param {...string} roles - Allowed users.role values
+ */
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ error: `This action requires a ${roles.join(' or ')} account` })
+  }
+  next()
+}
+
+export default {
+  requireAuth,
+  requireSelf,
+  requireRole
+}
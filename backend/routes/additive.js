@@ -0,0 +1,26 @@
+import express from 'express'
+import { describeAdditive } from '../utils/additives.js'
+
+const router = express.Router()
+
+// GET /api/additive/:code
+// Reference data for one additive: "621", "INS 500(ii)", "E330" or a name such as "citric acid"
+router.get('/:code', (req, res) => {
+  const code = String(req.params.code || '').trim()
+  if (!code || code.length > 60) {
+    return res.status(400).json({ error: 'Give an INS/E-number such as 330 or E330, or an additive name' })
+  }
+
+  const additive = describeAdditive(code)
+  if (!additive) {
+    return res.status(404).json({ error: `No additive matches "${code}"` })
+  }
+  if (!additive.known) {
+    return res.status(404).json({ error: `${additive.ins} is not in the additive reference data yet`, additive })
+  }
+
+  res.set('Cache-Control', 'public, max-age=86400')
+  res.json({ additive })
+})
+
+export default router
@@ -0,0 +1,223 @@
+import express from 'express'
+import multer from 'multer'
+import { logger } from '../utils/logger.js'
+import { requireAuth, requireRole } from '../middleware/auth.js'
+import {
+  MAX_IMPORT_ROWS,
+  validateProductInput,
+  listProducts,
+  getProductById,
+  findBarcodeDuplicates,
+  listDuplicateGroups,
+  createProduct,
+  updateProduct,
+  setProductActive,
+  importProductsCsv,
+  getAuditLog
+} from '../services/fssaiAdmin.js'
+
+const router = express.Router()
+
+const PRODUCT_STATUSES = ['active', 'inactive', 'all']
+const PRODUCT_SOURCES = ['manual', 'community']
+
+// CSV imports: one file, 5MB
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!/\.(csv|tsv|txt)$/i.test(file.originalname) && !/^text\//.test(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'Unsupported file type'))
+    }
+    cb(null, true)
+  }
+}).single('file')
+
+const uploadCsv = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: 'CSV too large. Split files over 5MB.' })
+      }
+      if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+        return res.status(415).json({ error: 'Upload a .csv file as "file"' })
+      }
+      return res.status(400).json({ error: 'Invalid upload', details: err.message })
+    }
+    if (err) return next(err)
+    next()
+  })
+}
+
+const pageParams = (query) => ({
+  limit: Math.min(Math.max(parseInt(query.limit) || 50, 1), 200),
+  offset: Math.max(parseInt(query.offset) || 0, 0)
+})
+
+const notesFrom = (body) => (body?.notes ? String(body.notes).slice(0, 1000) : null)
+
+// Load :id into req.product
+const loadProduct = async (req, res, next) => {
+  try {
+    const id = Number(req.params.id)
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ error: 'Invalid product id' })
+    }
+    req.product = await getProductById(id)
+    if (!req.product) {
+      return res.status(404).json({ error: 'Product not found' })
+    }
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Search curated products
+router.get('/products', requireAuth, requireRole('admin'), async (req, res, next) => {
+  try {
+    const { q, status = 'active', source } = req.query
+    if (!PRODUCT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${PRODUCT_STATUSES.join(', ')}` })
+    }
+    if (source && !PRODUCT_SOURCES.includes(source)) {
+      return res.status(400).json({ error: `source must be one of: ${PRODUCT_SOURCES.join(', ')}` })
+    }
+
+    const result = await listProducts({ q, status, source, ...pageParams(req.query) })
+    res.json(result)
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Barcodes stored more than once under different zero paddings
+router.get('/products/duplicates', requireAuth, requireRole('admin'), async (req, res, next) => {
+  try {
+    const groups = await listDuplicateGroups()
+    res.json({ groups })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Bulk CSV import (multipart "file"); ?dry_run=true validates without writing
+router.post('/products/import', requireAuth, requireRole('admin'), uploadCsv, async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Upload a CSV file as "file"' })
+    }
+    const dryRun = String(req.query.dry_run ?? req.body.dry_run) === 'true'
+    const onConflict = req.query.on_conflict ?? req.body.on_conflict ?? 'skip'
+    if (!['skip', 'update'].includes(onConflict)) {
+      return res.status(400).json({ error: 'on_conflict must be skip or update' })
+    }
+
+    const result = await importProductsCsv(req.file.buffer.toString('utf8'), {
+      actorId: req.userId,
+      dryRun,
+      onConflict
+    })
+    if (result.error) {
+      return res.status(400).json({ error: result.error, max_rows: MAX_IMPORT_ROWS })
+    }
+
+    const { summary } = result
+    logger.info(`FSSAI CSV import${dryRun ? ' (dry run)' : ''} by ${req.userId}: ${summary.rows} rows, ${summary.created} created, ${summary.updated} updated, ${summary.skipped} skipped, ${summary.errors} errors`)
+    res.json(result)
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Add a product
+router.post('/products', requireAuth, requireRole('admin'), async (req, res, next) => {
+  try {
+    const { fields, error } = validateProductInput(req.body)
+    if (error) return res.status(400).json({ error })
+
+    const result = await createProduct(fields, req.userId, { notes: notesFrom(req.body) })
+    if (result.conflict) {
+      return res.status(409).json({ error: `Barcode ${fields.barcode} is already in the product database`, duplicates: result.conflict })
+    }
+
+    logger.info(`FSSAI product ${result.product.id} created by ${req.userId}: barcode=${result.product.barcode}`)
+    res.status(201).json(result)
+  } catch (error) {
+    next(error)
+  }
+})
+
+// One product with its barcode duplicates and audit trail
+router.get('/products/:id', requireAuth, requireRole('admin'), loadProduct, async (req, res, next) => {
+  try {
+    const [duplicates, audit] = await Promise.all([
+      findBarcodeDuplicates(req.product.barcode, req.product.id),
+      getAuditLog({ entityId: req.product.id, limit: 100 })
+    ])
+    res.json({ product: req.product, duplicates, audit })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Edit a product; only the fields sent are changed
+router.put('/products/:id', requireAuth, requireRole('admin'), loadProduct, async (req, res, next) => {
+  try {
+    const { notes, ...input } = req.body || {}
+    // An unchanged barcode may predate check-digit validation
+    if (input.barcode === req.product.barcode) delete input.barcode
+
+    const { fields, error } = validateProductInput(input, { partial: true })
+    if (error) return res.status(400).json({ error })
+
+    const result = await updateProduct(req.product, fields, req.userId, { notes: notesFrom(req.body) })
+    if (result.conflict) {
+      return res.status(409).json({ error: `Barcode ${fields.barcode} is already in the product database`, duplicates: result.conflict })
+    }
+
+    if (result.changes.length > 0) {
+      logger.info(`FSSAI product ${req.product.id} updated by ${req.userId}: ${result.changes.map(c => c.field).join(', ')}`)
+    }
+    res.json(result)
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Deactivate (products are never deleted, so the audit trail stays whole)
+router.delete('/products/:id', requireAuth, requireRole('admin'), loadProduct, async (req, res, next) => {
+  try {
+    const product = await setProductActive(req.product, false, req.userId, { notes: notesFrom(req.body) })
+    logger.info(`FSSAI product ${product.id} deactivated by ${req.userId}`)
+    res.json({ product })
+  } catch (error) {
+    next(error)
+  }
+})
+
+router.post('/products/:id/reactivate', requireAuth, requireRole('admin'), loadProduct, async (req, res, next) => {
+  try {
+    const product = await setProductActive(req.product, true, req.userId, { notes: notesFrom(req.body) })
+    logger.info(`FSSAI product ${product.id} reactivated by ${req.userId}`)
+    res.json({ product })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Audit trail across products (?barcode=, ?actor=)
+router.get('/audit', requireAuth, requireRole('admin'), async (req, res, next) => {
+  try {
+    const entries = await getAuditLog({
+      barcode: req.query.barcode,
+      actorId: req.query.actor,
+      ...pageParams(req.query)
+    })
+    res.json({ entries })
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
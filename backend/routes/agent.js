@@ -2,6 +2,7 @@ import express from 'express'
 import { nutritionAgent } from '../services/aiAgent.js'
 import { supabase } from '../config/database.js'
 import { logger } from '../utils/logger.js'
+import { requireAuth, requireSelf } from '../middleware/auth.js'
 
 const router = express.Router()
 
@@ -9,7 +10,7 @@ const router = express.Router()
  * POST /api/agent/chat
  * Send a message to the AI nutrition agent
  */
-router.post('/chat', async (req, res, next) => {
+router.post('/chat', requireAuth, requireSelf, async (req, res, next) => {
   try {
     const { user_id, message, session_id, context = {} } = req.body
 
@@ -65,7 +66,7 @@ router.post('/chat', async (req, res, next) => {
  * POST /api/agent/analyze-product
  * Get AI analysis of a specific product
  */
-router.post('/analyze-product', async (req, res, next) => {
+router.post('/analyze-product', requireAuth, requireSelf, async (req, res, next) => {
   try {
     const { user_id, product_info, specific_question } = req.body
 
@@ -110,7 +111,7 @@ router.post('/analyze-product', async (req, res, next) => {
  * POST /api/agent/research-unknown
  * Research a product that's not in the database
  */
-router.post('/research-unknown', async (req, res, next) => {
+router.post('/research-unknown', requireAuth, requireSelf, async (req, res, next) => {
   try {
     const { user_id, product_name, ingredients, ocr_text, barcode } = req.body
 
@@ -166,7 +167,7 @@ router.post('/research-unknown', async (req, res, next) => {
  * GET /api/agent/suggest-alternatives/:barcode
  * Get alternative product suggestions
  */
-router.get('/suggest-alternatives/:barcode', async (req, res, next) => {
+router.get('/suggest-alternatives/:barcode', requireAuth, requireSelf, async (req, res, next) => {
   try {
     const { barcode } = req.params
     const { user_id } = req.query
@@ -242,7 +243,7 @@ router.get('/status', async (req, res, next) => {
  * POST /api/agent/explain
  * Get detailed explanation of nutrition concepts
  */
-router.post('/explain', async (req, res, next) => {
+router.post('/explain', requireAuth, requireSelf, async (req, res, next) => {
   try {
     const { user_id, topic, context_product, user_condition } = req.body
 
@@ -0,0 +1,374 @@
+import crypto from 'crypto'
+import express from 'express'
+import { supabase, createAuthClient } from '../config/database.js'
+import { logger } from '../utils/logger.js'
+import { requireAuth } from '../middleware/auth.js'
+
+const router = express.Router()
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const MIN_PASSWORD_LENGTH = 8
+
+// Only the fields the frontend needs; never echo Supabase internals
+const toSession = (session) => session
+  ? {
+      access_token: session.access_token,
+      refresh_token: session.refresh_token,
+      expires_at: session.expires_at,
+      user: { id: session.user?.id, email: session.user?.email }
+    }
+  : null
+
+// Profiles from before accounts are claimed with a secret issued once to the
+// device that held their id (POST /legacy), and only from that device
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{16,64}$/
+
+const hashClaimSecret = (secret) => crypto.createHash('sha256').update(String(secret)).digest('hex')
+
+const claimSecretMatches = (secret, hash) => {
+  if (typeof secret !== 'string' || !secret || !hash) return false
+  const given = Buffer.from(hashClaimSecret(secret), 'hex')
+  const stored = Buffer.from(hash, 'hex')
+  return given.length === stored.length && crypto.timingSafeEqual(given, stored)
+}
+
+// Rows that follow a merged anonymous profile. They are moved before its users
+// row is deleted, so ON DELETE CASCADE / SET NULL never reaches them.
+const MOVED_ON_MERGE = [
+  ['scans', 'user_id'],
+  ['consumption_log', 'user_id'],
+  ['doctor_shares', 'user_id'],
+  ['doctor_access_log', 'user_id'],
+  ['notifications', 'user_id'],
+  ['product_submissions', 'user_id'],
+  ['product_submissions', 'moderator_user_id'],
+  ['dietary_targets', 'set_by_user_id'],
+  ['admin_audit_log', 'actor_user_id']
+]
+
+// Doctor links and doctor-set targets belong to one profile and are not merged
+const BLOCKING_ON_MERGE = [
+  ['doctor_patient_links', 'patient_user_id'],
+  ['doctor_patient_links', 'doctor_user_id'],
+  ['dietary_targets', 'patient_user_id']
+]
+
+const countRows = async (table, column, userId) => {
+  const { count, error } = await supabase.from(table).select('*', { count: 'exact', head: true }).eq(column, userId)
+  if (error) throw error
+  return count || 0
+}
+
+const validateCredentials = (email, password) => {
+  if (!email || !EMAIL_PATTERN.test(email)) return 'A valid email is required'
+  if (!password || password.length < MIN_PASSWORD_LENGTH) return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+  return null
+}
+
+// Create an account with email + password
+router.post('/signup', async (req, res, next) => {
+  try {
+    const { email, password, redirect_to } = req.body
+
+    const invalid = validateCredentials(email, password)
+    if (invalid) return res.status(400).json({ error: invalid })
+
+    const { data, error } = await createAuthClient().auth.signUp({
+      email,
+      password,
+      options: redirect_to ? { emailRedirectTo: redirect_to } : undefined
+    })
+
+    if (error) {
+      return res.status(error.status || 400).json({ error: error.message })
+    }
+
+    logger.info(`Account created: ${data.user?.id}`)
+    res.status(201).json({
+      session: toSession(data.session),
+      // Projects with email confirmation on return no session until the link is clicked
+      confirmation_required: !data.session
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Sign in with email + password
+router.post('/login', async (req, res, next) => {
+  try {
+    const { email, password } = req.body
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'email and password are required' })
+    }
+
+    const { data, error } = await createAuthClient().auth.signInWithPassword({ email, password })
+
+    if (error) {
+      return res.status(401).json({ error: 'Invalid email or password' })
+    }
+
+    res.json({ session: toSession(data.session) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Email a one-time sign-in link
+router.post('/magic-link', async (req, res, next) => {
+  try {
+    const { email, redirect_to } = req.body
+
+    if (!email || !EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ error: 'A valid email is required' })
+    }
+
+    const { error } = await createAuthClient().auth.signInWithOtp({
+      email,
+      options: redirect_to ? { emailRedirectTo: redirect_to } : undefined
+    })
+
+    if (error) {
+      return res.status(error.status || 400).json({ error: error.message })
+    }
+
+    res.json({ sent: true })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Exchange a refresh token for a new session
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const { refresh_token } = req.body
+
+    if (!refresh_token) {
+      return res.status(400).json({ error: 'refresh_token is required' })
+    }
+
+    const { data, error } = await createAuthClient().auth.refreshSession({ refresh_token })
+
+    if (error || !data.session) {
+      return res.status(401).json({ error: 'Session expired, please sign in again' })
+    }
+
+    res.json({ session: toSession(data.session) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Revoke the current session's refresh tokens
+router.post('/logout', requireAuth, async (req, res, next) => {
+  try {
+    const { error } = await supabase.auth.admin.signOut(req.auth.token)
+    if (error) {
+      logger.warn('Sign-out failed:', error.message)
+    }
+    res.json({ signed_out: true })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Current account and profile (profile is null until onboarding)
+router.get('/me', requireAuth, async (req, res) => {
+  res.json({
+    auth: { id: req.auth.id, email: req.auth.email },
+    user: req.user
+  })
+})
+
+/**
+ * One-time migration of a profile from builds before accounts, which kept a
+ * client-generated user_id in localStorage. The first device to present the
+ * id gets a claim secret bound to it (asking again from that device replaces
+ * the secret, in case the response was lost); the profile is then claimed
+ * with POST /claim. Only profiles without an account qualify.
+ */
+router.post('/legacy', async (req, res, next) => {
+  try {
+    const { user_id, device_id } = req.body
+
+    if (typeof user_id !== 'string' || !user_id) {
+      return res.status(400).json({ error: 'user_id is required' })
+    }
+    if (typeof device_id !== 'string' || !DEVICE_ID_PATTERN.test(device_id)) {
+      return res.status(400).json({ error: 'device_id must be 16 to 64 letters, digits, "-" or "_"' })
+    }
+
+    const { data: profile, error: profileError } = await supabase
+      .from('users')
+      .select('user_id, auth_id, claim_secret_hash, claim_device_id')
+      .eq('user_id', user_id)
+      .maybeSingle()
+
+    if (profileError) throw profileError
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' })
+    }
+    if (profile.auth_id) {
+      return res.status(409).json({ error: 'This profile already belongs to an account' })
+    }
+    if (profile.claim_secret_hash && profile.claim_device_id !== device_id) {
+      logger.warn(`Rejected legacy migration of ${user_id} from another device`)
+      return res.status(409).json({ error: 'This profile was already moved from another device' })
+    }
+
+    const claimSecret = crypto.randomBytes(32).toString('base64url')
+    let update = supabase
+      .from('users')
+      .update({ claim_secret_hash: hashClaimSecret(claimSecret), claim_device_id: device_id })
+      .eq('user_id', user_id)
+      .is('auth_id', null)
+    // Conditional on what was read, so two devices cannot both win
+    update = profile.claim_secret_hash
+      ? update.eq('claim_device_id', device_id)
+      : update.is('claim_secret_hash', null)
+    const { data, error } = await update.select('user_id').maybeSingle()
+
+    if (error) throw error
+    if (!data) {
+      return res.status(409).json({ error: 'This profile was already moved from another device' })
+    }
+
+    logger.info(`Legacy profile ${user_id} bound to a device for claiming`)
+    res.status(201).json({ user_id, claim_secret: claimSecret })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Attach a pre-account anonymous profile to the signed-in account. The
+ * caller must hold the profile's claim secret and be on the device it was
+ * issued to; the raw user_id alone is not secret (old doctor links carry
+ * it). Without a profile the account adopts the anonymous one as is;
+ * otherwise everything it owns is moved over and conditions are merged. A
+ * profile with doctor links or doctor-set targets is not merged (409 with
+ * merge_blocked) and stays claimable.
+ */
+router.post('/claim', requireAuth, async (req, res, next) => {
+  try {
+    const { anonymous_user_id, claim_secret, device_id } = req.body
+
+    if (!anonymous_user_id || !claim_secret || !device_id) {
+      return res.status(400).json({ error: 'anonymous_user_id, claim_secret and device_id are required' })
+    }
+
+    const { data: anonymous, error: anonymousError } = await supabase
+      .from('users')
+      .select('*')
+      .eq('user_id', anonymous_user_id)
+      .maybeSingle()
+
+    if (anonymousError) throw anonymousError
+    if (!anonymous) {
+      return res.status(404).json({ error: 'Anonymous profile not found' })
+    }
+    if (anonymous.auth_id === req.auth.id) {
+      return res.json({ user: anonymous, claimed: false })
+    }
+    if (anonymous.auth_id) {
+      return res.status(409).json({ error: 'This profile already belongs to an account' })
+    }
+    // A legacy profile has to go through POST /legacy first
+    if (!claimSecretMatches(claim_secret, anonymous.claim_secret_hash) || device_id !== anonymous.claim_device_id) {
+      logger.warn(`Rejected claim of ${anonymous_user_id} by ${req.auth.id}`)
+      return res.status(403).json({ error: 'This profile can only be claimed from the device it was moved from' })
+    }
+
+    if (!req.user) {
+      const { data, error } = await supabase
+        .from('users')
+        .update({ auth_id: req.auth.id, email: req.auth.email, claim_secret_hash: null, claim_device_id: null })
+        .eq('user_id', anonymous_user_id)
+        .is('auth_id', null)
+        .select()
+        .single()
+
+      if (error) throw error
+
+      logger.info(`Anonymous profile ${anonymous_user_id} claimed by ${req.auth.id}`)
+      return res.json({ user: data, claimed: true })
+    }
+
+    // The account already has a profile: move everything over, merge conditions, drop the anonymous row
+    for (const [table, column] of BLOCKING_ON_MERGE) {
+      if (await countRows(table, column, anonymous_user_id) > 0) {
+        return res.status(409).json({ error: `The anonymous profile has ${table.replace(/_/g, ' ')} that cannot be merged into an existing profile`, merge_blocked: true })
+      }
+    }
+
+    // One notification per product change and user: drop the anonymous copy of any the account already has
+    const { data: anonymousNotifications, error: notificationsError } = await supabase
+      .from('notifications')
+      .select('product_history_id')
+      .eq('user_id', anonymous_user_id)
+    if (notificationsError) throw notificationsError
+
+    const historyIds = anonymousNotifications.map(n => n.product_history_id).filter(id => id != null)
+    if (historyIds.length > 0) {
+      const { data: shared, error: sharedError } = await supabase
+        .from('notifications')
+        .select('product_history_id')
+        .eq('user_id', req.userId)
+        .in('product_history_id', historyIds)
+      if (sharedError) throw sharedError
+
+      if (shared.length > 0) {
+        const { error } = await supabase
+          .from('notifications')
+          .delete()
+          .eq('user_id', anonymous_user_id)
+          .in('product_history_id', shared.map(n => n.product_history_id))
+        if (error) throw error
+      }
+    }
+
+    for (const [table, column] of MOVED_ON_MERGE) {
+      const { error } = await supabase
+        .from(table)
+        .update({ [column]: req.userId })
+        .eq(column, anonymous_user_id)
+      if (error) throw error
+    }
+
+    // Anything written to the anonymous profile in the meantime would be lost with it
+    for (const [table, column] of MOVED_ON_MERGE) {
+      if (await countRows(table, column, anonymous_user_id) > 0) {
+        return res.status(409).json({ error: 'The anonymous profile changed while it was being merged; try again', merge_blocked: true })
+      }
+    }
+
+    const merge = (a = [], b = []) => [...new Set([...(a || []), ...(b || [])])]
+    const { data, error } = await supabase
+      .from('users')
+      .update({
+        health_conditions: merge(req.user.health_conditions, anonymous.health_conditions),
+        allergies: merge(req.user.allergies, anonymous.allergies)
+      })
+      .eq('user_id', req.userId)
+      .select()
+      .single()
+
+    if (error) throw error
+
+    const { error: deleteError } = await supabase
+      .from('users')
+      .delete()
+      .eq('user_id', anonymous_user_id)
+      .is('auth_id', null)
+
+    if (deleteError) throw deleteError
+
+    logger.info(`Anonymous profile ${anonymous_user_id} merged into ${req.userId}`)
+    res.json({ user: data, claimed: true, merged: true })
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
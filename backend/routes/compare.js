@@ -0,0 +1,106 @@
+import express from 'express'
+import { supabase } from '../config/database.js'
+import { getProduct } from '../services/productRepository.js'
+import { calculateTruthScore, generateHealthAlerts, normalizeNutrition } from '../utils/truthScore.js'
+import { getScoringModel, resolveScoringModel } from '../utils/scoringModels.js'
+import { buildServingInfo, buildPortions } from '../utils/portions.js'
+import { ingredientTreeOf } from '../utils/ingredientParser.js'
+import { compareProducts } from '../utils/productComparison.js'
+import { getTargets, resolveAlertThresholds } from '../services/dietaryTargets.js'
+import { logger } from '../utils/logger.js'
+import { requireAuth, requireSelf } from '../middleware/auth.js'
+
+const router = express.Router()
+
+const MIN_PRODUCTS = 2
+const MAX_PRODUCTS = 4
+
+// POST /api/compare
+// Body: { user_id, barcodes: [2-4 barcodes], scoring_model? }
+// Scores the products the way a scan does and compares them nutrient by nutrient
+router.post('/', requireAuth, requireSelf, async (req, res, next) => {
+  try {
+    const { user_id, barcodes, scoring_model } = req.body
+
+    if (!Array.isArray(barcodes) || barcodes.length < MIN_PRODUCTS || barcodes.length > MAX_PRODUCTS ||
+      barcodes.some(barcode => typeof barcode !== 'string' || !barcode.trim())) {
+      return res.status(400).json({ error: `barcodes must be a list of ${MIN_PRODUCTS} to ${MAX_PRODUCTS} barcodes` })
+    }
+
+    const list = barcodes.map(barcode => barcode.trim())
+    if (new Set(list).size !== list.length) {
+      return res.status(400).json({ error: 'barcodes must all be different' })
+    }
+
+    if (scoring_model && !getScoringModel(scoring_model)) {
+      return res.status(400).json({ error: `Unknown scoring_model: ${scoring_model}` })
+    }
+
+    // Same product resolution as a scan (cache, mirror, Open Food Facts, FSSAI)
+    const found = await Promise.all(list.map(barcode => getProduct(barcode)))
+    const missing = list.filter((barcode, index) => !found[index])
+    if (missing.length > 0) {
+      return res.status(404).json({ error: `Product not found: ${missing.join(', ')}`, not_found: missing })
+    }
+
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('*')
+      .eq('user_id', user_id)
+      .single()
+
+    if (userError) {
+      logger.warn('User not found, comparing without profile:', user_id)
+    }
+
+    let targets = null
+    if (userData) {
+      try {
+        targets = await getTargets(user_id)
+      } catch (targetsError) {
+        logger.warn('Dietary targets unavailable for alerts:', targetsError.message)
+      }
+    }
+    const thresholds = resolveAlertThresholds(targets)
+
+    // Scoring model: explicit request > user preference > server default
+    const scoringModel = resolveScoringModel(scoring_model || userData?.scoring_model)
+
+    const products = found.map(({ product, freshness }, index) => {
+      product.ingredient_tree = ingredientTreeOf(product)
+      const serving = buildServingInfo(product.serving)
+      const { score, breakdown } = calculateTruthScore(product, product.nutrition_facts, { model: scoringModel })
+      const alerts = userData
+        ? generateHealthAlerts(userData, product, product.nutrition_facts, { portions: buildPortions(product.nutrition_facts, serving), thresholds })
+        : []
+
+      return {
+        barcode: product.barcode || list[index],
+        name: product.name,
+        brand: product.brand || null,
+        image_url: product.image_url || null,
+        basis: serving.basis,
+        data_source: freshness.source,
+        truth_score: score,
+        truth_score_breakdown: breakdown,
+        alerts,
+        nutrition: normalizeNutrition(product.nutrition_facts)
+      }
+    })
+
+    const comparison = compareProducts(products)
+
+    res.json({
+      truth_score_model: { id: scoringModel.id, version: scoringModel.version, name: scoringModel.name },
+      // Per 100 g and per 100 ml values are not like for like
+      mixed_basis: new Set(products.map(p => p.basis)).size > 1,
+      products,
+      dimensions: comparison.dimensions,
+      overall: comparison.overall
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
@@ -1,256 +1,483 @@
 import express from 'express'
-import { PDFDocument, rgb } from 'pdf-lib'
 import { supabase } from '../config/database.js'
 import { logger } from '../utils/logger.js'
+import { resolveShare, logShareAccess } from '../services/doctorShares.js'
+import { requireAuth, requireRole } from '../middleware/auth.js'
+import {
+  calculateRiskPatterns,
+  generateDoctorAlerts,
+  getPatientScansBetween,
+  loadPatientContext,
+  buildPatientSummary
+} from '../services/patientSummary.js'
+import { parseReportRange, generateDoctorReport } from '../services/pdfReport.js'
+import { FHIR_CONTENT_TYPE, buildFhirBundle } from '../services/fhirExport.js'
+import {
+  TARGET_NUTRIENTS,
+  validateTargets,
+  getTargetsFor,
+  saveTargets,
+  clearTargets
+} from '../services/dietaryTargets.js'
 
 const router = express.Router()
 
-// Get doctor dashboard data
-router.get('/:patient_id', async (req, res, next) => {
+/**
+ * Resolve :token to an active share, answering 404/410 itself otherwise
+ * @returns {Promise<Object|null>} doctor_shares row
+ */
+const resolveActiveShare = async (req, res) => {
+  const { share, status } = await resolveShare(req.params.token)
+
+  if (status === 'unknown') {
+    res.status(404).json({ error: 'Share link not found' })
+    return null
+  }
+  if (status !== 'active') {
+    res.status(410).json({ error: status === 'revoked' ? 'This link was revoked by the patient' : 'This link has expired', status })
+    return null
+  }
+  return share
+}
+
+// Each comparator sorts in the sort's default `order`; ?order= flips it only when it differs
+const ROSTER_SORTS = {
+  risk: { order: 'desc', compare: (a, b) => b.risk_score - a.risk_score || (b.last_scan_at || '').localeCompare(a.last_scan_at || '') },
+  recent: { order: 'desc', compare: (a, b) => (b.last_scan_at || '').localeCompare(a.last_scan_at || '') },
+  name: { order: 'asc', compare: (a, b) => (a.display_name || a.email || '').localeCompare(b.display_name || b.email || '') }
+}
+
+/**
+ * Load an accepted patient of the calling doctor, answering 404 itself otherwise
+ * @returns {Promise<Object|null>} users row
+ */
+const loadRosterPatient = async (req, res) => {
+  const { data: link, error } = await supabase
+    .from('doctor_patient_links')
+    .select('*')
+    .eq('doctor_user_id', req.userId)
+    .eq('patient_user_id', req.params.patient_user_id)
+    .eq('status', 'accepted')
+    .maybeSingle()
+
+  if (error) throw error
+  if (!link) {
+    res.status(404).json({ error: 'Patient is not on your roster' })
+    return null
+  }
+
+  const { data: patient, error: patientError } = await supabase
+    .from('users')
+    .select('*')
+    .eq('user_id', link.patient_user_id)
+    .single()
+
+  if (patientError) {
+    res.status(404).json({ error: 'Patient not found' })
+    return null
+  }
+  return patient
+}
+
+/**
+ * Report for [range.from, range.to): scans in the range, alerts as of now
+ */
+const buildReport = async (patient, label, range) => {
+  const { scanHistory, ...context } = await loadPatientContext(patient.user_id)
+  const scans = await getPatientScansBetween(patient.user_id, range.from, range.to)
+
+  return generateDoctorReport({
+    patient,
+    label,
+    scans,
+    alerts: generateDoctorAlerts(scanHistory, patient, context),
+    targets: context.targets,
+    from: range.from,
+    to: range.to
+  })
+}
+
+const sendReport = (res, pdfBytes, range) => {
+  const day = (date) => date.toISOString().slice(0, 10)
+  const last = new Date(range.to.getTime() - 24 * 60 * 60 * 1000)
+  res.setHeader('Content-Type', 'application/pdf')
+  res.setHeader('Content-Disposition', `attachment; filename="patient-nutrition-report-${day(range.from)}-to-${day(last)}.pdf"`)
+  res.send(Buffer.from(pdfBytes))
+}
+
+/**
+ * FHIR R4 Bundle for [range.from, range.to)
+ */
+const sendFhirBundle = async (res, patient, range) => {
+  const scans = await getPatientScansBetween(patient.user_id, range.from, range.to)
+  const day = (date) => date.toISOString().slice(0, 10)
+  // Built before the headers so a failure is sent as a JSON error
+  const bundle = buildFhirBundle(patient, scans)
+
+  res.setHeader('Content-Type', FHIR_CONTENT_TYPE)
+  res.setHeader('Content-Disposition', `attachment; filename="patient-nutrition-fhir-${day(range.from)}.json"`)
+  res.send(JSON.stringify(bundle, null, 2))
+}
+
+// Roster routes come before /:token so "roster" is never read as a share token
+
+// Every accepted patient with their risk summary, plus pending requests
+router.get('/roster', requireAuth, requireRole('doctor'), async (req, res, next) => {
   try {
-    const { patient_id } = req.params
+    const sort = ROSTER_SORTS[req.query.sort] ? req.query.sort : 'risk'
+    const { order: defaultOrder, compare } = ROSTER_SORTS[sort]
+    const order = ['asc', 'desc'].includes(req.query.order) ? req.query.order : defaultOrder
 
-    // Get patient info
-    const { data: patient, error: patientError } = await supabase
-      .from('users')
+    const { data: links, error } = await supabase
+      .from('doctor_patient_links')
       .select('*')
-      .eq('user_id', patient_id)
-      .single()
+      .eq('doctor_user_id', req.userId)
+      .order('requested_at', { ascending: false })
+
+    if (error) throw error
+
+    const accepted = links.filter(l => l.status === 'accepted')
+    let patients = []
+    if (accepted.length > 0) {
+      const { data: users, error: usersError } = await supabase
+        .from('users')
+        .select('*')
+        .in('user_id', accepted.map(l => l.patient_user_id))
+
+      if (usersError) throw usersError
+
+      const targets = await getTargetsFor(users.map(u => u.user_id))
+      patients = await Promise.all(users.map(async (patient) => {
+        const link = accepted.find(l => l.patient_user_id === patient.user_id)
+        const { scanHistory, ...context } = await loadPatientContext(patient.user_id, {
+          targets: targets.get(patient.user_id) || null
+        })
+        const summary = buildPatientSummary(patient, scanHistory, context)
+        return { ...summary, link_id: link.id, linked_at: link.responded_at }
+      }))
+    }
 
-    if (patientError) {
-      return res.status(404).json({ error: 'Patient not found' })
+    patients.sort(order === defaultOrder ? compare : (a, b) => compare(b, a))
+
+    res.json({
+      sort,
+      order,
+      patients,
+      pending: links
+        .filter(l => l.status === 'pending')
+        .map(l => ({ id: l.id, patient_email: l.patient_email, requested_at: l.requested_at })),
+      declined: links.filter(l => l.status === 'declined').length
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Ask a patient (by account email) to join the roster
+router.post('/roster/requests', requireAuth, requireRole('doctor'), async (req, res, next) => {
+  try {
+    const { patient_email, message } = req.body
+
+    if (!patient_email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(patient_email)) {
+      return res.status(400).json({ error: 'A valid patient_email is required' })
     }
 
-    // Get scan history
-    const { data: scanHistory, error: scanError } = await supabase
-      .from('scans')
+    const email = patient_email.trim().toLowerCase()
+    const { data: patient, error } = await supabase
+      .from('users')
+      .select('user_id, email')
+      // Supabase Auth stores emails lower-cased
+      .eq('email', email)
+      .maybeSingle()
+
+    if (error) throw error
+
+    // Same answer whether or not the email has an account, so the roster can't probe for patients
+    const accepted = { requested: true, message: 'If this email belongs to a HonestBite patient, they will see your request.' }
+
+    if (!patient || patient.user_id === req.userId) {
+      return res.status(202).json(accepted)
+    }
+
+    const { data: existing, error: existingError } = await supabase
+      .from('doctor_patient_links')
       .select('*')
-      .eq('user_id', patient_id)
-      .order('scanned_at', { ascending: false })
-      .limit(50)
+      .eq('doctor_user_id', req.userId)
+      .eq('patient_user_id', patient.user_id)
+      .maybeSingle()
+
+    if (existingError) throw existingError
+
+    if (!existing) {
+      const { error: insertError } = await supabase
+        .from('doctor_patient_links')
+        .insert([{
+          doctor_user_id: req.userId,
+          patient_user_id: patient.user_id,
+          patient_email: email,
+          message: message ? String(message).slice(0, 500) : null,
+          status: 'pending'
+        }])
+      if (insertError) throw insertError
+    } else if (existing.status === 'revoked') {
+      // A removed link can be asked for again; a declined one stays declined
+      const { error: updateError } = await supabase
+        .from('doctor_patient_links')
+        .update({
+          status: 'pending',
+          message: message ? String(message).slice(0, 500) : null,
+          requested_at: new Date().toISOString(),
+          responded_at: null
+        })
+        .eq('id', existing.id)
+      if (updateError) throw updateError
+    }
 
-    if (scanError) throw scanError
+    logger.info(`Roster request: doctor=${req.userId} patient=${patient.user_id}`)
+    res.status(202).json(accepted)
+  } catch (error) {
+    next(error)
+  }
+})
 
-    // Calculate risk patterns
-    const riskPatterns = calculateRiskPatterns(scanHistory)
+// Full dashboard for a patient on the roster
+router.get('/roster/:patient_user_id', requireAuth, requireRole('doctor'), async (req, res, next) => {
+  try {
+    const patient = await loadRosterPatient(req, res)
+    if (!patient) return
 
-    // Generate alerts
-    const alerts = generateDoctorAlerts(scanHistory, patient)
+    const { scanHistory, ...context } = await loadPatientContext(patient.user_id)
 
     res.json({
       patient: {
         user_id: patient.user_id,
+        label: patient.display_name || patient.email,
         health_conditions: patient.health_conditions,
         allergies: patient.allergies,
         created_at: patient.created_at
       },
+      share: { scope: 'roster', can_export_pdf: true, can_edit_targets: true },
       scan_history: scanHistory,
-      risk_patterns: riskPatterns,
-      alerts
+      risk_patterns: calculateRiskPatterns(scanHistory),
+      alerts: generateDoctorAlerts(scanHistory, patient, context),
+      targets: context.targets,
+      target_nutrients: TARGET_NUTRIENTS
     })
   } catch (error) {
     next(error)
   }
 })
 
-// Export PDF report
-router.get('/:patient_id/report', async (req, res, next) => {
+// PDF report for a patient on the roster (?from=&to= YYYY-MM-DD, default last 30 days)
+router.get('/roster/:patient_user_id/report', requireAuth, requireRole('doctor'), async (req, res, next) => {
   try {
-    const { patient_id } = req.params
+    const range = parseReportRange(req.query)
+    if (range.error) return res.status(400).json({ error: range.error })
 
-    // Get patient data
-    const { data: patient, error: patientError } = await supabase
-      .from('users')
-      .select('*')
-      .eq('user_id', patient_id)
-      .single()
+    const patient = await loadRosterPatient(req, res)
+    if (!patient) return
 
-    if (patientError) {
-      return res.status(404).json({ error: 'Patient not found' })
-    }
+    const pdfBytes = await buildReport(patient, patient.display_name || patient.email, range)
 
-    // Get scan history
-    const { data: scanHistory, error: scanError } = await supabase
-      .from('scans')
-      .select('*')
-      .eq('user_id', patient_id)
-      .order('scanned_at', { ascending: false })
-      .limit(50)
+    sendReport(res, pdfBytes, range)
+
+    logger.info(`PDF report generated: doctor=${req.userId} patient=${patient.user_id}`)
+  } catch (error) {
+    next(error)
+  }
+})
 
-    if (scanError) throw scanError
+// FHIR R4 export for a patient on the roster (same ?from=&to= as the report)
+router.get('/roster/:patient_user_id/fhir', requireAuth, requireRole('doctor'), async (req, res, next) => {
+  try {
+    const range = parseReportRange(req.query)
+    if (range.error) return res.status(400).json({ error: range.error })
 
-    // Generate PDF
-    const pdfBytes = await generatePDFReport(patient, scanHistory)
+    const patient = await loadRosterPatient(req, res)
+    if (!patient) return
 
-    res.setHeader('Content-Type', 'application/pdf')
-    res.setHeader('Content-Disposition', `attachment; filename="patient-${patient_id}-report.pdf"`)
-    res.send(Buffer.from(pdfBytes))
+    await sendFhirBundle(res, patient, range)
 
-    logger.info(`PDF report generated for patient: ${patient_id}`)
+    logger.info(`FHIR export generated: doctor=${req.userId} patient=${patient.user_id}`)
   } catch (error) {
     next(error)
   }
 })
 
-/**
- * Calculate risk patterns from scan history
- */
-function calculateRiskPatterns(scanHistory) {
-  if (!scanHistory || scanHistory.length === 0) {
-    return {}
-  }
+// Set a patient's dietary targets (they replace the default alert thresholds)
+router.put('/roster/:patient_user_id/targets', requireAuth, requireRole('doctor'), async (req, res, next) => {
+  try {
+    const patient = await loadRosterPatient(req, res)
+    if (!patient) return
 
-  const oneWeekAgo = new Date()
-  oneWeekAgo.setDate(oneWeekAgo.getDate() - 7)
-
-  const recentScans = scanHistory.filter(
-    scan => new Date(scan.scanned_at) >= oneWeekAgo
-  )
-
-  const riskyScans = recentScans.filter(scan => scan.truth_score <= 5)
-  const highSugarScans = recentScans.filter(
-    scan => scan.risk_factors?.some(r => r.includes('Sugar'))
-  )
-  const highSodiumScans = recentScans.filter(
-    scan => scan.risk_factors?.some(r => r.includes('Sodium'))
-  )
-
-  const avgScore = scanHistory.length > 0
-    ? Math.round(scanHistory.reduce((sum, s) => sum + s.truth_score, 0) / scanHistory.length)
-    : 0
-
-  return {
-    'Total Scans (7 days)': recentScans.length,
-    'Risky Products (Score ≤5)': riskyScans.length,
-    'High Sugar Products': highSugarScans.length,
-    'High Sodium Products': highSodiumScans.length,
-    'Average Truth Score': avgScore
-  }
-}
+    const { targets, error } = validateTargets(req.body)
+    if (error) return res.status(400).json({ error })
 
-/**
- * Generate alerts for doctor
- */
-function generateDoctorAlerts(scanHistory, patient) {
-  const alerts = []
+    const saved = await saveTargets(patient.user_id, req.userId, targets)
 
-  const oneWeekAgo = new Date()
-  oneWeekAgo.setDate(oneWeekAgo.getDate() - 7)
+    logger.info(`Dietary targets set: doctor=${req.userId} patient=${patient.user_id} limits=${Object.keys(targets.daily_limits).join(',') || 'none'} avoid_added_sugar=${targets.avoid_added_sugar}`)
+    res.json({ targets: saved })
+  } catch (error) {
+    next(error)
+  }
+})
 
-  const recentScans = scanHistory.filter(
-    scan => new Date(scan.scanned_at) >= oneWeekAgo
-  )
+// Clear a patient's dietary targets
+router.delete('/roster/:patient_user_id/targets', requireAuth, requireRole('doctor'), async (req, res, next) => {
+  try {
+    const patient = await loadRosterPatient(req, res)
+    if (!patient) return
 
-  const riskyScans = recentScans.filter(scan => scan.truth_score <= 5)
+    await clearTargets(patient.user_id)
 
-  // Alert if 3+ risky scans per week
-  if (riskyScans.length >= 3) {
-    alerts.push({
-      id: `alert-${Date.now()}-1`,
-      title: 'High Risk Pattern Detected',
-      message: `Patient scanned ${riskyScans.length} risky products (score ≤5) in the past week`,
-      timestamp: new Date().toISOString()
-    })
+    logger.info(`Dietary targets cleared: doctor=${req.userId} patient=${patient.user_id}`)
+    res.json({ targets: null })
+  } catch (error) {
+    next(error)
   }
+})
 
-  // Check for specific health concerns
-  if (patient.health_conditions?.includes('Diabetes')) {
-    const highSugarScans = recentScans.filter(
-      scan => scan.risk_factors?.some(r => r.toLowerCase().includes('sugar'))
-    )
-    
-    if (highSugarScans.length >= 2) {
-      alerts.push({
-        id: `alert-${Date.now()}-2`,
-        title: 'Diabetes Management Concern',
-        message: `Patient (diabetic) scanned ${highSugarScans.length} high-sugar products this week`,
-        timestamp: new Date().toISOString()
-      })
+// Remove a patient from the roster
+router.delete('/roster/:patient_user_id', requireAuth, requireRole('doctor'), async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('doctor_patient_links')
+      .update({ status: 'revoked', responded_at: new Date().toISOString() })
+      .eq('doctor_user_id', req.userId)
+      .eq('patient_user_id', req.params.patient_user_id)
+      .in('status', ['pending', 'accepted'])
+      .select()
+
+    if (error) throw error
+    if (!data?.length) {
+      return res.status(404).json({ error: 'Patient is not on your roster' })
     }
+
+    res.json({ removed: true })
+  } catch (error) {
+    next(error)
   }
+})
+
+// Get doctor dashboard data
+router.get('/:token', async (req, res, next) => {
+  try {
+    const share = await resolveActiveShare(req, res)
+    if (!share) return
+    const patient_id = share.user_id
+
+    // Get patient info
+    const { data: patient, error: patientError } = await supabase
+      .from('users')
+      .select('*')
+      .eq('user_id', patient_id)
+      .single()
 
-  if (patient.health_conditions?.includes('Hypertension')) {
-    const highSodiumScans = recentScans.filter(
-      scan => scan.risk_factors?.some(r => r.toLowerCase().includes('sodium'))
-    )
-    
-    if (highSodiumScans.length >= 2) {
-      alerts.push({
-        id: `alert-${Date.now()}-3`,
-        title: 'Hypertension Management Concern',
-        message: `Patient (hypertensive) scanned ${highSodiumScans.length} high-sodium products this week`,
-        timestamp: new Date().toISOString()
-      })
+    if (patientError) {
+      return res.status(404).json({ error: 'Patient not found' })
     }
-  }
 
-  return alerts
-}
+    // Get scan history, dietary targets and logged intake
+    const { scanHistory, ...context } = await loadPatientContext(patient_id)
 
-/**
- * Generate PDF report
- */
-async function generatePDFReport(patient, scanHistory) {
-  const pdfDoc = await PDFDocument.create()
-  const page = pdfDoc.addPage([595, 842]) // A4 size
-  const { width, height } = page.getSize()
-
-  // Title
-  page.drawText('Patient Nutrition Report', {
-    x: 50,
-    y: height - 50,
-    size: 24,
-    color: rgb(0.15, 0.25, 0.91)
-  })
+    // Calculate risk patterns
+    const riskPatterns = calculateRiskPatterns(scanHistory)
 
-  // Patient Info
-  let yPos = height - 100
-  page.drawText(`Patient ID: ${patient.user_id}`, { x: 50, y: yPos, size: 12 })
-  yPos -= 25
+    // Generate alerts
+    const alerts = generateDoctorAlerts(scanHistory, patient, context)
 
-  if (patient.health_conditions && patient.health_conditions.length > 0) {
-    page.drawText(`Health Conditions: ${patient.health_conditions.join(', ')}`, {
-      x: 50,
-      y: yPos,
-      size: 12
-    })
-    yPos -= 25
-  }
+    await logShareAccess(share, 'dashboard', req)
 
-  if (patient.allergies && patient.allergies.length > 0) {
-    page.drawText(`Allergies: ${patient.allergies.join(', ')}`, {
-      x: 50,
-      y: yPos,
-      size: 12
+    res.json({
+      patient: {
+        label: share.label,
+        health_conditions: patient.health_conditions,
+        allergies: patient.allergies,
+        created_at: patient.created_at
+      },
+      share: {
+        scope: share.scope,
+        expires_at: share.expires_at,
+        can_export_pdf: share.scope === 'dashboard_pdf'
+      },
+      scan_history: scanHistory,
+      risk_patterns: riskPatterns,
+      alerts,
+      targets: context.targets,
+      target_nutrients: TARGET_NUTRIENTS
     })
-    yPos -= 25
+  } catch (error) {
+    next(error)
   }
+})
+
+// Export PDF report (?from=&to= YYYY-MM-DD, default last 30 days)
+router.get('/:token/report', async (req, res, next) => {
+  try {
+    const range = parseReportRange(req.query)
+    if (range.error) return res.status(400).json({ error: range.error })
+
+    const share = await resolveActiveShare(req, res)
+    if (!share) return
+    if (share.scope !== 'dashboard_pdf') {
+      return res.status(403).json({ error: 'This link does not include PDF export' })
+    }
+    const patient_id = share.user_id
+
+    // Get patient data
+    const { data: patient, error: patientError } = await supabase
+      .from('users')
+      .select('*')
+      .eq('user_id', patient_id)
+      .single()
+
+    if (patientError) {
+      return res.status(404).json({ error: 'Patient not found' })
+    }
+
+    // The share label, never the account id, identifies the patient on paper
+    const pdfBytes = await buildReport(patient, share.label, range)
 
-  // Scan History
-  yPos -= 30
-  page.drawText('Recent Scan History:', { x: 50, y: yPos, size: 16, color: rgb(0, 0, 0) })
-  yPos -= 25
+    await logShareAccess(share, 'report', req)
 
-  const recentScans = scanHistory.slice(0, 15)
-  for (const scan of recentScans) {
-    if (yPos < 100) break // Prevent overflow
+    sendReport(res, pdfBytes, range)
 
-    const date = new Date(scan.scanned_at).toLocaleDateString('en-IN')
-    const text = `${date} - ${scan.product_name} (Score: ${scan.truth_score}/10)`
-    
-    page.drawText(text, { x: 50, y: yPos, size: 10 })
-    yPos -= 20
+    logger.info(`PDF report generated for share: ${share.id}`)
+  } catch (error) {
+    next(error)
   }
+})
 
-  // Footer
-  page.drawText(`Generated on ${new Date().toLocaleString('en-IN')}`, {
-    x: 50,
-    y: 30,
-    size: 10,
-    color: rgb(0.5, 0.5, 0.5)
-  })
+// FHIR R4 export (?from=&to= YYYY-MM-DD, default last 30 days)
+router.get('/:token/fhir', async (req, res, next) => {
+  try {
+    const range = parseReportRange(req.query)
+    if (range.error) return res.status(400).json({ error: range.error })
+
+    const share = await resolveActiveShare(req, res)
+    if (!share) return
+    // Exports (PDF and FHIR) share one scope
+    if (share.scope !== 'dashboard_pdf') {
+      return res.status(403).json({ error: 'This link does not include exports' })
+    }
 
-  return await pdfDoc.save()
-}
+    const { data: patient, error: patientError } = await supabase
+      .from('users')
+      .select('*')
+      .eq('user_id', share.user_id)
+      .single()
+
+    if (patientError) {
+      return res.status(404).json({ error: 'Patient not found' })
+    }
+
+    await sendFhirBundle(res, patient, range)
+    await logShareAccess(share, 'fhir', req)
+
+    logger.info(`FHIR export generated for share: ${share.id}`)
+  } catch (error) {
+    next(error)
+  }
+})
 
 export default router
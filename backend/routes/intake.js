@@ -0,0 +1,191 @@
+import express from 'express'
+import { supabase } from '../config/database.js'
+import { logger } from '../utils/logger.js'
+import { requireAuth, requireSelf } from '../middleware/auth.js'
+import { buildServingInfo } from '../utils/portions.js'
+import {
+  INTAKE_PROFILES,
+  nutrientsForAmount,
+  getDailyIntake,
+  getWeeklyIntake
+} from '../services/intakeBudget.js'
+import { getTargets } from '../services/dietaryTargets.js'
+
+const router = express.Router()
+
+// Query options plus any doctor-set daily targets for the user
+const readOptions = async (userId, query) => ({
+  date: query.date,
+  tzOffset: query.tz_offset,
+  profile: query.profile,
+  targets: await getTargets(userId)
+})
+
+const validateOptions = (query) => {
+  if (query.date && !/^\d{4}-\d{2}-\d{2}$/.test(query.date)) return 'date must be YYYY-MM-DD'
+  if (query.tz_offset != null && !Number.isFinite(Number(query.tz_offset))) return 'tz_offset must be a number of minutes'
+  if (query.profile && !INTAKE_PROFILES.includes(query.profile)) return `profile must be one of: ${INTAKE_PROFILES.join(', ')}`
+  return null
+}
+
+// Look up nutrition for a barcode in the product cache, then the active FSSAI products
+const lookupProduct = async (barcode) => {
+  const { data: cached } = await supabase
+    .from('products')
+    .select('name, nutrition_facts, serving_info')
+    .eq('barcode', barcode)
+    .single()
+
+  if (cached?.nutrition_facts) {
+    return { name: cached.name, nutrition_facts: cached.nutrition_facts, serving: cached.serving_info }
+  }
+
+  const { data: fssai } = await supabase
+    .from('fssai_products')
+    .select('name, nutrition_info')
+    .eq('barcode', barcode)
+    .eq('is_active', true)
+    .single()
+
+  if (fssai?.nutrition_info?.nutrition_facts) {
+    return { name: fssai.name, nutrition_facts: fssai.nutrition_info.nutrition_facts, serving: fssai.nutrition_info.serving }
+  }
+
+  return null
+}
+
+// Log that a product was eaten ("I ate this")
+router.post('/', requireAuth, requireSelf, async (req, res, next) => {
+  try {
+    const { user_id, scan_id, barcode, product_name, nutrition_facts, serving_info, servings, amount } = req.body
+
+    if (!user_id) {
+      return res.status(400).json({ error: 'user_id is required' })
+    }
+
+    const servingCount = servings != null ? Number(servings) : 1
+    if (!Number.isFinite(servingCount) || servingCount <= 0 || servingCount > 50) {
+      return res.status(400).json({ error: 'servings must be a number between 0 and 50' })
+    }
+    if (amount != null && (!Number.isFinite(Number(amount)) || Number(amount) <= 0)) {
+      return res.status(400).json({ error: 'amount must be a positive number of g or ml' })
+    }
+
+    if (scan_id != null && !Number.isInteger(Number(scan_id))) {
+      return res.status(400).json({ error: 'scan_id must be an integer' })
+    }
+
+    // A log entry may only point at one of the user's own scans
+    if (scan_id != null) {
+      const { count, error: scanError } = await supabase
+        .from('scans')
+        .select('*', { count: 'exact', head: true })
+        .eq('id', scan_id)
+        .eq('user_id', user_id)
+
+      if (scanError) throw scanError
+      if (!count) return res.status(404).json({ error: 'Scan not found' })
+    }
+
+    // Label scans are not cached, so the client may send the facts it was shown
+    let product = nutrition_facts
+      ? { name: product_name, nutrition_facts, serving: serving_info }
+      : null
+    if (!product && barcode) {
+      product = await lookupProduct(barcode)
+    }
+    if (!product) {
+      return res.status(400).json({ error: 'nutrition_facts or a known barcode is required' })
+    }
+
+    // Without a known serving size one serving counts as one 100g/100ml unit
+    const serving = buildServingInfo(product.serving)
+    const servingQuantity = serving.serving_quantity || 100
+    const eaten = amount != null ? Number(amount) : servingCount * servingQuantity
+
+    const { data, error } = await supabase
+      .from('consumption_log')
+      .insert([
+        {
+          user_id,
+          scan_id: scan_id || null,
+          barcode: barcode || null,
+          product_name: product.name || product_name || 'Unknown product',
+          servings: amount != null ? Math.round((eaten / servingQuantity) * 100) / 100 : servingCount,
+          amount: eaten,
+          unit: serving.unit,
+          nutrients: nutrientsForAmount(product.nutrition_facts, eaten)
+        }
+      ])
+      .select()
+      .single()
+
+    if (error) throw error
+
+    logger.info(`Intake logged: user=${user_id} product="${data.product_name}" amount=${eaten}${serving.unit}`)
+    res.status(201).json({
+      entry: data,
+      assumed_serving: !serving.serving_quantity && amount == null
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Remove a log entry (undo)
+router.delete('/:user_id/:entry_id', requireAuth, requireSelf, async (req, res, next) => {
+  try {
+    const { user_id, entry_id } = req.params
+
+    const { error } = await supabase
+      .from('consumption_log')
+      .delete()
+      .eq('id', entry_id)
+      .eq('user_id', user_id)
+
+    if (error) throw error
+
+    res.json({ deleted: true })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Today's (or ?date=) entries, totals and remaining budget
+router.get('/:user_id/daily', requireAuth, requireSelf, async (req, res, next) => {
+  try {
+    const invalid = validateOptions(req.query)
+    if (invalid) return res.status(400).json({ error: invalid })
+
+    res.json(await getDailyIntake(req.params.user_id, await readOptions(req.params.user_id, req.query)))
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Per-day totals for the last 7 days
+router.get('/:user_id/weekly', requireAuth, requireSelf, async (req, res, next) => {
+  try {
+    const invalid = validateOptions(req.query)
+    if (invalid) return res.status(400).json({ error: invalid })
+
+    res.json(await getWeeklyIntake(req.params.user_id, await readOptions(req.params.user_id, req.query)))
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Remaining budget only (for the home screen ring)
+router.get('/:user_id/budget', requireAuth, requireSelf, async (req, res, next) => {
+  try {
+    const invalid = validateOptions(req.query)
+    if (invalid) return res.status(400).json({ error: invalid })
+
+    const { date, profile, budget, entries } = await getDailyIntake(req.params.user_id, await readOptions(req.params.user_id, req.query))
+    res.json({ date, profile, entries: entries.length, budget })
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
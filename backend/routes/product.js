@@ -1,7 +1,8 @@
 import express from 'express'
-import { supabase } from '../config/database.js'
-import { getProductByBarcode } from '../services/openFoodFacts.js'
-import { logger } from '../utils/logger.js'
+import { getProduct } from '../services/productRepository.js'
+import { getProductHistory, diffProductRows } from '../services/productHistory.js'
+import { calculateNutriScore } from '../utils/nutriScore.js'
+import { buildServingInfo } from '../utils/portions.js'
 
 const router = express.Router()
 
@@ -9,70 +10,72 @@ router.get('/:barcode', async (req, res, next) => {
   try {
     const { barcode } = req.params
 
-    // Check local database first
-    const { data: localProduct, error: localError } = await supabase
-      .from('products')
-      .select('*')
-      .eq('barcode', barcode)
-      .single()
-
-    if (localProduct && !localError) {
-      return res.json({
-        product_data: localProduct,
-        source: 'local_cache'
+    const found = await getProduct(barcode)
+    if (!found) {
+      return res.status(404).json({
+        error: 'Product not found',
+        source: 'not_found'
       })
     }
 
-    // Try Open Food Facts
-    try {
-      const productData = await getProductByBarcode(barcode)
-      
-      if (productData) {
-        // Cache in local database
-        await supabase
-          .from('products')
-          .upsert([
-            {
-              barcode: productData.barcode,
-              name: productData.name,
-              ingredients: productData.ingredients,
-              nutrition_facts: productData.nutrition_facts,
-              data_source: 'Open Food Facts'
-            }
-          ])
+    const { product, freshness } = found
 
-        return res.json({
-          product_data: productData,
-          source: 'openfoodfacts'
-        })
-      }
-    } catch (error) {
-      logger.warn('Open Food Facts lookup failed:', error)
-    }
+    // Express answers 304 itself when If-None-Match matches this etag
+    res.set('ETag', `"${freshness.etag}"`)
+    res.set('Cache-Control', `private, max-age=${freshness.stale ? 0 : Math.max(0, freshness.ttl_seconds - freshness.age_seconds)}`)
 
-    // Check FSSAI manual database
-    const { data: fssaiProduct, error: fssaiError } = await supabase
-      .from('fssai_products')
-      .select('*')
-      .eq('barcode', barcode)
-      .single()
+    res.json({
+      product_data: {
+        ...product,
+        nutri_score: calculateNutriScore(product, product.nutrition_facts),
+        serving_info: buildServingInfo(product.serving)
+      },
+      source: freshness.source,
+      freshness
+    })
+  } catch (error) {
+    next(error)
+  }
+})
 
-    if (fssaiProduct && !fssaiError) {
-      return res.json({
-        product_data: {
-          name: fssaiProduct.name,
-          brand: fssaiProduct.brand,
-          category: fssaiProduct.category,
-          barcode: fssaiProduct.barcode,
-          nutrition_facts: fssaiProduct.nutrition_info?.nutrition_facts || {}
-        },
-        source: 'fssai_manual'
-      })
+// Versions of a product and what changed in each; ?from=&to= diffs two versions
+router.get('/:barcode/history', async (req, res, next) => {
+  try {
+    const { barcode } = req.params
+    const history = await getProductHistory(barcode)
+
+    const versions = history.map(entry => ({
+      version: entry.version,
+      recorded_at: entry.recorded_at,
+      name: entry.name,
+      truth_score: entry.truth_score,
+      scoring_model: { id: entry.scoring_model_id, version: entry.scoring_model_version },
+      nutri_score: entry.nutri_score?.grade ?? null,
+      nutrition_facts: entry.nutrition_facts,
+      data_source: entry.data_source,
+      changes: entry.changes || []
+    }))
+
+    let diff = null
+    const { from, to } = req.query
+    if (from != null || to != null) {
+      const fromEntry = history.find(e => e.version === Number(from ?? 1))
+      const toEntry = history.find(e => e.version === Number(to ?? history[history.length - 1]?.version))
+      if (!fromEntry || !toEntry) {
+        return res.status(400).json({ error: `from and to must be versions between 1 and ${history.length}` })
+      }
+      diff = {
+        from: fromEntry.version,
+        to: toEntry.version,
+        changes: diffProductRows(fromEntry, toEntry)
+      }
     }
 
-    res.status(404).json({
-      error: 'Product not found',
-      source: 'not_found'
+    res.json({
+      barcode,
+      current_version: versions[versions.length - 1]?.version ?? null,
+      versions,
+      diff
     })
   } catch (error) {
     next(error)
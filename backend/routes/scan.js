@@ -1,91 +1,112 @@
 import express from 'express'
 import { supabase } from '../config/database.js'
-import { getProductByBarcode } from '../services/openFoodFacts.js'
+import { getProduct } from '../services/productRepository.js'
 import { detectGreenwashing } from '../services/nlpService.js'
 import { calculateTruthScore, generateHealthAlerts, identifyRiskFactors } from '../utils/truthScore.js'
+import { getScoringModel, resolveScoringModel } from '../utils/scoringModels.js'
+import { calculateNutriScore } from '../utils/nutriScore.js'
+import { buildServingInfo, buildPortions, toPer100 } from '../utils/portions.js'
+import { ingredientTreeOf, productAdditives } from '../utils/ingredientParser.js'
+import { verifyClaims } from '../utils/claimVerifier.js'
+import { detectAddedSugars } from '../utils/sugarAliases.js'
+import { detectFatSources } from '../utils/fatSources.js'
+import { getDailyIntake } from '../services/intakeBudget.js'
+import { getTargets, resolveAlertThresholds } from '../services/dietaryTargets.js'
 import { nutritionAgent } from '../services/aiAgent.js'
 import { logger } from '../utils/logger.js'
+import { requireAuth, requireSelf } from '../middleware/auth.js'
 import { generateWithGeminiSafe } from '../services/gemini.js'
 
 const router = express.Router()
 
-router.post('/', async (req, res, next) => {
+// Offline scans are replayed later; keep their original time if it is plausible
+const MAX_QUEUED_SCAN_AGE_MS = 30 * 24 * 60 * 60 * 1000
+const CLOCK_SKEW_MS = 5 * 60 * 1000
+
+const parseQueuedAt = (value) => {
+  if (value == null) return { scannedAt: null }
+  const date = new Date(value)
+  const age = Date.now() - date.getTime()
+  if (Number.isNaN(date.getTime()) || age < -CLOCK_SKEW_MS || age > MAX_QUEUED_SCAN_AGE_MS) {
+    return { error: 'scanned_at must be an ISO date within the last 30 days' }
+  }
+  return { scannedAt: date.toISOString() }
+}
+
+// A replayed scan whose first response was lost must not be recorded twice
+const findQueuedScan = async (userId, clientScanId) => {
+  const { data, error } = await supabase
+    .from('scans')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('client_scan_id', clientScanId)
+    .maybeSingle()
+
+  if (error) throw error
+  return data
+}
+
+router.post('/', requireAuth, requireSelf, async (req, res, next) => {
   try {
     const t0 = Date.now()
-    const { user_id, barcode, scan_type, ocr_text, nutrition_data } = req.body
+    const { user_id, barcode, scan_type, ocr_text, front_text, nutrition_data, serving_info, scoring_model, tz_offset, client_scan_id, scanned_at } = req.body
 
     if (!user_id) {
       return res.status(400).json({ error: 'user_id is required' })
     }
 
+    if (client_scan_id != null && (typeof client_scan_id !== 'string' || client_scan_id.length > 64)) {
+      return res.status(400).json({ error: 'client_scan_id must be a string of at most 64 characters' })
+    }
+
+    if (front_text != null && (typeof front_text !== 'string' || front_text.length > 5000)) {
+      return res.status(400).json({ error: 'front_text must be a string of at most 5000 characters' })
+    }
+
+    const { scannedAt, error: scannedAtError } = parseQueuedAt(scanned_at)
+    if (scannedAtError) {
+      return res.status(400).json({ error: scannedAtError })
+    }
+
+    if (scoring_model && !getScoringModel(scoring_model)) {
+      return res.status(400).json({ error: `Unknown scoring_model: ${scoring_model}` })
+    }
+
     let productData = null
     let dataSource = 'unknown'
+    let freshness = null
 
-    // Get product data
-    let tOFF = 0, tDB = 0, tScore = 0, tAlerts = 0, tGreen = 0, tAI = 0
+    // Get product data (cache, mirror, Open Food Facts, FSSAI; see productRepository)
+    let tProduct = 0, tScore = 0, tAlerts = 0, tGreen = 0, tAI = 0
     if (barcode) {
-      // Try Open Food Facts first
-      try {
-        const t = Date.now()
-        productData = await getProductByBarcode(barcode)
-        tOFF = Date.now() - t
-        if (productData) {
-          dataSource = 'Open Food Facts'
-        }
-      } catch (error) {
-        logger.warn('Open Food Facts lookup failed:', error)
-      }
-
-      // Fallback to local FSSAI database
-      if (!productData) {
-        const { data, error } = await supabase
-          .from('fssai_products')
-          .select('*')
-          .eq('barcode', barcode)
-          .single()
-
-        if (data && !error) {
-          const t = Date.now()
-          productData = {
-            name: data.name,
-            brand: data.brand,
-            category: data.category,
-            barcode: data.barcode,
-            ingredients: data.nutrition_info?.ingredients || '',
-            nutrition_facts: data.nutrition_info?.nutrition_facts || {},
-            data_source: 'FSSAI Manual Database'
-          }
-          dataSource = 'FSSAI Manual Database'
-          tDB = Date.now() - t
-        }
-      }
-
-      // Store product in database if not exists
-      if (productData) {
-        await supabase
-          .from('products')
-          .upsert([
-            {
-              barcode: productData.barcode,
-              name: productData.name,
-              ingredients: productData.ingredients,
-              nutrition_facts: productData.nutrition_facts,
-              data_source: dataSource
-            }
-          ])
-          .select()
+      const t = Date.now()
+      const found = await getProduct(barcode)
+      tProduct = Date.now() - t
+      if (found) {
+        productData = found.product
+        freshness = found.freshness
+        dataSource = freshness.source
       }
     }
 
     // Handle OCR-based scans
     if (!productData && nutrition_data) {
+      const serving = serving_info || {
+        basis: nutrition_data.basis,
+        serving_size: nutrition_data.serving_size,
+        serving_quantity: nutrition_data.serving_quantity,
+        pack_size: nutrition_data.pack_size
+      }
+      // Labels without a per-100 column were read per serving; store per 100 like every other source
+      const perServing = nutrition_data.nutrition_data_per === 'serving' && Number(nutrition_data.serving_quantity) > 0
       productData = {
         name: 'Product from Label Scan',
         brand: 'Unknown',
         category: 'Unknown',
         barcode: barcode || 'N/A',
         ingredients: ocr_text || '',
-        nutrition_facts: nutrition_data,
+        nutrition_facts: perServing ? toPer100(nutrition_data, Number(nutrition_data.serving_quantity)) : nutrition_data,
+        serving,
         data_source: 'OCR Scan'
       }
       dataSource = 'OCR Scan'
@@ -100,6 +121,9 @@ router.post('/', async (req, res, next) => {
       })
     }
 
+    // Structured ingredients (re-parsed when the cached tree predates the parser version)
+    productData.ingredient_tree = ingredientTreeOf(productData)
+
     // Get user profile
     const { data: userData, error: userError } = await supabase
       .from('users')
@@ -111,48 +135,94 @@ router.post('/', async (req, res, next) => {
       logger.warn('User not found, proceeding without profile:', user_id)
     }
 
+  // Scoring model: explicit request > user preference > server default
+  const scoringModel = resolveScoringModel(scoring_model || userData?.scoring_model)
+
   // Calculate truth score (handle both legacy numeric and new object-with-breakdown forms)
   const tScoreStart = Date.now()
-  const scoreResult = calculateTruthScore(productData, productData.nutrition_facts)
+  const scoreResult = calculateTruthScore(productData, productData.nutrition_facts, { model: scoringModel })
   const truthScore = typeof scoreResult === 'number' ? scoreResult : (scoreResult?.score ?? null)
   const truthScoreBreakdown = typeof scoreResult === 'object' ? (scoreResult.breakdown ? scoreResult.breakdown : scoreResult) : null
+  const nutriScore = calculateNutriScore(productData, productData.nutrition_facts)
   tScore = Date.now() - tScoreStart
 
+    // Per-100 / per-serving / per-pack views
+    const portions = buildPortions(productData.nutrition_facts, buildServingInfo(productData.serving))
+
+    // Doctor-set targets replace the default thresholds and daily limits
+    let targets = null
+    if (userData) {
+      try {
+        targets = await getTargets(user_id)
+      } catch (targetsError) {
+        logger.warn('Dietary targets unavailable for alerts:', targetsError.message)
+      }
+    }
+    const thresholds = resolveAlertThresholds(targets)
+
+    // Today's intake so far; alerts still work without it
+    let dailyIntake = null
+    if (userData) {
+      try {
+        dailyIntake = await getDailyIntake(user_id, { tzOffset: tz_offset, targets })
+      } catch (intakeError) {
+        logger.warn('Daily intake unavailable for alerts:', intakeError.message)
+      }
+    }
+
     // Generate health alerts
     const tAlertsStart = Date.now()
     const alerts = userData
-      ? generateHealthAlerts(userData, productData, productData.nutrition_facts)
+      ? generateHealthAlerts(userData, productData, productData.nutrition_facts, { portions, dailyIntake, thresholds })
       : []
     tAlerts = Date.now() - tAlertsStart
 
     // Identify risk factors
-  const riskFactors = identifyRiskFactors(productData, productData.nutrition_facts)
+  const riskFactors = identifyRiskFactors(productData, productData.nutrition_facts, thresholds)
 
     // Detect greenwashing
     const tGreenStart = Date.now()
-    const greenwashingFlags = await detectGreenwashing(
-      `${productData.name} ${productData.brand} ${productData.ingredients}`
-    )
+    const greenwashingFlags = await detectGreenwashing(productData, { frontText: front_text })
     tGreen = Date.now() - tGreenStart
 
-    // Save scan record
-    const { data: scanData, error: scanError } = await supabase
-      .from('scans')
-      .insert([
-        {
-          user_id,
-          product_name: productData.name,
-          barcode: productData.barcode,
-          truth_score: truthScore ?? 0,
-          risk_factors: riskFactors,
-          scan_type: scan_type || 'barcode'
-        }
-      ])
-      .select()
-      .single()
+    // Label claims (name, OFF labels, front-of-pack text) against the nutrition facts
+    const claims = verifyClaims(productData, { frontText: front_text })
 
-    if (scanError) {
-      logger.error('Error saving scan:', scanError)
+    // Save scan record (once per client_scan_id, so a replay of a saved scan is not stored again)
+    let scanData = null
+    if (client_scan_id) {
+      try {
+        scanData = await findQueuedScan(user_id, client_scan_id)
+      } catch (lookupError) {
+        logger.warn('Queued scan lookup failed:', lookupError.message)
+      }
+    }
+
+    if (!scanData) {
+      const { data, error: scanError } = await supabase
+        .from('scans')
+        .insert([
+          {
+            user_id,
+            product_name: productData.name,
+            barcode: productData.barcode,
+            truth_score: truthScore ?? 0,
+            scoring_model_id: scoringModel.id,
+            scoring_model_version: scoringModel.version,
+            truth_score_breakdown: truthScoreBreakdown,
+            risk_factors: riskFactors,
+            scan_type: scan_type || 'barcode',
+            client_scan_id: client_scan_id || null,
+            ...(scannedAt ? { scanned_at: scannedAt } : {})
+          }
+        ])
+        .select()
+        .single()
+
+      if (scanError) {
+        logger.error('Error saving scan:', scanError)
+      }
+      scanData = data
     }
 
     // Get AI agent analysis for enhanced insights
@@ -192,18 +262,28 @@ router.post('/', async (req, res, next) => {
     // Return response
     res.json({
       scan_id: scanData?.id,
+      scanned_at: scanData?.scanned_at || scannedAt,
       product_info: productData,
       truth_score: truthScore ?? 0,
       truth_score_breakdown: truthScoreBreakdown || null,
+      truth_score_model: { id: scoringModel.id, version: scoringModel.version, name: scoringModel.name },
+      nutri_score: nutriScore,
+      portions,
+      daily_budget: dailyIntake?.budget || null,
       alerts,
       risk_factors: riskFactors,
+      additives: productAdditives(productData).map(({ code, ins, name, function: role, tier, listed_as }) => ({ code, ins, name, function: role, tier, listed_as })),
+      added_sugars: detectAddedSugars(productData),
+      fat_sources: detectFatSources(productData),
+      claims,
       greenwashing_flags: greenwashingFlags,
       data_source: dataSource,
+      freshness,
       ai_insights: aiInsights
     })
 
   const totalMs = Date.now() - t0
-  logger.info(`scan: user=${user_id} name="${productData.name}" score=${truthScore ?? 'n/a'} t_total=${totalMs}ms t_off=${tOFF}ms t_db=${tDB}ms t_score=${tScore}ms t_alerts=${tAlerts}ms t_green=${tGreen}ms t_ai=${tAI}ms`)
+  logger.info(`scan: user=${user_id} name="${productData.name}" score=${truthScore ?? 'n/a'} model=${scoringModel.id}@${scoringModel.version} nutri=${nutriScore?.grade ?? 'n/a'} t_total=${totalMs}ms t_product=${tProduct}ms cache=${freshness?.cache ?? 'none'} t_score=${tScore}ms t_alerts=${tAlerts}ms t_green=${tGreen}ms t_ai=${tAI}ms`)
   } catch (error) {
     next(error)
   }
@@ -0,0 +1,75 @@
+import express from 'express'
+import { supabase } from '../config/database.js'
+import { calculateTruthScore } from '../utils/truthScore.js'
+import { SCORING_MODELS, getScoringModel, listScoringModels } from '../utils/scoringModels.js'
+
+const router = express.Router()
+
+// GET /api/scoring/models
+// Latest version of every scoring model
+router.get('/models', (req, res) => {
+  res.json({ models: listScoringModels() })
+})
+
+// GET /api/scoring/models/:id?version=1
+// Full definition of a model, so stored scores can be explained later
+router.get('/models/:id', (req, res) => {
+  const { id } = req.params
+  const { version } = req.query
+
+  const model = getScoringModel(id, version)
+  if (!model) {
+    return res.status(404).json({ error: 'Scoring model not found' })
+  }
+
+  res.json({ model })
+})
+
+// POST /api/scoring/compare
+// Body: { barcode } or { product: { ...product, nutrition_facts } }, optional models: [id, ...]
+// Scores the same product under several models for A/B comparison
+router.post('/compare', async (req, res, next) => {
+  try {
+    const { barcode, product, models } = req.body
+
+    let productData = product || null
+    if (!productData && barcode) {
+      const { data, error } = await supabase
+        .from('products')
+        .select('*')
+        .eq('barcode', barcode)
+        .single()
+
+      if (data && !error) productData = data
+    }
+
+    if (!productData) {
+      return res.status(404).json({ error: 'Product not found. Scan it first or pass product data.' })
+    }
+
+    const ids = Array.isArray(models) && models.length > 0
+      ? models
+      : [...new Set(SCORING_MODELS.map(m => m.id))]
+
+    const unknown = ids.filter(id => !getScoringModel(id))
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown scoring model(s): ${unknown.join(', ')}` })
+    }
+
+    const results = ids.map(id => {
+      const model = getScoringModel(id)
+      const { score, breakdown } = calculateTruthScore(productData, productData.nutrition_facts, { model })
+      return { model: { id: model.id, version: model.version, name: model.name }, score, breakdown }
+    })
+
+    res.json({
+      barcode: productData.barcode || barcode || null,
+      product_name: productData.name || null,
+      results
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
@@ -0,0 +1,77 @@
+import express from 'express'
+import { logger } from '../utils/logger.js'
+import { requireAuth, requireSelf } from '../middleware/auth.js'
+import {
+  SHARE_SCOPES,
+  DEFAULT_SHARE_DAYS,
+  MAX_SHARE_DAYS,
+  createShare,
+  listShares,
+  revokeShare,
+  getAccessLog
+} from '../services/doctorShares.js'
+
+const router = express.Router()
+
+// Issue a new doctor link (the raw token is only returned here)
+router.post('/', requireAuth, requireSelf, async (req, res, next) => {
+  try {
+    const { user_id, scope = 'dashboard', expires_in_days = DEFAULT_SHARE_DAYS, label } = req.body
+
+    if (!SHARE_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `scope must be one of: ${SHARE_SCOPES.join(', ')}` })
+    }
+
+    const days = Number(expires_in_days)
+    if (!Number.isFinite(days) || days <= 0 || days > MAX_SHARE_DAYS) {
+      return res.status(400).json({ error: `expires_in_days must be between 1 and ${MAX_SHARE_DAYS}` })
+    }
+
+    const { share, token } = await createShare(user_id, {
+      scope,
+      expiresInDays: days,
+      label: label ? String(label).slice(0, 200) : null
+    })
+
+    logger.info(`Doctor share ${share.id} created: user=${user_id} scope=${scope} days=${days}`)
+    res.status(201).json({ share, token })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// List the caller's share links
+router.get('/', requireAuth, requireSelf, async (req, res, next) => {
+  try {
+    res.json({ shares: await listShares(req.userId) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Revoke a share link
+router.delete('/:share_id', requireAuth, requireSelf, async (req, res, next) => {
+  try {
+    const share = await revokeShare(req.userId, req.params.share_id)
+
+    if (!share) {
+      return res.status(404).json({ error: 'Share not found or already revoked' })
+    }
+
+    logger.info(`Doctor share ${share.id} revoked: user=${req.userId}`)
+    res.json({ share })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Who opened the caller's links (optionally one link)
+router.get('/access-log', requireAuth, requireSelf, async (req, res, next) => {
+  try {
+    res.json({ access_log: await getAccessLog(req.userId, req.query.share_id || null) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
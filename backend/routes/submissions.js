@@ -0,0 +1,215 @@
+import express from 'express'
+import multer from 'multer'
+import { supabase } from '../config/database.js'
+import { logger } from '../utils/logger.js'
+import { requireAuth, requireSelf, requireRole } from '../middleware/auth.js'
+import {
+  SUBMISSION_PHOTOS,
+  validateSubmissionFields,
+  checkSubmissionComplete,
+  createSubmission,
+  getSubmission,
+  updateSubmission,
+  listUserSubmissions,
+  listSubmissionQueue,
+  withPhotoUrls,
+  approveSubmission,
+  rejectSubmission
+} from '../services/productSubmissions.js'
+
+const router = express.Router()
+
+const QUEUE_STATUSES = ['pending', 'approved', 'rejected']
+const ALREADY_REVIEWED = 'This submission was reviewed by another moderator'
+
+// Same limits as barcode photos: 6MB each, common image types only
+const allowedMimes = new Set(['image/jpeg', 'image/png', 'image/webp'])
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 6 * 1024 * 1024, files: SUBMISSION_PHOTOS.length },
+  fileFilter: (req, file, cb) => {
+    if (!allowedMimes.has(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'Unsupported file type'))
+    }
+    cb(null, true)
+  }
+}).fields(SUBMISSION_PHOTOS.map(name => ({ name, maxCount: 1 })))
+
+const uploadPhotos = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: 'Photo too large. Please upload images under 6MB.' })
+      }
+      if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+        return res.status(415).json({ error: `Upload JPG, PNG or WebP photos as ${SUBMISSION_PHOTOS.join(', ')}` })
+      }
+      return res.status(400).json({ error: 'Invalid upload', details: err.message })
+    }
+    if (err) return next(err)
+    next()
+  })
+}
+
+const isModerator = (req) => req.user?.role === 'moderator'
+
+// Start a submission for an unknown barcode from label photos (multipart)
+router.post('/', requireAuth, requireSelf, uploadPhotos, async (req, res, next) => {
+  try {
+    const barcode = String(req.body.barcode || '').replace(/\D/g, '')
+    if (!/^\d{6,14}$/.test(barcode)) {
+      return res.status(400).json({ error: 'barcode must be 6-14 digits' })
+    }
+
+    const files = Object.fromEntries(SUBMISSION_PHOTOS
+      .filter(kind => req.files?.[kind]?.[0])
+      .map(kind => [kind, req.files[kind][0]]))
+    if (Object.keys(files).length === 0) {
+      return res.status(400).json({ error: `Upload at least one photo: ${SUBMISSION_PHOTOS.join(', ')}` })
+    }
+
+    const { data: open, error } = await supabase
+      .from('product_submissions')
+      .select('id, status')
+      .eq('user_id', req.userId)
+      .eq('barcode', barcode)
+      .in('status', ['draft', 'pending'])
+      .limit(1)
+
+    if (error) throw error
+    if (open.length > 0) {
+      return res.status(409).json({ error: 'You already have an open submission for this barcode', submission_id: open[0].id })
+    }
+
+    // Text the device already read from a photo skips server-side transcription
+    const texts = Object.fromEntries(SUBMISSION_PHOTOS
+      .filter(kind => typeof req.body[`${kind}_text`] === 'string' && req.body[`${kind}_text`].trim())
+      .map(kind => [kind, req.body[`${kind}_text`].slice(0, 10000)]))
+
+    const submission = await createSubmission(req.userId, barcode, files, texts)
+
+    logger.info(`Product submission ${submission.id} started: user=${req.userId} barcode=${barcode} photos=${Object.keys(files).join(',')}`)
+    res.status(201).json({ submission: await withPhotoUrls(submission) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// The caller's submissions
+router.get('/mine', requireAuth, requireSelf, async (req, res, next) => {
+  try {
+    res.json({ submissions: await listUserSubmissions(req.userId) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Moderation queue
+router.get('/queue', requireAuth, requireRole('moderator'), async (req, res, next) => {
+  try {
+    const { status = 'pending' } = req.query
+    if (!QUEUE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${QUEUE_STATUSES.join(', ')}` })
+    }
+
+    res.json({ submissions: await listSubmissionQueue(status) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// One submission (its contributor or a moderator)
+router.get('/:id', requireAuth, async (req, res, next) => {
+  try {
+    const submission = await getSubmission(req.params.id)
+    if (!submission || (submission.user_id !== req.userId && !isModerator(req))) {
+      return res.status(404).json({ error: 'Submission not found' })
+    }
+
+    res.json({ submission: await withPhotoUrls(submission) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Correct the pre-filled fields; { submit: true } sends the draft to moderation.
+// Only drafts can be edited, so a moderator reviews exactly what was submitted.
+router.put('/:id', requireAuth, requireSelf, async (req, res, next) => {
+  try {
+    const submission = await getSubmission(req.params.id)
+    if (!submission || submission.user_id !== req.userId) {
+      return res.status(404).json({ error: 'Submission not found' })
+    }
+    if (submission.status !== 'draft') {
+      const state = submission.status === 'pending' ? 'sent for review' : submission.status
+      return res.status(409).json({ error: `This submission was already ${state}` })
+    }
+
+    const { fields, error } = validateSubmissionFields(req.body)
+    if (error) return res.status(400).json({ error })
+
+    const submit = req.body.submit === true
+    if (submit) {
+      const incomplete = checkSubmissionComplete({ ...submission, ...fields })
+      if (incomplete) return res.status(400).json({ error: incomplete })
+    }
+
+    const saved = await updateSubmission(submission, fields, { submit })
+    if (!saved) return res.status(409).json({ error: 'This submission was already sent for review' })
+
+    if (submit) logger.info(`Product submission ${saved.id} sent to moderation: barcode=${saved.barcode}`)
+    res.json({ submission: saved })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Approve (into fssai_products) or reject; moderators may correct fields while approving
+router.post('/:id/review', requireAuth, requireRole('moderator'), async (req, res, next) => {
+  try {
+    const { action, notes } = req.body
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({ error: 'action must be approve or reject' })
+    }
+
+    const submission = await getSubmission(req.params.id)
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found' })
+    }
+    if (submission.status !== 'pending') {
+      return res.status(409).json({ error: `Only pending submissions can be reviewed (this one is ${submission.status})` })
+    }
+    if (submission.user_id === req.userId) {
+      return res.status(403).json({ error: 'Moderators cannot review their own submissions' })
+    }
+
+    const moderatorNotes = notes ? String(notes).slice(0, 1000) : null
+
+    if (action === 'reject') {
+      const rejected = await rejectSubmission(submission, req.userId, moderatorNotes)
+      if (!rejected) return res.status(409).json({ error: ALREADY_REVIEWED })
+      logger.info(`Product submission ${submission.id} rejected by ${req.userId}`)
+      return res.json({ submission: rejected })
+    }
+
+    const { fields, error } = validateSubmissionFields(req.body)
+    if (error) return res.status(400).json({ error })
+
+    const reviewed = { ...submission, ...fields }
+    const incomplete = checkSubmissionComplete(reviewed)
+    if (incomplete) return res.status(400).json({ error: incomplete })
+
+    const result = await approveSubmission(reviewed, req.userId, moderatorNotes)
+    if (result.conflict) {
+      return res.status(409).json({ error: `Barcode ${submission.barcode} is already in the product database`, product: result.conflict })
+    }
+    if (result.alreadyReviewed) return res.status(409).json({ error: ALREADY_REVIEWED })
+
+    logger.info(`Product submission ${submission.id} approved by ${req.userId}: fssai_product=${result.product.id} barcode=${submission.barcode}`)
+    res.json(result)
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
@@ -1,20 +1,40 @@
 import express from 'express'
 import { supabase } from '../config/database.js'
 import { logger } from '../utils/logger.js'
+import { getScoringModel } from '../utils/scoringModels.js'
+import { requireAuth, requireSelf } from '../middleware/auth.js'
+import { listNotifications, markNotificationsRead } from '../services/productHistory.js'
 
 const router = express.Router()
 
-// Create user
-router.post('/', async (req, res, next) => {
+// Roles a user can pick for themselves at onboarding
+const SELF_SERVICE_ROLES = ['patient', 'doctor']
+
+// Answers a patient can give to a doctor's roster request
+const LINK_TRANSITIONS = {
+  pending: ['accepted', 'declined'],
+  accepted: ['revoked']
+}
+
+// Create the signed-in account's profile (onboarding)
+router.post('/', requireAuth, async (req, res, next) => {
   try {
-    const { user_id, health_conditions, allergies } = req.body
+    const { health_conditions, allergies, scoring_model, role = 'patient', display_name, clinic_name } = req.body
 
-    if (!user_id) {
-      return res.status(400).json({ error: 'user_id is required' })
+    if (!SELF_SERVICE_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${SELF_SERVICE_ROLES.join(', ')}` })
     }
 
-    // Generate doctor link
-    const doctor_link = `${process.env.CORS_ORIGIN}/doctor/${user_id}`
+    if (req.userId) {
+      return res.status(409).json({ error: 'Profile already exists', user_id: req.userId })
+    }
+
+    if (scoring_model && !getScoringModel(scoring_model)) {
+      return res.status(400).json({ error: `Unknown scoring_model: ${scoring_model}` })
+    }
+
+    // The profile id is derived from the account, never chosen by the client
+    const user_id = req.auth.id
 
     // Insert user
     const { data, error } = await supabase
@@ -22,9 +42,14 @@ router.post('/', async (req, res, next) => {
       .insert([
         {
           user_id,
+          auth_id: req.auth.id,
+          email: req.auth.email,
           health_conditions: health_conditions || [],
           allergies: allergies || [],
-          doctor_link
+          scoring_model: scoring_model || null,
+          role,
+          display_name: display_name ? String(display_name).slice(0, 200) : null,
+          clinic_name: clinic_name ? String(clinic_name).slice(0, 200) : null
         }
       ])
       .select()
@@ -32,7 +57,7 @@ router.post('/', async (req, res, next) => {
 
     if (error) throw error
 
-    logger.info(`User created: ${user_id}`)
+    logger.info(`User created: ${user_id} role=${role}`)
     res.status(201).json(data)
   } catch (error) {
     next(error)
@@ -40,7 +65,7 @@ router.post('/', async (req, res, next) => {
 })
 
 // Get user by ID
-router.get('/:user_id', async (req, res, next) => {
+router.get('/:user_id', requireAuth, requireSelf, async (req, res, next) => {
   try {
     const { user_id } = req.params
 
@@ -64,17 +89,33 @@ router.get('/:user_id', async (req, res, next) => {
 })
 
 // Update user
-router.put('/:user_id', async (req, res, next) => {
+router.put('/:user_id', requireAuth, requireSelf, async (req, res, next) => {
   try {
     const { user_id } = req.params
-    const { health_conditions, allergies } = req.body
+    const { health_conditions, allergies, scoring_model, display_name, clinic_name } = req.body
+
+    if (scoring_model && !getScoringModel(scoring_model)) {
+      return res.status(400).json({ error: `Unknown scoring_model: ${scoring_model}` })
+    }
+
+    const updates = {
+      health_conditions: health_conditions || [],
+      allergies: allergies || []
+    }
+    // null resets to the server default model
+    if (scoring_model !== undefined) {
+      updates.scoring_model = scoring_model || null
+    }
+    if (display_name !== undefined) {
+      updates.display_name = display_name ? String(display_name).slice(0, 200) : null
+    }
+    if (clinic_name !== undefined) {
+      updates.clinic_name = clinic_name ? String(clinic_name).slice(0, 200) : null
+    }
 
     const { data, error } = await supabase
       .from('users')
-      .update({
-        health_conditions: health_conditions || [],
-        allergies: allergies || []
-      })
+      .update(updates)
       .eq('user_id', user_id)
       .select()
       .single()
@@ -89,7 +130,7 @@ router.put('/:user_id', async (req, res, next) => {
 })
 
 // Get user scans
-router.get('/:user_id/scans', async (req, res, next) => {
+router.get('/:user_id/scans', requireAuth, requireSelf, async (req, res, next) => {
   try {
     const { user_id } = req.params
     const { limit = 20, offset = 0 } = req.query
@@ -109,4 +150,123 @@ router.get('/:user_id/scans', async (req, res, next) => {
   }
 })
 
+// Notifications (reformulated products the user scanned), newest first
+router.get('/:user_id/notifications', requireAuth, requireSelf, async (req, res, next) => {
+  try {
+    const { user_id } = req.params
+    const unreadOnly = req.query.unread === 'true'
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200)
+
+    const notifications = await listNotifications(user_id, { unreadOnly, limit })
+    const unread = unreadOnly ? notifications : await listNotifications(user_id, { unreadOnly: true, limit: 200 })
+
+    res.json({ notifications, unread_count: unread.length })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Mark notifications read (all unread ones when no ids are given)
+router.put('/:user_id/notifications/read', requireAuth, requireSelf, async (req, res, next) => {
+  try {
+    const { user_id } = req.params
+    const { ids } = req.body
+
+    if (ids != null && (!Array.isArray(ids) || ids.some(id => !Number.isInteger(id)))) {
+      return res.status(400).json({ error: 'ids must be an array of notification ids' })
+    }
+
+    const marked = await markNotificationsRead(user_id, ids)
+    res.json({ marked })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Doctors who asked to add this patient to their roster
+router.get('/:user_id/doctor-requests', requireAuth, requireSelf, async (req, res, next) => {
+  try {
+    const { user_id } = req.params
+
+    const { data: links, error } = await supabase
+      .from('doctor_patient_links')
+      .select('*')
+      .eq('patient_user_id', user_id)
+      .in('status', ['pending', 'accepted'])
+      .order('requested_at', { ascending: false })
+
+    if (error) throw error
+
+    let doctors = []
+    if (links.length > 0) {
+      const { data, error: doctorsError } = await supabase
+        .from('users')
+        .select('user_id, display_name, clinic_name, email')
+        .in('user_id', links.map(l => l.doctor_user_id))
+
+      if (doctorsError) throw doctorsError
+      doctors = data || []
+    }
+
+    res.json({
+      requests: links.map(link => {
+        const doctor = doctors.find(d => d.user_id === link.doctor_user_id) || {}
+        return {
+          id: link.id,
+          status: link.status,
+          message: link.message,
+          requested_at: link.requested_at,
+          responded_at: link.responded_at,
+          doctor: {
+            display_name: doctor.display_name || null,
+            clinic_name: doctor.clinic_name || null,
+            email: doctor.email || null
+          }
+        }
+      })
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Accept or decline a roster request, or remove an accepted doctor
+router.put('/:user_id/doctor-requests/:link_id', requireAuth, requireSelf, async (req, res, next) => {
+  try {
+    const { user_id, link_id } = req.params
+    const { status } = req.body
+
+    const { data: link, error } = await supabase
+      .from('doctor_patient_links')
+      .select('*')
+      .eq('id', link_id)
+      .eq('patient_user_id', user_id)
+      .maybeSingle()
+
+    if (error) throw error
+    if (!link) {
+      return res.status(404).json({ error: 'Request not found' })
+    }
+
+    const allowed = LINK_TRANSITIONS[link.status] || []
+    if (!allowed.includes(status)) {
+      return res.status(400).json({ error: `Cannot change a ${link.status} request to ${status}` })
+    }
+
+    const { data, error: updateError } = await supabase
+      .from('doctor_patient_links')
+      .update({ status, responded_at: new Date().toISOString() })
+      .eq('id', link.id)
+      .select()
+      .single()
+
+    if (updateError) throw updateError
+
+    logger.info(`Roster link ${link.id} ${status} by patient ${user_id}`)
+    res.json({ request: { id: data.id, status: data.status, responded_at: data.responded_at } })
+  } catch (error) {
+    next(error)
+  }
+})
+
 export default router
@@ -0,0 +1,61 @@
+/**
+ * Check added-sugar detection
+ *
+ *   node scripts/checkAddedSugars.js
+ *
+ * Finds sugar aliases (jaggery, invert syrup, liquid glucose, "चीनी") in
+ * ingredient lists with their positions, then checks the added-sugar signal
+ * scoring and diabetes alerts read when the label gives no sugars value.
+ * Needs no database or network; exits non-zero when any check fails.
+ */
+import { detectAddedSugars, describeAddedSugars } from '../utils/sugarAliases.js'
+import { calculateTruthScore, generateHealthAlerts, identifyRiskFactors, findAddedSugar } from '../utils/truthScore.js'
+import { getScoringModel } from '../utils/scoringModels.js'
+import { check, done } from './lib/check.js'
+
+const found = (ingredients) => detectAddedSugars({ ingredients })?.aliases.map(a => `${a.id}@${a.position}`).join() ?? null
+
+// Aliases and positions
+const biscuit = 'Refined wheat flour (maida), Sugar, Edible vegetable oil (palm), Invert syrup, Liquid glucose, Maltodextrin, Milk solids, Salt'
+check('every alias with its position', found(biscuit) === 'sugar@2,invert_syrup@4,glucose@5,maltodextrin@6', found(biscuit))
+check('first three are dominant', detectAddedSugars({ ingredients: biscuit }).aliases.map(a => a.dominant).join() === 'true,false,false,false')
+check('Hindi names', found('गेहूं का आटा, चीनी, गुड़, नमक') === 'sugar@2,jaggery@3', found('गेहूं का आटा, चीनी, गुड़, नमक'))
+check('transliterated names', found('Atta, Ghee, Shakkar, Elaichi') === 'sugar@3')
+check('dextrose, fructose and honey', found('Oats, Honey, Dextrose, Fructose syrup') === 'honey@2,glucose@3,fructose@4')
+check('whole words only', found('Sugarcane fibre, Gurgaon spices, Honeydew melon') === '')
+check('a compound ingredient takes its place in the list', found('Wheat flour, Palm oil, Cocoa solids, Chocolate chips (sugar, cocoa mass, cocoa butter)') === 'sugar@4')
+const within = detectAddedSugars({ ingredients: 'Wheat flour, Cream filling (sugar, palm oil, dextrose)' }).aliases
+check('parts of a compound ingredient name it', within.every(a => a.within === 'Cream filling' && a.position === 2) && within.length === 2)
+check('a sugar reported once with its parts', found('Sugar syrup (sugar, water), Oats') === 'invert_syrup@1')
+check('positions count within a component', found('Noodles: Wheat flour, Palm oil, Salt. Tastemaker: Spices, Sugar, Salt') === 'sugar@2')
+check('sweetener additives are not sugars', found('Water, Sweetener (955), Caramel colour (150c)') === '')
+check('"no added sugar" is not an ingredient', found('Apple juice, Water. No added sugar.') === '')
+check('no ingredient list', detectAddedSugars({ ingredients: '' }) === null)
+check('described for alerts', describeAddedSugars(detectAddedSugars({ ingredients: biscuit }).aliases.slice(0, 2)) === 'Sugar (2nd), Invert syrup (4th)')
+check('findAddedSugar reads the label word', findAddedSugar('Oats, Maltodextrin, Salt') === 'maltodextrin')
+
+// Scoring: a label with no sugars value is scored on where added sugar sits
+const facts = { sodium_100g: 0.3, energy_kcal_100g: 450, saturated_fat_100g: 5 }
+const sugarP = (ingredients, version, nutrition = facts) =>
+  calculateTruthScore({ ingredients }, nutrition, { model: getScoringModel('honestbite-default', version) }).breakdown.sugarP
+check('dominant added sugar costs when sugars are missing', sugarP(biscuit, 3) > 0)
+check('minor added sugar costs less', sugarP('Wheat flour, Palm oil, Salt, Spices, Sugar', 3) < sugarP(biscuit, 3))
+check('no added sugar, no assumed sugars', sugarP('Wheat flour, Palm oil, Salt', 3) === 0)
+check('a declared value is used as is', sugarP(biscuit, 3, { ...facts, sugars_100g: 8 }) === sugarP('Wheat flour', 3, { ...facts, sugars_100g: 8 }))
+check('0 g with sugar second counts as missing', sugarP(biscuit, 3, { ...facts, sugars_100g: 0 }) > 0)
+check('version 2 does not read added sugars', sugarP(biscuit, 2) === 0)
+const productP = (ingredients) => calculateTruthScore({ ingredients }, { ...facts, sugars_100g: 20 }, { model: getScoringModel('honestbite-default', 3) }).breakdown.productP
+check('sugar among the first three ingredients is a product penalty', productP(biscuit) > productP('Wheat flour, Palm oil, Salt, Spices, Sugar'))
+
+// Diabetes alerts without a sugars value
+const diabetic = { allergies: [], health_conditions: ['Diabetes'] }
+const alert = generateHealthAlerts(diabetic, { ingredients: biscuit }, { sodium: 0.3 }).find(a => /ADDED SUGAR/.test(a.message))
+check('diabetes alert from the ingredient list', alert?.severity === 'high' && /Sugar \(2nd\)/.test(alert.message), alert?.message)
+check('minor added sugar is a medium alert', generateHealthAlerts(diabetic, { ingredients: 'Wheat flour, Oil, Salt, Spices, Honey' }, {}).find(a => /ADDED SUGAR/.test(a.message))?.severity === 'medium')
+check('no added-sugar alert when sugars are declared', !generateHealthAlerts(diabetic, { ingredients: biscuit }, { sugar: 4 }).some(a => /ADDED SUGAR/.test(a.message)))
+check('no alert without diabetes', !generateHealthAlerts({ allergies: [], health_conditions: [] }, { ingredients: biscuit }, {}).some(a => /ADDED SUGAR/.test(a.message)))
+
+// Sugar split over several names
+check('multiple added sugars are a risk factor', identifyRiskFactors({ ingredients: biscuit }, {}).some(r => r.startsWith('Multiple Added Sugars: Sugar (2nd), Invert syrup (4th)')))
+
+done()
@@ -0,0 +1,68 @@
+/**
+ * Check allergen detection against the label corpus
+ *
+ *   node scripts/checkAllergens.js
+ *
+ * Runs every label in fixtures/allergen-labels.json through detectAllergens
+ * and compares the allergens found (contains and may-contain) with the ones
+ * listed, then checks the allergy alerts a user would see. Needs no database
+ * or network; exits non-zero when any check fails.
+ */
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { detectAllergens, resolveAllergy, matchAllergies } from '../utils/allergens.js'
+import { generateHealthAlerts } from '../utils/truthScore.js'
+import { check, done } from './lib/check.js'
+
+const CORPUS = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'allergen-labels.json')
+
+const describe = (expected, actual) => {
+  const missing = expected.filter(id => !actual.includes(id))
+  const extra = actual.filter(id => !expected.includes(id))
+  return [missing.length > 0 && `missed ${missing.join(', ')}`, extra.length > 0 && `also found ${extra.join(', ')}`]
+    .filter(Boolean)
+    .join('; ')
+}
+
+const { labels } = JSON.parse(fs.readFileSync(CORPUS, 'utf8'))
+
+for (const label of labels) {
+  const result = detectAllergens({
+    ingredients: label.ingredients,
+    allergens: label.allergens_tags,
+    traces: label.traces_tags
+  })
+  const contains = result.contains.map(a => a.id)
+  const traces = result.traces.map(a => a.id)
+  check(`${label.name}: contains`, describe(label.contains, contains) === '', describe(label.contains, contains))
+  check(`${label.name}: may contain`, describe(label.traces, traces) === '', describe(label.traces, traces))
+}
+
+// Profile choices map onto the taxonomy
+check('profile allergies resolve', ['Peanuts', 'Tree nuts', 'Dairy', 'Gluten', 'Soy', 'Eggs', 'Fish', 'Shellfish', 'Sesame', 'Wheat', 'Mustard', 'Sulphites']
+  .every(allergy => resolveAllergy(allergy).length > 0))
+check('shellfish covers crustaceans and molluscs', resolveAllergy('Shellfish').join() === 'crustaceans,molluscs')
+
+// Allergies outside the taxonomy fall back to whole-word matching
+const custom = matchAllergies(['Mango', 'Kiwi'], { ingredients: 'Mango pulp, sugar. May contain kiwi.' })
+check('custom allergies match whole words', custom.map(m => `${m.allergy}:${m.level}`).join() === 'Mango:contains,Kiwi:traces',
+  JSON.stringify(custom))
+
+// What a user with allergies sees on a scan
+const goodDay = labels.find(l => l.name.startsWith('Britannia Good Day'))
+const alerts = generateHealthAlerts(
+  { allergies: ['Dairy', 'Sesame', 'Peanuts'], health_conditions: ['Lactose Intolerance'] },
+  { ingredients: goodDay.ingredients, allergens: [] },
+  {}
+)
+const allergyAlerts = alerts.filter(a => a.category === 'allergy')
+check('dairy allergy is a high alert naming the ingredient', allergyAlerts.some(a => a.allergen === 'milk' && a.severity === 'high' && /MILK SOLIDS|BUTTER/i.test(a.message)))
+check('may-contain sesame is a medium alert', allergyAlerts.some(a => a.allergen === 'sesame' && a.level === 'traces' && a.severity === 'medium'))
+check('no alert for an allergen the label does not mention', !allergyAlerts.some(a => a.allergen === 'peanuts'))
+check('lactose intolerance is not repeated after the dairy alert', allergyAlerts.filter(a => a.allergen === 'milk').length === 1)
+
+const celiac = generateHealthAlerts({ allergies: [], health_conditions: ['Celiac Disease'] }, { ingredients: 'Sooji, ghee, sugar' }, {})
+check('celiac disease alert from a Hindi cereal name', celiac.some(a => a.allergen === 'gluten' && a.severity === 'high'))
+
+done()
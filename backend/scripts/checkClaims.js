@@ -0,0 +1,60 @@
+/**
+ * Check label claim extraction and verification
+ *
+ *   node scripts/checkClaims.js
+ *
+ * Finds claims in product names, Open Food Facts labels and front-of-pack
+ * text, then checks the verdicts against FSSAI claim thresholds. Needs no
+ * database or network; exits non-zero when any check fails.
+ */
+import { extractClaims, verifyClaims } from '../utils/claimVerifier.js'
+import { check, done } from './lib/check.js'
+
+const ids = (product, options) => extractClaims(product, options).map(c => c.id).join()
+const verdict = (product, id, options) => verifyClaims(product, options).find(c => c.id === id)
+
+// Finding claims
+check('claim in the name', ids({ name: 'Sugar Free Digestive Biscuits' }) === 'sugar_free')
+check('no added sugar is not also sugar free', ids({ name: 'Mango Drink - No Added Sugar' }) === 'no_added_sugar')
+check('"no sugar added" word order', ids({ name: 'Muesli, no sugar added' }) === 'no_added_sugar')
+check('trans fat free is not fat free', ids({ name: 'Zero Trans Fat Cookies' }) === 'no_trans_fat' && ids({ name: 'Trans-fat free namkeen' }) === 'no_trans_fat')
+check('low saturated fat is not low fat', ids({ name: 'Low saturated fat spread' }) === 'low_saturated_fat')
+check('Open Food Facts labels', ids({ name: 'Oats', labels: ['en:high-fibres', 'en:source-of-proteins', 'en:vegetarian', 'fr:sans-gluten'] }) === 'high_fiber,source_of_protein')
+check('front-of-pack text', ids({ name: 'Atta' }, { frontText: 'HIGH PROTEIN\n0% Trans Fat\nNo Preservatives' }) === 'no_trans_fat,high_protein,no_preservatives')
+check('Hindi front-of-pack text', ids({ name: 'Biscuit' }, { frontText: 'शुगर फ्री' }) === 'sugar_free')
+const sources = extractClaims({ name: 'Sugar Free Cookies', labels: ['en:sugar-free'] })[0].found_in.map(f => f.source)
+check('every source a claim appears in', sources.join() === 'name,labels')
+check('no claims', ids({ name: 'Parle-G Glucose Biscuits', labels: ['en:vegetarian'] }) === '')
+
+// Nutrient claims against the thresholds
+const biscuit = { name: 'Sugar Free Cookies', nutrition_facts: { energy: 480, fat: 22, sugar: 4.2, protein: 7 } }
+const misleading = verdict(biscuit, 'sugar_free')
+check('sugar free with 4.2 g sugars is misleading', misleading.verdict === 'misleading' && misleading.amount === 4.2 && misleading.limit === 0.5)
+check('the rule is cited', /Schedule I: "Sugar free" needs no more than 0\.5 g sugars/.test(misleading.rule), misleading.rule)
+check('verified within the limit', verdict({ ...biscuit, nutrition_facts: { ...biscuit.nutrition_facts, sugar: 0.3 } }, 'sugar_free').verdict === 'verified')
+check('minimum thresholds', verdict({ name: 'High Fibre Oats', nutrition_facts: { energy: 380, fiber: 10.1 } }, 'high_fiber').verdict === 'verified' &&
+  verdict({ name: 'High Fibre Oats', nutrition_facts: { energy: 380, fiber: 4 } }, 'high_fiber').verdict === 'misleading')
+
+const drink = { name: 'Low Fat Milk', nutrition_facts: { energy: 46, fat: 2.5, protein: 3.2 }, serving: { basis: '100ml' } }
+check('liquids use the per 100 ml limit', verdict(drink, 'low_fat').verdict === 'misleading' && verdict(drink, 'low_fat').limit === 1.5)
+check('solids use the per 100 g limit', verdict({ ...drink, serving: { basis: '100g' } }, 'low_fat').verdict === 'verified')
+
+check('missing nutrient is unverifiable', verdict({ name: 'Zero Trans Fat Cookies', nutrition_facts: { energy: 480, fat: 22 } }, 'no_trans_fat').verdict === 'unverifiable')
+check('declared trans fat is checked', verdict({ name: 'Zero Trans Fat Cookies', nutrition_facts: { energy: 480, fat: 22, trans_fat: 0.1 } }, 'no_trans_fat').verdict === 'verified')
+check('an all-zero panel is unverifiable', verdict({ name: 'Sugar Free Cookies', nutrition_facts: { energy: 0, fat: 0, sugar: 0, protein: 0 } }, 'sugar_free').verdict === 'unverifiable')
+
+// Claims checked against the ingredients
+const juice = { name: 'Apple Juice - No Added Sugar', ingredients: 'Apple juice concentrate, Water, Sugar, Acidity regulator (330)' }
+check('no added sugar with sugar in the ingredients', verdict(juice, 'no_added_sugar').verdict === 'misleading' && /Sugar \(3rd\)/.test(verdict(juice, 'no_added_sugar').evidence))
+check('no added sugar verified', verdict({ ...juice, ingredients: 'Apple juice, Water, Antioxidant (300)' }, 'no_added_sugar').verdict === 'verified')
+const pickle = { name: 'Mango Pickle', ingredients: 'Mango, Salt, Mustard oil, Spices, Preservative (INS 211)' }
+const preserved = verdict(pickle, 'no_preservatives', { frontText: 'No Preservatives' })
+check('no preservatives with a preservative', preserved.verdict === 'misleading' && /Sodium benzoate \(INS 211\)/.test(preserved.evidence), preserved.evidence)
+check('preservatives from Open Food Facts tags', verdict({ name: 'Jam', ingredients: '', additives: ['en:e202'] }, 'no_preservatives', { frontText: 'no preservatives' }).verdict === 'misleading')
+check('no preservatives verified', verdict({ ...pickle, ingredients: 'Mango, Salt, Mustard oil, Spices' }, 'no_preservatives', { frontText: 'No Preservatives' }).verdict === 'verified')
+check('no ingredient list is unverifiable', verdict({ name: 'Jam', ingredients: '' }, 'no_preservatives', { frontText: 'No Preservatives' }).verdict === 'unverifiable')
+check('gluten free with wheat flour', verdict({ name: 'Gluten Free Cookies', ingredients: 'Wheat flour, Sugar, Butter' }, 'gluten_free').verdict === 'misleading')
+check('gluten free with a may-contain warning', verdict({ name: 'Gluten Free Cookies', ingredients: 'Rice flour, Sugar. May contain wheat.' }, 'gluten_free').verdict === 'misleading')
+check('gluten free verified', verdict({ name: 'Gluten Free Cookies', ingredients: 'Rice flour, Jowar flour, Sugar' }, 'gluten_free').verdict === 'verified')
+
+done()
@@ -0,0 +1,51 @@
+/**
+ * Check product comparison
+ *
+ *   node scripts/checkCompare.js
+ *
+ * Compares scored biscuits the way POST /api/compare does and checks the
+ * per-dimension winners, ties, relative values and the overall winner.
+ * Needs no database or network; exits non-zero when any check fails.
+ */
+import { compareProducts } from '../utils/productComparison.js'
+import { calculateTruthScore, normalizeNutrition } from '../utils/truthScore.js'
+import { check, done } from './lib/check.js'
+
+const scored = (barcode, nutrition_facts, ingredients = '', alerts = []) => ({
+  barcode,
+  truth_score: calculateTruthScore({ ingredients }, nutrition_facts).score,
+  alerts,
+  nutrition: normalizeNutrition(nutrition_facts)
+})
+
+const cream = scored('8901', { energy_kcal: 500, sugars: 35, sodium: 0.25, saturated_fat: 12, fiber: 1, protein: 5 }, 'Refined wheat flour, Sugar, Hydrogenated vegetable fat, Invert syrup')
+const digestive = scored('8902', { energy_kcal: 470, sugars: 14, sodium: 0.45, saturated_fat: 8, fiber: 6, protein: 7 }, 'Whole wheat flour, Palm oil, Sugar')
+const { dimensions, overall } = compareProducts([cream, digestive])
+const dimension = (id, result = dimensions) => result.find(d => d.id === id)
+
+// Dimensions
+check('every dimension is compared', dimensions.map(d => d.id).join() === 'truth_score,sugars,sodium,saturated_fat,trans_fat,energy,fiber,protein,alerts')
+check('less sugar wins', dimension('sugars').winner === '8902')
+check('less sodium wins', dimension('sodium').winner === '8901')
+check('more fibre wins', dimension('fiber').winner === '8902')
+check('sodium in mg', dimension('sodium').values.map(v => v.value).join() === '250,450')
+check('relative runs from worst to best', dimension('sugars').values.map(v => v.relative).join() === '0,1')
+check('missing on both sides has no winner', dimension('trans_fat').winner === null && dimension('trans_fat').values.every(v => v.value === null))
+check('equal values are a tie', dimension('alerts').winner === null && dimension('alerts').tied.join() === '8901,8902')
+
+// Overall
+check('overall winner by truth score', overall.winner === '8902' && overall.decided_by === 'truth_score', JSON.stringify(overall))
+check('dimensions won are counted', overall.wins['8902'] > overall.wins['8901'])
+const twin = { ...digestive, barcode: '8903', alerts: [{ severity: 'high', message: 'x' }] }
+const byAlerts = compareProducts([digestive, twin]).overall
+check('same score goes to fewer alerts', byAlerts.winner === '8902' && byAlerts.decided_by === 'alerts')
+const same = compareProducts([digestive, { ...digestive, barcode: '8904' }])
+check('identical products have no overall winner', same.overall.winner === null && same.overall.decided_by === null)
+
+// Up to four products, some without values
+const plain = scored('8905', {})
+const four = compareProducts([cream, digestive, plain, { ...cream, barcode: '8906', nutrition: { ...cream.nutrition, sugars_g: 2 } }]).dimensions
+check('four products', dimension('sugars', four).values.length === 4 && dimension('sugars', four).winner === '8906')
+check('a product without a value is left out', dimension('protein', four).values.find(v => v.barcode === '8905').relative === null && dimension('protein', four).winner === '8902')
+
+done()
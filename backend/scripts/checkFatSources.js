@@ -0,0 +1,59 @@
+/**
+ * Check fat-source classification
+ *
+ *   node scripts/checkFatSources.js
+ *
+ * Classifies the fats in ingredient lists (palm oil, vanaspati, ghee, butter,
+ * refined and cold-pressed oils), then checks the trans fat that scoring
+ * and heart alerts assume from partially hydrogenated fat when the label
+ * declares none. Needs no database or network; exits non-zero when any
+ * check fails.
+ */
+import { detectFatSources, describeFatSources } from '../utils/fatSources.js'
+import { calculateTruthScore, generateHealthAlerts, identifyRiskFactors } from '../utils/truthScore.js'
+import { getScoringModel } from '../utils/scoringModels.js'
+import { check, done } from './lib/check.js'
+
+const found = (ingredients) => detectFatSources({ ingredients })?.sources.map(s => `${s.id}@${s.position}`).join() ?? null
+
+// Classes
+check('palm oil and palmolein', found('Wheat flour, Palm oil, Refined palmolein, Salt') === 'palm@2,palm@3')
+check('vanaspati is hydrogenated, not ghee', found('Wheat flour, Vanaspati ghee, Sugar') === 'hydrogenated@2')
+check('ghee and butter', found('Wheat flour, Ghee (10%), Butter, Sugar') === 'ghee@2,butter@3')
+check('refined and cold-pressed oils', found('Mango, Refined sunflower oil, Kachi ghani mustard oil') === 'refined_oil@2,cold_pressed_oil@3')
+check('Hindi names', found('गेहूं का आटा, वनस्पति घी, पाम तेल, घी') === 'hydrogenated@2,palm@3,ghee@4', found('गेहूं का आटा, वनस्पति घी, पाम तेल, घी'))
+check('a generic oil is described by its parts', found('Wheat flour, Edible vegetable oil (palm, sunflower), Salt') === 'palm@2,refined_oil@2')
+check('parts of a cold-pressed oil are cold-pressed', found('Cold pressed oils (groundnut, sesame)') === 'cold_pressed_oil@1,cold_pressed_oil@1')
+check('fats within a compound ingredient', found('Wheat flour, Cream filling (sugar, vanaspati, milk solids)') === 'hydrogenated@2')
+check('words that name no fat', found('Cocoa butter, Peanut butter, Buttermilk powder, Palm sugar, Butter flavour') === '')
+check('additives are not fats', found('Wheat flour, Emulsifier (471), Antioxidant (319)') === '')
+check('no ingredient list', detectFatSources({ ingredients: '' }) === null)
+
+// Partially hydrogenated fat
+const biscuit = 'Refined wheat flour (maida), Sugar, Hydrogenated vegetable fat, Edible vegetable oil (palm), Salt'
+const fats = detectFatSources({ ingredients: biscuit })
+check('hydrogenated fat is partially hydrogenated', fats.partially_hydrogenated && fats.sources[0].partially_hydrogenated)
+check('flags', fats.flags.map(f => `${f.id}:${f.ingredients.join('|')}`).join() === 'partially_hydrogenated:Hydrogenated vegetable fat,palm_oil:palm')
+check('fully hydrogenated and interesterified fat are not', !detectFatSources({ ingredients: 'Fully hydrogenated soybean oil, Interesterified vegetable fat' }).partially_hydrogenated)
+check('"partially hydrogenated shortening" is', detectFatSources({ ingredients: 'Partially hydrogenated shortening' }).partially_hydrogenated)
+check('described for alerts', describeFatSources(fats.sources) === 'Hydrogenated vegetable fat (3rd), palm (4th, in Edible vegetable oil)')
+
+// Scoring: undeclared trans fat is taken from total fat
+const facts = { sugars_100g: 20, sodium_100g: 0.3, saturated_fat_100g: 10, fat_100g: 22, energy_kcal_100g: 480 }
+const score = (ingredients, version, nutrition = facts) =>
+  calculateTruthScore({ ingredients }, nutrition, { model: getScoringModel('honestbite-default', version) }).breakdown
+check('2% of total fat is assumed trans fat', score(biscuit, 4).assumedTransFat === 0.44 && score(biscuit, 4).transFatP > 0)
+check('fallback without total fat', score(biscuit, 4, { ...facts, fat_100g: undefined }).assumedTransFat === 0.4)
+check('a declared value is used as is', score(biscuit, 4, { ...facts, trans_fat: 0.1 }).assumedTransFat === null)
+check('no assumption without hydrogenated fat', score('Wheat flour, Palm oil', 4).transFatP === 0)
+check('version 3 does not read fat sources', score(biscuit, 3).transFatP === 0)
+
+// Heart alerts and risk factors
+const heart = { allergies: [], health_conditions: ['Heart Disease'] }
+const alert = generateHealthAlerts(heart, { ingredients: biscuit }, {}).find(a => /PARTIALLY HYDROGENATED/.test(a.message))
+check('heart alert when trans fat is not declared', alert?.severity === 'high' && /does not declare/.test(alert.message), alert?.message)
+check('medium when little trans fat is declared', generateHealthAlerts(heart, { ingredients: biscuit }, { trans_fat: 0.1 }).find(a => /PARTIALLY HYDROGENATED/.test(a.message))?.severity === 'medium')
+check('no alert without a heart condition', !generateHealthAlerts({ allergies: [], health_conditions: ['Diabetes'] }, { ingredients: biscuit }, {}).some(a => /PARTIALLY HYDROGENATED/.test(a.message)))
+check('risk factor', identifyRiskFactors({ ingredients: biscuit }, {}).includes('Partially Hydrogenated Fat: Hydrogenated vegetable fat (3rd)'))
+
+done()
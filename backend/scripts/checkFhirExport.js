@@ -0,0 +1,177 @@
+/**
+ * Validate the FHIR export
+ *
+ *   node scripts/checkFhirExport.js               # fixture bundle + validator self-checks
+ *   node scripts/checkFhirExport.js export.json   # a bundle downloaded from the API
+ *
+ * Bundles are validated with ajv against the official FHIR R4 JSON schema
+ * (scripts/fhir/fhir.schema.json, as published at
+ * hl7.org/fhir/R4/fhir.schema.json), plus the Bundle rules the schema cannot
+ * express: unique fullUrls and urn:uuid references that resolve inside the
+ * Bundle. Exits non-zero when any bundle fails validation or a broken bundle
+ * is accepted. Needs no database.
+ */
+import fs from 'fs'
+import { createRequire } from 'module'
+import Ajv from 'ajv'
+import { buildFhirBundle } from '../services/fhirExport.js'
+import { check, done } from './lib/check.js'
+
+// The R4 schema is draft-06 and names itself with `id`, which ajv 8 reads as `$id`
+const { id: SCHEMA_ID, ...fhirSchema } = JSON.parse(fs.readFileSync(new URL('./fhir/fhir.schema.json', import.meta.url), 'utf8'))
+const ajv = new Ajv({ strict: false, allErrors: true })
+ajv.addMetaSchema(createRequire(import.meta.url)('ajv/dist/refs/json-schema-draft-06.json'))
+ajv.addSchema({ ...fhirSchema, $id: SCHEMA_ID })
+
+const schemaFor = (resourceType) => ajv.getSchema(`${SCHEMA_ID}#/definitions/${resourceType}`)
+
+const schemaErrors = (validate, value, prefix) =>
+  validate(value)
+    ? []
+    : validate.errors.map(error => ({
+      path: `${prefix}${error.instancePath}` || '/',
+      message: error.params?.additionalProperty ? `${error.message} (${error.params.additionalProperty})` : error.message
+    }))
+
+// urn:uuid references anywhere in a resource
+const referencesIn = (value, path, found = []) => {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => referencesIn(item, `${path}/${index}`, found))
+  } else if (value && typeof value === 'object') {
+    if (typeof value.reference === 'string' && value.reference.startsWith('urn:uuid:')) {
+      found.push({ path: `${path}/reference`, reference: value.reference })
+    }
+    for (const [key, child] of Object.entries(value)) referencesIn(child, `${path}/${key}`, found)
+  }
+  return found
+}
+
+/**
+ * Validate a Bundle
+ * @returns {Array<{path: string, message: string}>} Errors; empty when valid
+ */
+const validateFhirBundle = (bundle) => {
+  if (bundle?.resourceType !== 'Bundle') return [{ path: '/resourceType', message: 'must be Bundle' }]
+
+  // Each resource against its own definition, for errors that name the field
+  const entries = Array.isArray(bundle.entry) ? bundle.entry : []
+  const shell = { ...bundle, ...(Array.isArray(bundle.entry) && { entry: entries.map(({ resource, ...entry }) => entry) }) }
+  const errors = schemaErrors(schemaFor('Bundle'), shell, '')
+
+  entries.forEach((entry, index) => {
+    const resource = entry?.resource
+    if (!resource) return
+    const validate = schemaFor(resource.resourceType)
+    if (!validate) {
+      errors.push({ path: `/entry/${index}/resource/resourceType`, message: `unknown resource type ${resource.resourceType}` })
+      return
+    }
+    errors.push(...schemaErrors(validate, resource, `/entry/${index}/resource`))
+  })
+
+  // bdl-7: fullUrl is unique within a bundle
+  const fullUrls = new Set()
+  entries.forEach((entry, index) => {
+    if (!entry?.fullUrl) return
+    if (fullUrls.has(entry.fullUrl)) errors.push({ path: `/entry/${index}/fullUrl`, message: 'bdl-7: fullUrl must be unique in a bundle' })
+    fullUrls.add(entry.fullUrl)
+  })
+
+  // Internal references must point at an entry
+  entries.forEach((entry, index) => {
+    for (const { path, reference } of referencesIn(entry?.resource, `/entry/${index}/resource`)) {
+      if (!fullUrls.has(reference)) errors.push({ path, message: `reference ${reference} does not resolve within the bundle` })
+    }
+  })
+
+  return errors
+}
+
+const FIXTURE_PATIENT = {
+  user_id: 'fixture-patient',
+  health_conditions: ['Diabetes', 'Hypertension', 'Migraine'],
+  allergies: ['Peanuts', 'Dairy']
+}
+
+const FIXTURE_SCANS = [
+  {
+    id: 101,
+    product_name: 'Masala Instant Noodles',
+    barcode: '8901058851298',
+    truth_score: 3,
+    scanned_at: '2026-09-20T08:15:00Z',
+    risk_factors: ['High Sodium: 1100mg per 100g'],
+    truth_score_breakdown: {
+      inputs: { sugars_g: 2.1, sodium_g: 1.1, satFat_g: 6.5, transFat_g: 0.1, fiber_g: 2, protein_g: 8.9, energy_kcal: 427, fat_g: 15.2 }
+    }
+  },
+  {
+    id: 102,
+    product_name: 'Plain Curd',
+    truth_score: 8,
+    scanned_at: '2026-09-21T12:00:00Z',
+    risk_factors: [],
+    truth_score_breakdown: { inputs: { sugars_g: 4.7, sodium_g: null, protein_g: 3.1 } }
+  },
+  // Older scans have no breakdown: score only
+  { id: 103, product_name: 'Biscuits', truth_score: 4, scanned_at: '2026-09-22T18:30:00+05:30', risk_factors: [] }
+]
+
+const report = (name, errors, expectValid) => {
+  if (expectValid) {
+    check(name, errors.length === 0)
+    for (const error of errors) console.log(`  ${error.path}: ${error.message}`)
+  } else {
+    check(`${name} (expected errors)`, errors.length > 0, 'broken bundle was accepted')
+  }
+}
+
+const file = process.argv[2]
+if (file) {
+  report(file, validateFhirBundle(JSON.parse(fs.readFileSync(file, 'utf8'))), true)
+} else {
+  // Pseudonyms need their own key; there is no fallback
+  const secret = process.env.FHIR_PSEUDONYM_SECRET
+  delete process.env.FHIR_PSEUDONYM_SECRET
+  let refused = false
+  try {
+    buildFhirBundle(FIXTURE_PATIENT, FIXTURE_SCANS)
+  } catch (error) {
+    refused = error.status === 503
+  }
+  check('export fails without FHIR_PSEUDONYM_SECRET', refused)
+  process.env.FHIR_PSEUDONYM_SECRET = secret || 'check-fhir-export'
+
+  const bundle = buildFhirBundle(FIXTURE_PATIENT, FIXTURE_SCANS)
+  report('fixture bundle', validateFhirBundle(bundle), true)
+
+  const types = bundle.entry.map(e => e.resource.resourceType)
+  const count = (type) => types.filter(t => t === type).length
+  console.log(`  ${types.length} resources: 1 Patient, ${count('Condition')} Condition, ${count('AllergyIntolerance')} AllergyIntolerance, ${count('Observation')} Observation`)
+  check('resource counts', count('Patient') === 1 && count('Condition') === 3 && count('AllergyIntolerance') === 2 && count('Observation') === 5)
+
+  // The pseudonymous Patient must carry nothing that identifies the account
+  check('bundle does not contain the raw user_id', !JSON.stringify(bundle).includes(FIXTURE_PATIENT.user_id))
+
+  report('empty patient', validateFhirBundle(buildFhirBundle({ user_id: 'empty' }, [])), true)
+
+  // The validator has to catch what the export could plausibly get wrong
+  const broken = (name, mutate) => {
+    const copy = structuredClone(bundle)
+    mutate(copy)
+    report(name, validateFhirBundle(copy), false)
+  }
+  const firstOf = (copy, type) => copy.entry.find(e => e.resource.resourceType === type).resource
+
+  broken('bad bundle type', (b) => { b.type = 'bag' })
+  broken('unknown property', (b) => { firstOf(b, 'Patient').nickname = 'Jane' })
+  broken('unresolved reference', (b) => { firstOf(b, 'Condition').subject.reference = 'urn:uuid:00000000-0000-0000-0000-000000000000' })
+  broken('bad dateTime', (b) => { firstOf(b, 'Observation').effectiveDateTime = '20/09/2026' })
+  broken('observation without code', (b) => { delete firstOf(b, 'Observation').code })
+  broken('string value quantity', (b) => { firstOf(b, 'Observation').valueQuantity.value = '3' })
+  broken('unknown resource type', (b) => { firstOf(b, 'Condition').resourceType = 'Diagnosis' })
+  broken('allergy without patient', (b) => { delete firstOf(b, 'AllergyIntolerance').patient })
+  broken('duplicate fullUrl', (b) => { b.entry[1].fullUrl = b.entry[0].fullUrl })
+}
+
+done()
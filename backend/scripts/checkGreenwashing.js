@@ -0,0 +1,59 @@
+/**
+ * Check greenwashing detection
+ *
+ *   node scripts/checkGreenwashing.js
+ *
+ * Runs packaging text through detectGreenwashing and checks word matching,
+ * negation, the packaging/ingredient split and the evidence each flag
+ * carries. Needs no database or network; exits non-zero when any check fails.
+ */
+import { detectGreenwashing, classifyMarketingClaims } from '../services/nlpService.js'
+import { check, done } from './lib/check.js'
+
+const terms = (flags) => flags.map(f => f.term).join()
+
+// Whole words, not substrings
+check('"natural" does not fire inside "unnatural"', (await detectGreenwashing({ name: 'Unnaturally Good Chips' })).length === 0)
+check('"pure" does not fire inside "puree"', (await detectGreenwashing({ name: 'Tomato Puree' })).length === 0)
+check('hyphenated buzzwords', terms(await detectGreenwashing({ name: 'All-Natural Honey' })) === 'all natural')
+check('longest phrase only', terms(await detectGreenwashing({ name: 'All Natural Oats' })) === 'all natural')
+
+// Negation
+check('"not organic" is not a claim', (await detectGreenwashing({ name: 'Jaggery (not organic)' })).length === 0)
+check('"not a superfood" is not a claim', (await detectGreenwashing({ name: 'Chips', ingredients: '' }, { frontText: 'Not a superfood, just tasty' })).length === 0)
+check('"non-GMO natural" still flags natural', terms(await detectGreenwashing({ name: 'Non-GMO Natural Corn Flakes' })) === 'natural')
+
+// Packaging against ingredient text
+const plainLabel = { name: 'Masala Oats', ingredients: 'Oats, Natural flavours, Organic turmeric, Salt' }
+check('buzzwords in the ingredient list are not flagged', (await detectGreenwashing(plainLabel)).length === 0)
+check('front-of-pack text is packaging', terms(await detectGreenwashing(plainLabel, { frontText: 'Superfood' })) === 'superfood')
+
+// Evidence and severity
+const drink = {
+  name: 'All-Natural Mango Drink, No Added Sugar',
+  ingredients: 'Water, Mango pulp (10%), Maltodextrin, Acidity regulator (330), Preservative (211), Colour (110), Nature identical flavouring substances',
+  nutrition_facts: { energy: 50, sugar: 11 }
+}
+const drinkFlags = await detectGreenwashing(drink)
+const natural = drinkFlags.find(f => f.term === 'all natural')
+check('"all natural" contradicted by additives', natural?.severity === 'high' && /Sodium benzoate \(INS 211\)/.test(natural.evidence) && /nature identical/.test(natural.evidence), natural?.evidence)
+const noAddedSugar = drinkFlags.find(f => f.term === 'no added sugar')
+check('"no added sugar" contradicted by maltodextrin', noAddedSugar?.severity === 'high' && /Maltodextrin \(3rd\)/.test(noAddedSugar.evidence), noAddedSugar?.evidence)
+check('uncontradicted natural claim is low', (await detectGreenwashing({ name: 'Natural Peanut Butter', ingredients: 'Roasted peanuts, Salt' }))[0]?.severity === 'low')
+check('verified claims are not flagged', (await detectGreenwashing({ name: 'Sugar Free Cookies', nutrition_facts: { energy: 450, sugar: 0.2 } })).length === 0)
+check('most severe first', (await detectGreenwashing({ ...drink, name: `Wholesome ${drink.name}` })).map(f => f.severity).join() === 'high,high,low')
+check('certified organic is substantiated', (await detectGreenwashing({ name: 'Organic Jaggery', labels: ['en:organic', 'en:india-organic'] })).length === 0)
+check('uncertified organic is unsubstantiated', (await detectGreenwashing({ name: 'Organic Jaggery' }))[0]?.severity === 'medium')
+const multigrain = await detectGreenwashing({ name: 'Multigrain Biscuits', ingredients: 'Refined wheat flour (maida), Sugar, Oats (5%)' })
+check('multigrain with refined flour first', multigrain[0]?.severity === 'high' && /Refined wheat flour/.test(multigrain[0].evidence))
+check('regulated wording is not also a buzzword', terms(await detectGreenwashing({ name: 'Pickle', ingredients: 'Mango, Salt, Preservative (211)' }, { frontText: 'No artificial preservatives' })) === 'no preservatives')
+
+// Categories come from classifyMarketingClaims
+check('flags carry a category', drinkFlags.map(f => f.category).join() === 'environmental,nutrition')
+check('appeals to authority are at least medium', (await detectGreenwashing({ name: 'Doctor Recommended Atta' }))[0]?.severity === 'medium')
+check('classifier matches whole words', classifyMarketingClaims(['multigrain cereal']).quality_claims.length === 1 && classifyMarketingClaims(['cereal']).quality_claims.length === 0)
+
+// Plain text still works
+check('packaging text alone', terms(await detectGreenwashing('Detox Green Tea')) === 'detox')
+
+done()
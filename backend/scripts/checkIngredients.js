@@ -0,0 +1,105 @@
+/**
+ * Check the ingredient parser and additive lookups
+ *
+ *   node scripts/checkIngredients.js
+ *
+ * Parses Indian label ingredient statements (nested lists, percentages,
+ * INS/E-numbers written every way labels write them) and checks the tree,
+ * then the additive signals scoring and alerts read. Needs no database or
+ * network; exits non-zero when any check fails.
+ */
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { ADDITIVES, FSSAI_STATUSES, RISK_TIERS, normalizeAdditiveCode, lookupAdditive, lookupAdditiveByName, describeAdditive } from '../utils/additives.js'
+import { parseIngredients, flattenIngredients, ingredientTreeOf, productAdditives, INGREDIENT_PARSER_VERSION } from '../utils/ingredientParser.js'
+import { calculateTruthScore, generateHealthAlerts, identifyRiskFactors } from '../utils/truthScore.js'
+import { getScoringModel } from '../utils/scoringModels.js'
+import { check, done } from './lib/check.js'
+
+const CORPUS = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'allergen-labels.json')
+
+const find = (tree, name) => flattenIngredients(tree.ingredients).find(n => n.name.toLowerCase() === name.toLowerCase())
+const codes = (text) => productAdditives({ ingredients: text }).map(a => a.code)
+
+// Codes in every form labels and Open Food Facts use
+check('code forms normalise', ['INS 322(i)', 'E322i', '322 (i)', 'en:e322i', 'ins-322i'].every(c => normalizeAdditiveCode(c) === '322i'))
+check('letter and roman suffixes', normalizeAdditiveCode('E160a(ii)') === '160aii' && normalizeAdditiveCode('150c') === '150c')
+check('not a code', [null, '', 'Salt', '66%', '12', 'E', 'INS'].every(c => normalizeAdditiveCode(c) === null))
+check('variant names', lookupAdditive('500(ii)').name === 'Sodium hydrogen carbonate (baking soda)' && lookupAdditive('INS 500').name === 'Sodium carbonates')
+check('unknown codes still count', lookupAdditive('E1234').known === false)
+check('additives by name', lookupAdditiveByName('Citric Acid').code === '330' && lookupAdditiveByName('soya lecithin').code === '322')
+
+// Reference data is complete for every entry
+const incomplete = ADDITIVES.filter(a => !FSSAI_STATUSES[a.fssai] || !RISK_TIERS[a.tier] || !a.adi || !['JECFA', 'EFSA'].includes(a.adi.source))
+check('every additive has FSSAI status, ADI and tier', incomplete.length === 0, incomplete.map(a => a.code).join(', '))
+check('codes are unique', new Set(ADDITIVES.map(a => a.code)).size === ADDITIVES.length)
+const tartrazine = describeAdditive('E102')
+check('details for the endpoint', tartrazine.tier.id === 'high' && tartrazine.adi.value === 10 && tartrazine.fssai.status === 'limited' && tartrazine.classes[0].label === 'Colour')
+check('details by name', describeAdditive('citric acid')?.code === '330' && describeAdditive('citric acid').adi.value === null)
+check('unknown code is unrated', lookupAdditive('1999').tier === 'unknown' && describeAdditive('not an additive') === null)
+
+// Nested lists and percentages
+const oil = parseIngredients('Ingredients: Vegetable oil (palm, sunflower) (20%), Wheat flour 66.5%, Salt.')
+check('nested list becomes children', find(oil, 'Vegetable oil')?.children.map(c => c.name).join() === 'palm,sunflower')
+check('bracketed percentage', find(oil, 'Vegetable oil')?.percent === 20)
+check('inline decimal percentage', find(oil, 'Wheat flour')?.percent === 66.5)
+check('"Ingredients:" prefix dropped', oil.ingredients[0].name === 'Vegetable oil')
+check('parser version stamped', oil.version === INGREDIENT_PARSER_VERSION)
+
+const components = parseIngredients('Noodles: Wheat flour, Palm oil. Masala tastemaker: Spices (Chilli, Turmeric), Sugar. Contains wheat. May contain milk.')
+check('component headings group their lists', components.ingredients.map(n => `${n.name}:${n.children.length}`).join() === 'Noodles:2,Masala tastemaker:2')
+check('allergen statements are not ingredients', !find(components, 'Contains wheat') && !find(components, 'May contain milk'))
+
+// Additives under declared classes
+const biscuit = parseIngredients('Sugar, Raising agents [503(ii), 500(ii)], Emulsifiers (322 from soya, 476), Acidity regulator (330), Thickeners (508 & 412), Preservative INS 211, E102, Sulphur dioxide (Preservative)')
+check('codes inside a class list', find(biscuit, 'Raising agents')?.children.map(c => c.additive?.code).join() === '503ii,500ii')
+check('class of the enclosing item', find(biscuit, 'Raising agents')?.children.every(c => c.function === 'raising_agent'))
+check('"from soya" is the source', flattenIngredients(biscuit.ingredients).find(n => n.additive?.code === '322')?.source === 'soya')
+check('one code under a class folds into it', find(biscuit, 'Acidity regulator')?.additive?.name === 'Citric acid')
+check('codes joined by &', flattenIngredients(biscuit.ingredients).filter(n => ['508', '412'].includes(n.additive?.code)).length === 2)
+check('class word before the code', find(biscuit, 'Preservative')?.additive?.code === '211')
+check('E-number on its own', find(biscuit, 'E102')?.additive?.name === 'Tartrazine')
+check('declared class in brackets', find(biscuit, 'Sulphur dioxide')?.function === 'preservative')
+check('roman numerals are not nested lists', !flattenIngredients(biscuit.ingredients).some(n => /^[ivx]+$/i.test(n.name)))
+check('bare numbers outside a class are not additives', codes('Rice 100, Salt').length === 0)
+
+// Open Food Facts tags merge with the text
+const merged = productAdditives({ ingredients: 'Sugar, Emulsifier (322i)', additives: ['en:e322', 'en:e471'] })
+check('OFF tags add what the text missed', merged.map(a => a.code).join() === '322i,471')
+
+// Stored trees are reused only at the current version
+const stale = { ingredients: 'Salt, E330', ingredient_tree: { version: INGREDIENT_PARSER_VERSION - 1, ingredients: [] } }
+check('old stored tree is re-parsed', ingredientTreeOf(stale).ingredients.length === 2)
+
+// Every corpus label parses into named nodes
+const { labels } = JSON.parse(fs.readFileSync(CORPUS, 'utf8'))
+const unnamed = labels.filter(l => l.ingredients).filter(l => flattenIngredients(parseIngredients(l.ingredients).ingredients).some(n => !n.name))
+check('corpus labels parse', unnamed.length === 0, unnamed.map(l => l.name).join(', '))
+
+// Scoring and alerts read the parsed additives
+const facts = { sugars_100g: 10, sodium_100g: 0.4, energy_kcal_100g: 400 }
+const plain = calculateTruthScore({ ingredients: 'Wheat flour, Sugar, Salt' }, facts).score
+const additiveHeavy = calculateTruthScore({ ingredients: 'Wheat flour, Sugar, Salt, Emulsifiers (471, 472e), Colours (102, 110), Preservative (211), Flavour enhancer (621)' }, facts).score
+check('additives from the text lower the score', additiveHeavy < plain, `${additiveHeavy} vs ${plain}`)
+const sweetened = calculateTruthScore({ ingredients: 'Water, Sweetener (INS 955)' }, facts).breakdown.productP
+const unsweetened = calculateTruthScore({ ingredients: 'Water, Acidity regulator (330)' }, facts).breakdown.productP
+check('sweetener code counts as a sweetener', sweetened > unsweetened, `${sweetened} vs ${unsweetened}`)
+
+// Version 2 models weigh additives by tier; version 1 still counts them
+const benign = { ingredients: 'Water, Acidity regulators (330, 331), Stabilisers (412, 415), Raising agent (500ii), Antioxidant (300)' }
+const azoDyes = { ingredients: 'Water, Colours (102, 110, 122, 124), Preservatives (211, 250)' }
+const additiveP = (product, version) => calculateTruthScore(product, facts, { model: getScoringModel('honestbite-default', version) }).breakdown.productP
+check('tiered model: six low-risk additives cost less than six high-risk ones', additiveP(benign, 2) < additiveP(azoDyes, 2) / 2, `${additiveP(benign, 2)} vs ${additiveP(azoDyes, 2)}`)
+check('version 1 still counts additives', additiveP(benign, 1) === additiveP(azoDyes, 1))
+check('version 1 counts the additive tags', additiveP({ additives: ['en:e330', 'en:e412', 'en:e415'] }, 1) > additiveP({}, 1))
+check('version 1 does not read the ingredient list', additiveP(azoDyes, 1) === additiveP({ ingredients: 'Water' }, 1))
+check('version 1 does not read sweetener codes', additiveP({ ingredients: 'Water, Sweetener (INS 955)' }, 1) === additiveP({ ingredients: 'Water' }, 1))
+check('high-risk additives are a risk factor', identifyRiskFactors(azoDyes, {}).some(r => r.startsWith('High-Risk Additives: Tartrazine (INS 102)')))
+
+const kidney = generateHealthAlerts({ allergies: [], health_conditions: ['Kidney Disease'] }, { ingredients: 'Cheese, Emulsifying salts (339, 452)' }, {})
+check('phosphate additives alert with kidney disease', kidney.filter(a => a.category === 'additive').length === 2)
+const noCondition = generateHealthAlerts({ allergies: [], health_conditions: [] }, { ingredients: 'Cheese, Emulsifying salts (339, 452)' }, {})
+check('no additive alert without the condition', !noCondition.some(a => a.category === 'additive'))
+
+done()
@@ -0,0 +1,149 @@
+/**
+ * Check the Open Food Facts importer against the fixture dumps
+ *
+ *   node scripts/checkOffImport.js
+ *
+ * Runs full, CSV, gzip and delta imports into an in-memory store. Needs no
+ * database or network; exits non-zero when any check fails.
+ */
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import zlib from 'zlib'
+import { fileURLToPath } from 'url'
+import { importOffDump, parseCountries, OFF_MIRROR_SOURCE } from '../services/offImporter.js'
+import { fromProductRow, productEtag } from '../utils/productRow.js'
+import { check, done } from './lib/check.js'
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures')
+const DUMP_JSONL = path.join(FIXTURES, 'off-dump.jsonl')
+const DUMP_CSV = path.join(FIXTURES, 'off-dump.csv')
+const DELTA = path.join(FIXTURES, 'off-delta-1759363200_1759449600.jsonl')
+
+const NOODLES = '8901058851298'
+const BISCUITS = '8901063010031'
+const NUTELLA = '3017620422003'
+const MILK = '8906002480015'
+const CHANA = '8901725181222'
+
+// Same interface as offMirror.mirrorStore, backed by Maps
+const createMemoryStore = () => {
+  const products = new Map()
+  const runs = []
+  return {
+    products,
+    runs,
+    async isDeltaApplied(sourceFile) {
+      return runs.some(r => r.kind === 'delta' && r.source_file === sourceFile && r.status === 'completed')
+    },
+    async startRun(run) {
+      const row = { ...run, id: runs.length + 1, status: 'running' }
+      runs.push(row)
+      return row
+    },
+    async finishRun(id, fields) {
+      Object.assign(runs.find(r => r.id === id), fields)
+    },
+    async getStored(barcodes) {
+      return new Map(barcodes.filter(b => products.has(b)).map(b => [b, products.get(b)]))
+    },
+    async upsertProducts(rows) {
+      for (const row of rows) products.set(row.barcode, { ...products.get(row.barcode), ...row })
+    }
+  }
+}
+
+const sameKeys = (map, keys) => [...map.keys()].sort().join() === [...keys].sort().join()
+
+// Country filter parsing
+check('country names become OFF tags', parseCountries('India, united kingdom').join() === 'en:india,en:united-kingdom')
+check('"all" disables the filter', parseCountries('all') === null)
+
+// Full JSONL import, India only
+const jsonlStore = createMemoryStore()
+const full = await importOffDump(DUMP_JSONL, { store: jsonlStore, batchSize: 2 })
+check('JSONL: only Indian products with a barcode and content are stored',
+  sameKeys(jsonlStore.products, [NOODLES, BISCUITS, MILK]), [...jsonlStore.products.keys()].join())
+check('JSONL: counts', full.rows_read === 7 && full.rows_matched === 5 && full.rows_skipped === 2 && full.rows_invalid === 1 && full.rows_upserted === 3,
+  JSON.stringify(full))
+check('JSONL: run recorded as completed', jsonlStore.runs[0]?.status === 'completed' && jsonlStore.runs[0]?.rows_upserted === 3)
+
+const noodles = jsonlStore.products.get(NOODLES)
+check('row: nutrition per 100g, Nutri-Score and mirror source',
+  noodles.nutrition_facts.sodium === 1.1 && noodles.nutrition_facts.sugar === 2.1 && noodles.nutri_score?.grade && noodles.data_source === OFF_MIRROR_SOURCE)
+check('row: off_last_modified from last_modified_t', noodles.off_last_modified === new Date(1759000000 * 1000).toISOString())
+
+const milk = jsonlStore.products.get(MILK)
+check('row: per-serving only values scaled to 100ml', milk.serving_info.basis === '100ml' && milk.nutrition_facts.sugar === 4.7, JSON.stringify(milk.nutrition_facts))
+check('row: sodium derived from salt', Math.abs(jsonlStore.products.get(BISCUITS).nutrition_facts.sodium - 0.24) < 1e-9)
+
+const product = fromProductRow(noodles)
+check('fromProductRow: scan route product shape',
+  product.brand === 'Maggi' && product.nova_group === 4 && product.serving?.serving_quantity === 70 && product.allergens.includes('en:gluten'))
+check('row: etag is a content hash independent of key order',
+  noodles.etag === productEtag(JSON.parse(JSON.stringify({ ...noodles, nutrition_facts: Object.fromEntries(Object.entries(noodles.nutrition_facts).reverse()) }))))
+check('row: missing nova_group stays null', jsonlStore.products.get(MILK).nova_group === null)
+
+// Configurable countries
+const allStore = createMemoryStore()
+await importOffDump(DUMP_JSONL, { store: allStore, countries: parseCountries('all') })
+check('countries=all keeps the French product', allStore.products.has(NUTELLA))
+const nepalStore = createMemoryStore()
+await importOffDump(DUMP_JSONL, { store: nepalStore, countries: parseCountries('nepal') })
+check('countries=nepal keeps only Nepal products', sameKeys(nepalStore.products, [BISCUITS]))
+
+// CSV export maps to the same rows
+const csvStore = createMemoryStore()
+const csv = await importOffDump(DUMP_CSV, { store: csvStore })
+check('CSV: same products as JSONL', sameKeys(csvStore.products, [NOODLES, BISCUITS, MILK]), JSON.stringify(csv))
+check('CSV: short row counted as invalid', csv.rows_invalid === 1)
+const fields = ['nutrition_facts', 'serving_info', 'nutri_score', 'categories_tags', 'allergens', 'additives', 'nova_group', 'off_last_modified']
+for (const barcode of [NOODLES, BISCUITS, MILK]) {
+  const a = jsonlStore.products.get(barcode)
+  const b = csvStore.products.get(barcode)
+  const diff = fields.filter(f => JSON.stringify(a[f]) !== JSON.stringify(b[f]))
+  check(`CSV: ${barcode} matches the JSONL row`, diff.length === 0, diff.join(', '))
+}
+
+// Gzipped dumps
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'off-import-'))
+try {
+  const gz = path.join(tmp, 'off-dump.jsonl.gz')
+  fs.writeFileSync(gz, zlib.gzipSync(fs.readFileSync(DUMP_JSONL)))
+  const gzStore = createMemoryStore()
+  const gzResult = await importOffDump(gz, { store: gzStore })
+  check('gzip: same result as plain JSONL', sameKeys(gzStore.products, [NOODLES, BISCUITS, MILK]) && gzResult.rows_read === full.rows_read)
+} finally {
+  fs.rmSync(tmp, { recursive: true, force: true })
+}
+
+// Dry run needs no store and writes nothing
+const dry = await importOffDump(DUMP_JSONL, { dryRun: true })
+check('dry run: counts without a store', dry.rows_upserted === 3 && dry.run_id === null)
+
+// Delta on top of the full import
+const delta = await importOffDump(DELTA, { kind: 'delta', store: jsonlStore })
+check('delta: newer record updated', jsonlStore.products.get(NOODLES).nutrition_facts.sugar === 1.5 &&
+  jsonlStore.products.get(NOODLES).name === 'Masala Instant Noodles (new recipe)' &&
+  jsonlStore.products.get(NOODLES).etag !== noodles.etag)
+check('delta: older record ignored', jsonlStore.products.get(BISCUITS).name === 'Glucose Biscuits' && delta.rows_unchanged === 1, JSON.stringify(delta))
+check('delta: new product added, other countries still filtered',
+  jsonlStore.products.has(CHANA) && !jsonlStore.products.has(NUTELLA) && delta.rows_upserted === 2)
+
+const again = await importOffDump(DELTA, { kind: 'delta', store: jsonlStore })
+check('delta: a file is applied once', again.status === 'already_applied' && jsonlStore.runs.length === 2)
+const forced = await importOffDump(DELTA, { kind: 'delta', store: jsonlStore, force: true })
+check('delta: --force re-applies', forced.status === 'completed' && jsonlStore.products.get(BISCUITS).name === 'Stale copy that must not win')
+
+// Curated rows have no off_last_modified and must survive imports, forced or not
+const curatedStore = createMemoryStore()
+curatedStore.products.set(NOODLES, { barcode: NOODLES, name: 'Curated noodles', data_source: 'FSSAI Manual Database', off_last_modified: null })
+curatedStore.products.set(MILK, { barcode: MILK, name: 'Community milk', data_source: 'Community submission', off_last_modified: null })
+curatedStore.products.set(BISCUITS, { barcode: BISCUITS, name: 'Live copy', data_source: 'Open Food Facts', off_last_modified: null })
+const curated = await importOffDump(DUMP_JSONL, { store: curatedStore })
+await importOffDump(DELTA, { kind: 'delta', store: curatedStore, force: true })
+check('curated: FSSAI and community rows are kept', curatedStore.products.get(NOODLES).name === 'Curated noodles' &&
+  curatedStore.products.get(MILK).name === 'Community milk' && curated.rows_unchanged === 2, JSON.stringify(curated))
+check('curated: live Open Food Facts rows are replaced', curatedStore.products.get(BISCUITS).data_source === OFF_MIRROR_SOURCE)
+
+done()
@@ -0,0 +1,99 @@
+/**
+ * Import an Open Food Facts dump into the local products mirror
+ *
+ *   node scripts/importOffDump.js openfoodfacts-products.jsonl.gz
+ *   node scripts/importOffDump.js en.openfoodfacts.org.products.csv.gz --countries india,nepal
+ *   node scripts/importOffDump.js --delta openfoodfacts_products_1759276800_1759363200.json.gz
+ *   node scripts/importOffDump.js --delta-dir ./off-deltas
+ *
+ * Options:
+ *   --countries <list>   OFF country tags or names, or "all" (default OFF_IMPORT_COUNTRIES or en:india)
+ *   --delta              Files are daily delta exports; each is applied once
+ *   --delta-dir <dir>    Apply every delta file in a directory, oldest name first
+ *   --force              Re-apply deltas already recorded and overwrite newer rows
+ *   --format <fmt>       jsonl or csv, when the file name does not say
+ *   --batch-size <n>     Rows per upsert (default 500)
+ *   --dry-run            Read and map the files without touching the database
+ *
+ * Deltas: https://static.openfoodfacts.org/data/delta/index.txt lists the
+ * files; download new ones into --delta-dir from a daily cron.
+ */
+import '../loadEnv.js'
+import fs from 'fs'
+import path from 'path'
+import { parseArgs } from 'util'
+import { importOffDump, parseCountries, detectFormat, DEFAULT_BATCH_SIZE } from '../services/offImporter.js'
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    countries: { type: 'string' },
+    delta: { type: 'boolean', default: false },
+    'delta-dir': { type: 'string' },
+    force: { type: 'boolean', default: false },
+    format: { type: 'string' },
+    'batch-size': { type: 'string' },
+    'dry-run': { type: 'boolean', default: false }
+  }
+})
+
+const fail = (message) => {
+  console.error(message)
+  process.exit(1)
+}
+
+let files = positionals
+if (values['delta-dir']) {
+  const dir = values['delta-dir']
+  if (!fs.existsSync(dir)) fail(`No such directory: ${dir}`)
+  files = fs.readdirSync(dir).filter(name => detectFormat(name)).sort().map(name => path.join(dir, name))
+}
+if (files.length === 0) fail('Usage: node scripts/importOffDump.js <dump file...> [--delta] [--countries list] [--dry-run]')
+
+const missing = files.find(file => !fs.existsSync(file))
+if (missing) fail(`No such file: ${missing}`)
+
+if (values.format && !['jsonl', 'csv'].includes(values.format)) fail('--format must be jsonl or csv')
+
+const batchSize = values['batch-size'] ? parseInt(values['batch-size']) : DEFAULT_BATCH_SIZE
+if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > 5000) fail('--batch-size must be between 1 and 5000')
+
+const dryRun = values['dry-run']
+const countries = parseCountries(values.countries ?? process.env.OFF_IMPORT_COUNTRIES)
+
+// The database client is only loaded for real imports, so dry runs need no credentials
+const store = dryRun ? null : (await import('../services/offMirror.js')).mirrorStore
+
+console.log(`${dryRun ? 'Dry run: ' : ''}importing ${files.length} file(s), countries: ${countries ? countries.join(', ') : 'all'}`)
+
+let failed = false
+for (const file of files) {
+  const started = Date.now()
+  try {
+    const result = await importOffDump(file, {
+      kind: values.delta || values['delta-dir'] ? 'delta' : 'full',
+      countries,
+      dryRun,
+      force: values.force,
+      format: values.format,
+      batchSize,
+      store,
+      onProgress: (counts) => console.log(`  ${path.basename(file)}: ${counts.rows_read} read, ${counts.rows_upserted} written`)
+    })
+
+    if (result.status === 'already_applied') {
+      console.log(`- ${result.source_file}: already applied (use --force to re-apply)`)
+      continue
+    }
+    console.log(`✓ ${result.source_file} (${result.kind}) in ${((Date.now() - started) / 1000).toFixed(1)}s: ` +
+      `${result.rows_read} read, ${result.rows_matched} in scope, ${result.rows_upserted} ${dryRun ? 'would be written' : 'written'}, ` +
+      `${result.rows_unchanged} unchanged, ${result.rows_skipped} skipped, ${result.rows_invalid} invalid`)
+  } catch (error) {
+    failed = true
+    console.error(`✗ ${path.basename(file)}: ${error.message}`)
+    // Deltas must apply in order; stop at the first failure
+    if (values.delta || values['delta-dir']) break
+  }
+}
+
+process.exit(failed ? 1 : 0)
@@ -0,0 +1,15 @@
+/**
+ * Helpers shared by the scripts/check*.js scripts
+ *
+ * Each check prints one PASS/FAIL line; done() exits non-zero once any
+ * check has failed.
+ */
+
+let failed = false
+
+export const check = (name, ok, detail = '') => {
+  console.log(`${ok ? 'PASS' : 'FAIL'} ${name}${!ok && detail ? `: ${detail}` : ''}`)
+  if (!ok) failed = true
+}
+
+export const done = () => process.exit(failed ? 1 : 0)
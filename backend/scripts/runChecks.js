@@ -0,0 +1,27 @@
+/**
+ * Run every check script
+ *
+ *   npm run check
+ *
+ * Runs scripts/check*.js one after another and exits non-zero when any of
+ * them fails. None of them needs a database or the network.
+ */
+import fs from 'fs'
+import path from 'path'
+import { spawnSync } from 'child_process'
+import { fileURLToPath } from 'url'
+
+const scriptsDir = path.dirname(fileURLToPath(import.meta.url))
+const scripts = fs.readdirSync(scriptsDir).filter(name => /^check.+\.js$/.test(name)).sort()
+
+const failures = []
+for (const script of scripts) {
+  console.log(`\n== ${script}`)
+  const { status } = spawnSync(process.execPath, [path.join(scriptsDir, script)], { cwd: path.dirname(scriptsDir), stdio: 'inherit' })
+  if (status !== 0) failures.push(script)
+}
+
+console.log(failures.length === 0
+  ? `\nAll ${scripts.length} check scripts passed`
+  : `\n${failures.length} of ${scripts.length} check scripts failed: ${failures.join(', ')}`)
+process.exit(failures.length === 0 ? 0 : 1)
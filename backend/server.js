@@ -7,6 +7,7 @@ import helmet from 'helmet'
 import rateLimit from 'express-rate-limit'
 import { logger, requestLogger } from './utils/logger.js'
 import healthRoutes from './routes/health.js'
+import authRoutes from './routes/auth.js'
 import userRoutes from './routes/user.js'
 import scanRoutes from './routes/scan.js'
 import productRoutes from './routes/product.js'
@@ -14,6 +15,13 @@ import doctorRoutes from './routes/doctor.js'
 import barcodeRoutes from './routes/barcode.js'
 import agentRoutes from './routes/agent.js'
 import aboutRoutes from './routes/about.js'
+import scoringRoutes from './routes/scoring.js'
+import intakeRoutes from './routes/intake.js'
+import shareRoutes from './routes/shares.js'
+import submissionRoutes from './routes/submissions.js'
+import adminRoutes from './routes/admin.js'
+import additiveRoutes from './routes/additive.js'
+import compareRoutes from './routes/compare.js'
 import { errorHandler } from './middleware/errorHandler.js'
 
 const app = express()
@@ -81,6 +89,7 @@ if (process.env.ENABLE_REQUEST_LOGGING === 'true') {
 
 // Routes
 app.use('/', healthRoutes)
+app.use('/api/auth', authRoutes)
 app.use('/api/user', userRoutes)
 app.use('/api/scan', scanRoutes)
 app.use('/api/product', productRoutes)
@@ -88,6 +97,13 @@ app.use('/api/doctor', doctorRoutes)
 app.use('/api/barcode', barcodeRoutes)
 app.use('/api/agent', agentRoutes)
 app.use('/api/about', aboutRoutes)
+app.use('/api/scoring', scoringRoutes)
+app.use('/api/intake', intakeRoutes)
+app.use('/api/shares', shareRoutes)
+app.use('/api/submissions', submissionRoutes)
+app.use('/api/admin', adminRoutes)
+app.use('/api/additive', additiveRoutes)
+app.use('/api/compare', compareRoutes)
 // OCR routes removed from current workflow
 
 // 404 handler
@@ -4,6 +4,7 @@ import { logger } from '../utils/logger.js'
 import { knowledgeBase } from './knowledgeBase.js'
 import { getProductByBarcode } from './openFoodFacts.js'
 import { supabase } from '../config/database.js'
+import { parseIngredients, productAdditives } from '../utils/ingredientParser.js'
 import { randomUUID } from 'node:crypto'
 
 
@@ -504,18 +505,29 @@ Always answer as HonestBite assistant with Indian context.`
   }
 
   /**
-   * Helper: Analyze ingredients text
+   * Helper: Analyze ingredients text (parsed into a tree; see utils/ingredientParser.js)
    */
   analyzeIngredients(ingredientsText) {
     if (!ingredientsText) return null
 
     const text = ingredientsText.toLowerCase()
+    const tree = parseIngredients(ingredientsText)
+    const additives = productAdditives({ ingredients: ingredientsText, ingredient_tree: tree })
     const analysis = {
+      ingredients: tree?.ingredients || [],
+      additives: additives.map(({ code, ins, name, function: role, notes }) => ({ code, ins, name, function: role, notes })),
       concerns: [],
       positives: [],
       allergens: []
     }
 
+    // Additives the catalogue has something to say about
+    for (const additive of additives) {
+      if (additive.notes) {
+        analysis.concerns.push(`Contains ${additive.name || additive.ins} (${additive.ins}): ${additive.notes}`)
+      }
+    }
+
     // Check for concerning ingredients
     if (text.includes('high fructose corn syrup') || text.includes('corn syrup')) {
       analysis.concerns.push('Contains high fructose corn syrup (linked to obesity)')
@@ -525,7 +537,7 @@ Always answer as HonestBite assistant with Indian context.`
       analysis.concerns.push('Contains trans fats (harmful to heart health)')
     }
 
-    if (text.includes('msg') || text.includes('monosodium glutamate')) {
+    if ((text.includes('msg') || text.includes('monosodium glutamate')) && !additives.some(a => a.code === '621')) {
       analysis.concerns.push('Contains MSG (may cause sensitivity in some people)')
     }
 
@@ -0,0 +1,177 @@
+import { supabase } from '../config/database.js'
+import { DEFAULT_ALERT_THRESHOLDS } from '../utils/truthScore.js'
+import { getDailyLimits } from './intakeBudget.js'
+
+/**
+ * Doctor-authored dietary targets
+ *
+ * One row per patient: daily limits (same units as nutrition facts, so sodium
+ * in g) and an "avoid added sugar" flag. The last doctor to save wins.
+ */
+
+// Nutrients a doctor can set a daily limit for, with sanity bounds
+export const TARGET_NUTRIENTS = {
+  sugar: { unit: 'g', max: 200 },
+  sodium: { unit: 'g', max: 10 },
+  saturated_fat: { unit: 'g', max: 100 },
+  energy: { unit: 'kcal', max: 6000 }
+}
+
+const round = (v, digits = 3) => {
+  const f = Math.pow(10, digits)
+  return Math.round(v * f) / f
+}
+
+const toTargets = (row) => row
+  ? {
+      daily_limits: row.daily_limits || {},
+      avoid_added_sugar: Boolean(row.avoid_added_sugar),
+      notes: row.notes,
+      set_by_user_id: row.set_by_user_id,
+      updated_at: row.updated_at
+    }
+  : null
+
+/**
+ * Validate targets sent by a doctor
+ * @param {Object} input - { daily_limits, avoid_added_sugar, notes }
+ * @returns {{targets?: Object, error?: string}}
+ */
+export const validateTargets = (input = {}) => {
+  const { daily_limits = {}, avoid_added_sugar = false, notes } = input
+
+  if (!daily_limits || typeof daily_limits !== 'object' || Array.isArray(daily_limits)) {
+    return { error: 'daily_limits must be an object of nutrient: amount' }
+  }
+
+  const limits = {}
+  for (const [key, value] of Object.entries(daily_limits)) {
+    const spec = TARGET_NUTRIENTS[key]
+    if (!spec) {
+      return { error: `Unknown nutrient "${key}". Use one of: ${Object.keys(TARGET_NUTRIENTS).join(', ')}` }
+    }
+    // Blank fields clear that nutrient's target
+    if (value == null || value === '') continue
+
+    const amount = Number(value)
+    if (!Number.isFinite(amount) || amount < 0 || amount > spec.max) {
+      return { error: `${key} must be between 0 and ${spec.max} ${spec.unit} per day` }
+    }
+    limits[key] = amount
+  }
+
+  return {
+    targets: {
+      daily_limits: limits,
+      avoid_added_sugar: Boolean(avoid_added_sugar),
+      notes: notes ? String(notes).slice(0, 1000) : null
+    }
+  }
+}
+
+/**
+ * Per-100g alert thresholds for a patient
+ *
+ * A daily target scales that nutrient's default thresholds by the same
+ * ratio it has to the reference limit, so halving the sodium allowance
+ * halves the sodium cut-offs.
+ * @param {Object|null} targets - Output of getTargets
+ * @param {string} [profile] - Intake profile for the reference limits
+ * @returns {Object} Thresholds in the shape of DEFAULT_ALERT_THRESHOLDS
+ */
+export const resolveAlertThresholds = (targets, profile) => {
+  const thresholds = structuredClone(DEFAULT_ALERT_THRESHOLDS)
+  if (!targets) return thresholds
+
+  const reference = getDailyLimits(profile)
+  for (const [key, amount] of Object.entries(targets.daily_limits || {})) {
+    const base = reference[key]?.amount
+    if (!base || !thresholds[key]) continue
+
+    const factor = amount / base
+    for (const level of Object.keys(thresholds[key])) {
+      thresholds[key][level] = round(thresholds[key][level] * factor)
+    }
+    thresholds.daily[key] = amount
+    thresholds.custom.push(key)
+  }
+
+  thresholds.avoid_added_sugar = Boolean(targets.avoid_added_sugar)
+  return thresholds
+}
+
+/**
+ * A patient's targets, or null when no doctor has set any
+ */
+export const getTargets = async (patientUserId) => {
+  const { data, error } = await supabase
+    .from('dietary_targets')
+    .select('*')
+    .eq('patient_user_id', patientUserId)
+    .maybeSingle()
+
+  if (error) throw error
+  return toTargets(data)
+}
+
+/**
+ * Targets for several patients at once
+ * @returns {Promise<Map<string, Object>>} patient_user_id -> targets
+ */
+export const getTargetsFor = async (patientUserIds = []) => {
+  if (patientUserIds.length === 0) return new Map()
+
+  const { data, error } = await supabase
+    .from('dietary_targets')
+    .select('*')
+    .in('patient_user_id', patientUserIds)
+
+  if (error) throw error
+  return new Map((data || []).map(row => [row.patient_user_id, toTargets(row)]))
+}
+
+/**
+ * Create or replace a patient's targets
+ * @param {string} patientUserId - Patient user_id
+ * @param {string} doctorUserId - Doctor saving the targets
+ * @param {Object} targets - Output of validateTargets
+ */
+export const saveTargets = async (patientUserId, doctorUserId, targets) => {
+  const { data, error } = await supabase
+    .from('dietary_targets')
+    .upsert({
+      patient_user_id: patientUserId,
+      daily_limits: targets.daily_limits,
+      avoid_added_sugar: targets.avoid_added_sugar,
+      notes: targets.notes,
+      set_by_user_id: doctorUserId,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'patient_user_id' })
+    .select()
+    .single()
+
+  if (error) throw error
+  return toTargets(data)
+}
+
+/**
+ * Remove a patient's targets (alerts fall back to the defaults)
+ */
+export const clearTargets = async (patientUserId) => {
+  const { error } = await supabase
+    .from('dietary_targets')
+    .delete()
+    .eq('patient_user_id', patientUserId)
+
+  if (error) throw error
+}
+
+export default {
+  TARGET_NUTRIENTS,
+  validateTargets,
+  resolveAlertThresholds,
+  getTargets,
+  getTargetsFor,
+  saveTargets,
+  clearTargets
+}
@@ -0,0 +1,182 @@
+import crypto from 'crypto'
+import { supabase } from '../config/database.js'
+
+/**
+ * Doctor share links
+ *
+ * A patient issues a random token per doctor. Only its SHA-256 hash is
+ * stored, so a database leak does not leak working links; the raw token is
+ * returned once, at creation.
+ */
+
+export const SHARE_SCOPES = ['dashboard', 'dashboard_pdf']
+export const DEFAULT_SHARE_DAYS = 7
+export const MAX_SHARE_DAYS = 90
+
+export const hashShareToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex')
+
+const generateShareToken = () => crypto.randomBytes(32).toString('base64url')
+
+// Fields safe to show the patient (never the hash)
+const toPublicShare = (row) => ({
+  id: row.id,
+  label: row.label,
+  scope: row.scope,
+  token_hint: row.token_hint,
+  expires_at: row.expires_at,
+  revoked_at: row.revoked_at,
+  created_at: row.created_at,
+  last_accessed_at: row.last_accessed_at,
+  access_count: row.access_count || 0,
+  status: shareStatus(row)
+})
+
+/**
+ * @returns {'active'|'expired'|'revoked'}
+ */
+export const shareStatus = (row) => {
+  if (row.revoked_at) return 'revoked'
+  if (new Date(row.expires_at).getTime() <= Date.now()) return 'expired'
+  return 'active'
+}
+
+/**
+ * Issue a new share link
+ * @param {string} userId - Patient user_id
+ * @param {Object} options - { scope, expiresInDays, label }
+ * @returns {Promise<{share: Object, token: string}>}
+ */
+export const createShare = async (userId, { scope = 'dashboard', expiresInDays = DEFAULT_SHARE_DAYS, label = null } = {}) => {
+  const token = generateShareToken()
+  const expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+
+  const { data, error } = await supabase
+    .from('doctor_shares')
+    .insert([
+      {
+        user_id: userId,
+        token_hash: hashShareToken(token),
+        token_hint: token.slice(0, 6),
+        label,
+        scope,
+        expires_at: expiresAt.toISOString()
+      }
+    ])
+    .select()
+    .single()
+
+  if (error) throw error
+  return { share: toPublicShare(data), token }
+}
+
+/**
+ * List a patient's share links, newest first
+ */
+export const listShares = async (userId) => {
+  const { data, error } = await supabase
+    .from('doctor_shares')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+
+  if (error) throw error
+  return (data || []).map(toPublicShare)
+}
+
+/**
+ * Revoke a share link owned by the patient
+ * @returns {Promise<Object|null>} Revoked share, or null when not found
+ */
+export const revokeShare = async (userId, shareId) => {
+  const { data, error } = await supabase
+    .from('doctor_shares')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', shareId)
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .select()
+    .maybeSingle()
+
+  if (error) throw error
+  return data ? toPublicShare(data) : null
+}
+
+/**
+ * Resolve a raw token to its share row
+ * @returns {Promise<{share: Object|null, status: 'active'|'expired'|'revoked'|'unknown'}>}
+ */
+export const resolveShare = async (token) => {
+  if (!token || token.length < 20) return { share: null, status: 'unknown' }
+
+  const { data, error } = await supabase
+    .from('doctor_shares')
+    .select('*')
+    .eq('token_hash', hashShareToken(token))
+    .maybeSingle()
+
+  if (error) throw error
+  if (!data) return { share: null, status: 'unknown' }
+  return { share: data, status: shareStatus(data) }
+}
+
+/**
+ * Record that a doctor opened a share; failures never block the doctor
+ * @param {Object} share - doctor_shares row
+ * @param {'dashboard'|'report'|'fhir'} action - What was opened
+ * @param {Object} req - Express request (ip / user agent)
+ */
+export const logShareAccess = async (share, action, req) => {
+  const now = new Date().toISOString()
+
+  const { error } = await supabase
+    .from('doctor_access_log')
+    .insert([
+      {
+        share_id: share.id,
+        user_id: share.user_id,
+        action,
+        ip_address: req.ip || null,
+        user_agent: (req.headers['user-agent'] || '').slice(0, 500) || null,
+        accessed_at: now
+      }
+    ])
+
+  await supabase
+    .from('doctor_shares')
+    .update({ last_accessed_at: now, access_count: (share.access_count || 0) + 1 })
+    .eq('id', share.id)
+
+  return !error
+}
+
+/**
+ * Access log for one of the patient's shares (or all of them)
+ */
+export const getAccessLog = async (userId, shareId = null, limit = 100) => {
+  let query = supabase
+    .from('doctor_access_log')
+    .select('*')
+    .eq('user_id', userId)
+    .order('accessed_at', { ascending: false })
+    .limit(limit)
+
+  if (shareId) query = query.eq('share_id', shareId)
+
+  const { data, error } = await query
+  if (error) throw error
+  return data || []
+}
+
+export default {
+  SHARE_SCOPES,
+  DEFAULT_SHARE_DAYS,
+  MAX_SHARE_DAYS,
+  hashShareToken,
+  shareStatus,
+  createShare,
+  listShares,
+  revokeShare,
+  resolveShare,
+  logShareAccess,
+  getAccessLog
+}
@@ -190,7 +190,7 @@ export class EnhancedOCRService {
         saturated_fat: parseWithUnit(/(?:saturated(?:\s+fat)?)[\s:]*([\d.,]+)\s*(mg|g)?/i) ?? null,
         fiber: parseWithUnit(/(?:fi[bv]re|fibre|fiber|dietary\s+fiber)[\s:]*([\d.,]+)\s*(mg|g)?/i) ?? null,
         sodium: parseWithUnit(/(?:sodium|salt)[\s:]*([\d.,]+)\s*(mg|g)?/i) ?? null,
-        serving_size: /per\s*100\s*(g|ml)/i.test(clean) ? 'per 100g' : null
+        ...this.extractServingInfo(clean)
       }
 
       // Fallback merge with regex fallback for any missing keys
@@ -205,6 +205,28 @@ export class EnhancedOCRService {
     }
   }
 
+  /**
+   * Extract serving size, pack size and the per-100g/per-100ml basis from label text
+   * When the panel only lists per-serving values, marks them so they can be converted to per 100
+   */
+  extractServingInfo(text) {
+    const clean = (text || '').replace(/\s+/g, ' ')
+    const basisMatch = clean.match(/per\s*100\s*(g|gm|ml)\b/i)
+    const servingMatch = clean.match(/(?:serving\s*size|per\s*serv(?:e|ing)|serve\s*size)\s*[:\-]?\s*\(?\s*([\d.,]+\s*(?:g|gm|ml))\b/i)
+    const packMatch = clean.match(/(?:net\s*(?:wt|weight|quantity|qty|vol(?:ume)?)\.?|net\s*contents?)\s*[:\-]?\s*([\d.,]+\s*(?:kg|g|gm|ml|l|ltr))\b/i)
+
+    const servingSize = servingMatch ? servingMatch[1].replace(',', '.') : null
+    const servingQuantity = servingSize ? parseFloat(servingSize) : null
+
+    return {
+      basis: basisMatch ? `100${basisMatch[1].toLowerCase() === 'ml' ? 'ml' : 'g'}` : null,
+      serving_size: servingSize,
+      pack_size: packMatch ? packMatch[1].replace(',', '.') : null,
+      // No per-100 column on the label: the values we read are per serving
+      ...(!basisMatch && servingQuantity ? { nutrition_data_per: 'serving', serving_quantity: servingQuantity } : {})
+    }
+  }
+
   /**
    * Extract ingredients list using AI
    */
@@ -0,0 +1,203 @@
+import crypto from 'crypto'
+
+/**
+ * FHIR R4 export
+ *
+ * Builds a `collection` Bundle for one patient: a pseudonymous Patient,
+ * patient-reported Conditions and AllergyIntolerances, and two Observations
+ * per scan (truth score and the product's key nutrients per 100g).
+ */
+
+export const FHIR_CONTENT_TYPE = 'application/fhir+json'
+
+// HonestBite-defined codes; nutrient content of a scanned product has no LOINC equivalent
+export const HONESTBITE_CODE_SYSTEM = 'https://honestbite.app/fhir/CodeSystem/observation'
+export const PSEUDONYM_SYSTEM = 'https://honestbite.app/fhir/NamingSystem/patient-pseudonym'
+const SCAN_ID_SYSTEM = 'https://honestbite.app/fhir/NamingSystem/scan'
+
+const SNOMED = 'http://snomed.info/sct'
+const UCUM = 'http://unitsofmeasure.org'
+
+// Conditions offered at onboarding -> SNOMED CT disorders
+const CONDITION_CODES = {
+  Diabetes: { code: '73211009', display: 'Diabetes mellitus' },
+  Hypertension: { code: '38341003', display: 'Hypertensive disorder' },
+  'Heart Disease': { code: '56265001', display: 'Heart disease' },
+  'Kidney Disease': { code: '90708001', display: 'Kidney disease' },
+  Obesity: { code: '414916001', display: 'Obesity' },
+  'PCOD/PCOS': { code: '69878008', display: 'Polycystic ovaries' },
+  'Thyroid Disorders': { code: '14304000', display: 'Disorder of thyroid gland' },
+  'High Cholesterol': { code: '13644009', display: 'Hypercholesterolemia' },
+  'Lactose Intolerance': { code: '267425008', display: 'Lactose intolerance' },
+  'Celiac Disease': { code: '396331005', display: 'Celiac disease' }
+}
+
+// Nutrients taken from the truth-score inputs (all per 100g/100ml)
+const NUTRIENT_COMPONENTS = [
+  { input: 'energy_kcal', code: 'energy', display: 'Energy per 100g', unit: 'kcal/(100.g)', scale: 1 },
+  { input: 'sugars_g', code: 'sugars', display: 'Sugars per 100g', unit: 'g/(100.g)', scale: 1 },
+  { input: 'sodium_g', code: 'sodium', display: 'Sodium per 100g', unit: 'mg/(100.g)', scale: 1000 },
+  { input: 'satFat_g', code: 'saturated-fat', display: 'Saturated fat per 100g', unit: 'g/(100.g)', scale: 1 },
+  { input: 'transFat_g', code: 'trans-fat', display: 'Trans fat per 100g', unit: 'g/(100.g)', scale: 1 },
+  { input: 'fiber_g', code: 'fiber', display: 'Fiber per 100g', unit: 'g/(100.g)', scale: 1 },
+  { input: 'protein_g', code: 'protein', display: 'Protein per 100g', unit: 'g/(100.g)', scale: 1 }
+]
+
+// Stable per patient, so repeated exports land on the same EHR record, but not reversible.
+// The key is FHIR-only: reusing another secret would tie pseudonyms to its rotation.
+const pseudonymFor = (userId) => {
+  const secret = process.env.FHIR_PSEUDONYM_SECRET
+  if (!secret) {
+    const error = new Error('FHIR export is not configured: FHIR_PSEUDONYM_SECRET is not set')
+    error.status = 503
+    throw error
+  }
+  return crypto.createHmac('sha256', secret).update(String(userId)).digest('hex').slice(0, 32)
+}
+
+const concept = (text, coding) => (coding ? { coding, text } : { text })
+
+const round = (v, digits = 2) => {
+  const f = Math.pow(10, digits)
+  return Math.round(v * f) / f
+}
+
+const newEntry = (resource) => {
+  const id = crypto.randomUUID()
+  return { fullUrl: `urn:uuid:${id}`, resource: { ...resource, id } }
+}
+
+const buildPatient = (patient, pseudonym) => ({
+  resourceType: 'Patient',
+  meta: {
+    security: [{
+      system: 'http://terminology.hl7.org/CodeSystem/v3-ObservationValue',
+      code: 'PSEUDED',
+      display: 'pseudonymized'
+    }]
+  },
+  identifier: [{ system: PSEUDONYM_SYSTEM, value: pseudonym }],
+  active: true
+})
+
+const buildCondition = (condition, patientRef) => {
+  const known = CONDITION_CODES[condition]
+  return {
+    resourceType: 'Condition',
+    clinicalStatus: concept('Active', [{ system: 'http://terminology.hl7.org/CodeSystem/condition-clinical', code: 'active' }]),
+    // Self-reported in the app, not diagnosed by a clinician
+    verificationStatus: concept('Unconfirmed', [{ system: 'http://terminology.hl7.org/CodeSystem/condition-ver-status', code: 'unconfirmed' }]),
+    category: [concept('Problem List Item', [{ system: 'http://terminology.hl7.org/CodeSystem/condition-category', code: 'problem-list-item' }])],
+    code: concept(condition, known ? [{ system: SNOMED, code: known.code, display: known.display }] : undefined),
+    subject: { reference: patientRef }
+  }
+}
+
+const buildAllergy = (allergy, patientRef) => ({
+  resourceType: 'AllergyIntolerance',
+  clinicalStatus: concept('Active', [{ system: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical', code: 'active' }]),
+  verificationStatus: concept('Unconfirmed', [{ system: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-verification', code: 'unconfirmed' }]),
+  category: ['food'],
+  code: concept(allergy),
+  patient: { reference: patientRef }
+})
+
+const scanIdentifier = (scan, suffix) => scan.id != null
+  ? [{ system: SCAN_ID_SYSTEM, value: `${scan.id}-${suffix}` }]
+  : undefined
+
+const productNote = (scan) => [{
+  text: `${scan.product_name || 'Unknown product'}${scan.barcode ? ` (barcode ${scan.barcode})` : ''}`
+}]
+
+const buildScoreObservation = (scan, patientRef) => ({
+  resourceType: 'Observation',
+  identifier: scanIdentifier(scan, 'truth-score'),
+  status: 'final',
+  code: concept('HonestBite truth score of a scanned food product', [{
+    system: HONESTBITE_CODE_SYSTEM,
+    code: 'truth-score',
+    display: 'Truth score (1-10)'
+  }]),
+  subject: { reference: patientRef },
+  effectiveDateTime: new Date(scan.scanned_at).toISOString(),
+  valueQuantity: { value: Number(scan.truth_score), unit: 'score', system: UCUM, code: '{score}' },
+  referenceRange: [{ low: { value: 6, unit: 'score', system: UCUM, code: '{score}' }, text: '5 or below is risky' }],
+  note: productNote(scan)
+})
+
+const buildNutrientObservation = (scan, patientRef) => {
+  const inputs = scan.truth_score_breakdown?.inputs
+  if (!inputs) return null
+
+  const component = NUTRIENT_COMPONENTS
+    .filter(n => inputs[n.input] != null && Number.isFinite(Number(inputs[n.input])))
+    .map(n => ({
+      code: concept(n.display, [{ system: HONESTBITE_CODE_SYSTEM, code: n.code, display: n.display }]),
+      valueQuantity: { value: round(Number(inputs[n.input]) * n.scale), unit: n.unit, system: UCUM, code: n.unit }
+    }))
+  if (component.length === 0) return null
+
+  return {
+    resourceType: 'Observation',
+    identifier: scanIdentifier(scan, 'nutrients'),
+    status: 'final',
+    code: concept('Nutrient content of a scanned food product', [{
+      system: HONESTBITE_CODE_SYSTEM,
+      code: 'scanned-product-nutrients',
+      display: 'Scanned product nutrients per 100g'
+    }]),
+    subject: { reference: patientRef },
+    effectiveDateTime: new Date(scan.scanned_at).toISOString(),
+    component,
+    note: productNote(scan)
+  }
+}
+
+// JSON.stringify drops undefined, but validators and EHRs see the object first
+const prune = (value) => {
+  if (Array.isArray(value)) return value.map(prune)
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).filter(([, v]) => v !== undefined).map(([k, v]) => [k, prune(v)]))
+  }
+  return value
+}
+
+/**
+ * Build the export Bundle
+ * @param {Object} patient - users row (only user_id, conditions and allergies are used)
+ * @param {Array} scans - Scans to include, newest first
+ * @returns {Object} FHIR R4 Bundle (type collection)
+ */
+export const buildFhirBundle = (patient, scans = []) => {
+  const patientEntry = newEntry(buildPatient(patient, pseudonymFor(patient.user_id)))
+  const patientRef = patientEntry.fullUrl
+
+  const entries = [
+    patientEntry,
+    ...(patient.health_conditions || []).map(c => newEntry(buildCondition(c, patientRef))),
+    ...(patient.allergies || []).map(a => newEntry(buildAllergy(a, patientRef)))
+  ]
+
+  for (const scan of scans) {
+    if (scan.truth_score != null) entries.push(newEntry(buildScoreObservation(scan, patientRef)))
+    const nutrients = buildNutrientObservation(scan, patientRef)
+    if (nutrients) entries.push(newEntry(nutrients))
+  }
+
+  return prune({
+    resourceType: 'Bundle',
+    id: crypto.randomUUID(),
+    meta: { lastUpdated: new Date().toISOString() },
+    type: 'collection',
+    timestamp: new Date().toISOString(),
+    entry: entries
+  })
+}
+
+export default {
+  FHIR_CONTENT_TYPE,
+  HONESTBITE_CODE_SYSTEM,
+  PSEUDONYM_SYSTEM,
+  buildFhirBundle
+}
@@ -0,0 +1,578 @@
+import { supabase } from '../config/database.js'
+import { syncCachedProduct } from './productRepository.js'
+import { parseCsv } from '../utils/csv.js'
+import {
+  NUTRIENT_LIMITS,
+  validateFssaiLicense,
+  validateNutritionInfo,
+  validateBarcode,
+  canonicalBarcode,
+  barcodeVariants
+} from '../utils/fssaiProduct.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * FSSAI product curation
+ *
+ * What the admin console does to fssai_products: search, create, edit,
+ * deactivate/reactivate and bulk CSV import. Barcodes are checked against
+ * their zero-padded forms so the same product cannot be added twice, and
+ * every change is written to admin_audit_log with a field-level diff; a
+ * change whose audit row cannot be written is undone and the request fails.
+ * Products are never deleted; deactivated rows stop being served.
+ */
+
+export const AUDIT_ENTITY = 'fssai_product'
+export const MAX_IMPORT_ROWS = 5000
+
+const SERVING_COLUMNS = ['basis', 'serving_size', 'serving_quantity', 'pack_size', 'pack_quantity']
+
+// Columns a CSV import understands; barcode and name are required
+export const IMPORT_COLUMNS = [
+  'barcode',
+  'name',
+  'brand',
+  'category',
+  'fssai_license',
+  'fssai_approved',
+  'ingredients',
+  ...Object.keys(NUTRIENT_LIMITS),
+  ...SERVING_COLUMNS
+]
+
+const LOOKUP_BATCH = 100
+
+const clip = (value, length) => (value == null || String(value).trim() === '' ? null : String(value).trim().slice(0, length))
+
+/**
+ * Validate product fields from the console or a CSV row
+ * @param {Object} input - { barcode, name, brand, category, fssai_license, fssai_approved, nutrition_info }
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Only validate the fields present (edits)
+ * @param {boolean} [options.checkDigit] - Check the barcode's GS1 check digit
+ * @returns {{fields?: Object, error?: string}}
+ */
+export const validateProductInput = (input = {}, { partial = false, checkDigit = true } = {}) => {
+  const fields = {}
+  const has = (key) => key in input
+
+  if (has('barcode') || !partial) {
+    const { barcode, error } = validateBarcode(input.barcode, { checkDigit })
+    if (error) return { error }
+    fields.barcode = barcode
+  }
+
+  if (has('name') || !partial) {
+    const name = clip(input.name, 500)
+    if (!name) return { error: 'name is required' }
+    fields.name = name
+  }
+
+  for (const key of ['brand', 'category']) {
+    if (has(key)) fields[key] = clip(input[key], 255)
+  }
+
+  if (has('fssai_license')) {
+    const { license, error } = validateFssaiLicense(input.fssai_license)
+    if (error) return { error }
+    fields.fssai_license = license
+  }
+
+  if (has('fssai_approved')) {
+    const approved = input.fssai_approved
+    if (![true, false, 'true', 'false'].includes(approved)) {
+      return { error: 'fssai_approved must be true or false' }
+    }
+    fields.fssai_approved = approved === true || approved === 'true'
+  }
+
+  if (has('nutrition_info') || !partial) {
+    const { nutritionInfo, error } = validateNutritionInfo(input.nutrition_info)
+    if (error) return { error }
+    fields.nutrition_info = nutritionInfo
+  }
+
+  return { fields }
+}
+
+// nutrition_info is compared per nutrient, per serving field and for the ingredients
+const flattenProduct = (product = {}) => {
+  const flat = {}
+  for (const key of ['barcode', 'name', 'brand', 'category', 'fssai_license', 'fssai_approved', 'is_active']) {
+    if (key in product) flat[key] = product[key] ?? null
+  }
+  if ('nutrition_info' in product) {
+    const info = product.nutrition_info || {}
+    flat.ingredients = info.ingredients || null
+    for (const [key, value] of Object.entries(info.nutrition_facts || {})) flat[`nutrition_facts.${key}`] = value
+    for (const [key, value] of Object.entries(info.serving || {})) flat[`serving.${key}`] = value
+  }
+  return flat
+}
+
+/**
+ * Field-level diff between two fssai_products rows (only fields present in after)
+ * @returns {Array<{field: string, before: *, after: *}>}
+ */
+export const diffProducts = (before, after) => {
+  const previous = flattenProduct(before || {})
+  const next = flattenProduct(after)
+  const fields = new Set(Object.keys(next))
+  // Nutrients or serving fields dropped by an edit show up as removed
+  if ('nutrition_info' in after) {
+    for (const key of Object.keys(previous)) {
+      if (/^(nutrition_facts|serving)\./.test(key)) fields.add(key)
+    }
+  }
+
+  const changes = []
+  for (const field of fields) {
+    const from = previous[field] ?? null
+    const to = next[field] ?? null
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes.push({ field, before: from, after: to })
+  }
+  return changes
+}
+
+const writeAudit = async ({ actorId, action, product, changes = [], notes = null }) => {
+  const { error } = await supabase
+    .from('admin_audit_log')
+    .insert([
+      {
+        actor_user_id: actorId,
+        action,
+        entity: AUDIT_ENTITY,
+        entity_id: product.id,
+        barcode: product.barcode,
+        changes,
+        notes
+      }
+    ])
+
+  if (error) throw error
+}
+
+/**
+ * Audit a product change that has already been written, undoing it when the
+ * audit row cannot be stored so no change goes unaudited; the error is rethrown
+ * @param {Object} entry - writeAudit input
+ * @param {Function} revert - Puts the product back as it was
+ */
+const auditOrRevert = async (entry, revert) => {
+  try {
+    await writeAudit(entry)
+  } catch (error) {
+    logger.error(`Audit log write failed for ${entry.action} on fssai_products ${entry.product.id}, undoing it: ${error.message}`)
+    try {
+      await revert()
+    } catch (revertError) {
+      logger.error(`Could not undo ${entry.action} on fssai_products ${entry.product.id}: ${revertError.message}`)
+    }
+    throw error
+  }
+}
+
+// Undo an unaudited insert; the only case where a product row is deleted
+const deleteProduct = async (id) => {
+  const { error } = await supabase.from('fssai_products').delete().eq('id', id)
+  if (error) throw error
+}
+
+// Write back the columns an unaudited update changed
+const restoreProduct = async (id, previous) => {
+  const { error } = await supabase.from('fssai_products').update(previous).eq('id', id)
+  if (error) throw error
+}
+
+// Cached copies follow the curated row; a stale cache must not fail the edit
+const syncCache = (barcode) => {
+  syncCachedProduct(barcode)
+    .catch(error => logger.warn(`Could not refresh cached product ${barcode}: ${error.message}`))
+}
+
+// Strip characters with a meaning in PostgREST filters
+const searchTerm = (q) => String(q || '').replace(/[,()%*\\]/g, ' ').trim().slice(0, 100)
+
+/**
+ * Search fssai_products
+ * @param {Object} [options]
+ * @param {string} [options.q] - Matches name, brand or barcode
+ * @param {string} [options.status] - 'active' | 'inactive' | 'all'
+ * @param {string} [options.source] - 'manual' | 'community'
+ * @returns {Promise<{products: Array<Object>, total: number}>}
+ */
+export const listProducts = async ({ q, status = 'active', source, limit = 50, offset = 0 } = {}) => {
+  let query = supabase
+    .from('fssai_products')
+    .select('*', { count: 'exact' })
+    .order('updated_at', { ascending: false })
+    .range(offset, offset + limit - 1)
+
+  const term = searchTerm(q)
+  if (term) query = query.or(`name.ilike.%${term}%,brand.ilike.%${term}%,barcode.ilike.%${term}%`)
+  if (status === 'active') query = query.eq('is_active', true)
+  if (status === 'inactive') query = query.eq('is_active', false)
+  if (source) query = query.eq('source', source)
+
+  const { data, error, count } = await query
+  if (error) throw error
+  return { products: data || [], total: count ?? 0 }
+}
+
+/**
+ * One fssai_products row by id
+ * @returns {Promise<Object|null>}
+ */
+export const getProductById = async (id) => {
+  const { data, error } = await supabase
+    .from('fssai_products')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle()
+
+  if (error) throw error
+  return data
+}
+
+/**
+ * Rows whose barcode is the same product as this one (e.g. 0 + UPC-A vs EAN-13)
+ * @param {string} barcode - Barcode to check
+ * @param {number} [excludeId] - The row being edited
+ * @returns {Promise<Array<Object>>}
+ */
+export const findBarcodeDuplicates = async (barcode, excludeId = null) => {
+  let query = supabase
+    .from('fssai_products')
+    .select('id, barcode, name, brand, is_active, source')
+    .in('barcode', barcodeVariants(barcode))
+
+  if (excludeId != null) query = query.neq('id', excludeId)
+
+  const { data, error } = await query
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Barcodes stored more than once under different paddings
+ * @returns {Promise<Array<{canonical: string, products: Array<Object>}>>}
+ */
+export const listDuplicateGroups = async () => {
+  const pageSize = 1000
+  const rows = []
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await supabase
+      .from('fssai_products')
+      .select('id, barcode, name, brand, is_active, source, updated_at')
+      .order('id')
+      .range(from, from + pageSize - 1)
+
+    if (error) throw error
+    rows.push(...(data || []))
+    if (!data || data.length < pageSize) break
+  }
+
+  const groups = new Map()
+  for (const row of rows) {
+    const canonical = canonicalBarcode(row.barcode)
+    if (!groups.has(canonical)) groups.set(canonical, [])
+    groups.get(canonical).push(row)
+  }
+  return [...groups.entries()]
+    .filter(([, products]) => products.length > 1)
+    .map(([canonical, products]) => ({ canonical, products }))
+}
+
+/**
+ * Add a curated product
+ * @param {Object} fields - Validated by validateProductInput
+ * @param {string} actorId - Admin users.user_id
+ * @returns {Promise<{product: Object}|{conflict: Array<Object>}>}
+ */
+export const createProduct = async (fields, actorId, { notes = null } = {}) => {
+  const duplicates = await findBarcodeDuplicates(fields.barcode)
+  if (duplicates.length > 0) return { conflict: duplicates }
+
+  const { data: product, error } = await supabase
+    .from('fssai_products')
+    .insert([{ ...fields, source: 'manual', is_active: true }])
+    .select()
+    .single()
+
+  if (error) throw error
+
+  await auditOrRevert(
+    { actorId, action: 'create', product, changes: diffProducts(null, product), notes },
+    () => deleteProduct(product.id)
+  )
+  syncCache(product.barcode)
+  return { product }
+}
+
+/**
+ * Edit a curated product
+ * @param {Object} existing - Current fssai_products row
+ * @param {Object} fields - Validated by validateProductInput (partial)
+ * @param {string} actorId - Admin users.user_id
+ * @returns {Promise<{product: Object, changes: Array<Object>}|{conflict: Array<Object>}>}
+ */
+export const updateProduct = async (existing, fields, actorId, { notes = null } = {}) => {
+  if (fields.barcode && fields.barcode !== existing.barcode) {
+    const duplicates = await findBarcodeDuplicates(fields.barcode, existing.id)
+    if (duplicates.length > 0) return { conflict: duplicates }
+  }
+
+  const changes = diffProducts(existing, fields)
+  if (changes.length === 0) return { product: existing, changes }
+
+  const { data: product, error } = await supabase
+    .from('fssai_products')
+    .update(fields)
+    .eq('id', existing.id)
+    .select()
+    .single()
+
+  if (error) throw error
+
+  const previous = Object.fromEntries(Object.keys(fields).map(key => [key, existing[key]]))
+  await auditOrRevert(
+    { actorId, action: 'update', product, changes, notes },
+    () => restoreProduct(existing.id, previous)
+  )
+  syncCache(product.barcode)
+  if (product.barcode !== existing.barcode) syncCache(existing.barcode)
+  return { product, changes }
+}
+
+/**
+ * Deactivate or reactivate a product; inactive products are no longer served
+ * @returns {Promise<Object>} Updated row
+ */
+export const setProductActive = async (existing, active, actorId, { notes = null } = {}) => {
+  if (existing.is_active === active) return existing
+
+  const { data: product, error } = await supabase
+    .from('fssai_products')
+    .update({ is_active: active })
+    .eq('id', existing.id)
+    .select()
+    .single()
+
+  if (error) throw error
+
+  await auditOrRevert({
+    actorId,
+    action: active ? 'reactivate' : 'deactivate',
+    product,
+    changes: [{ field: 'is_active', before: existing.is_active, after: active }],
+    notes
+  }, () => restoreProduct(existing.id, { is_active: existing.is_active }))
+  syncCache(product.barcode)
+  return product
+}
+
+// One CSV record as validateProductInput input; absent columns are left out
+const recordToInput = (values, header) => {
+  const input = {}
+  for (const key of ['barcode', 'name', 'brand', 'category', 'fssai_license']) {
+    if (header.includes(key)) input[key] = values[key]
+  }
+  if (header.includes('fssai_approved') && values.fssai_approved !== '') {
+    input.fssai_approved = values.fssai_approved.toLowerCase()
+  }
+
+  const nutrientColumns = Object.keys(NUTRIENT_LIMITS).filter(key => header.includes(key))
+  const servingColumns = SERVING_COLUMNS.filter(key => header.includes(key) && values[key] !== '')
+  if (nutrientColumns.length > 0 || header.includes('ingredients') || servingColumns.length > 0) {
+    input.nutrition_info = {
+      nutrition_facts: Object.fromEntries(nutrientColumns.map(key => [key, values[key]])),
+      ingredients: values.ingredients || '',
+      serving: servingColumns.length > 0
+        ? Object.fromEntries(servingColumns.map(key => [key, values[key]]))
+        : null
+    }
+  }
+  return input
+}
+
+// Existing rows for many barcodes, keyed by canonical barcode
+const findExistingByBarcode = async (barcodes) => {
+  const variants = [...new Set(barcodes.flatMap(barcodeVariants))]
+  const existing = new Map()
+  for (let i = 0; i < variants.length; i += LOOKUP_BATCH) {
+    const { data, error } = await supabase
+      .from('fssai_products')
+      .select('*')
+      .in('barcode', variants.slice(i, i + LOOKUP_BATCH))
+
+    if (error) throw error
+    for (const row of data || []) existing.set(canonicalBarcode(row.barcode), row)
+  }
+  return existing
+}
+
+/**
+ * Bulk import products from CSV
+ * @param {string} text - CSV with a header row (see IMPORT_COLUMNS)
+ * @param {Object} options
+ * @param {string} options.actorId - Admin users.user_id
+ * @param {boolean} [options.dryRun] - Validate and report without writing
+ * @param {string} [options.onConflict] - 'skip' | 'update' existing barcodes
+ * @returns {Promise<{dry_run: boolean, summary: Object, results: Array<Object>}|{error: string}>}
+ *   One result per data row: { line, barcode, action: create|update|unchanged|skip|error, error?, changes? }
+ */
+export const importProductsCsv = async (text, { actorId, dryRun = false, onConflict = 'skip' } = {}) => {
+  const { header, records, errors } = parseCsv(text)
+  if (header.length === 0) return { error: 'The file is empty' }
+
+  const missing = ['barcode', 'name'].filter(key => !header.includes(key))
+  if (missing.length > 0) return { error: `Missing required column(s): ${missing.join(', ')}` }
+  const unknown = header.filter(key => !IMPORT_COLUMNS.includes(key))
+  if (unknown.length > 0) {
+    return { error: `Unknown column(s): ${unknown.join(', ')}. Columns: ${IMPORT_COLUMNS.join(', ')}` }
+  }
+  if (records.length + errors.length > MAX_IMPORT_ROWS) {
+    return { error: `Import at most ${MAX_IMPORT_ROWS} rows at a time` }
+  }
+
+  const results = errors.map(({ line, error }) => ({ line, barcode: null, action: 'error', error }))
+  const planned = []
+  const seen = new Map()
+  for (const { line, values } of records) {
+    // Check digits and nutrition are only required of new products, once existing rows are known
+    const { fields, error } = validateProductInput(recordToInput(values, header), { partial: true, checkDigit: false })
+    if (error) {
+      results.push({ line, barcode: values.barcode || null, action: 'error', error })
+      continue
+    }
+    const canonical = canonicalBarcode(fields.barcode)
+    if (seen.has(canonical)) {
+      results.push({ line, barcode: fields.barcode, action: 'error', error: `same barcode as line ${seen.get(canonical)}` })
+      continue
+    }
+    seen.set(canonical, line)
+    planned.push({ line, fields, canonical })
+  }
+
+  const existing = await findExistingByBarcode(planned.map(p => p.fields.barcode))
+  for (const plan of planned) {
+    const row = existing.get(plan.canonical)
+    if (!row) {
+      const { error } = validateBarcode(plan.fields.barcode)
+      plan.action = 'create'
+      if (error) plan.error = error
+      else if (!plan.fields.nutrition_info) plan.error = 'new products need ingredients or nutrient columns'
+      if (plan.error) plan.action = 'error'
+    } else if (onConflict !== 'update') {
+      plan.action = 'skip'
+      plan.existing = row
+    } else {
+      // A row stored under another padding keeps its barcode
+      const { barcode, ...fields } = plan.fields
+      plan.fields = fields
+      plan.existing = row
+      plan.changes = diffProducts(row, fields)
+      plan.action = plan.changes.length > 0 ? 'update' : 'unchanged'
+    }
+  }
+
+  if (!dryRun) {
+    const notes = 'CSV import'
+    const creates = planned.filter(p => p.action === 'create')
+    if (creates.length > 0) {
+      const { data, error } = await supabase
+        .from('fssai_products')
+        .insert(creates.map(p => ({ ...p.fields, source: 'manual', is_active: true })))
+        .select()
+
+      if (error) throw error
+      for (const product of data || []) {
+        try {
+          await auditOrRevert(
+            { actorId, action: 'create', product, changes: diffProducts(null, product), notes },
+            () => deleteProduct(product.id)
+          )
+          syncCache(product.barcode)
+        } catch (error) {
+          const plan = creates.find(p => p.fields.barcode === product.barcode)
+          plan.action = 'error'
+          plan.error = error.message
+        }
+      }
+    }
+
+    for (const plan of planned.filter(p => p.action === 'update')) {
+      try {
+        await updateProduct(plan.existing, plan.fields, actorId, { notes })
+      } catch (error) {
+        plan.action = 'error'
+        plan.error = error.message
+      }
+    }
+  }
+
+  for (const plan of planned) {
+    results.push({
+      line: plan.line,
+      barcode: plan.existing?.barcode || plan.fields.barcode,
+      action: plan.action,
+      ...(plan.existing && { product_id: plan.existing.id }),
+      ...(plan.changes && plan.action !== 'unchanged' && { changes: plan.changes }),
+      ...(plan.error && { error: plan.error })
+    })
+  }
+  results.sort((a, b) => a.line - b.line)
+
+  const count = (action) => results.filter(r => r.action === action).length
+  return {
+    dry_run: dryRun,
+    summary: {
+      rows: results.length,
+      created: count('create'),
+      updated: count('update'),
+      unchanged: count('unchanged'),
+      skipped: count('skip'),
+      errors: count('error')
+    },
+    results
+  }
+}
+
+/**
+ * Admin audit trail, newest first
+ * @param {Object} [options] - { entityId, barcode, actorId, limit, offset }
+ * @returns {Promise<Array<Object>>}
+ */
+export const getAuditLog = async ({ entityId, barcode, actorId, limit = 50, offset = 0 } = {}) => {
+  let query = supabase
+    .from('admin_audit_log')
+    .select('*')
+    .eq('entity', AUDIT_ENTITY)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1)
+
+  if (entityId != null) query = query.eq('entity_id', entityId)
+  if (barcode) query = query.eq('barcode', barcode)
+  if (actorId) query = query.eq('actor_user_id', actorId)
+
+  const { data, error } = await query
+  if (error) throw error
+  return data || []
+}
+
+export default {
+  AUDIT_ENTITY,
+  MAX_IMPORT_ROWS,
+  IMPORT_COLUMNS,
+  validateProductInput,
+  diffProducts,
+  listProducts,
+  getProductById,
+  findBarcodeDuplicates,
+  listDuplicateGroups,
+  createProduct,
+  updateProduct,
+  setProductActive,
+  importProductsCsv,
+  getAuditLog
+}
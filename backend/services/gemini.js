@@ -63,3 +63,33 @@ export const generateWithGeminiSafe = async (prompt, timeoutMs = 8000) => {
     throw err
   }
 }
+
+/**
+ * Transcribe the text printed in a photo (labels, nutrition panels)
+ * @param {Buffer} imageBuffer - Image bytes
+ * @param {string} mimeType - e.g. 'image/jpeg'
+ * @returns {Promise<string|null>} Raw text, or null when Gemini is not configured
+ */
+export const transcribeImageWithGemini = async (imageBuffer, mimeType, timeoutMs = 15000) => {
+  const m = getGeminiModel()
+  if (!m) return null
+
+  let timer
+  const timeoutPromise = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error('Gemini timeout')), timeoutMs)
+  })
+
+  try {
+    const result = await Promise.race([
+      m.generateContent([
+        { text: 'Transcribe all text printed on this food package photo exactly as it appears, one line per printed line. Keep numbers and units. Output only the text.' },
+        { inlineData: { data: imageBuffer.toString('base64'), mimeType } }
+      ]),
+      timeoutPromise
+    ])
+    const response = await result.response
+    return response.text()
+  } finally {
+    clearTimeout(timer)
+  }
+}
@@ -0,0 +1,233 @@
+import { supabase } from '../config/database.js'
+import { knowledgeBase } from './knowledgeBase.js'
+import { scaleNutrition } from '../utils/portions.js'
+
+/**
+ * Daily intake budget
+ *
+ * Sums what a user logged as eaten (consumption_log) and compares it with the
+ * ICMR/WHO daily values in knowledgeBase.nutritionGuidelines.
+ */
+
+// Nutrients tracked in the log (amounts eaten, sodium in g, energy in kcal)
+export const TRACKED_NUTRIENTS = ['energy', 'sugar', 'sodium', 'saturated_fat', 'fat', 'fiber', 'protein']
+
+export const INTAKE_PROFILES = ['adult_female', 'adult_male']
+export const DEFAULT_INTAKE_PROFILE = process.env.DEFAULT_INTAKE_PROFILE || 'adult_female'
+
+const round = (v, digits = 2) => {
+  const f = Math.pow(10, digits)
+  return Math.round(v * f) / f
+}
+
+/**
+ * Daily limits (max) and targets (min) for a reference profile
+ * @param {string} [profile] - 'adult_female' | 'adult_male'
+ * @returns {Object} { nutrient: { amount, kind: 'max'|'min', unit } }
+ */
+export const getDailyLimits = (profile = DEFAULT_INTAKE_PROFILE) => {
+  const dv = knowledgeBase.nutritionGuidelines.dailyValues
+  const key = INTAKE_PROFILES.includes(profile) ? profile : DEFAULT_INTAKE_PROFILE
+  const energy = dv.energy[key]
+
+  return {
+    energy: { amount: energy, kind: 'max', unit: 'kcal' },
+    sugar: { amount: dv.sugar.max_daily, kind: 'max', unit: 'g' },
+    sodium: { amount: dv.sodium.max_daily, kind: 'max', unit: 'g' },
+    // Percent-of-energy limits converted to grams (9 kcal per g of fat)
+    saturated_fat: { amount: round((energy * dv.saturated_fat.max_percentage) / 100 / 9, 1), kind: 'max', unit: 'g' },
+    fat: { amount: round((energy * dv.fat.max_percentage) / 100 / 9, 1), kind: 'max', unit: 'g' },
+    fiber: { amount: dv.fiber.min_daily, kind: 'min', unit: 'g' },
+    protein: { amount: dv.protein[key], kind: 'min', unit: 'g' }
+  }
+}
+
+/**
+ * Replace reference limits with a doctor's daily targets
+ * @param {Object} limits - Output of getDailyLimits
+ * @param {Object} [targets] - Dietary targets ({ daily_limits })
+ * @returns {Object} Limits, with `source: 'doctor'` on overridden nutrients
+ */
+export const applyDailyTargets = (limits, targets) => {
+  if (!targets?.daily_limits) return limits
+  const out = { ...limits }
+  for (const [key, amount] of Object.entries(targets.daily_limits)) {
+    if (out[key] && amount != null) out[key] = { ...out[key], amount, source: 'doctor' }
+  }
+  return out
+}
+
+/**
+ * Nutrients eaten for a logged amount
+ * @param {Object} nutritionFacts - Nutrition facts per 100g/100ml
+ * @param {number} amount - Amount eaten in g or ml
+ * @returns {Object} Tracked nutrients eaten
+ */
+export const nutrientsForAmount = (nutritionFacts, amount) => {
+  const scaled = scaleNutrition(nutritionFacts, amount) || {}
+  const out = {}
+  for (const key of TRACKED_NUTRIENTS) {
+    if (scaled[key] != null) out[key] = scaled[key]
+  }
+  return out
+}
+
+/**
+ * Sum the nutrients of several log entries
+ * @param {Array} entries - consumption_log rows
+ * @returns {Object} Totals per tracked nutrient
+ */
+export const sumIntake = (entries = []) => {
+  const totals = Object.fromEntries(TRACKED_NUTRIENTS.map(k => [k, 0]))
+  for (const entry of entries) {
+    for (const key of TRACKED_NUTRIENTS) {
+      const value = Number(entry.nutrients?.[key])
+      if (Number.isFinite(value)) totals[key] += value
+    }
+  }
+  for (const key of TRACKED_NUTRIENTS) totals[key] = round(totals[key], key === 'sodium' ? 3 : 1)
+  return totals
+}
+
+/**
+ * Compare totals with limits
+ * @param {Object} totals - Output of sumIntake
+ * @param {Object} limits - Output of getDailyLimits (optionally scaled by days)
+ * @returns {Object} { nutrient: { consumed, limit, remaining, percent, kind, unit, status } }
+ */
+export const buildBudget = (totals, limits) => {
+  const budget = {}
+  for (const [key, limit] of Object.entries(limits)) {
+    const consumed = totals[key] || 0
+    const percent = limit.amount ? Math.round((consumed / limit.amount) * 100) : 0
+    let status
+    if (limit.kind === 'min') {
+      status = percent >= 100 ? 'met' : 'below'
+    } else {
+      status = percent > 100 ? 'over' : percent >= 80 ? 'near' : 'ok'
+    }
+    budget[key] = {
+      consumed,
+      limit: limit.amount,
+      remaining: round(Math.max(0, limit.amount - consumed), key === 'sodium' ? 3 : 1),
+      percent,
+      kind: limit.kind,
+      unit: limit.unit,
+      source: limit.source || 'reference',
+      status
+    }
+  }
+  return budget
+}
+
+/**
+ * UTC bounds of a local calendar day
+ * @param {string} [date] - YYYY-MM-DD in the user's local time; today when omitted
+ * @param {number} [tzOffset] - Minutes behind UTC, as returned by Date#getTimezoneOffset
+ * @returns {{date:string, start:Date, end:Date}}
+ */
+export const dayBounds = (date, tzOffset = 0) => {
+  const offsetMs = (Number(tzOffset) || 0) * 60000
+  const day = date || new Date(Date.now() - offsetMs).toISOString().slice(0, 10)
+  const start = new Date(Date.parse(`${day}T00:00:00Z`) + offsetMs)
+  const end = new Date(start.getTime() + 24 * 60 * 60 * 1000)
+  return { date: day, start, end }
+}
+
+const fetchEntries = async (userId, start, end) => {
+  const { data, error } = await supabase
+    .from('consumption_log')
+    .select('*')
+    .eq('user_id', userId)
+    .gte('consumed_at', start.toISOString())
+    .lt('consumed_at', end.toISOString())
+    .order('consumed_at', { ascending: true })
+
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Entries, totals and remaining budget for one day
+ * @param {string} userId - User ID
+ * @param {Object} [options] - { date, tzOffset, profile, targets }
+ * @returns {Promise<Object>} Daily intake
+ */
+export const getDailyIntake = async (userId, options = {}) => {
+  const { date, start, end } = dayBounds(options.date, options.tzOffset)
+  const entries = await fetchEntries(userId, start, end)
+  const totals = sumIntake(entries)
+  const profile = INTAKE_PROFILES.includes(options.profile) ? options.profile : DEFAULT_INTAKE_PROFILE
+
+  return {
+    date,
+    profile,
+    entries,
+    totals,
+    budget: buildBudget(totals, applyDailyTargets(getDailyLimits(profile), options.targets))
+  }
+}
+
+/**
+ * Per-day totals for the 7 days ending on `date`
+ * @param {string} userId - User ID
+ * @param {Object} [options] - { date, tzOffset, profile, targets }
+ * @returns {Promise<Object>} Weekly intake
+ */
+export const getWeeklyIntake = async (userId, options = {}) => {
+  const last = dayBounds(options.date, options.tzOffset)
+  const dayMs = 24 * 60 * 60 * 1000
+  const start = new Date(last.start.getTime() - 6 * dayMs)
+  const entries = await fetchEntries(userId, start, last.end)
+  const profile = INTAKE_PROFILES.includes(options.profile) ? options.profile : DEFAULT_INTAKE_PROFILE
+  const limits = applyDailyTargets(getDailyLimits(profile), options.targets)
+
+  const days = []
+  for (let i = 0; i < 7; i++) {
+    const dayStart = new Date(start.getTime() + i * dayMs)
+    const dayEnd = new Date(dayStart.getTime() + dayMs)
+    const dayEntries = entries.filter(e => {
+      const t = new Date(e.consumed_at).getTime()
+      return t >= dayStart.getTime() && t < dayEnd.getTime()
+    })
+    const totals = sumIntake(dayEntries)
+    days.push({
+      date: new Date(dayStart.getTime() - (Number(options.tzOffset) || 0) * 60000).toISOString().slice(0, 10),
+      entries: dayEntries.length,
+      totals,
+      budget: buildBudget(totals, limits)
+    })
+  }
+
+  const totals = sumIntake(entries)
+  const weeklyLimits = Object.fromEntries(
+    Object.entries(limits).map(([key, limit]) => [key, { ...limit, amount: round(limit.amount * 7, 1) }])
+  )
+  const average = Object.fromEntries(
+    Object.entries(totals).map(([key, value]) => [key, round(value / 7, key === 'sodium' ? 3 : 1)])
+  )
+
+  return {
+    from: days[0].date,
+    to: last.date,
+    profile,
+    days,
+    totals,
+    average,
+    budget: buildBudget(totals, weeklyLimits)
+  }
+}
+
+export default {
+  TRACKED_NUTRIENTS,
+  INTAKE_PROFILES,
+  DEFAULT_INTAKE_PROFILE,
+  getDailyLimits,
+  applyDailyTargets,
+  nutrientsForAmount,
+  sumIntake,
+  buildBudget,
+  dayBounds,
+  getDailyIntake,
+  getWeeklyIntake
+}
@@ -124,11 +124,20 @@ class NutritionKnowledgeBase {
       labeling: {
         mandatory_info: ['ingredients', 'nutrition_facts', 'expiry_date', 'fssai_license'],
         allergen_declaration: ['gluten', 'milk', 'nuts', 'soy'],
+        // Advertising and Claims Regulations 2018, Schedule I; per 100g, *_liquid per 100ml
         claims_regulation: {
           'sugar_free': { max_sugar: 0.5 },
-          'low_fat': { max_fat: 3 },
+          'low_sugar': { max_sugar: 5, max_sugar_liquid: 2.5 },
+          'fat_free': { max_fat: 0.5 },
+          'low_fat': { max_fat: 3, max_fat_liquid: 1.5 },
+          'low_saturated_fat': { max_saturated_fat: 1.5, max_saturated_fat_liquid: 0.75 },
+          'no_trans_fat': { max_trans_fat: 0.2 },
+          'low_sodium': { max_sodium: 0.12 },
+          'low_calorie': { max_energy: 40, max_energy_liquid: 20 },
+          'source_of_fiber': { min_fiber: 3 },
           'high_fiber': { min_fiber: 6 },
-          'no_trans_fat': { max_trans_fat: 0.2 }
+          'source_of_protein': { min_protein: 5.4, min_protein_liquid: 2.7 },
+          'high_protein': { min_protein: 10.8, min_protein_liquid: 5.4 }
         }
       },
       additives: {
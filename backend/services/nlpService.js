@@ -1,59 +1,199 @@
 import fetch from 'node-fetch'
 import { logger } from '../utils/logger.js'
+import { normalizeLabelText } from '../utils/allergens.js'
+import { productAdditives, ingredientTreeOf } from '../utils/ingredientParser.js'
+import { normalizeNutrition } from '../utils/truthScore.js'
+import { verifyClaims } from '../utils/claimVerifier.js'
 
 const HF_API_KEY = process.env.HUGGING_FACE_API_KEY || process.env.HF_API_KEY || process.env.HF_TOKEN
 // Use Hugging Face Inference Providers router (api-inference deprecated)
 const HF_API_URL = 'https://router.huggingface.co/hf-inference/models'
 
-// Greenwashing buzzwords to detect
+// Marketing words to look for on the pack. `check` names the label facts
+// that can contradict the word; `reason` is shown when none do.
 const GREENWASHING_BUZZWORDS = [
-  'all-natural',
-  'natural',
-  'organic',
-  'immune-boosting',
-  'immunity',
-  'superfood',
-  'chemical-free',
-  'detox',
-  'cleanse',
-  'fat-burning',
-  'heart-healthy',
-  'clinically proven',
-  'doctor recommended',
-  'ancient formula',
-  'traditional recipe',
-  'zero sugar',
-  'sugar-free',
-  'fat-free',
-  'no artificial',
-  'preservative-free',
-  'made with real',
-  'wholesome',
-  'pure',
-  'authentic',
-  'premium quality'
+  { phrase: 'all natural', check: 'natural', severity: 'medium', reason: '"Natural" has no legal definition for packaged food' },
+  { phrase: '100% natural', check: 'natural', severity: 'medium', reason: '"Natural" has no legal definition for packaged food' },
+  { phrase: 'natural', check: 'natural', severity: 'low', reason: '"Natural" has no legal definition for packaged food' },
+  { phrase: 'chemical free', check: 'natural', severity: 'medium', reason: 'All food is made of chemicals; the phrase has no defined meaning' },
+  { phrase: 'no artificial', check: 'natural', severity: 'low', reason: 'Only the ingredient list can confirm it' },
+  { phrase: 'organic', check: 'organic', severity: 'medium', reason: 'No organic certification (India Organic, Jaivik Bharat) in the label data' },
+  { phrase: 'immune boosting', severity: 'medium', reason: 'A health claim without stated scientific substantiation' },
+  { phrase: 'boosts immunity', severity: 'medium', reason: 'A health claim without stated scientific substantiation' },
+  { phrase: 'immunity', severity: 'medium', reason: 'A health claim without stated scientific substantiation' },
+  { phrase: 'superfood', severity: 'low', reason: '"Superfood" is a marketing term with no nutritional definition' },
+  { phrase: 'detox', severity: 'medium', reason: 'Foods do not detoxify the body; the liver and kidneys do' },
+  { phrase: 'cleanse', severity: 'medium', reason: 'Foods do not cleanse the body; the liver and kidneys do' },
+  { phrase: 'fat burning', severity: 'medium', reason: 'No food burns fat' },
+  { phrase: 'heart healthy', check: 'heart', severity: 'medium', reason: 'A health claim without stated scientific substantiation' },
+  { phrase: 'clinically proven', severity: 'medium', reason: 'No study is cited' },
+  { phrase: 'doctor recommended', severity: 'medium', reason: 'No doctor or body is named' },
+  { phrase: 'multigrain', check: 'whole_grain', severity: 'low', reason: 'Says nothing about how much of each grain is used' },
+  { phrase: 'whole wheat', check: 'whole_grain', severity: 'low', reason: 'Only the ingredient order shows how much whole grain is used' },
+  { phrase: 'whole grain', check: 'whole_grain', severity: 'low', reason: 'Only the ingredient order shows how much whole grain is used' },
+  { phrase: 'ancient formula', severity: 'low', reason: 'Tradition says nothing about nutrition' },
+  { phrase: 'traditional recipe', severity: 'low', reason: 'Tradition says nothing about nutrition' },
+  { phrase: 'made with real', severity: 'low', reason: 'Says nothing about how much is used' },
+  { phrase: 'wholesome', severity: 'low', reason: 'A vague word with no defined meaning' },
+  { phrase: 'pure', severity: 'low', reason: 'A vague word with no defined meaning' },
+  { phrase: 'authentic', severity: 'low', reason: 'A vague word with no defined meaning' },
+  { phrase: 'premium quality', severity: 'low', reason: 'A vague word with no defined meaning' }
 ]
 
+// Words that turn a buzzword around ("not organic", "not a superfood"); "non-GMO natural" is still a claim
+const NEGATIONS = ['not', 'no', 'non', 'never', 'without', 'nor']
+const ARTICLES = ['a', 'an', 'the']
+
+const isNegated = (tokens, i) => {
+  const before = ARTICLES.includes(tokens[i - 1]) ? i - 2 : i - 1
+  return NEGATIONS.includes(tokens[before])
+}
+
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 }
+
+// classifyMarketingClaims buckets, in the order a flag takes its category from
+const FLAG_CATEGORIES = {
+  nutrition_claims: 'nutrition',
+  health_claims: 'health',
+  environmental_claims: 'environmental',
+  quality_claims: 'quality'
+}
+
+// Additives no one would call natural
+const SYNTHETIC_COLOURS = ['102', '104', '110', '122', '123', '124', '127', '129', '132', '133', '142', '143', '151', '155']
+const ARTIFICIAL_SWEETENERS = ['950', '951', '952', '954', '955', '961', '962', '969']
+const ARTIFICIAL_FUNCTIONS = ['preservative', 'flavour_enhancer']
+const ARTIFICIAL_INGREDIENT = /\bartificial(?:ly)?\s+(?:flavou?r|colou?r|sweeten)\w*|\bnature[\s-]identical\b[^,;()]*|\bsynthetic\s+(?:food\s+)?colou?r\w*/
+
+const tokenize = (text) => normalizeLabelText(text).split(/[^\p{L}\p{M}\p{N}%]+/u).filter(Boolean)
+
+const BUZZWORD_TOKENS = GREENWASHING_BUZZWORDS.map(b => ({ ...b, tokens: tokenize(b.phrase) }))
+
 /**
- * Detect greenwashing buzzwords in product description
- * @param {string} text - Product description or marketing text
- * @returns {Promise<Array>} List of detected buzzwords
+ * Buzzwords in one piece of packaging text, longest phrase first so "all
+ * natural" is not also reported as "natural"
  */
-export const detectGreenwashing = async (text) => {
-  if (!text) return []
+const findBuzzwords = (text) => {
+  const tokens = tokenize(text)
+  const used = new Set()
+  const found = []
+  for (const buzzword of [...BUZZWORD_TOKENS].sort((a, b) => b.tokens.length - a.tokens.length)) {
+    for (let i = 0; i + buzzword.tokens.length <= tokens.length; i++) {
+      if (!buzzword.tokens.every((token, j) => tokens[i + j] === token)) continue
+      const span = buzzword.tokens.map((_, j) => i + j)
+      if (span.some(k => used.has(k))) continue
+      span.forEach(k => used.add(k))
+      if (!isNegated(tokens, i)) found.push(buzzword)
+      break
+    }
+  }
+  return found
+}
+
+const listOf = (items) => (items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0])
+
+// The label fact that contradicts a buzzword, or null
+const contradiction = (check, product) => {
+  if (check === 'natural') {
+    const additives = productAdditives(product)
+      .filter(a => SYNTHETIC_COLOURS.includes(a.code) || ARTIFICIAL_SWEETENERS.includes(a.code) ||
+        ARTIFICIAL_FUNCTIONS.includes(a.function || a.classes[0]))
+      .map(a => `${a.name || a.listed_as} (${a.ins})`)
+    const ingredient = normalizeLabelText(product.ingredients).match(ARTIFICIAL_INGREDIENT)
+    const found = [...additives, ...(ingredient ? [ingredient[0].trim()] : [])]
+    return found.length > 0 ? `The ingredients list ${listOf(found)}` : null
+  }
+
+  if (check === 'organic') {
+    // Open Food Facts records organic certification as a label
+    const certified = (product.labels || []).some(tag => /organic|jaivik/.test(String(tag)))
+    return certified ? false : null
+  }
+
+  if (check === 'heart') {
+    const { satFat_g, sodium_g, transFat_g } = normalizeNutrition(product.nutrition_facts)
+    const found = [
+      satFat_g > 5 && `${Number(satFat_g.toFixed(1))} g saturated fat`,
+      sodium_g > 0.6 && `${Math.round(sodium_g * 1000)} mg sodium`,
+      transFat_g > 0.2 && `${Number(transFat_g.toFixed(1))} g trans fat`
+    ].filter(Boolean)
+    return found.length > 0 ? `${listOf(found)} per 100 g` : null
+  }
+
+  if (check === 'whole_grain') {
+    const first = ingredientTreeOf(product)?.ingredients?.[0]?.name
+    return first && /\brefined\b|\bmaida\b/i.test(first) ? `The first ingredient is ${first}` : null
+  }
+  return null
+}
 
-  const lowerText = text.toLowerCase()
-  const detected = []
+/**
+ * Detect greenwashing in a product's packaging
+ *
+ * Buzzwords are matched as whole words in the name and front-of-pack text
+ * ("natural" does not fire inside "unnatural", "not organic" is skipped);
+ * the ingredient list and nutrition facts are only used as evidence. Claims
+ * regulated by FSSAI ("No added sugar", "Sugar free") come from the claim
+ * verifier and are flagged when misleading or unverifiable.
+ * @param {Object|string} product - Product data (name, labels, ingredients,
+ *   nutrition_facts, additives), or packaging text alone
+ * @param {Object} [options]
+ * @param {string} [options.frontText] - Text read from the front of the pack
+ * @returns {Promise<Array>} Flags, most severe first: { term, text, source,
+ *   category, severity, evidence, contradicted }
+ */
+export const detectGreenwashing = async (product, { frontText } = {}) => {
+  if (!product) return []
+  if (typeof product === 'string') product = { name: product }
 
-  // Simple keyword matching
-  for (const buzzword of GREENWASHING_BUZZWORDS) {
-    if (lowerText.includes(buzzword)) {
-      detected.push(buzzword)
+  const flags = []
+  const claims = verifyClaims(product, { frontText })
+  // Brand names are trade marks rather than claims, so only the name and front of pack count
+  const packaging = [
+    { source: 'name', text: product.name },
+    { source: 'front_of_pack', text: frontText || product.front_text }
+  ]
+  for (const { source, text } of packaging) {
+    if (!text) continue
+    // Wording the claim verifier already checks ("no artificial preservatives") is not a buzzword too
+    const unclaimed = claims
+      .flatMap(claim => claim.found_in.filter(f => f.source === source))
+      .reduce((rest, found) => rest.replace(found.text, ' '), normalizeLabelText(text))
+    for (const buzzword of findBuzzwords(unclaimed)) {
+      if (flags.some(f => f.term === buzzword.phrase)) continue
+      const found = buzzword.check ? contradiction(buzzword.check, product) : null
+      // A certified organic product substantiates its claim
+      if (found === false) continue
+      flags.push({
+        term: buzzword.phrase,
+        source,
+        severity: found ? 'high' : buzzword.severity,
+        evidence: found || buzzword.reason,
+        contradicted: Boolean(found)
+      })
     }
   }
 
-  // Return unique buzzwords
-  return [...new Set(detected)]
+  for (const claim of claims) {
+    if (claim.verdict === 'verified') continue
+    flags.push({
+      term: claim.label.toLowerCase(),
+      source: claim.found_in[0].source,
+      severity: claim.verdict === 'misleading' ? 'high' : 'low',
+      evidence: claim.evidence,
+      contradicted: claim.verdict === 'misleading'
+    })
+  }
+
+  const classes = classifyMarketingClaims(flags.map(f => f.term))
+  for (const flag of flags) {
+    const category = Object.keys(FLAG_CATEGORIES).find(key => classes[key].includes(flag.term))
+    flag.category = category ? FLAG_CATEGORIES[category] : 'other'
+    // Appeals to authority are never merely vague
+    if (classes.suspicious.includes(flag.term) && flag.severity === 'low') flag.severity = 'medium'
+  }
+
+  return flags.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity])
 }
 
 /**
@@ -94,36 +234,43 @@ export const analyzeSentiment = async (text) => {
 
 /**
  * Classify marketing claims
+ * Keywords match the start of whole words, so "real" does not fire inside "cereal".
  * @param {Array<string>} claims - List of marketing claims
  * @returns {Object} Classification results
  */
 export const classifyMarketingClaims = (claims) => {
   const classifications = {
+    nutrition_claims: [],
     health_claims: [],
     environmental_claims: [],
     quality_claims: [],
     suspicious: []
   }
 
-  const healthKeywords = ['immune', 'health', 'vitamin', 'mineral', 'probiotic', 'antioxidant']
-  const envKeywords = ['organic', 'natural', 'eco', 'sustainable', 'green']
-  const qualityKeywords = ['premium', 'authentic', 'pure', 'real', 'traditional']
+  const nutritionKeywords = ['sugar', 'fat', 'protein', 'fibre', 'fiber', 'salt', 'sodium', 'calorie', 'preservative', 'gluten']
+  const healthKeywords = ['immun', 'health', 'heart', 'vitamin', 'mineral', 'probiotic', 'antioxidant', 'detox', 'cleanse', 'burning', 'superfood']
+  const envKeywords = ['organic', 'natural', 'eco', 'sustainable', 'green', 'chemical', 'artificial']
+  const qualityKeywords = ['premium', 'authentic', 'pure', 'real', 'traditional', 'ancient', 'wholesome', 'multigrain', 'whole']
 
   for (const claim of claims) {
-    const lower = claim.toLowerCase()
-    
-    if (healthKeywords.some(k => lower.includes(k))) {
+    const tokens = tokenize(claim)
+    const mentions = (keywords) => tokens.some(token => keywords.some(k => token.startsWith(k)))
+
+    if (mentions(nutritionKeywords)) {
+      classifications.nutrition_claims.push(claim)
+    }
+    if (mentions(healthKeywords)) {
       classifications.health_claims.push(claim)
     }
-    if (envKeywords.some(k => lower.includes(k))) {
+    if (mentions(envKeywords)) {
       classifications.environmental_claims.push(claim)
     }
-    if (qualityKeywords.some(k => lower.includes(k))) {
+    if (mentions(qualityKeywords)) {
       classifications.quality_claims.push(claim)
     }
-    
+
     // Flag suspicious claims
-    if (lower.includes('doctor') || lower.includes('clinically') || lower.includes('proven')) {
+    if (mentions(['doctor', 'clinically', 'proven'])) {
       classifications.suspicious.push(claim)
     }
   }
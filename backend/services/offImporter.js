@@ -0,0 +1,274 @@
+import fs from 'fs'
+import path from 'path'
+import zlib from 'zlib'
+import readline from 'readline'
+import { mapOffProduct } from './openFoodFacts.js'
+import { toProductRow } from '../utils/productRow.js'
+import { splitCsvLine } from '../utils/csv.js'
+
+/**
+ * Open Food Facts dump importer
+ *
+ * Streams an OFF export (JSONL or CSV, optionally gzipped) into the products
+ * table as a local mirror, keeping only products sold in the configured
+ * countries. Daily delta files use the same JSONL format; a record is only
+ * written when it is newer than the stored copy, so re-running an import is
+ * harmless, and never over a curated FSSAI or community row.
+ *
+ * Storage is passed in (see offMirror.js), so this module has no database
+ * dependency and can run against fixture files.
+ */
+
+export const OFF_MIRROR_SOURCE = 'Open Food Facts (mirror)'
+// Stored rows an import may replace: its own and live OFF lookups. FSSAI and
+// community rows are curated and always win, whatever their age.
+export const OVERWRITABLE_SOURCES = ['Open Food Facts', OFF_MIRROR_SOURCE]
+export const DEFAULT_IMPORT_COUNTRIES = ['en:india']
+export const DEFAULT_BATCH_SIZE = 500
+
+// OFF CSV columns holding comma-separated tag lists
+const CSV_LIST_COLUMNS = ['categories_tags', 'countries_tags', 'additives_tags', 'allergens_tags', 'traces_tags', 'labels_tags']
+
+/**
+ * Parse a country filter
+ * @param {string|Array} value - "India, en:nepal", an array of tags, or "all"
+ * @returns {Array<string>|null} OFF country tags, or null for no filter
+ */
+export const parseCountries = (value) => {
+  if (value == null || value === '') return DEFAULT_IMPORT_COUNTRIES
+  const list = Array.isArray(value) ? value : String(value).split(',')
+  const tags = list.map(c => String(c).trim().toLowerCase()).filter(Boolean)
+  if (tags.includes('all') || tags.includes('*')) return null
+  return tags.map(tag => (tag.includes(':') ? tag : `en:${tag.replace(/\s+/g, '-')}`))
+}
+
+const matchesCountries = (product, countries) => {
+  if (!countries) return true
+  const tags = product.countries_tags || []
+  return tags.some(tag => countries.includes(tag))
+}
+
+/**
+ * Detect the dump format from the file name
+ * @returns {'jsonl'|'csv'|null}
+ */
+export const detectFormat = (file) => {
+  const name = path.basename(file).toLowerCase().replace(/\.gz$/, '')
+  if (/\.(jsonl|ndjson|json)$/.test(name)) return 'jsonl'
+  if (/\.(csv|tsv)$/.test(name)) return 'csv'
+  return null
+}
+
+const splitTags = (value) => String(value).split(',').map(t => t.trim()).filter(Boolean)
+
+/**
+ * Turn a CSV row into the product shape of the JSONL/API format
+ * @param {Object} record - column -> raw string
+ */
+export const csvRecordToProduct = (record) => {
+  const product = { nutriments: {} }
+  for (const [key, raw] of Object.entries(record)) {
+    if (raw == null || raw === '') continue
+    if (/_(100g|serving)$/.test(key)) {
+      const amount = Number(raw)
+      if (Number.isFinite(amount)) product.nutriments[key] = amount
+    } else if (CSV_LIST_COLUMNS.includes(key)) {
+      product[key] = splitTags(raw)
+    } else {
+      product[key] = raw
+    }
+  }
+  // The CSV export names the allergen and trace tag columns "allergens" and "traces"
+  if (!product.allergens_tags && record.allergens) product.allergens_tags = splitTags(record.allergens)
+  if (!product.traces_tags && record.traces) product.traces_tags = splitTags(record.traces)
+  return product
+}
+
+/**
+ * Stream records from a dump file
+ * @param {string} file - Path to .jsonl/.csv, optionally .gz
+ * @param {Object} [options] - { format }
+ * @yields {{product: Object}|{error: string, line: number}}
+ */
+export async function* readDumpRecords(file, options = {}) {
+  const format = options.format || detectFormat(file)
+  if (!format) throw new Error(`Cannot tell the format of ${file}; pass format jsonl or csv`)
+
+  let input = fs.createReadStream(file)
+  if (file.toLowerCase().endsWith('.gz')) input = input.pipe(zlib.createGunzip())
+  const lines = readline.createInterface({ input, crlfDelay: Infinity })
+
+  let header = null
+  let delimiter = '\t'
+  let lineNumber = 0
+  for await (const line of lines) {
+    lineNumber++
+    if (!line.trim()) continue
+
+    if (format === 'jsonl') {
+      try {
+        yield { product: JSON.parse(line) }
+      } catch {
+        yield { error: 'invalid JSON', line: lineNumber }
+      }
+      continue
+    }
+
+    if (!header) {
+      delimiter = line.includes('\t') ? '\t' : ','
+      header = splitCsvLine(line, delimiter).map(h => h.trim())
+      continue
+    }
+    const values = splitCsvLine(line, delimiter)
+    if (values.length !== header.length) {
+      yield { error: `expected ${header.length} columns, got ${values.length}`, line: lineNumber }
+      continue
+    }
+    yield { product: csvRecordToProduct(Object.fromEntries(header.map((h, i) => [h, values[i]]))) }
+  }
+}
+
+/**
+ * Build a products row from an OFF product
+ * @param {Object} offProduct - OFF product (JSONL record or csvRecordToProduct output)
+ * @returns {Object|null} Row, or null when the record has no usable barcode or content
+ */
+export const toMirrorRow = (offProduct) => {
+  const barcode = String(offProduct.code || '').trim()
+  if (!/^\d{6,14}$/.test(barcode)) return null
+
+  const hasName = Boolean(offProduct.product_name || offProduct.product_name_en)
+  const hasNutrition = Object.keys(offProduct.nutriments || {}).some(k => /_(100g|serving)$/.test(k))
+  if (!hasName && !hasNutrition) return null
+
+  return {
+    ...toProductRow(mapOffProduct(offProduct, barcode), OFF_MIRROR_SOURCE),
+    countries_tags: offProduct.countries_tags || []
+  }
+}
+
+const isNewer = (row, storedAt) =>
+  !storedAt || !row.off_last_modified || new Date(row.off_last_modified) > new Date(storedAt)
+
+// Whether a mapped record may replace the stored row ({ data_source, off_last_modified })
+const replaces = (row, stored, force) =>
+  !stored || (OVERWRITABLE_SOURCES.includes(stored.data_source) && (force || isNewer(row, stored.off_last_modified)))
+
+/**
+ * Import one dump or delta file
+ *
+ * store: { isDeltaApplied(file), startRun(run), finishRun(id, fields),
+ * getStored(barcodes) -> Map of { data_source, off_last_modified },
+ * upsertProducts(rows) }. Rows from other sources (see OVERWRITABLE_SOURCES)
+ * are never replaced, even with force, and count as unchanged. A dry run
+ * reads and maps the file but needs no store and writes nothing.
+ * @param {string} file - Dump path
+ * @param {Object} [options] - { kind: 'full'|'delta', countries, dryRun, force, batchSize, format, store, onProgress }
+ * @returns {Promise<Object>} Run summary with row counts
+ */
+export const importOffDump = async (file, options = {}) => {
+  const {
+    kind = 'full',
+    countries = DEFAULT_IMPORT_COUNTRIES,
+    dryRun = false,
+    force = false,
+    batchSize = DEFAULT_BATCH_SIZE,
+    format,
+    store = null,
+    onProgress = () => {}
+  } = options
+
+  if (!['full', 'delta'].includes(kind)) throw new Error(`Unknown import kind: ${kind}`)
+  if (!dryRun && !store) throw new Error('importOffDump needs a store unless dryRun is set')
+
+  const sourceFile = path.basename(file)
+  const summary = {
+    kind,
+    source_file: sourceFile,
+    countries,
+    dry_run: dryRun,
+    rows_read: 0,
+    rows_matched: 0,
+    rows_upserted: 0,
+    rows_unchanged: 0,
+    rows_skipped: 0,
+    rows_invalid: 0
+  }
+  const counts = () => ({
+    rows_read: summary.rows_read,
+    rows_matched: summary.rows_matched,
+    rows_upserted: summary.rows_upserted,
+    rows_unchanged: summary.rows_unchanged,
+    rows_skipped: summary.rows_skipped,
+    rows_invalid: summary.rows_invalid
+  })
+
+  if (!dryRun && kind === 'delta' && !force && await store.isDeltaApplied(sourceFile)) {
+    return { ...summary, status: 'already_applied' }
+  }
+
+  const run = dryRun ? null : await store.startRun({ kind, source_file: sourceFile, countries })
+
+  // Keyed by barcode: one upsert statement cannot touch the same row twice
+  let batch = new Map()
+  const flush = async () => {
+    if (batch.size === 0) return
+    const rows = [...batch.values()]
+    batch = new Map()
+
+    if (dryRun) {
+      summary.rows_upserted += rows.length
+      return
+    }
+    const stored = await store.getStored(rows.map(r => r.barcode))
+    const fresh = rows.filter(r => replaces(r, stored.get(r.barcode), force))
+    summary.rows_unchanged += rows.length - fresh.length
+    if (fresh.length > 0) await store.upsertProducts(fresh)
+    summary.rows_upserted += fresh.length
+  }
+
+  try {
+    for await (const record of readDumpRecords(file, { format })) {
+      summary.rows_read++
+      if (summary.rows_read % 50000 === 0) onProgress(counts())
+
+      if (record.error) {
+        summary.rows_invalid++
+        continue
+      }
+      if (!matchesCountries(record.product, countries)) continue
+      summary.rows_matched++
+
+      const row = toMirrorRow(record.product)
+      if (!row) {
+        summary.rows_skipped++
+        continue
+      }
+      const queued = batch.get(row.barcode)
+      if (!queued || isNewer(row, queued.off_last_modified)) batch.set(row.barcode, row)
+      if (batch.size >= batchSize) await flush()
+    }
+    await flush()
+  } catch (error) {
+    if (run) {
+      await store.finishRun(run.id, { status: 'failed', error: error.message, ...counts() })
+        .catch(() => {})
+    }
+    throw error
+  }
+
+  if (run) await store.finishRun(run.id, { status: 'completed', ...counts() })
+  return { ...summary, status: 'completed', run_id: run?.id ?? null }
+}
+
+export default {
+  OFF_MIRROR_SOURCE,
+  OVERWRITABLE_SOURCES,
+  DEFAULT_IMPORT_COUNTRIES,
+  parseCountries,
+  detectFormat,
+  csvRecordToProduct,
+  readDumpRecords,
+  toMirrorRow,
+  importOffDump
+}
@@ -0,0 +1,100 @@
+import { supabase } from '../config/database.js'
+import { recordProductChanges, HISTORY_SOURCE_COLUMNS } from './productHistory.js'
+import { OVERWRITABLE_SOURCES } from './offImporter.js'
+
+/**
+ * Local Open Food Facts mirror
+ *
+ * The Supabase-backed store scripts/importOffDump.js writes through, and its
+ * run history. Reads go through productRepository.js like any cached product;
+ * delta updates that change a product are versioned like live refreshes.
+ */
+
+/**
+ * Latest import runs, newest first
+ */
+export const getImportRuns = async (limit = 20) => {
+  const { data, error } = await supabase
+    .from('off_import_runs')
+    .select('*')
+    .order('started_at', { ascending: false })
+    .limit(limit)
+
+  if (error) throw error
+  return data || []
+}
+
+// Store interface used by importOffDump
+export const mirrorStore = {
+  async isDeltaApplied(sourceFile) {
+    const { data, error } = await supabase
+      .from('off_import_runs')
+      .select('id')
+      .eq('kind', 'delta')
+      .eq('source_file', sourceFile)
+      .eq('status', 'completed')
+      .limit(1)
+
+    if (error) throw error
+    return (data || []).length > 0
+  },
+
+  async startRun({ kind, source_file, countries }) {
+    const { data, error } = await supabase
+      .from('off_import_runs')
+      .insert([{ kind, source_file, countries, status: 'running' }])
+      .select()
+      .single()
+
+    if (error) throw error
+    return data
+  },
+
+  async finishRun(id, fields) {
+    const { error } = await supabase
+      .from('off_import_runs')
+      .update({ ...fields, finished_at: new Date().toISOString() })
+      .eq('id', id)
+
+    if (error) throw error
+  },
+
+  async getStored(barcodes) {
+    const { data, error } = await supabase
+      .from('products')
+      .select('barcode, data_source, off_last_modified')
+      .in('barcode', barcodes)
+
+    if (error) throw error
+    return new Map((data || []).map(row => [row.barcode, row]))
+  },
+
+  async upsertProducts(rows) {
+    const { data: previous, error: previousError } = await supabase
+      .from('products')
+      .select(HISTORY_SOURCE_COLUMNS)
+      .in('barcode', rows.map(r => r.barcode))
+
+    if (previousError) throw previousError
+
+    // A curated row cached since getStored still wins
+    const before = new Map((previous || []).map(row => [row.barcode, row]))
+    const writable = rows.filter(row => !before.has(row.barcode) || OVERWRITABLE_SOURCES.includes(before.get(row.barcode).data_source))
+    if (writable.length === 0) return
+
+    const { error } = await supabase
+      .from('products')
+      .upsert(writable, { onConflict: 'barcode' })
+
+    if (error) throw error
+
+    await recordProductChanges(writable
+      .filter(row => before.has(row.barcode))
+      .map(row => ({ before: before.get(row.barcode), after: row })))
+  }
+}
+
+export default {
+  getImportRuns,
+  mirrorStore
+}
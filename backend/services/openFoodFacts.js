@@ -15,6 +15,67 @@ const fetchWithTimeout = async (url, options = {}, timeoutMs = DEFAULT_TIMEOUT_M
   }
 }
 
+/**
+ * Map an Open Food Facts product (API response or dump record) to the
+ * product shape used by scoring and alerts
+ * @param {Object} product - OFF product object
+ * @param {string} [barcode] - Barcode, defaults to product.code
+ * @returns {Object} Product data with per-100g nutrition facts
+ */
+export const mapOffProduct = (product, barcode = product.code) => {
+  const nutriments = product.nutriments || {}
+
+  // OFF computes *_100g for most products; fall back to per-serving values when it didn't
+  const servingQuantity = Number(product.serving_quantity) || null
+  const per100 = (key) => {
+    if (nutriments[`${key}_100g`] != null) return nutriments[`${key}_100g`]
+    if (nutriments[`${key}_serving`] != null && servingQuantity) {
+      return (nutriments[`${key}_serving`] * 100) / servingQuantity
+    }
+    return undefined
+  }
+
+  const isLiquid = /\b(ml|cl|l|litre|liter)\b/i.test(product.quantity || '') ||
+    (product.categories_tags || []).includes('en:beverages')
+  const lastModified = Number(product.last_modified_t)
+
+  return {
+    name: product.product_name || product.product_name_en || 'Unknown Product',
+    brand: product.brands || 'Unknown Brand',
+    category: product.categories || 'Unknown Category',
+    categories_tags: product.categories_tags || [],
+    barcode: barcode,
+    ingredients: product.ingredients_text || product.ingredients_text_en || '',
+    nova_group: product.nova_group || product.nova_groups || null,
+    nutrition_facts: {
+      energy: per100('energy-kcal') || per100('energy') || 0,
+      protein: per100('proteins') || 0,
+      carbohydrates: per100('carbohydrates') || 0,
+      sugar: per100('sugars') || 0,
+      fat: per100('fat') || 0,
+      saturated_fat: per100('saturated-fat') || 0,
+      sodium: per100('sodium') || per100('salt') * 0.4 || 0,
+      fiber: per100('fiber') || 0,
+      trans_fat: per100('trans-fat') ?? null,
+      fruit_veg_pct: nutriments['fruits-vegetables-nuts_100g'] ?? nutriments['fruits-vegetables-nuts-estimate-from-ingredients_100g'] ?? null
+    },
+    serving: {
+      basis: isLiquid ? '100ml' : '100g',
+      serving_size: product.serving_size || null,
+      serving_quantity: servingQuantity,
+      pack_size: product.quantity || null,
+      pack_quantity: Number(product.product_quantity) || null
+    },
+    additives: product.additives_tags || [],
+    allergens: product.allergens_tags || [],
+    traces: product.traces_tags || [],
+    labels: product.labels_tags || [],
+    image_url: product.image_url || product.image_front_url || '',
+    off_last_modified: lastModified > 0 ? new Date(lastModified * 1000).toISOString() : null,
+    data_source: 'Open Food Facts'
+  }
+}
+
 /**
  * Get product data from Open Food Facts
  * @param {string} barcode - Product barcode
@@ -34,31 +95,7 @@ export const getProductByBarcode = async (barcode) => {
       return null // Product not found
     }
 
-    // Parse and format product data
-    const product = data.product
-    
-    return {
-      name: product.product_name || product.product_name_en || 'Unknown Product',
-      brand: product.brands || 'Unknown Brand',
-      category: product.categories || 'Unknown Category',
-      barcode: barcode,
-      ingredients: product.ingredients_text || product.ingredients_text_en || '',
-      nova_group: product.nova_group || product.nova_groups || null,
-      nutrition_facts: {
-        energy: product.nutriments?.['energy-kcal_100g'] || product.nutriments?.energy_100g || 0,
-        protein: product.nutriments?.proteins_100g || 0,
-        carbohydrates: product.nutriments?.carbohydrates_100g || 0,
-        sugar: product.nutriments?.sugars_100g || 0,
-        fat: product.nutriments?.fat_100g || 0,
-        saturated_fat: product.nutriments?.['saturated-fat_100g'] || 0,
-        sodium: product.nutriments?.sodium_100g || product.nutriments?.salt_100g * 0.4 || 0,
-        fiber: product.nutriments?.fiber_100g || 0
-      },
-      additives: product.additives_tags || [],
-      allergens: product.allergens_tags || [],
-      image_url: product.image_url || product.image_front_url || '',
-      data_source: 'Open Food Facts'
-    }
+    return mapOffProduct(data.product, barcode)
   } catch (error) {
     logger.error('Error fetching from Open Food Facts:', error)
     throw error
@@ -96,6 +133,7 @@ export const searchProducts = async (query, page = 1) => {
 }
 
 export default {
+  mapOffProduct,
   getProductByBarcode,
   searchProducts
 }
@@ -0,0 +1,276 @@
+import { supabase } from '../config/database.js'
+import { logger } from '../utils/logger.js'
+import { getWeeklyIntake } from './intakeBudget.js'
+import { getTargets } from './dietaryTargets.js'
+
+/**
+ * Patient summaries for doctors
+ *
+ * Shared by the single-patient dashboard (share links) and the doctor
+ * roster, so both show the same risk patterns and alerts.
+ */
+
+/**
+ * Calculate risk patterns from scan history
+ */
+export function calculateRiskPatterns(scanHistory) {
+  if (!scanHistory || scanHistory.length === 0) {
+    return {}
+  }
+
+  const oneWeekAgo = new Date()
+  oneWeekAgo.setDate(oneWeekAgo.getDate() - 7)
+
+  const recentScans = scanHistory.filter(
+    scan => new Date(scan.scanned_at) >= oneWeekAgo
+  )
+
+  const riskyScans = recentScans.filter(scan => scan.truth_score <= 5)
+  const highSugarScans = recentScans.filter(
+    scan => scan.risk_factors?.some(r => r.includes('Sugar'))
+  )
+  const highSodiumScans = recentScans.filter(
+    scan => scan.risk_factors?.some(r => r.includes('Sodium'))
+  )
+
+  const avgScore = scanHistory.length > 0
+    ? Math.round(scanHistory.reduce((sum, s) => sum + s.truth_score, 0) / scanHistory.length)
+    : 0
+
+  return {
+    'Total Scans (7 days)': recentScans.length,
+    'Risky Products (Score ≤5)': riskyScans.length,
+    'High Sugar Products': highSugarScans.length,
+    'High Sodium Products': highSodiumScans.length,
+    'Average Truth Score': avgScore
+  }
+}
+
+const TARGET_LABELS = {
+  sugar: { name: 'sugar', format: v => `${v}g` },
+  sodium: { name: 'sodium', format: v => `${Math.round(v * 1000)}mg` },
+  saturated_fat: { name: 'saturated fat', format: v => `${v}g` },
+  energy: { name: 'energy', format: v => `${v} kcal` }
+}
+
+/**
+ * Generate alerts for doctor
+ * @param {Array} scanHistory - Patient scans, newest first
+ * @param {Object} patient - users row
+ * @param {Object} [context] - { targets, weeklyIntake } from loadPatientContext
+ */
+export function generateDoctorAlerts(scanHistory, patient, context = {}) {
+  const alerts = []
+  const { targets, weeklyIntake } = context
+  const dailyLimits = targets?.daily_limits || {}
+
+  const oneWeekAgo = new Date()
+  oneWeekAgo.setDate(oneWeekAgo.getDate() - 7)
+
+  const recentScans = scanHistory.filter(
+    scan => new Date(scan.scanned_at) >= oneWeekAgo
+  )
+
+  const riskyScans = recentScans.filter(scan => scan.truth_score <= 5)
+
+  // Alert if 3+ risky scans per week
+  if (riskyScans.length >= 3) {
+    alerts.push({
+      id: `alert-${Date.now()}-1`,
+      title: 'High Risk Pattern Detected',
+      message: `Patient scanned ${riskyScans.length} risky products (score ≤5) in the past week`,
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  // Check for specific health concerns
+  // The condition's title only when the patient has it; a target alone gets a neutral one
+  const diabetic = patient.health_conditions?.includes('Diabetes')
+  if (diabetic || dailyLimits.sugar != null) {
+    const highSugarScans = recentScans.filter(
+      scan => scan.risk_factors?.some(r => r.toLowerCase().includes('sugar'))
+    )
+    
+    if (highSugarScans.length >= 2) {
+      alerts.push({
+        id: `alert-${Date.now()}-2`,
+        title: diabetic ? 'Diabetes Management Concern' : 'Sugar Intake Above Target',
+        message: diabetic
+          ? `Patient (diabetic) scanned ${highSugarScans.length} high-sugar products this week`
+          : `Patient scanned ${highSugarScans.length} products above their sugar target this week`,
+        timestamp: new Date().toISOString()
+      })
+    }
+  }
+
+  const hypertensive = patient.health_conditions?.includes('Hypertension')
+  if (hypertensive || dailyLimits.sodium != null) {
+    const highSodiumScans = recentScans.filter(
+      scan => scan.risk_factors?.some(r => r.toLowerCase().includes('sodium'))
+    )
+    
+    if (highSodiumScans.length >= 2) {
+      alerts.push({
+        id: `alert-${Date.now()}-3`,
+        title: hypertensive ? 'Hypertension Management Concern' : 'Sodium Intake Above Target',
+        message: hypertensive
+          ? `Patient (hypertensive) scanned ${highSodiumScans.length} high-sodium products this week`
+          : `Patient scanned ${highSodiumScans.length} products above their sodium target this week`,
+        timestamp: new Date().toISOString()
+      })
+    }
+  }
+
+  // Doctor-set targets: added sugar in scanned products...
+  if (targets?.avoid_added_sugar) {
+    const addedSugarScans = recentScans.filter(
+      scan => scan.risk_factors?.some(r => r.startsWith('Contains Added Sugar'))
+    )
+
+    if (addedSugarScans.length >= 1) {
+      alerts.push({
+        id: `alert-${Date.now()}-4`,
+        title: 'Added Sugar Target Missed',
+        message: `Patient scanned ${addedSugarScans.length} product${addedSugarScans.length === 1 ? '' : 's'} with added sugar this week despite a no-added-sugar target`,
+        timestamp: new Date().toISOString()
+      })
+    }
+  }
+
+  // ...and daily limits against what was logged as eaten
+  for (const [key, limit] of Object.entries(dailyLimits)) {
+    const label = TARGET_LABELS[key]
+    const loggedDays = weeklyIntake?.days?.filter(day => day.entries > 0) || []
+    const overDays = loggedDays.filter(day => day.budget[key]?.status === 'over')
+
+    if (label && overDays.length >= 2) {
+      alerts.push({
+        id: `alert-${Date.now()}-target-${key}`,
+        title: 'Daily Target Exceeded',
+        message: `Patient went over their ${label.name} target (${label.format(limit)}/day) on ${overDays.length} of ${loggedDays.length} logged days this week`,
+        timestamp: new Date().toISOString()
+      })
+    }
+  }
+
+  return alerts
+}
+
+// Weights for ordering a roster by risk; alerts matter more than raw counts
+const RISK_WEIGHTS = { alert: 3, risky: 1, sugar: 0.5, sodium: 0.5 }
+
+/**
+ * Single number used to sort patients by risk (higher is riskier)
+ * @param {Object} patterns - Output of calculateRiskPatterns
+ * @param {Array} alerts - Output of generateDoctorAlerts
+ * @returns {number}
+ */
+export function calculateRiskScore(patterns = {}, alerts = []) {
+  const score =
+    alerts.length * RISK_WEIGHTS.alert +
+    (patterns['Risky Products (Score ≤5)'] || 0) * RISK_WEIGHTS.risky +
+    (patterns['High Sugar Products'] || 0) * RISK_WEIGHTS.sugar +
+    (patterns['High Sodium Products'] || 0) * RISK_WEIGHTS.sodium
+  return Math.round(score * 10) / 10
+}
+
+/**
+ * @returns {'high'|'medium'|'low'|'none'}
+ */
+export function riskLevel(riskScore, scanCount) {
+  if (!scanCount) return 'none'
+  if (riskScore >= 6) return 'high'
+  if (riskScore >= 2) return 'medium'
+  return 'low'
+}
+
+/**
+ * Recent scans for a patient (same window the dashboard has always used)
+ */
+export async function getPatientScans(patientId, limit = 50) {
+  const { data, error } = await supabase
+    .from('scans')
+    .select('*')
+    .eq('user_id', patientId)
+    .order('scanned_at', { ascending: false })
+    .limit(limit)
+
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * A patient's scans within [from, to), newest first (doctor reports)
+ */
+export async function getPatientScansBetween(patientId, from, to, limit = 2000) {
+  const { data, error } = await supabase
+    .from('scans')
+    .select('*')
+    .eq('user_id', patientId)
+    .gte('scanned_at', from.toISOString())
+    .lt('scanned_at', to.toISOString())
+    .order('scanned_at', { ascending: false })
+    .limit(limit)
+
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Everything the doctor views need for one patient
+ * @param {string} patientId - Patient user_id
+ * @param {Object} [options] - { targets } when already loaded (roster)
+ * @returns {Promise<{scanHistory: Array, targets: Object|null, weeklyIntake: Object|null}>}
+ */
+export async function loadPatientContext(patientId, options = {}) {
+  const targets = options.targets !== undefined ? options.targets : await getTargets(patientId)
+  const scanHistory = await getPatientScans(patientId)
+
+  // Intake is optional; most patients never log what they ate
+  let weeklyIntake = null
+  try {
+    weeklyIntake = await getWeeklyIntake(patientId, { targets })
+  } catch (intakeError) {
+    logger.warn('Weekly intake unavailable for doctor view:', intakeError.message)
+  }
+
+  return { scanHistory, targets, weeklyIntake }
+}
+
+/**
+ * Roster row for one patient
+ * @param {Object} patient - users row
+ * @param {Array} scanHistory - Patient scans, newest first
+ * @param {Object} [context] - { targets, weeklyIntake }
+ * @returns {Object} Summary
+ */
+export function buildPatientSummary(patient, scanHistory = [], context = {}) {
+  const riskPatterns = calculateRiskPatterns(scanHistory)
+  const alerts = generateDoctorAlerts(scanHistory, patient, context)
+  const riskScore = calculateRiskScore(riskPatterns, alerts)
+
+  return {
+    user_id: patient.user_id,
+    display_name: patient.display_name || null,
+    email: patient.email || null,
+    health_conditions: patient.health_conditions || [],
+    allergies: patient.allergies || [],
+    last_scan_at: scanHistory[0]?.scanned_at || null,
+    risk_patterns: riskPatterns,
+    alerts,
+    risk_score: riskScore,
+    risk_level: riskLevel(riskScore, scanHistory.length),
+    has_targets: Boolean(context.targets)
+  }
+}
+
+export default {
+  calculateRiskPatterns,
+  generateDoctorAlerts,
+  calculateRiskScore,
+  riskLevel,
+  getPatientScans,
+  getPatientScansBetween,
+  loadPatientContext,
+  buildPatientSummary
+}
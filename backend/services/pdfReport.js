@@ -0,0 +1,486 @@
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib'
+
+/**
+ * Doctor PDF report
+ *
+ * Multi-page A4 report for one patient over a date range: summary, dietary
+ * targets, truth-score trend, risk factor frequencies, condition summaries,
+ * alerts and the full scan list. Text wraps to the page width and every
+ * section continues on a new page instead of being cut off.
+ */
+
+export const DEFAULT_REPORT_DAYS = 30
+export const MAX_REPORT_DAYS = 366
+
+const PAGE_WIDTH = 595 // A4
+const PAGE_HEIGHT = 842
+const MARGIN = 50
+const FOOTER_HEIGHT = 30
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2
+
+const COLORS = {
+  title: rgb(0.15, 0.25, 0.91),
+  text: rgb(0, 0, 0),
+  muted: rgb(0.45, 0.45, 0.45),
+  rule: rgb(0.85, 0.85, 0.85),
+  bar: rgb(0.3, 0.3, 0.3),
+  line: rgb(0.15, 0.25, 0.91),
+  risky: rgb(0.8, 0.15, 0.15)
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Risk factors that matter most for each condition (prefix of the stored risk factor text)
+const CONDITION_FACTORS = {
+  Diabetes: ['High Sugar Content', 'Contains Added Sugar'],
+  Obesity: ['High Calorie Density', 'High Sugar Content'],
+  Hypertension: ['High Sodium'],
+  'Kidney Disease': ['High Sodium'],
+  'Heart Disease': ['High Saturated Fat', 'High Sodium'],
+  'High Cholesterol': ['High Saturated Fat']
+}
+
+const TARGET_LABELS = {
+  sugar: v => `Sugar: under ${v}g/day`,
+  sodium: v => `Sodium: under ${Math.round(v * 1000)}mg/day`,
+  saturated_fat: v => `Saturated fat: under ${v}g/day`,
+  energy: v => `Energy: under ${v} kcal/day`
+}
+
+/**
+ * Parse ?from=&to= (YYYY-MM-DD, inclusive); defaults to the last 30 days
+ * @param {Object} query - Express req.query
+ * @returns {{from?: Date, to?: Date, error?: string}} `to` is exclusive (start of the next day)
+ */
+export const parseReportRange = (query = {}) => {
+  const pattern = /^\d{4}-\d{2}-\d{2}$/
+  for (const key of ['from', 'to']) {
+    if (query[key] && (!pattern.test(query[key]) || Number.isNaN(Date.parse(query[key])))) {
+      return { error: `${key} must be a date in YYYY-MM-DD format` }
+    }
+  }
+
+  const to = query.to
+    ? new Date(Date.parse(`${query.to}T00:00:00Z`) + DAY_MS)
+    : new Date(Date.parse(`${new Date().toISOString().slice(0, 10)}T00:00:00Z`) + DAY_MS)
+  const from = query.from
+    ? new Date(`${query.from}T00:00:00Z`)
+    : new Date(to.getTime() - DEFAULT_REPORT_DAYS * DAY_MS)
+
+  if (from >= to) return { error: 'from must be on or before to' }
+  if ((to - from) / DAY_MS > MAX_REPORT_DAYS) {
+    return { error: `The report range can cover at most ${MAX_REPORT_DAYS} days` }
+  }
+  return { from, to }
+}
+
+// Standard PDF fonts only cover WinAnsi; map common symbols and drop the rest (emoji etc.)
+const toPdfText = (value) => String(value ?? '')
+  .replace(/≤/g, '<=')
+  .replace(/≥/g, '>=')
+  .replace(/[–—]/g, '-')
+  .replace(/[‘’]/g, "'")
+  .replace(/[“”]/g, '"')
+  .replace(/…/g, '...')
+  .replace(/\s+/g, ' ')
+  .replace(/[^\x20-\x7E\xA0-\xFF]/g, '')
+  .trim()
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })
+
+/**
+ * Split text into lines that fit maxWidth; words longer than a line are broken
+ */
+const wrapText = (text, font, size, maxWidth) => {
+  const width = (s) => font.widthOfTextAtSize(s, size)
+  const lines = []
+  let line = ''
+
+  for (let word of toPdfText(text).split(' ')) {
+    while (width(word) > maxWidth) {
+      let cut = word.length - 1
+      while (cut > 1 && width(word.slice(0, cut)) > maxWidth) cut--
+      if (line) {
+        lines.push(line)
+        line = ''
+      }
+      lines.push(word.slice(0, cut))
+      word = word.slice(cut)
+    }
+    const candidate = line ? `${line} ${word}` : word
+    if (width(candidate) > maxWidth && line) {
+      lines.push(line)
+      line = word
+    } else {
+      line = candidate
+    }
+  }
+  if (line) lines.push(line)
+  return lines.length > 0 ? lines : ['']
+}
+
+/**
+ * Keeps track of the current page and y position, adding pages as needed
+ */
+class ReportWriter {
+  constructor(doc, fonts) {
+    this.doc = doc
+    this.fonts = fonts
+    this.addPage()
+  }
+
+  addPage() {
+    this.page = this.doc.addPage([PAGE_WIDTH, PAGE_HEIGHT])
+    this.y = PAGE_HEIGHT - MARGIN
+    if (this.onNewPage) this.onNewPage()
+  }
+
+  // Start a new page unless `height` more points fit above the footer
+  ensureSpace(height) {
+    if (this.y - height < MARGIN + FOOTER_HEIGHT) this.addPage()
+  }
+
+  text(value, { size = 11, bold = false, color = COLORS.text, x = MARGIN, maxWidth = CONTENT_WIDTH, gap = 4 } = {}) {
+    const font = bold ? this.fonts.bold : this.fonts.regular
+    for (const line of wrapText(value, font, size, maxWidth)) {
+      this.ensureSpace(size + gap)
+      this.y -= size
+      this.page.drawText(line, { x, y: this.y, size, font, color })
+      this.y -= gap
+    }
+  }
+
+  heading(value) {
+    // Keep a heading with at least a few lines of its section
+    this.ensureSpace(80)
+    this.y -= 14
+    this.text(value, { size: 15, bold: true, gap: 8 })
+  }
+
+  rule() {
+    this.ensureSpace(10)
+    this.y -= 4
+    this.page.drawLine({
+      start: { x: MARGIN, y: this.y },
+      end: { x: PAGE_WIDTH - MARGIN, y: this.y },
+      thickness: 0.5,
+      color: COLORS.rule
+    })
+    this.y -= 6
+  }
+}
+
+const average = (values) => values.length
+  ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10
+  : null
+
+// "High Sodium: 900mg per 100g" -> "High Sodium"; "Contains 5 artificial additives" -> "Many artificial additives"
+const riskFactorLabel = (riskFactor) => {
+  if (/artificial additives/i.test(riskFactor)) return 'Many artificial additives'
+  return String(riskFactor).split(':')[0].trim()
+}
+
+/**
+ * How often each risk factor appeared, most frequent first
+ */
+export const countRiskFactors = (scans) => {
+  const counts = new Map()
+  for (const scan of scans) {
+    // Count a factor once per scan
+    for (const label of new Set((scan.risk_factors || []).map(riskFactorLabel))) {
+      counts.set(label, (counts.get(label) || 0) + 1)
+    }
+  }
+  return [...counts.entries()]
+    .map(([label, count]) => ({ label, count }))
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+}
+
+/**
+ * Average truth score per day with scans
+ */
+export const dailyScoreTrend = (scans) => {
+  const byDay = new Map()
+  for (const scan of scans) {
+    if (scan.truth_score == null) continue
+    const day = new Date(scan.scanned_at).toISOString().slice(0, 10)
+    if (!byDay.has(day)) byDay.set(day, [])
+    byDay.get(day).push(Number(scan.truth_score))
+  }
+  return [...byDay.entries()]
+    .map(([day, scores]) => ({ day, average: average(scores), count: scores.length }))
+    .sort((a, b) => a.day.localeCompare(b.day))
+}
+
+/**
+ * One summary line per health condition on file
+ */
+export const conditionSummaries = (conditions = [], scans = []) => conditions.map((condition) => {
+  const factors = CONDITION_FACTORS[condition]
+  if (!factors) {
+    return { condition, text: 'Not tracked from nutrition labels; review ingredients with the patient.' }
+  }
+  if (scans.length === 0) {
+    return { condition, text: 'No scans in this period.' }
+  }
+
+  const flagged = scans.filter(scan => scan.risk_factors?.some(r => factors.includes(riskFactorLabel(r))))
+  const share = Math.round((flagged.length / scans.length) * 100)
+  const flaggedAverage = average(flagged.map(s => Number(s.truth_score)).filter(Number.isFinite))
+
+  return {
+    condition,
+    text: `${flagged.length} of ${scans.length} scanned products (${share}%) were flagged for ${factors.join(' / ').toLowerCase()}` +
+      (flaggedAverage != null ? `; their average truth score was ${flaggedAverage}/10.` : '.')
+  }
+})
+
+const drawTrendChart = (writer, trend, from, to) => {
+  const height = 160
+  const left = MARGIN + 24
+  const width = CONTENT_WIDTH - 24
+  writer.ensureSpace(height + 30)
+
+  const top = writer.y - 6
+  const bottom = top - height
+  const { page, fonts } = writer
+  const span = Math.max(to - from, DAY_MS)
+  const xFor = (day) => left + ((Date.parse(`${day}T12:00:00Z`) - from.getTime()) / span) * width
+  const yFor = (score) => bottom + (score / 10) * height
+
+  // Axes and gridlines at 0, 5 and 10; the dashed line marks the "risky" cut-off
+  for (const score of [0, 5, 10]) {
+    page.drawLine({
+      start: { x: left, y: yFor(score) },
+      end: { x: left + width, y: yFor(score) },
+      thickness: score === 0 ? 1 : 0.5,
+      color: score === 5 ? COLORS.risky : COLORS.rule,
+      dashArray: score === 5 ? [3, 3] : undefined
+    })
+    page.drawText(String(score), { x: MARGIN, y: yFor(score) - 3, size: 8, font: fonts.regular, color: COLORS.muted })
+  }
+
+  const points = trend.map(point => ({ x: xFor(point.day), y: yFor(point.average) }))
+  for (let i = 1; i < points.length; i++) {
+    page.drawLine({ start: points[i - 1], end: points[i], thickness: 1.5, color: COLORS.line })
+  }
+  for (const point of points) {
+    page.drawCircle({ x: point.x, y: point.y, size: 2.5, color: COLORS.line })
+  }
+
+  const label = (text, x) => page.drawText(text, { x, y: bottom - 14, size: 8, font: fonts.regular, color: COLORS.muted })
+  label(formatDate(from), left)
+  const endLabel = formatDate(new Date(to.getTime() - DAY_MS))
+  label(endLabel, left + width - fonts.regular.widthOfTextAtSize(endLabel, 8))
+
+  writer.y = bottom - 24
+}
+
+const drawRiskBars = (writer, counts, scanCount) => {
+  const labelWidth = 170
+  const barMax = CONTENT_WIDTH - labelWidth - 60
+  const highest = counts[0]?.count || 1
+
+  for (const { label, count } of counts) {
+    writer.ensureSpace(18)
+    const y = writer.y - 11
+    writer.page.drawText(toPdfText(label), { x: MARGIN, y, size: 10, font: writer.fonts.regular })
+    writer.page.drawRectangle({
+      x: MARGIN + labelWidth,
+      y: y - 2,
+      width: Math.max(2, (count / highest) * barMax),
+      height: 10,
+      color: COLORS.bar
+    })
+    const share = Math.round((count / scanCount) * 100)
+    writer.page.drawText(`${count} (${share}%)`, {
+      x: MARGIN + labelWidth + barMax + 8,
+      y,
+      size: 10,
+      font: writer.fonts.regular
+    })
+    writer.y -= 18
+  }
+}
+
+const SCAN_COLUMNS = [
+  { title: 'Date', x: MARGIN, width: 80 },
+  { title: 'Product', x: MARGIN + 85, width: 250 },
+  { title: 'Score', x: MARGIN + 340, width: 40 },
+  { title: 'Risk factors', x: MARGIN + 385, width: CONTENT_WIDTH - 385 }
+]
+
+const drawScanTable = (writer, scans) => {
+  const size = 9
+  const lineHeight = 12
+
+  const drawHeader = () => {
+    writer.y -= size + 2
+    for (const column of SCAN_COLUMNS) {
+      writer.page.drawText(column.title, { x: column.x, y: writer.y, size, font: writer.fonts.bold })
+    }
+    writer.y -= 6
+  }
+
+  writer.ensureSpace(40)
+  drawHeader()
+  writer.rule()
+
+  // Repeat the column headers on every page the table continues on
+  writer.onNewPage = drawHeader
+
+  for (const scan of scans) {
+    const cells = [
+      [formatDate(scan.scanned_at)],
+      wrapText(scan.product_name || 'Unknown product', writer.fonts.regular, size, SCAN_COLUMNS[1].width),
+      [`${scan.truth_score ?? '-'}/10`],
+      wrapText([...new Set((scan.risk_factors || []).map(riskFactorLabel))].join(', ') || '-', writer.fonts.regular, size, SCAN_COLUMNS[3].width)
+    ]
+    const rows = Math.max(...cells.map(lines => lines.length))
+
+    writer.ensureSpace(rows * lineHeight + 4)
+    const top = writer.y
+    cells.forEach((lines, i) => {
+      lines.forEach((line, row) => {
+        writer.page.drawText(line, {
+          x: SCAN_COLUMNS[i].x,
+          y: top - size - row * lineHeight,
+          size,
+          font: writer.fonts.regular,
+          color: i === 2 && scan.truth_score <= 5 ? COLORS.risky : COLORS.text
+        })
+      })
+    })
+    writer.y = top - rows * lineHeight - 4
+  }
+
+  writer.onNewPage = null
+}
+
+/**
+ * Build the report
+ * @param {Object} report
+ * @param {Object} report.patient - users row
+ * @param {string} report.label - How the patient is named on paper (never the account id)
+ * @param {Array} report.scans - Scans within the range, newest first
+ * @param {Array} report.alerts - Output of generateDoctorAlerts
+ * @param {Object|null} report.targets - Dietary targets
+ * @param {Date} report.from - Range start (inclusive)
+ * @param {Date} report.to - Range end (exclusive)
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+export const generateDoctorReport = async ({ patient, label, scans = [], alerts = [], targets = null, from, to }) => {
+  const doc = await PDFDocument.create()
+  const fonts = {
+    regular: await doc.embedFont(StandardFonts.Helvetica),
+    bold: await doc.embedFont(StandardFonts.HelveticaBold)
+  }
+  const writer = new ReportWriter(doc, fonts)
+  const periodText = `${formatDate(from)} - ${formatDate(new Date(to.getTime() - DAY_MS))}`
+
+  // Title and patient
+  writer.text('Patient Nutrition Report', { size: 24, bold: true, color: COLORS.title, gap: 10 })
+  writer.text(`Period: ${periodText}`, { size: 11, color: COLORS.muted, gap: 12 })
+  writer.text(`Patient: ${label || 'Shared via HonestBite'}`, { size: 12 })
+  if (patient.health_conditions?.length > 0) {
+    writer.text(`Health Conditions: ${patient.health_conditions.join(', ')}`, { size: 12 })
+  }
+  if (patient.allergies?.length > 0) {
+    writer.text(`Allergies: ${patient.allergies.join(', ')}`, { size: 12 })
+  }
+
+  // Summary
+  const scores = scans.map(s => Number(s.truth_score)).filter(Number.isFinite)
+  const trend = dailyScoreTrend(scans)
+  writer.heading('Summary')
+  writer.text(`Products scanned: ${scans.length} on ${trend.length} day${trend.length === 1 ? '' : 's'}`)
+  writer.text(`Average truth score: ${average(scores) ?? '-'}/10`)
+  writer.text(`Risky products (score <= 5): ${scores.filter(s => s <= 5).length}`)
+
+  // Dietary targets
+  if (targets) {
+    writer.heading('Dietary Targets')
+    for (const [key, value] of Object.entries(targets.daily_limits || {})) {
+      if (TARGET_LABELS[key]) writer.text(TARGET_LABELS[key](value))
+    }
+    if (targets.avoid_added_sugar) writer.text('No added sugar')
+    if (targets.notes) writer.text(`Notes: ${targets.notes}`)
+    if (targets.updated_at) {
+      writer.text(`Last updated ${formatDate(targets.updated_at)}`, { size: 9, color: COLORS.muted })
+    }
+  }
+
+  // Trend
+  writer.heading('Truth Score Trend')
+  if (trend.length > 0) {
+    writer.text('Daily average truth score (0-10). The dashed line marks the risky threshold (5).', { size: 9, color: COLORS.muted, gap: 6 })
+    drawTrendChart(writer, trend, from, to)
+  } else {
+    writer.text('No scans in this period.', { color: COLORS.muted })
+  }
+
+  // Risk factors
+  const riskCounts = countRiskFactors(scans)
+  writer.heading('Risk Factor Frequency')
+  if (riskCounts.length > 0) {
+    writer.text('Share of scanned products flagged for each risk factor.', { size: 9, color: COLORS.muted, gap: 6 })
+    drawRiskBars(writer, riskCounts, scans.length)
+  } else {
+    writer.text('No risk factors flagged in this period.', { color: COLORS.muted })
+  }
+
+  // Conditions
+  if (patient.health_conditions?.length > 0) {
+    writer.heading('Condition Summaries')
+    for (const { condition, text } of conditionSummaries(patient.health_conditions, scans)) {
+      writer.text(condition, { bold: true, gap: 2 })
+      writer.text(text, { size: 10, gap: 8 })
+    }
+  }
+
+  // Alerts
+  writer.heading('Current Alerts')
+  if (alerts.length > 0) {
+    for (const alert of alerts) {
+      writer.text(alert.title, { bold: true, gap: 2 })
+      writer.text(alert.message, { size: 10, gap: 8 })
+    }
+  } else {
+    writer.text('No concerning patterns in the past week.', { color: COLORS.muted })
+  }
+
+  // Every scan in the range
+  writer.heading(`Scan History (${scans.length})`)
+  if (scans.length > 0) {
+    drawScanTable(writer, scans)
+  } else {
+    writer.text('No scans in this period.', { color: COLORS.muted })
+  }
+
+  // Footer on every page
+  const pages = doc.getPages()
+  const generated = toPdfText(`Generated on ${new Date().toLocaleString('en-IN')}`)
+  pages.forEach((page, index) => {
+    page.drawText(generated, { x: MARGIN, y: 30, size: 9, font: fonts.regular, color: COLORS.muted })
+    const pageLabel = `Page ${index + 1} of ${pages.length}`
+    page.drawText(pageLabel, {
+      x: PAGE_WIDTH - MARGIN - fonts.regular.widthOfTextAtSize(pageLabel, 9),
+      y: 30,
+      size: 9,
+      font: fonts.regular,
+      color: COLORS.muted
+    })
+  })
+
+  return await doc.save()
+}
+
+export default {
+  DEFAULT_REPORT_DAYS,
+  MAX_REPORT_DAYS,
+  parseReportRange,
+  countRiskFactors,
+  dailyScoreTrend,
+  conditionSummaries,
+  generateDoctorReport
+}
@@ -0,0 +1,262 @@
+import { supabase } from '../config/database.js'
+import { calculateTruthScore } from '../utils/truthScore.js'
+import { resolveScoringModel } from '../utils/scoringModels.js'
+import { fromProductRow, productEtag } from '../utils/productRow.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * Product change history
+ *
+ * Whenever a cached product is overwritten with different nutrition,
+ * ingredients or score, the new content is stored as the next version in
+ * product_history. History starts at the first change: the copy being
+ * replaced becomes version 1. When the truth score moves by a full point or
+ * more, everyone who scanned the product gets a notification.
+ */
+
+// Truth score change that counts as a reformulation worth telling scanners about
+export const NOTIFY_SCORE_DELTA = 1
+
+// Columns needed from products to score and diff a row
+export const HISTORY_SOURCE_COLUMNS = [
+  'barcode', 'name', 'brand', 'category', 'categories_tags', 'ingredients', 'nova_group',
+  'nutrition_facts', 'nutri_score', 'serving_info', 'additives', 'allergens', 'traces', 'labels', 'etag', 'data_source'
+].join(', ')
+
+/**
+ * Truth score of a products row under the current default model
+ */
+export const scoreProductRow = (row) => {
+  const product = fromProductRow(row)
+  const result = calculateTruthScore(product, product.nutrition_facts)
+  return typeof result === 'number' ? result : (result?.score ?? null)
+}
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+
+/**
+ * Field-level differences between two versions of a product
+ * @param {Object} before - Older products row or history row
+ * @param {Object} after - Newer one
+ * @returns {Array<{field: string, before: *, after: *}>} Changes; nutrients as "nutrition_facts.<key>"
+ */
+export const diffProductRows = (before, after) => {
+  const changes = []
+
+  const a = before.nutrition_facts || {}
+  const b = after.nutrition_facts || {}
+  for (const key of [...new Set([...Object.keys(a), ...Object.keys(b)])].sort()) {
+    if (!sameValue(a[key], b[key])) changes.push({ field: `nutrition_facts.${key}`, before: a[key] ?? null, after: b[key] ?? null })
+  }
+
+  if ((before.ingredients || '') !== (after.ingredients || '')) {
+    changes.push({ field: 'ingredients', before: before.ingredients || '', after: after.ingredients || '' })
+  }
+
+  const gradeBefore = before.nutri_score?.grade ?? null
+  const gradeAfter = after.nutri_score?.grade ?? null
+  if (gradeBefore !== gradeAfter) changes.push({ field: 'nutri_score', before: gradeBefore, after: gradeAfter })
+
+  if (before.truth_score != null && after.truth_score != null && before.truth_score !== after.truth_score) {
+    changes.push({ field: 'truth_score', before: before.truth_score, after: after.truth_score })
+  }
+  return changes
+}
+
+const toHistoryRow = (row, version, truthScore, model, changes) => ({
+  barcode: row.barcode,
+  version,
+  name: row.name,
+  brand: row.brand,
+  ingredients: row.ingredients || '',
+  nutrition_facts: row.nutrition_facts || {},
+  nutri_score: row.nutri_score || null,
+  truth_score: truthScore,
+  scoring_model_id: model.id,
+  scoring_model_version: model.version,
+  etag: row.etag || productEtag(row),
+  data_source: row.data_source,
+  changes
+})
+
+const getLatestVersion = async (barcode) => {
+  const { data, error } = await supabase
+    .from('product_history')
+    .select('version')
+    .eq('barcode', barcode)
+    .order('version', { ascending: false })
+    .limit(1)
+
+  if (error) throw error
+  return data?.[0]?.version ?? 0
+}
+
+/**
+ * Tell everyone who scanned a product that its score moved
+ * @param {Object} entry - product_history row of the new version
+ * @param {number} previousScore - Truth score of the version it replaced
+ * @returns {Promise<number>} Notifications created
+ */
+export const notifyScoreChange = async (entry, previousScore) => {
+  const { data: scans, error } = await supabase
+    .from('scans')
+    .select('user_id')
+    .eq('barcode', entry.barcode)
+
+  if (error) throw error
+  const userIds = [...new Set((scans || []).map(s => s.user_id).filter(Boolean))]
+  if (userIds.length === 0) return 0
+
+  const direction = entry.truth_score > previousScore ? 'improved' : 'dropped'
+  const name = entry.name || entry.barcode
+  const rows = userIds.map(user_id => ({
+    user_id,
+    type: 'product_reformulated',
+    barcode: entry.barcode,
+    product_history_id: entry.id,
+    title: `${name} has changed`,
+    body: `Its truth score ${direction} from ${previousScore}/10 to ${entry.truth_score}/10 since you scanned it.`,
+    data: {
+      version: entry.version,
+      truth_score_before: previousScore,
+      truth_score_after: entry.truth_score,
+      changed_fields: entry.changes.map(c => c.field)
+    }
+  }))
+
+  const { error: insertError } = await supabase
+    .from('notifications')
+    .upsert(rows, { onConflict: 'user_id,product_history_id', ignoreDuplicates: true })
+
+  if (insertError) throw insertError
+  return rows.length
+}
+
+/**
+ * Record a product update as a new history version when its content changed
+ * @param {Object|null} before - products row being replaced (null for a new product)
+ * @param {Object} after - products row just written
+ * @returns {Promise<Object|null>} New product_history row, or null when nothing tracked changed
+ */
+export const recordProductChange = async (before, after) => {
+  if (!before || !after) return null
+  if ((before.etag || productEtag(before)) === (after.etag || productEtag(after))) return null
+
+  // Both versions scored with the same model, so a model upgrade is not a reformulation
+  const model = resolveScoringModel()
+  const scoreBefore = scoreProductRow(before)
+  const scoreAfter = scoreProductRow(after)
+
+  const changes = diffProductRows(
+    { ...before, truth_score: scoreBefore },
+    { ...after, truth_score: scoreAfter }
+  )
+  if (changes.length === 0) return null
+
+  const latest = await getLatestVersion(after.barcode)
+  const rows = latest === 0
+    ? [toHistoryRow(before, 1, scoreBefore, model, []), toHistoryRow(after, 2, scoreAfter, model, changes)]
+    : [toHistoryRow(after, latest + 1, scoreAfter, model, changes)]
+
+  const { data, error } = await supabase
+    .from('product_history')
+    .insert(rows)
+    .select()
+
+  if (error) throw error
+  const entry = data.find(r => r.version === rows[rows.length - 1].version)
+
+  logger.info(`Product ${after.barcode} changed: v${entry.version} ${changes.map(c => c.field).join(', ')}`)
+
+  if (scoreBefore != null && scoreAfter != null && Math.abs(scoreAfter - scoreBefore) >= NOTIFY_SCORE_DELTA) {
+    const notified = await notifyScoreChange(entry, scoreBefore)
+    if (notified > 0) logger.info(`Product ${after.barcode}: notified ${notified} user(s) of score ${scoreBefore} -> ${scoreAfter}`)
+  }
+  return entry
+}
+
+/**
+ * Record changes for a batch of overwritten rows (mirror imports)
+ * @param {Array<{before: Object, after: Object}>} pairs
+ * @returns {Promise<number>} Versions recorded
+ */
+export const recordProductChanges = async (pairs) => {
+  let recorded = 0
+  for (const { before, after } of pairs) {
+    try {
+      if (await recordProductChange(before, after)) recorded++
+    } catch (error) {
+      logger.warn(`Could not record history for ${after?.barcode}: ${error.message}`)
+    }
+  }
+  return recorded
+}
+
+/**
+ * Version history of a product, oldest first
+ * @param {string} barcode - Product barcode
+ * @returns {Promise<Array>} product_history rows
+ */
+export const getProductHistory = async (barcode) => {
+  const { data, error } = await supabase
+    .from('product_history')
+    .select('*')
+    .eq('barcode', barcode)
+    .order('version', { ascending: true })
+
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * A user's notifications, newest first
+ * @param {string} userId - users.user_id
+ * @param {Object} [options] - { unreadOnly, limit }
+ */
+export const listNotifications = async (userId, { unreadOnly = false, limit = 50 } = {}) => {
+  let query = supabase
+    .from('notifications')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(limit)
+
+  if (unreadOnly) query = query.is('read_at', null)
+
+  const { data, error } = await query
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Mark notifications read
+ * @param {string} userId - users.user_id
+ * @param {Array<number>} [ids] - Notification ids; all unread when omitted
+ * @returns {Promise<number>} Notifications marked
+ */
+export const markNotificationsRead = async (userId, ids = null) => {
+  let query = supabase
+    .from('notifications')
+    .update({ read_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('read_at', null)
+
+  if (ids) query = query.in('id', ids)
+
+  const { data, error } = await query.select('id')
+  if (error) throw error
+  return (data || []).length
+}
+
+export default {
+  NOTIFY_SCORE_DELTA,
+  HISTORY_SOURCE_COLUMNS,
+  scoreProductRow,
+  diffProductRows,
+  notifyScoreChange,
+  recordProductChange,
+  recordProductChanges,
+  getProductHistory,
+  listNotifications,
+  markNotificationsRead
+}
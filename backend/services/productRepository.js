@@ -0,0 +1,246 @@
+import { supabase } from '../config/database.js'
+import { getProductByBarcode } from './openFoodFacts.js'
+import { OFF_MIRROR_SOURCE } from './offImporter.js'
+import { recordProductChange } from './productHistory.js'
+import { toProductRow, fromProductRow, productEtag } from '../utils/productRow.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * Product repository
+ *
+ * The single read path for products by barcode. Cached rows are served while
+ * fresh (TTL per data source). Stale rows are served at once and refreshed in
+ * the background (stale-while-revalidate); rows past the max-stale window are
+ * refreshed before answering. Misses go to Open Food Facts, then the FSSAI
+ * manual database, and the result is cached. Overwrites that change the
+ * product are versioned in productHistory.js.
+ */
+
+export const OFF_SOURCE = 'Open Food Facts'
+export const FSSAI_SOURCE = 'FSSAI Manual Database'
+// fssai_products rows approved from community submissions (productSubmissions.js)
+export const COMMUNITY_SOURCE = 'Community submission'
+
+const HOUR_MS = 60 * 60 * 1000
+
+const hoursFromEnv = (name, fallback) => {
+  const value = Number(process.env[name])
+  return (Number.isFinite(value) && value > 0 ? value : fallback) * HOUR_MS
+}
+
+// How long a cached row counts as fresh, by data_source
+export const SOURCE_TTL_MS = {
+  [OFF_SOURCE]: hoursFromEnv('PRODUCT_TTL_HOURS_OFF', 72),
+  // Kept current by the daily delta imports; only refreshed live if those stop
+  [OFF_MIRROR_SOURCE]: hoursFromEnv('PRODUCT_TTL_HOURS_MIRROR', 7 * 24),
+  [FSSAI_SOURCE]: hoursFromEnv('PRODUCT_TTL_HOURS_FSSAI', 24),
+  [COMMUNITY_SOURCE]: hoursFromEnv('PRODUCT_TTL_HOURS_FSSAI', 24)
+}
+
+// Older than this, a stale row is refreshed before answering rather than after
+const MAX_STALE_MS = hoursFromEnv('PRODUCT_MAX_STALE_HOURS', 30 * 24)
+
+// After a failed refresh, keep serving the cached row for a while before retrying
+const RETRY_AFTER_MS = 10 * 60 * 1000
+
+const inFlight = new Map()
+const failedAt = new Map()
+
+// TIMESTAMP columns come back without a zone; they are written in UTC
+const parseTimestamp = (value) => {
+  if (!value) return 0
+  const text = String(value)
+  return new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(text) ? text : `${text}Z`).getTime()
+}
+
+/**
+ * Freshness metadata for a cached row
+ * @param {Object} row - products row
+ * @param {string} cache - 'hit' | 'stale' | 'miss' | 'refreshed'
+ */
+const describeFreshness = (row, cache, revalidating = false) => {
+  const ttlMs = SOURCE_TTL_MS[row.data_source] ?? SOURCE_TTL_MS[OFF_SOURCE]
+  const ageMs = Math.max(0, Date.now() - parseTimestamp(row.last_updated))
+  return {
+    source: row.data_source,
+    last_updated: row.last_updated ? new Date(parseTimestamp(row.last_updated)).toISOString() : null,
+    etag: row.etag || productEtag(row),
+    age_seconds: Math.round(ageMs / 1000),
+    ttl_seconds: Math.round(ttlMs / 1000),
+    stale: ageMs > ttlMs,
+    revalidating,
+    cache
+  }
+}
+
+const fetchFromFssai = async (barcode) => {
+  const { data, error } = await supabase
+    .from('fssai_products')
+    .select('*')
+    .eq('barcode', barcode)
+    .eq('is_active', true)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!data) return null
+  return {
+    name: data.name,
+    brand: data.brand,
+    category: data.category,
+    barcode: data.barcode,
+    ingredients: data.nutrition_info?.ingredients || '',
+    nutrition_facts: data.nutrition_info?.nutrition_facts || {},
+    serving: data.nutrition_info?.serving || null,
+    data_source: data.source === 'community' ? COMMUNITY_SOURCE : FSSAI_SOURCE
+  }
+}
+
+// FSSAI rows are refreshed from FSSAI first; everything else from Open Food Facts first
+const fetchUpstream = async (barcode, source) => {
+  const lookups = [FSSAI_SOURCE, COMMUNITY_SOURCE].includes(source)
+    ? [fetchFromFssai, getProductByBarcode]
+    : [getProductByBarcode, fetchFromFssai]
+
+  let lastError = null
+  for (const lookup of lookups) {
+    try {
+      const product = await lookup(barcode)
+      if (product) return product
+    } catch (error) {
+      lastError = error
+      logger.warn(`Product lookup failed for ${barcode}: ${error.message}`)
+    }
+  }
+  if (lastError) throw lastError
+  return null
+}
+
+const saveProduct = async (product, previous) => {
+  const row = toProductRow(product)
+  const { data, error } = await supabase
+    .from('products')
+    .upsert(row, { onConflict: 'barcode' })
+    .select()
+    .single()
+
+  if (error) {
+    logger.warn(`Could not cache product: ${error.message}`)
+    return row
+  }
+
+  // History and notifications must not hold up or fail the lookup
+  recordProductChange(previous, data)
+    .catch(historyError => logger.warn(`Could not record history for ${data.barcode}: ${historyError.message}`))
+  return data
+}
+
+/**
+ * Fetch a product from its source and store it, once at a time per barcode
+ * @param {string} barcode - Product barcode
+ * @param {Object} [cached] - products row being refreshed, if any
+ * @returns {Promise<Object|null>} Saved row, or null when no source has it
+ */
+export const refreshProduct = (barcode, cached = null) => {
+  if (inFlight.has(barcode)) return inFlight.get(barcode)
+
+  const task = (async () => {
+    try {
+      const product = await fetchUpstream(barcode, cached?.data_source)
+      if (!product) {
+        failedAt.set(barcode, Date.now())
+        return null
+      }
+      failedAt.delete(barcode)
+      return await saveProduct(product, cached)
+    } catch (error) {
+      failedAt.set(barcode, Date.now())
+      throw error
+    }
+  })().finally(() => inFlight.delete(barcode))
+
+  inFlight.set(barcode, task)
+  return task
+}
+
+/**
+ * Bring the cached copy of a curated product in line after an admin edit
+ * @param {string} barcode - fssai_products barcode
+ * @returns {Promise<Object|null>} Refreshed row, or null when nothing is cached
+ *   or the cached copy was dropped because no source has the product any more
+ */
+export const syncCachedProduct = async (barcode) => {
+  const { data: row, error } = await supabase
+    .from('products')
+    .select('*')
+    .eq('barcode', barcode)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!row || ![FSSAI_SOURCE, COMMUNITY_SOURCE].includes(row.data_source)) return null
+
+  const refreshed = await refreshProduct(barcode, row)
+  if (refreshed) return refreshed
+
+  const { error: deleteError } = await supabase.from('products').delete().eq('barcode', barcode)
+  if (deleteError) throw deleteError
+  return null
+}
+
+const canRetry = (barcode) => Date.now() - (failedAt.get(barcode) || 0) > RETRY_AFTER_MS
+
+/**
+ * Product by barcode
+ * @param {string} barcode - Product barcode
+ * @returns {Promise<{product: Object, freshness: Object}|null>} Product data and
+ *   freshness metadata (source, last_updated, etag, age, TTL), or null when not found
+ */
+export const getProduct = async (barcode) => {
+  const { data: row, error } = await supabase
+    .from('products')
+    .select('*')
+    .eq('barcode', barcode)
+    .maybeSingle()
+
+  if (error) logger.warn(`Product cache read failed: ${error.message}`)
+
+  if (row) {
+    const freshness = describeFreshness(row, 'hit')
+    if (!freshness.stale) return { product: fromProductRow(row), freshness }
+
+    const retry = canRetry(barcode)
+    if (freshness.age_seconds * 1000 <= MAX_STALE_MS || !retry) {
+      if (retry) {
+        refreshProduct(barcode, row)
+          .catch(refreshError => logger.warn(`Background refresh failed for ${barcode}: ${refreshError.message}`))
+      }
+      return { product: fromProductRow(row), freshness: describeFreshness(row, 'stale', retry) }
+    }
+
+    // Too old to serve without trying for a newer copy; fall back to it if that fails
+    try {
+      const refreshed = await refreshProduct(barcode, row)
+      if (refreshed) return { product: fromProductRow(refreshed), freshness: describeFreshness(refreshed, 'refreshed') }
+    } catch (refreshError) {
+      logger.warn(`Refresh failed for ${barcode}, serving stale copy: ${refreshError.message}`)
+    }
+    return { product: fromProductRow(row), freshness: describeFreshness(row, 'stale') }
+  }
+
+  try {
+    const saved = await refreshProduct(barcode)
+    return saved ? { product: fromProductRow(saved), freshness: describeFreshness(saved, 'miss') } : null
+  } catch (fetchError) {
+    logger.warn(`Product lookup failed for ${barcode}: ${fetchError.message}`)
+    return null
+  }
+}
+
+export default {
+  OFF_SOURCE,
+  FSSAI_SOURCE,
+  COMMUNITY_SOURCE,
+  SOURCE_TTL_MS,
+  getProduct,
+  refreshProduct,
+  syncCachedProduct
+}
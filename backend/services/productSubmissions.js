@@ -0,0 +1,419 @@
+import crypto from 'crypto'
+import sharp from 'sharp'
+import { supabase } from '../config/database.js'
+import { enhancedOCR } from './enhancedOCR.js'
+import { transcribeImageWithGemini } from './gemini.js'
+import { logger } from '../utils/logger.js'
+import { NUTRIENT_LIMITS, validateFssaiLicense, validateNutritionFacts, validateServing, barcodeVariants } from '../utils/fssaiProduct.js'
+
+/**
+ * Community product submissions
+ *
+ * A user who scans an unknown barcode photographs the front, the nutrition
+ * panel and the ingredients. The photos are stored in Supabase Storage, their
+ * text is read and run through the OCR pipeline to pre-fill the fields, and
+ * the user corrects and submits a draft. A moderator approves it into
+ * fssai_products (with provenance) or rejects it.
+ */
+
+export const SUBMISSION_PHOTOS = ['front', 'nutrition', 'ingredients']
+export const SUBMISSIONS_BUCKET = process.env.PRODUCT_SUBMISSIONS_BUCKET || 'product-submissions'
+
+// Nutrients a submission can carry (per 100g/100ml), with sanity bounds
+export const SUBMISSION_NUTRIENTS = NUTRIENT_LIMITS
+
+const PHOTO_URL_TTL_SECONDS = 60 * 60
+
+const clip = (value, length) => (value == null || value === '' ? null : String(value).trim().slice(0, length))
+
+/**
+ * Validate submission fields sent by a contributor or moderator
+ * @param {Object} input - { name, brand, category, fssai_license, ingredients, nutrition_facts, serving }
+ * @returns {{fields?: Object, error?: string}} Only the fields present in input
+ */
+export const validateSubmissionFields = (input = {}) => {
+  const fields = {}
+
+  for (const [key, length] of [['name', 500], ['brand', 255], ['category', 255]]) {
+    if (key in input) fields[key] = clip(input[key], length)
+  }
+  if ('ingredients' in input) fields.ingredients = clip(input.ingredients, 5000)
+
+  if ('fssai_license' in input) {
+    const { license, error } = validateFssaiLicense(input.fssai_license)
+    if (error) return { error }
+    fields.fssai_license = license
+  }
+
+  if ('nutrition_facts' in input) {
+    const { facts, error } = validateNutritionFacts(input.nutrition_facts)
+    if (error) return { error }
+    fields.nutrition_facts = facts
+  }
+
+  if ('serving' in input && input.serving != null) {
+    const { serving, error } = validateServing(input.serving)
+    if (error) return { error }
+    fields.serving = serving
+  }
+
+  return { fields }
+}
+
+/**
+ * What a submission needs before it can go to moderation
+ * @returns {string|null} Error message, or null when complete
+ */
+export const checkSubmissionComplete = (submission) => {
+  if (!submission.name) return 'name is required'
+  const facts = submission.nutrition_facts || {}
+  if (!['energy', 'sugar', 'fat', 'sodium'].some(key => facts[key] != null)) {
+    return 'nutrition_facts needs at least energy, sugar, fat or sodium'
+  }
+  return null
+}
+
+/**
+ * Pre-fill submission fields from the text read off the photos
+ * @param {Object} texts - { front, nutrition, ingredients } raw text (any may be missing)
+ * @returns {Promise<{fields: Object, confidence: number|null}>}
+ */
+export const prefillFromLabels = async (texts = {}) => {
+  const fields = {}
+  const confidences = []
+
+  if (texts.nutrition) {
+    const result = await enhancedOCR.processOCRText(texts.nutrition)
+    if (result.success) {
+      const data = result.extractedData.nutritionData || {}
+      const facts = {}
+      for (const key of Object.keys(SUBMISSION_NUTRIENTS)) {
+        if (data[key] != null && Number.isFinite(Number(data[key]))) facts[key] = Number(data[key])
+      }
+      // Panels print sodium in mg; no food has more than 40 g per 100 g
+      if (facts.sodium > SUBMISSION_NUTRIENTS.sodium.max) facts.sodium = facts.sodium / 1000
+      fields.nutrition_facts = facts
+      fields.serving = {
+        basis: data.basis === '100ml' ? '100ml' : '100g',
+        serving_size: data.serving_size || null,
+        serving_quantity: null
+      }
+      confidences.push(result.confidence)
+    }
+  }
+
+  if (texts.ingredients) {
+    const result = await enhancedOCR.processOCRText(texts.ingredients)
+    if (result.success && result.extractedData.ingredients) {
+      fields.ingredients = String(result.extractedData.ingredients).replace(/^\s*ingredients?\s*[:-]?\s*/i, '')
+      confidences.push(result.confidence)
+    }
+  }
+
+  // The most prominent line on the front is usually the product name
+  if (texts.front) {
+    const line = texts.front.split('\n').map(l => l.trim()).find(l => l.length >= 3 && l.length <= 120 && /[a-z]/i.test(l))
+    if (line) fields.name = line
+  }
+
+  const confidence = confidences.length > 0
+    ? confidences.reduce((sum, c) => sum + c, 0) / confidences.length
+    : null
+  return { fields, confidence }
+}
+
+// Labels are re-encoded (and EXIF location data dropped) before storage
+const storePhoto = async (barcode, kind, file) => {
+  const image = await sharp(file.buffer)
+    .rotate()
+    .resize({ width: 1600, height: 1600, fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 82 })
+    .toBuffer()
+
+  const path = `${barcode}/${crypto.randomUUID()}-${kind}.jpg`
+  const { error } = await supabase.storage
+    .from(SUBMISSIONS_BUCKET)
+    .upload(path, image, { contentType: 'image/jpeg' })
+
+  if (error) throw error
+  return { path, image }
+}
+
+const readLabelText = async (image, kind) => {
+  try {
+    return await transcribeImageWithGemini(image, 'image/jpeg')
+  } catch (error) {
+    logger.warn(`Could not read the ${kind} photo: ${error.message}`)
+    return null
+  }
+}
+
+/**
+ * Start a submission from label photos
+ * @param {string} userId - Contributor users.user_id
+ * @param {string} barcode - Barcode that was not found
+ * @param {Object} files - { front, nutrition, ingredients } multer files (any may be missing)
+ * @param {Object} [texts] - Label text the client already read, by photo
+ * @returns {Promise<Object>} Draft submission with pre-filled fields
+ */
+export const createSubmission = async (userId, barcode, files, texts = {}) => {
+  const photos = {}
+  const labelText = {}
+
+  for (const kind of SUBMISSION_PHOTOS) {
+    const file = files[kind]
+    if (file) {
+      const { path, image } = await storePhoto(barcode, kind, file)
+      photos[kind] = path
+      labelText[kind] = texts[kind] || await readLabelText(image, kind)
+    } else if (texts[kind]) {
+      labelText[kind] = texts[kind]
+    }
+  }
+
+  const { fields, confidence } = await prefillFromLabels(labelText)
+
+  const { data, error } = await supabase
+    .from('product_submissions')
+    .insert([
+      {
+        barcode,
+        user_id: userId,
+        status: 'draft',
+        name: clip(fields.name, 500),
+        ingredients: clip(fields.ingredients, 5000),
+        nutrition_facts: fields.nutrition_facts || {},
+        serving: fields.serving || null,
+        photos,
+        ocr: {
+          front_text: labelText.front || null,
+          nutrition_text: labelText.nutrition || null,
+          ingredients_text: labelText.ingredients || null,
+          confidence
+        }
+      }
+    ])
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+/**
+ * A submission by id
+ */
+export const getSubmission = async (id) => {
+  const { data, error } = await supabase
+    .from('product_submissions')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle()
+
+  if (error) throw error
+  return data
+}
+
+/**
+ * Save edited fields, optionally sending the draft to moderation
+ * @param {Object} submission - The row as loaded; only saved while its status is unchanged
+ * @param {Object} fields - Output of validateSubmissionFields
+ * @param {Object} [options] - { submit }
+ * @returns {Promise<Object|null>} The updated row; null when the status changed meanwhile
+ */
+export const updateSubmission = async (submission, fields, { submit = false } = {}) => {
+  const { data, error } = await supabase
+    .from('product_submissions')
+    .update({
+      ...fields,
+      ...(submit ? { status: 'pending', submitted_at: new Date().toISOString() } : {}),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', submission.id)
+    .eq('status', submission.status)
+    .select()
+    .maybeSingle()
+
+  if (error) throw error
+  return data
+}
+
+/**
+ * A contributor's submissions, newest first
+ */
+export const listUserSubmissions = async (userId) => {
+  const { data, error } = await supabase
+    .from('product_submissions')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(50)
+
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * The moderation queue, oldest first, with short-lived photo links
+ * @param {string} [status] - 'pending' (default), 'approved' or 'rejected'
+ */
+export const listSubmissionQueue = async (status = 'pending') => {
+  const { data, error } = await supabase
+    .from('product_submissions')
+    .select('*')
+    .eq('status', status)
+    .order('submitted_at', { ascending: status === 'pending' })
+    .limit(100)
+
+  if (error) throw error
+  return Promise.all((data || []).map(withPhotoUrls))
+}
+
+/**
+ * Attach signed URLs for a submission's photos
+ */
+export const withPhotoUrls = async (submission) => {
+  const photo_urls = {}
+  for (const [kind, path] of Object.entries(submission.photos || {})) {
+    const { data, error } = await supabase.storage
+      .from(SUBMISSIONS_BUCKET)
+      .createSignedUrl(path, PHOTO_URL_TTL_SECONDS)
+
+    if (error) {
+      logger.warn(`No signed URL for submission ${submission.id} ${kind}: ${error.message}`)
+      continue
+    }
+    photo_urls[kind] = data.signedUrl
+  }
+  return { ...submission, photo_urls }
+}
+
+/**
+ * Approve a submission into fssai_products
+ * @param {Object} submission - Pending submission, with any moderator edits applied
+ * @param {string} moderatorId - Moderator users.user_id
+ * @param {string} [notes] - Moderator notes
+ * @returns {Promise<{submission: Object, product: Object}|{conflict: Object}|{alreadyReviewed: true}>}
+ *   conflict holds the existing fssai_products row when the barcode is already known;
+ *   alreadyReviewed means another moderator decided the submission first
+ */
+export const approveSubmission = async (submission, moderatorId, notes = null) => {
+  const findExisting = async () => {
+    const { data, error } = await supabase
+      .from('fssai_products')
+      .select('id, barcode, name, source')
+      .in('barcode', barcodeVariants(submission.barcode))
+      .limit(1)
+      .maybeSingle()
+
+    if (error) throw error
+    return data
+  }
+
+  // Catches zero-padded forms of the barcode; the unique barcode column settles races
+  const existing = await findExisting()
+  if (existing) return { conflict: existing }
+
+  const reviewedAt = new Date().toISOString()
+  const { data: product, error } = await supabase
+    .from('fssai_products')
+    .insert([
+      {
+        barcode: submission.barcode,
+        name: submission.name,
+        brand: submission.brand,
+        category: submission.category,
+        fssai_license: submission.fssai_license,
+        // Community data is not an FSSAI approval
+        fssai_approved: false,
+        nutrition_info: {
+          ingredients: submission.ingredients || '',
+          nutrition_facts: submission.nutrition_facts || {},
+          serving: submission.serving || null
+        },
+        source: 'community',
+        submission_id: submission.id,
+        contributed_by: submission.user_id,
+        approved_by: moderatorId,
+        approved_at: reviewedAt
+      }
+    ])
+    .select()
+    .single()
+
+  // 23505: unique_violation, the same barcode was approved in the meantime
+  if (error?.code === '23505') return { conflict: await findExisting() || { barcode: submission.barcode } }
+  if (error) throw error
+
+  const { data, error: updateError } = await supabase
+    .from('product_submissions')
+    .update({
+      name: submission.name,
+      brand: submission.brand,
+      category: submission.category,
+      fssai_license: submission.fssai_license,
+      ingredients: submission.ingredients,
+      nutrition_facts: submission.nutrition_facts,
+      serving: submission.serving,
+      status: 'approved',
+      moderator_user_id: moderatorId,
+      moderator_notes: notes,
+      reviewed_at: reviewedAt,
+      fssai_product_id: product.id,
+      updated_at: reviewedAt
+    })
+    .eq('id', submission.id)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle()
+
+  if (updateError || !data) {
+    // Rejected or approved by someone else since it was loaded: undo the insert
+    const { error: deleteError } = await supabase.from('fssai_products').delete().eq('id', product.id)
+    if (deleteError) logger.error(`Could not remove product ${product.id} after a failed approval:`, deleteError.message)
+    if (updateError) throw updateError
+    return { alreadyReviewed: true }
+  }
+  return { submission: data, product }
+}
+
+/**
+ * Reject a submission
+ * @returns {Promise<Object|null>} The updated row; null when it was already reviewed
+ */
+export const rejectSubmission = async (submission, moderatorId, notes = null) => {
+  const reviewedAt = new Date().toISOString()
+  const { data, error } = await supabase
+    .from('product_submissions')
+    .update({
+      status: 'rejected',
+      moderator_user_id: moderatorId,
+      moderator_notes: notes,
+      reviewed_at: reviewedAt,
+      updated_at: reviewedAt
+    })
+    .eq('id', submission.id)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle()
+
+  if (error) throw error
+  return data
+}
+
+export default {
+  SUBMISSION_PHOTOS,
+  SUBMISSIONS_BUCKET,
+  SUBMISSION_NUTRIENTS,
+  validateSubmissionFields,
+  checkSubmissionComplete,
+  prefillFromLabels,
+  createSubmission,
+  getSubmission,
+  updateSubmission,
+  listUserSubmissions,
+  listSubmissionQueue,
+  withPhotoUrls,
+  approveSubmission,
+  rejectSubmission
+}
@@ -0,0 +1,456 @@
+/**
+ * Food additive catalogue
+ *
+ * INS (Codex International Numbering System) codes, which FSSAI labels use
+ * and the EU prefixes with "E", mapped to names, functional classes, FSSAI
+ * status (Food Products Standards and Food Additives Regulations 2011,
+ * Appendix A), the JECFA or EFSA acceptable daily intake, a risk tier that
+ * scoring weighs additives by, and notes worth showing a reader. Codes are
+ * held in one canonical form
+ * ("322i", "160aii", "150c") so label text ("INS 322(i)", "E322", "322 (i)")
+ * and Open Food Facts tags ("en:e322i") meet on the same key.
+ */
+
+/** Functional classes, as labels name them */
+export const ADDITIVE_CLASSES = {
+  acidity_regulator: 'Acidity regulator',
+  anticaking_agent: 'Anticaking agent',
+  antifoaming_agent: 'Antifoaming agent',
+  antioxidant: 'Antioxidant',
+  bulking_agent: 'Bulking agent',
+  colour: 'Colour',
+  emulsifier: 'Emulsifier',
+  enzyme: 'Enzyme',
+  firming_agent: 'Firming agent',
+  flavour_enhancer: 'Flavour enhancer',
+  flour_treatment_agent: 'Flour treatment agent',
+  gelling_agent: 'Gelling agent',
+  glazing_agent: 'Glazing agent',
+  humectant: 'Humectant',
+  preservative: 'Preservative',
+  raising_agent: 'Raising agent',
+  sequestrant: 'Sequestrant',
+  stabiliser: 'Stabiliser',
+  sweetener: 'Sweetener',
+  thickener: 'Thickener'
+}
+
+// Words a label uses for each class ("Permitted synthetic food colour", "Leavening agents")
+const CLASS_WORDS = [
+  { id: 'acidity_regulator', pattern: /acidity regulat|acidulant|\bacidifier|ph regulat/ },
+  { id: 'anticaking_agent', pattern: /anti-?\s?caking|free flowing agent/ },
+  { id: 'antifoaming_agent', pattern: /anti-?\s?foam/ },
+  { id: 'antioxidant', pattern: /anti-?\s?oxidant/ },
+  { id: 'colour', pattern: /\bcolou?rs?\b|\bcolou?ring/ },
+  { id: 'emulsifier', pattern: /emulsif|इमल्सीफायर|पायसीकारक/ },
+  { id: 'firming_agent', pattern: /firming agent/ },
+  { id: 'flavour_enhancer', pattern: /flavou?r enhancer/ },
+  { id: 'flour_treatment_agent', pattern: /flour treatment|dough conditioner|improver/ },
+  { id: 'gelling_agent', pattern: /gelling agent/ },
+  { id: 'glazing_agent', pattern: /glazing agent/ },
+  { id: 'humectant', pattern: /humectant/ },
+  { id: 'preservative', pattern: /preservative|परिरक्षक/ },
+  { id: 'raising_agent', pattern: /raising agent|leavening|leavener/ },
+  { id: 'sequestrant', pattern: /sequestrant/ },
+  { id: 'stabiliser', pattern: /stabili[sz]er/ },
+  { id: 'sweetener', pattern: /sweetener/ },
+  { id: 'thickener', pattern: /thicken/ }
+]
+
+/** FSSAI status: whether and how Appendix A permits the additive */
+export const FSSAI_STATUSES = {
+  gmp: 'Permitted at good manufacturing practice levels',
+  limited: 'Permitted only in listed foods, up to a maximum level',
+  not_listed: 'Not in the FSSAI list of permitted additives'
+}
+
+/** Risk tiers, lowest first */
+export const RISK_TIERS = {
+  low: 'No known concern at permitted levels',
+  moderate: 'Safe within its ADI, but heavy consumers can get close to it or some groups react to it',
+  high: 'Linked to harm in studies, restricted or banned elsewhere, or not permitted in India',
+  unknown: 'Not in our reference data yet'
+}
+
+const AZO_NOTE = 'Synthetic azo dye. With sodium benzoate it was linked to hyperactivity in children (Southampton study); EU packs must warn it "may have an adverse effect on activity and attention in children".'
+const CARAMEL_4MEI_NOTE = 'Made with ammonia, which leaves traces of 4-methylimidazole; intake is limited by an ADI.'
+const SULPHITE_NOTE = 'Sulphite: a declared allergen that can trigger asthma attacks in sensitive people.'
+const PHOSPHATE_NOTE = 'Added phosphate, absorbed almost completely unlike the phosphorus in whole foods.'
+const PHOSPHATE_KIDNEY = 'Phosphate additives raise blood phosphorus; limit them with kidney disease'
+const NUCLEOTIDE_NOTE = 'Used with MSG to boost savoury taste; made from purines, which people with gout are usually told to limit.'
+const POLYOL_NOTE = 'Sugar alcohol; large amounts have a laxative effect.'
+const EMULSIFIER_GUT_NOTE = 'Some studies in animals link this emulsifier to changes in gut bacteria and inflammation.'
+
+/**
+ * @typedef {Object} AdditiveEntry
+ * @property {string} code - Canonical code ("330", "150c")
+ * @property {string} name
+ * @property {Array<string>} classes - ADDITIVE_CLASSES ids, main use first
+ * @property {Object<string, string>} [variants] - Names of the roman-numeral sub-codes ("ii": "Sodium hydrogen carbonate")
+ * @property {Array<string>} [names] - Common names found on labels in place of the code (lowercase)
+ * @property {string} [notes]
+ * @property {Object<string, string>} [conditions] - Health condition -> why it matters
+ * @property {string} fssai - FSSAI_STATUSES id
+ * @property {{value: number|null, source: string, note?: string}} adi - Acceptable daily intake in
+ *   mg/kg body weight; null value when the committee did not need to set one ("not specified")
+ * @property {string} tier - RISK_TIERS id
+ */
+
+/** @type {Array<AdditiveEntry>} */
+export const ADDITIVES = [
+  // Colours
+  { code: '100', name: 'Curcumin', classes: ['colour'], names: ['curcumin'], fssai: 'limited', adi: { value: 3, source: 'JECFA' }, tier: 'low' },
+  { code: '101', name: 'Riboflavin', classes: ['colour'], names: ['riboflavin'], fssai: 'limited', adi: { value: 0.5, source: 'JECFA' }, tier: 'low' },
+  { code: '102', name: 'Tartrazine', classes: ['colour'], names: ['tartrazine'], notes: `${AZO_NOTE} Can cause reactions in people sensitive to aspirin.`, fssai: 'limited', adi: { value: 10, source: 'JECFA' }, tier: 'high' },
+  { code: '104', name: 'Quinoline yellow', classes: ['colour'], names: ['quinoline yellow'], notes: 'Synthetic dye in the Southampton study group of colours.', fssai: 'not_listed', adi: { value: 0.5, source: 'EFSA' }, tier: 'high' },
+  { code: '110', name: 'Sunset yellow FCF', classes: ['colour'], names: ['sunset yellow', 'sunset yellow fcf'], notes: AZO_NOTE, fssai: 'limited', adi: { value: 4, source: 'JECFA' }, tier: 'high' },
+  { code: '122', name: 'Carmoisine', classes: ['colour'], names: ['carmoisine', 'azorubine'], notes: AZO_NOTE, fssai: 'limited', adi: { value: 4, source: 'JECFA' }, tier: 'high' },
+  { code: '124', name: 'Ponceau 4R', classes: ['colour'], names: ['ponceau 4r'], notes: AZO_NOTE, fssai: 'limited', adi: { value: 0.7, source: 'EFSA' }, tier: 'high' },
+  { code: '127', name: 'Erythrosine', classes: ['colour'], names: ['erythrosine'], notes: 'Iodine-containing dye; high intakes can affect the thyroid. The US withdrew it from food in 2025 after it caused thyroid tumours in rats.', fssai: 'limited', adi: { value: 0.1, source: 'JECFA' }, tier: 'high' },
+  { code: '129', name: 'Allura red AC', classes: ['colour'], names: ['allura red'], notes: AZO_NOTE, fssai: 'not_listed', adi: { value: 7, source: 'JECFA' }, tier: 'high' },
+  { code: '132', name: 'Indigo carmine', classes: ['colour'], names: ['indigo carmine', 'indigotine'], fssai: 'limited', adi: { value: 5, source: 'JECFA' }, tier: 'moderate' },
+  { code: '133', name: 'Brilliant blue FCF', classes: ['colour'], names: ['brilliant blue', 'brilliant blue fcf'], fssai: 'limited', adi: { value: 6, source: 'JECFA' }, tier: 'moderate' },
+  { code: '140', name: 'Chlorophylls', classes: ['colour'], names: ['chlorophyll'], fssai: 'limited', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '141', name: 'Copper chlorophyll complexes', classes: ['colour'], fssai: 'limited', adi: { value: 15, source: 'JECFA' }, tier: 'low' },
+  { code: '143', name: 'Fast green FCF', classes: ['colour'], names: ['fast green', 'fast green fcf'], fssai: 'limited', adi: { value: 25, source: 'JECFA' }, tier: 'moderate' },
+  { code: '150a', name: 'Plain caramel', classes: ['colour'], fssai: 'limited', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '150b', name: 'Caustic sulphite caramel', classes: ['colour'], fssai: 'limited', adi: { value: 160, source: 'JECFA' }, tier: 'low' },
+  { code: '150c', name: 'Ammonia caramel', classes: ['colour'], notes: CARAMEL_4MEI_NOTE, fssai: 'limited', adi: { value: 200, source: 'JECFA' }, tier: 'moderate' },
+  { code: '150d', name: 'Sulphite ammonia caramel', classes: ['colour'], notes: CARAMEL_4MEI_NOTE, fssai: 'limited', adi: { value: 200, source: 'JECFA' }, tier: 'moderate' },
+  {
+    code: '160a',
+    name: 'Carotenes',
+    classes: ['colour'],
+    variants: { i: 'Beta-carotene (synthetic)', ii: 'Natural carotene extracts', iii: 'Beta-carotene from Blakeslea trispora', iv: 'Algal carotene' },
+    names: ['beta carotene', 'beta-carotene'],
+    fssai: 'limited',
+    adi: { value: 5, source: 'JECFA', note: 'group ADI for synthetic beta-carotene' },
+    tier: 'low'
+  },
+  { code: '160b', name: 'Annatto', classes: ['colour'], names: ['annatto', 'bixin', 'norbixin'], fssai: 'limited', adi: { value: 0.6, source: 'JECFA', note: 'as norbixin; 12 as bixin' }, tier: 'low' },
+  { code: '160c', name: 'Paprika extract', classes: ['colour'], names: ['paprika extract', 'paprika oleoresin', 'capsanthin'], fssai: 'limited', adi: { value: 1.5, source: 'JECFA' }, tier: 'low' },
+  { code: '160d', name: 'Lycopene', classes: ['colour'], names: ['lycopene'], fssai: 'limited', adi: { value: 0.5, source: 'JECFA' }, tier: 'low' },
+  { code: '160e', name: 'Beta-apo-8\'-carotenal', classes: ['colour'], fssai: 'limited', adi: { value: 5, source: 'JECFA', note: 'group ADI for carotenoids' }, tier: 'low' },
+  { code: '162', name: 'Beetroot red', classes: ['colour'], names: ['beetroot red', 'betanin'], fssai: 'limited', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '163', name: 'Anthocyanins', classes: ['colour'], names: ['anthocyanins'], fssai: 'limited', adi: { value: 2.5, source: 'JECFA', note: 'grape skin extract' }, tier: 'low' },
+  { code: '170', name: 'Calcium carbonate', classes: ['colour', 'acidity_regulator', 'anticaking_agent'], names: ['calcium carbonate'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '171', name: 'Titanium dioxide', classes: ['colour'], names: ['titanium dioxide'], notes: 'No longer allowed in food in the EU (2022) because genotoxicity could not be ruled out.', fssai: 'limited', adi: { value: null, source: 'JECFA', note: 'EFSA (2021) could not set a safe level' }, tier: 'high' },
+
+  // Preservatives
+  { code: '200', name: 'Sorbic acid', classes: ['preservative'], names: ['sorbic acid'], fssai: 'limited', adi: { value: 25, source: 'JECFA', note: 'group ADI for sorbates, as sorbic acid' }, tier: 'low' },
+  { code: '202', name: 'Potassium sorbate', classes: ['preservative'], names: ['potassium sorbate'], fssai: 'limited', adi: { value: 25, source: 'JECFA', note: 'group ADI for sorbates, as sorbic acid' }, tier: 'low' },
+  { code: '210', name: 'Benzoic acid', classes: ['preservative'], names: ['benzoic acid'], fssai: 'limited', adi: { value: 5, source: 'JECFA', note: 'group ADI for benzoates, as benzoic acid' }, tier: 'moderate' },
+  {
+    code: '211',
+    name: 'Sodium benzoate',
+    classes: ['preservative'],
+    names: ['sodium benzoate'],
+    notes: 'Can form small amounts of benzene with vitamin C (ascorbic acid) in drinks. Part of the Southampton hyperactivity study mix.',
+    fssai: 'limited',
+    adi: { value: 5, source: 'JECFA', note: 'group ADI for benzoates, as benzoic acid' },
+    tier: 'moderate'
+  },
+  { code: '220', name: 'Sulphur dioxide', classes: ['preservative', 'antioxidant'], names: ['sulphur dioxide', 'sulfur dioxide'], notes: SULPHITE_NOTE, fssai: 'limited', adi: { value: 0.7, source: 'JECFA', note: 'group ADI for sulphites, as sulphur dioxide' }, tier: 'moderate' },
+  { code: '221', name: 'Sodium sulphite', classes: ['preservative', 'antioxidant'], names: ['sodium sulphite', 'sodium sulfite'], notes: SULPHITE_NOTE, fssai: 'limited', adi: { value: 0.7, source: 'JECFA', note: 'group ADI for sulphites, as sulphur dioxide' }, tier: 'moderate' },
+  { code: '222', name: 'Sodium hydrogen sulphite', classes: ['preservative', 'antioxidant'], names: ['sodium bisulphite', 'sodium bisulfite'], notes: SULPHITE_NOTE, fssai: 'limited', adi: { value: 0.7, source: 'JECFA', note: 'group ADI for sulphites, as sulphur dioxide' }, tier: 'moderate' },
+  { code: '223', name: 'Sodium metabisulphite', classes: ['preservative', 'antioxidant', 'flour_treatment_agent'], names: ['sodium metabisulphite', 'sodium metabisulfite'], notes: SULPHITE_NOTE, fssai: 'limited', adi: { value: 0.7, source: 'JECFA', note: 'group ADI for sulphites, as sulphur dioxide' }, tier: 'moderate' },
+  { code: '224', name: 'Potassium metabisulphite', classes: ['preservative', 'antioxidant'], names: ['potassium metabisulphite', 'potassium metabisulfite', 'kms'], notes: SULPHITE_NOTE, fssai: 'limited', adi: { value: 0.7, source: 'JECFA', note: 'group ADI for sulphites, as sulphur dioxide' }, tier: 'moderate' },
+  { code: '225', name: 'Potassium sulphite', classes: ['preservative', 'antioxidant'], notes: SULPHITE_NOTE, fssai: 'limited', adi: { value: 0.7, source: 'JECFA', note: 'group ADI for sulphites, as sulphur dioxide' }, tier: 'moderate' },
+  { code: '226', name: 'Calcium sulphite', classes: ['preservative', 'antioxidant'], notes: SULPHITE_NOTE, fssai: 'limited', adi: { value: 0.7, source: 'JECFA', note: 'group ADI for sulphites, as sulphur dioxide' }, tier: 'moderate' },
+  { code: '227', name: 'Calcium hydrogen sulphite', classes: ['preservative', 'antioxidant'], notes: SULPHITE_NOTE, fssai: 'limited', adi: { value: 0.7, source: 'JECFA', note: 'group ADI for sulphites, as sulphur dioxide' }, tier: 'moderate' },
+  { code: '228', name: 'Potassium hydrogen sulphite', classes: ['preservative', 'antioxidant'], notes: SULPHITE_NOTE, fssai: 'limited', adi: { value: 0.7, source: 'JECFA', note: 'group ADI for sulphites, as sulphur dioxide' }, tier: 'moderate' },
+  { code: '234', name: 'Nisin', classes: ['preservative'], names: ['nisin'], fssai: 'limited', adi: { value: 2, source: 'JECFA' }, tier: 'low' },
+  { code: '235', name: 'Natamycin', classes: ['preservative'], names: ['natamycin'], fssai: 'limited', adi: { value: 0.3, source: 'JECFA' }, tier: 'low' },
+  {
+    code: '250',
+    name: 'Sodium nitrite',
+    classes: ['preservative'],
+    names: ['sodium nitrite'],
+    notes: 'Cured-meat preservative that can form nitrosamines when cooked at high heat; processed meat is a group 1 carcinogen (IARC).',
+    fssai: 'limited',
+    adi: { value: 0.07, source: 'JECFA', note: 'as nitrite ion' },
+    tier: 'high'
+  },
+  { code: '251', name: 'Sodium nitrate', classes: ['preservative'], names: ['sodium nitrate'], notes: 'Turns into nitrite in the food and the body; see INS 250.', fssai: 'limited', adi: { value: 3.7, source: 'JECFA', note: 'as nitrate ion' }, tier: 'high' },
+  { code: '252', name: 'Potassium nitrate', classes: ['preservative'], names: ['potassium nitrate'], notes: 'Turns into nitrite in the food and the body; see INS 250.', fssai: 'limited', adi: { value: 3.7, source: 'JECFA', note: 'as nitrate ion' }, tier: 'high' },
+  { code: '260', name: 'Acetic acid', classes: ['acidity_regulator', 'preservative'], names: ['acetic acid', 'glacial acetic acid'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '261', name: 'Potassium acetates', classes: ['acidity_regulator', 'preservative'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '262', name: 'Sodium acetates', classes: ['acidity_regulator', 'preservative'], variants: { i: 'Sodium acetate', ii: 'Sodium diacetate' }, fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '270', name: 'Lactic acid', classes: ['acidity_regulator'], names: ['lactic acid'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '280', name: 'Propionic acid', classes: ['preservative'], names: ['propionic acid'], fssai: 'limited', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '281', name: 'Sodium propionate', classes: ['preservative'], names: ['sodium propionate'], fssai: 'limited', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '282', name: 'Calcium propionate', classes: ['preservative'], names: ['calcium propionate'], fssai: 'limited', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '290', name: 'Carbon dioxide', classes: ['preservative'], names: ['carbon dioxide'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '296', name: 'Malic acid', classes: ['acidity_regulator'], names: ['malic acid'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '297', name: 'Fumaric acid', classes: ['acidity_regulator'], names: ['fumaric acid'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+
+  // Antioxidants, acids and their salts
+  { code: '300', name: 'Ascorbic acid', classes: ['antioxidant', 'flour_treatment_agent'], names: ['ascorbic acid'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '301', name: 'Sodium ascorbate', classes: ['antioxidant'], names: ['sodium ascorbate'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '304', name: 'Ascorbyl esters', classes: ['antioxidant'], variants: { i: 'Ascorbyl palmitate', ii: 'Ascorbyl stearate' }, names: ['ascorbyl palmitate'], fssai: 'limited', adi: { value: 1.25, source: 'JECFA' }, tier: 'low' },
+  { code: '306', name: 'Mixed tocopherols', classes: ['antioxidant'], names: ['mixed tocopherols', 'tocopherols'], fssai: 'limited', adi: { value: 2, source: 'JECFA', note: 'as alpha-tocopherol' }, tier: 'low' },
+  { code: '307', name: 'Alpha-tocopherol', classes: ['antioxidant'], names: ['alpha tocopherol', 'alpha-tocopherol'], fssai: 'limited', adi: { value: 2, source: 'JECFA' }, tier: 'low' },
+  { code: '310', name: 'Propyl gallate', classes: ['antioxidant'], names: ['propyl gallate'], fssai: 'limited', adi: { value: 1.4, source: 'JECFA' }, tier: 'moderate' },
+  { code: '319', name: 'Tertiary butylhydroquinone (TBHQ)', classes: ['antioxidant'], names: ['tbhq', 'tertiary butylhydroquinone', 'tertiary butyl hydroquinone'], notes: 'Synthetic antioxidant for frying oils; intake is limited by an ADI.', fssai: 'limited', adi: { value: 0.7, source: 'JECFA' }, tier: 'moderate' },
+  { code: '320', name: 'Butylated hydroxyanisole (BHA)', classes: ['antioxidant'], names: ['bha', 'butylated hydroxyanisole'], notes: 'Classed as possibly carcinogenic to humans (IARC group 2B).', fssai: 'limited', adi: { value: 0.5, source: 'JECFA' }, tier: 'high' },
+  { code: '321', name: 'Butylated hydroxytoluene (BHT)', classes: ['antioxidant'], names: ['bht', 'butylated hydroxytoluene'], fssai: 'limited', adi: { value: 0.3, source: 'JECFA' }, tier: 'moderate' },
+  {
+    code: '322',
+    name: 'Lecithins',
+    classes: ['emulsifier', 'antioxidant'],
+    variants: { i: 'Lecithin', ii: 'Partially hydrolysed lecithin' },
+    names: ['lecithin', 'soy lecithin', 'soya lecithin', 'sunflower lecithin'],
+    notes: 'Usually made from soy (a declared allergen) or sunflower.',
+    fssai: 'gmp',
+    adi: { value: null, source: 'JECFA' },
+    tier: 'low'
+  },
+  { code: '325', name: 'Sodium lactate', classes: ['acidity_regulator', 'humectant'], names: ['sodium lactate'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '327', name: 'Calcium lactate', classes: ['acidity_regulator', 'firming_agent'], names: ['calcium lactate'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '330', name: 'Citric acid', classes: ['acidity_regulator', 'antioxidant'], names: ['citric acid'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '331', name: 'Sodium citrates', classes: ['acidity_regulator', 'sequestrant'], variants: { i: 'Monosodium citrate', ii: 'Disodium citrate', iii: 'Trisodium citrate' }, names: ['sodium citrate', 'trisodium citrate'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '332', name: 'Potassium citrates', classes: ['acidity_regulator', 'sequestrant'], names: ['potassium citrate'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '333', name: 'Calcium citrates', classes: ['acidity_regulator', 'firming_agent'], names: ['calcium citrate'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '334', name: 'Tartaric acid', classes: ['acidity_regulator', 'antioxidant'], names: ['tartaric acid'], fssai: 'gmp', adi: { value: 30, source: 'JECFA' }, tier: 'low' },
+  { code: '335', name: 'Sodium tartrates', classes: ['acidity_regulator', 'stabiliser'], fssai: 'gmp', adi: { value: 30, source: 'JECFA', note: 'group ADI for tartrates' }, tier: 'low' },
+  { code: '336', name: 'Potassium tartrates', classes: ['acidity_regulator', 'raising_agent'], names: ['cream of tartar', 'potassium bitartrate'], fssai: 'gmp', adi: { value: 30, source: 'JECFA', note: 'group ADI for tartrates' }, tier: 'low' },
+  {
+    code: '338',
+    name: 'Phosphoric acid',
+    classes: ['acidity_regulator'],
+    names: ['phosphoric acid', 'orthophosphoric acid'],
+    notes: `${PHOSPHATE_NOTE} The acid in cola drinks.`,
+    conditions: { 'Kidney Disease': PHOSPHATE_KIDNEY },
+    fssai: 'limited',
+    adi: { value: 40, source: 'EFSA', note: 'group ADI for phosphates, as phosphorus' },
+    tier: 'moderate'
+  },
+  { code: '339', name: 'Sodium phosphates', classes: ['acidity_regulator', 'emulsifier', 'sequestrant'], names: ['sodium phosphate', 'disodium phosphate'], notes: PHOSPHATE_NOTE, conditions: { 'Kidney Disease': PHOSPHATE_KIDNEY }, fssai: 'limited', adi: { value: 40, source: 'EFSA', note: 'group ADI for phosphates, as phosphorus' }, tier: 'moderate' },
+  { code: '340', name: 'Potassium phosphates', classes: ['acidity_regulator', 'emulsifier'], names: ['potassium phosphate', 'dipotassium phosphate'], notes: PHOSPHATE_NOTE, conditions: { 'Kidney Disease': PHOSPHATE_KIDNEY }, fssai: 'limited', adi: { value: 40, source: 'EFSA', note: 'group ADI for phosphates, as phosphorus' }, tier: 'moderate' },
+  { code: '341', name: 'Calcium phosphates', classes: ['acidity_regulator', 'anticaking_agent', 'raising_agent'], names: ['calcium phosphate', 'tricalcium phosphate'], notes: PHOSPHATE_NOTE, conditions: { 'Kidney Disease': PHOSPHATE_KIDNEY }, fssai: 'limited', adi: { value: 40, source: 'EFSA', note: 'group ADI for phosphates, as phosphorus' }, tier: 'moderate' },
+
+  // Thickeners, gelling agents, stabilisers and emulsifiers
+  { code: '400', name: 'Alginic acid', classes: ['thickener', 'stabiliser'], names: ['alginic acid'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '401', name: 'Sodium alginate', classes: ['thickener', 'stabiliser', 'gelling_agent'], names: ['sodium alginate'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '406', name: 'Agar', classes: ['thickener', 'gelling_agent'], names: ['agar', 'agar agar', 'agar-agar', 'china grass'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '407', name: 'Carrageenan', classes: ['thickener', 'stabiliser', 'gelling_agent'], names: ['carrageenan'], notes: 'Seaweed extract; its degraded form harms the gut in animal studies and is not permitted in food.', fssai: 'gmp', adi: { value: 75, source: 'EFSA', note: 'temporary EFSA ADI (2018); JECFA: not specified' }, tier: 'moderate' },
+  { code: '410', name: 'Locust bean gum', classes: ['thickener', 'stabiliser'], names: ['locust bean gum', 'carob bean gum'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '412', name: 'Guar gum', classes: ['thickener', 'stabiliser'], names: ['guar gum'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '413', name: 'Tragacanth', classes: ['thickener', 'stabiliser'], names: ['tragacanth', 'gum tragacanth'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '414', name: 'Gum arabic', classes: ['thickener', 'stabiliser', 'emulsifier'], names: ['gum arabic', 'acacia gum'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '415', name: 'Xanthan gum', classes: ['thickener', 'stabiliser'], names: ['xanthan gum', 'xanthan'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '416', name: 'Karaya gum', classes: ['thickener', 'stabiliser'], names: ['karaya gum'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '418', name: 'Gellan gum', classes: ['thickener', 'stabiliser', 'gelling_agent'], names: ['gellan gum'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '420', name: 'Sorbitol', classes: ['sweetener', 'humectant'], names: ['sorbitol'], notes: POLYOL_NOTE, fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '421', name: 'Mannitol', classes: ['sweetener', 'anticaking_agent'], names: ['mannitol'], notes: POLYOL_NOTE, fssai: 'limited', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '422', name: 'Glycerol', classes: ['humectant'], names: ['glycerol', 'glycerine', 'glycerin'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '433', name: 'Polysorbate 80', classes: ['emulsifier'], names: ['polysorbate 80'], notes: EMULSIFIER_GUT_NOTE, fssai: 'limited', adi: { value: 25, source: 'JECFA', note: 'group ADI for polysorbates' }, tier: 'moderate' },
+  { code: '440', name: 'Pectins', classes: ['gelling_agent', 'thickener', 'stabiliser'], names: ['pectin'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '442', name: 'Ammonium phosphatides', classes: ['emulsifier'], names: ['ammonium phosphatides'], fssai: 'limited', adi: { value: 30, source: 'JECFA' }, tier: 'low' },
+  { code: '450', name: 'Diphosphates', classes: ['raising_agent', 'acidity_regulator', 'sequestrant'], variants: { i: 'Disodium diphosphate', iii: 'Tetrasodium diphosphate' }, names: ['sodium acid pyrophosphate', 'sapp'], notes: PHOSPHATE_NOTE, conditions: { 'Kidney Disease': PHOSPHATE_KIDNEY }, fssai: 'limited', adi: { value: 40, source: 'EFSA', note: 'group ADI for phosphates, as phosphorus' }, tier: 'moderate' },
+  { code: '451', name: 'Triphosphates', classes: ['sequestrant', 'humectant'], variants: { i: 'Pentasodium triphosphate' }, names: ['sodium tripolyphosphate'], notes: PHOSPHATE_NOTE, conditions: { 'Kidney Disease': PHOSPHATE_KIDNEY }, fssai: 'limited', adi: { value: 40, source: 'EFSA', note: 'group ADI for phosphates, as phosphorus' }, tier: 'moderate' },
+  { code: '452', name: 'Polyphosphates', classes: ['sequestrant', 'humectant', 'emulsifier'], variants: { i: 'Sodium polyphosphate' }, names: ['sodium hexametaphosphate'], notes: PHOSPHATE_NOTE, conditions: { 'Kidney Disease': PHOSPHATE_KIDNEY }, fssai: 'limited', adi: { value: 40, source: 'EFSA', note: 'group ADI for phosphates, as phosphorus' }, tier: 'moderate' },
+  { code: '460', name: 'Cellulose', classes: ['anticaking_agent', 'bulking_agent'], variants: { i: 'Microcrystalline cellulose', ii: 'Powdered cellulose' }, names: ['microcrystalline cellulose', 'cellulose'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '461', name: 'Methyl cellulose', classes: ['thickener', 'emulsifier'], names: ['methyl cellulose', 'methylcellulose'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '464', name: 'Hydroxypropyl methyl cellulose', classes: ['thickener', 'emulsifier'], names: ['hpmc', 'hydroxypropyl methylcellulose'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '466', name: 'Sodium carboxymethyl cellulose', classes: ['thickener', 'stabiliser'], names: ['carboxymethyl cellulose', 'sodium carboxymethyl cellulose', 'cmc'], notes: EMULSIFIER_GUT_NOTE, fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'moderate' },
+  { code: '471', name: 'Mono- and diglycerides of fatty acids', classes: ['emulsifier', 'stabiliser'], names: ['mono and diglycerides', 'mono- and diglycerides', 'mono and diglycerides of fatty acids'], notes: 'Often made from palm oil; can carry small amounts of trans fat that the label does not have to declare.', fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '472e', name: 'Diacetyltartaric acid esters of mono- and diglycerides (DATEM)', classes: ['emulsifier', 'flour_treatment_agent'], names: ['datem'], fssai: 'limited', adi: { value: 50, source: 'JECFA' }, tier: 'low' },
+  { code: '475', name: 'Polyglycerol esters of fatty acids', classes: ['emulsifier'], fssai: 'limited', adi: { value: 25, source: 'JECFA' }, tier: 'low' },
+  { code: '476', name: 'Polyglycerol polyricinoleate (PGPR)', classes: ['emulsifier'], names: ['pgpr', 'polyglycerol polyricinoleate'], notes: 'Lets chocolate makers use less cocoa butter.', fssai: 'limited', adi: { value: 7.5, source: 'JECFA' }, tier: 'low' },
+  { code: '477', name: 'Propylene glycol esters of fatty acids', classes: ['emulsifier'], fssai: 'limited', adi: { value: 25, source: 'JECFA' }, tier: 'low' },
+  { code: '481', name: 'Sodium stearoyl lactylate', classes: ['emulsifier', 'flour_treatment_agent'], variants: { i: 'Sodium stearoyl lactylate' }, names: ['sodium stearoyl lactylate', 'ssl'], fssai: 'limited', adi: { value: 20, source: 'JECFA', note: 'group ADI for stearoyl lactylates' }, tier: 'low' },
+  { code: '482', name: 'Calcium stearoyl lactylate', classes: ['emulsifier', 'flour_treatment_agent'], names: ['calcium stearoyl lactylate'], fssai: 'limited', adi: { value: 20, source: 'JECFA', note: 'group ADI for stearoyl lactylates' }, tier: 'low' },
+  { code: '491', name: 'Sorbitan monostearate', classes: ['emulsifier'], fssai: 'limited', adi: { value: 25, source: 'JECFA', note: 'group ADI for sorbitan esters' }, tier: 'low' },
+
+  // Raising agents, mineral salts and anticaking agents
+  {
+    code: '500',
+    name: 'Sodium carbonates',
+    classes: ['raising_agent', 'acidity_regulator'],
+    variants: { i: 'Sodium carbonate', ii: 'Sodium hydrogen carbonate (baking soda)', iii: 'Sodium sesquicarbonate' },
+    names: ['baking soda', 'sodium bicarbonate', 'sodium hydrogen carbonate', 'sodium carbonate', 'soda bicarb'],
+    fssai: 'gmp',
+    adi: { value: null, source: 'JECFA' },
+    tier: 'low'
+  },
+  { code: '501', name: 'Potassium carbonates', classes: ['acidity_regulator', 'raising_agent'], variants: { i: 'Potassium carbonate', ii: 'Potassium hydrogen carbonate' }, names: ['potassium carbonate'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '503', name: 'Ammonium carbonates', classes: ['raising_agent', 'acidity_regulator'], variants: { i: 'Ammonium carbonate', ii: 'Ammonium hydrogen carbonate' }, names: ['ammonium bicarbonate', 'ammonium hydrogen carbonate'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '504', name: 'Magnesium carbonates', classes: ['acidity_regulator', 'anticaking_agent'], names: ['magnesium carbonate'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '508', name: 'Potassium chloride', classes: ['thickener', 'gelling_agent'], names: ['potassium chloride'], notes: 'Used as a salt substitute; adds potassium.', conditions: { 'Kidney Disease': 'Potassium chloride adds potassium, which is often restricted with kidney disease' }, fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '509', name: 'Calcium chloride', classes: ['firming_agent'], names: ['calcium chloride'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '510', name: 'Ammonium chloride', classes: ['flour_treatment_agent'], names: ['ammonium chloride'], fssai: 'limited', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '516', name: 'Calcium sulphate', classes: ['firming_agent', 'flour_treatment_agent'], names: ['calcium sulphate', 'calcium sulfate'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '524', name: 'Sodium hydroxide', classes: ['acidity_regulator'], names: ['sodium hydroxide'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '551', name: 'Silicon dioxide', classes: ['anticaking_agent'], names: ['silicon dioxide', 'silica'], fssai: 'limited', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '552', name: 'Calcium silicate', classes: ['anticaking_agent'], names: ['calcium silicate'], fssai: 'limited', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '554', name: 'Sodium aluminosilicate', classes: ['anticaking_agent'], names: ['sodium aluminosilicate'], notes: 'Aluminium-based; intake of aluminium from all sources is limited by a tolerable weekly intake.', fssai: 'limited', adi: { value: null, source: 'JECFA', note: 'aluminium: tolerable weekly intake 2 mg/kg bw (JECFA)' }, tier: 'moderate' },
+
+  // Flavour enhancers
+  { code: '620', name: 'Glutamic acid', classes: ['flavour_enhancer'], names: ['glutamic acid'], fssai: 'limited', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  {
+    code: '621',
+    name: 'Monosodium glutamate (MSG)',
+    classes: ['flavour_enhancer'],
+    names: ['monosodium glutamate', 'msg', 'ajinomoto'],
+    notes: 'Adds sodium. Some people report headaches or flushing after large amounts; FSSAI requires packs with added MSG to say it is not recommended for infants under 12 months.',
+    conditions: { Hypertension: 'MSG adds sodium on top of the salt in the product' },
+    fssai: 'limited',
+    adi: { value: null, source: 'JECFA', note: 'EFSA (2017) set a group ADI of 30 for glutamates' },
+    tier: 'moderate'
+  },
+  { code: '627', name: 'Disodium guanylate', classes: ['flavour_enhancer'], names: ['disodium guanylate'], notes: NUCLEOTIDE_NOTE, fssai: 'limited', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '631', name: 'Disodium inosinate', classes: ['flavour_enhancer'], names: ['disodium inosinate'], notes: NUCLEOTIDE_NOTE, fssai: 'limited', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '635', name: 'Disodium 5\'-ribonucleotides', classes: ['flavour_enhancer'], names: ['disodium ribonucleotides', 'disodium 5-ribonucleotides'], notes: NUCLEOTIDE_NOTE, fssai: 'limited', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+
+  // Glazing agents, flour treatment, sweeteners and others
+  { code: '900', name: 'Dimethylpolysiloxane', classes: ['antifoaming_agent', 'anticaking_agent'], variants: { a: 'Dimethylpolysiloxane' }, names: ['dimethylpolysiloxane', 'dimethicone'], fssai: 'limited', adi: { value: 1.5, source: 'JECFA' }, tier: 'low' },
+  { code: '901', name: 'Beeswax', classes: ['glazing_agent'], names: ['beeswax'], fssai: 'limited', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '903', name: 'Carnauba wax', classes: ['glazing_agent'], names: ['carnauba wax'], fssai: 'limited', adi: { value: 7, source: 'JECFA' }, tier: 'low' },
+  { code: '904', name: 'Shellac', classes: ['glazing_agent'], names: ['shellac'], fssai: 'limited', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '920', name: 'L-cysteine', classes: ['flour_treatment_agent'], names: ['l-cysteine', 'cysteine'], fssai: 'limited', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '950', name: 'Acesulfame potassium', classes: ['sweetener', 'flavour_enhancer'], names: ['acesulfame potassium', 'acesulfame k', 'acesulfame-k'], fssai: 'limited', adi: { value: 15, source: 'JECFA' }, tier: 'moderate' },
+  {
+    code: '951',
+    name: 'Aspartame',
+    classes: ['sweetener', 'flavour_enhancer'],
+    names: ['aspartame'],
+    notes: 'Contains a source of phenylalanine, unsafe for people with phenylketonuria. Classed as possibly carcinogenic (IARC group 2B, 2023); the ADI was kept.',
+    fssai: 'limited',
+    adi: { value: 40, source: 'JECFA', note: 'JECFA kept the ADI in 2023' },
+    tier: 'high'
+  },
+  { code: '952', name: 'Cyclamates', classes: ['sweetener'], names: ['cyclamate', 'sodium cyclamate'], notes: 'Banned in the United States; allowed in limited amounts elsewhere.', fssai: 'not_listed', adi: { value: 11, source: 'JECFA', note: 'as cyclamic acid' }, tier: 'high' },
+  { code: '954', name: 'Saccharin', classes: ['sweetener'], names: ['saccharin', 'sodium saccharin'], fssai: 'limited', adi: { value: 5, source: 'JECFA' }, tier: 'moderate' },
+  { code: '955', name: 'Sucralose', classes: ['sweetener'], names: ['sucralose'], fssai: 'limited', adi: { value: 15, source: 'JECFA' }, tier: 'moderate' },
+  { code: '960', name: 'Steviol glycosides', classes: ['sweetener'], names: ['steviol glycosides', 'stevia', 'stevia extract'], fssai: 'limited', adi: { value: 4, source: 'JECFA', note: 'as steviol' }, tier: 'low' },
+  { code: '961', name: 'Neotame', classes: ['sweetener'], names: ['neotame'], fssai: 'limited', adi: { value: 2, source: 'JECFA' }, tier: 'moderate' },
+  { code: '965', name: 'Maltitol', classes: ['sweetener', 'humectant'], names: ['maltitol'], notes: POLYOL_NOTE, conditions: { Diabetes: 'Maltitol still raises blood sugar, about half as much as sugar' }, fssai: 'limited', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '967', name: 'Xylitol', classes: ['sweetener', 'humectant'], names: ['xylitol'], notes: POLYOL_NOTE, fssai: 'limited', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '968', name: 'Erythritol', classes: ['sweetener'], names: ['erythritol'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '1100', name: 'Amylases', classes: ['enzyme', 'flour_treatment_agent'], names: ['amylase', 'fungal alpha amylase'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '1404', name: 'Oxidised starch', classes: ['thickener', 'emulsifier'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '1412', name: 'Distarch phosphate', classes: ['thickener', 'stabiliser'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '1414', name: 'Acetylated distarch phosphate', classes: ['thickener', 'emulsifier'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '1420', name: 'Acetylated starch', classes: ['thickener', 'stabiliser'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '1422', name: 'Acetylated distarch adipate', classes: ['thickener', 'stabiliser'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '1442', name: 'Hydroxypropyl distarch phosphate', classes: ['thickener', 'stabiliser'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '1450', name: 'Starch sodium octenyl succinate', classes: ['emulsifier', 'thickener'], fssai: 'gmp', adi: { value: null, source: 'JECFA' }, tier: 'low' },
+  { code: '1520', name: 'Propylene glycol', classes: ['humectant'], names: ['propylene glycol'], fssai: 'limited', adi: { value: 25, source: 'JECFA' }, tier: 'low' }
+]
+
+const BY_CODE = new Map(ADDITIVES.map(entry => [entry.code, entry]))
+
+const BY_NAME = new Map(ADDITIVES.flatMap(entry => (entry.names || []).map(name => [name, entry])))
+
+const CODE_PATTERN = /^(?:ins|e)?\s*[-.]?\s*(\d{3,4})\s*([a-f])?\s*(?:\(\s*([ivx]{1,4})\s*\)|([ivx]{1,4}))?$/i
+
+/**
+ * Canonical additive code
+ * @param {string} value - "INS 322(i)", "E 322 i", "322", "en:e322i", "160a(ii)"
+ * @returns {string|null} "322i", "160aii", or null when the value is not a code
+ */
+export const normalizeAdditiveCode = (value) => {
+  if (value == null) return null
+  const text = String(value).trim().replace(/^[a-z]{2}:/i, '')
+  const match = text.match(CODE_PATTERN)
+  if (!match) return null
+  const [, number, letter = '', roman = match[4] || ''] = match
+  return `${number}${letter}${roman}`.toLowerCase()
+}
+
+// "160aii" -> { base: "160a", number: "160", variant: "ii" }
+const splitCode = (code) => {
+  const [, number, letter = '', variant = ''] = code.match(/^(\d{3,4})([a-f])?([ivx]*)$/)
+  return { base: `${number}${letter}`, number, variant }
+}
+
+/**
+ * Display form of a canonical code
+ * @param {string} code - Canonical code ("322i")
+ * @returns {string} "INS 322(i)"
+ */
+export const formatAdditiveCode = (code) => {
+  const { base, variant } = splitCode(code)
+  return `INS ${base}${variant ? `(${variant})` : ''}`
+}
+
+/**
+ * Look up an additive by any form of its code
+ * @param {string} value - Code in any form normalizeAdditiveCode accepts
+ * @returns {Object|null} { code, ins, e_number, name, classes, fssai, adi, tier, notes, conditions, known },
+ *   or null when the value is not a code. Codes missing from the catalogue come back with
+ *   known: false and tier 'unknown' so they still count as additives.
+ */
+export const lookupAdditive = (value) => {
+  const code = normalizeAdditiveCode(value)
+  if (!code) return null
+  const { base, number, variant } = splitCode(code)
+  const entry = BY_CODE.get(base) || BY_CODE.get(number)
+  return {
+    code,
+    ins: formatAdditiveCode(code),
+    e_number: `E${code}`,
+    name: entry ? (entry.variants?.[variant] || entry.name) : null,
+    classes: entry ? entry.classes : [],
+    fssai: entry?.fssai || null,
+    adi: entry?.adi || null,
+    tier: entry?.tier || 'unknown',
+    notes: entry?.notes || null,
+    conditions: entry?.conditions || {},
+    known: Boolean(entry)
+  }
+}
+
+/**
+ * Look up an additive listed by name instead of code ("citric acid", "soya lecithin")
+ * @param {string} name - Ingredient name
+ * @returns {Object|null} Same shape as lookupAdditive
+ */
+export const lookupAdditiveByName = (name) => {
+  const key = String(name || '').toLowerCase().replace(/\s+/g, ' ').trim()
+  const entry = BY_NAME.get(key)
+  return entry ? lookupAdditive(entry.code) : null
+}
+
+/**
+ * Functional class named by label text ("Permitted synthetic food colour" -> "colour")
+ * @param {string} text
+ * @returns {string|null} ADDITIVE_CLASSES id
+ */
+export const additiveClassOf = (text) => {
+  const lower = String(text || '').toLowerCase()
+  return CLASS_WORDS.find(c => c.pattern.test(lower))?.id || null
+}
+
+/**
+ * Everything the reference data says about an additive, with labels for display
+ * @param {string} value - Code in any form, or a name such as "citric acid"
+ * @returns {Object|null} null when the value is neither a code nor a known name
+ */
+export const describeAdditive = (value) => {
+  const additive = lookupAdditive(value) || lookupAdditiveByName(value)
+  if (!additive) return null
+  return {
+    ...additive,
+    classes: additive.classes.map(id => ({ id, label: ADDITIVE_CLASSES[id] })),
+    fssai: additive.fssai ? { status: additive.fssai, label: FSSAI_STATUSES[additive.fssai] } : null,
+    adi: additive.adi
+      ? { ...additive.adi, unit: 'mg/kg body weight/day', label: additive.adi.value != null ? `0–${additive.adi.value} mg/kg body weight/day` : 'Not specified (no safety concern at normal use)' }
+      : null,
+    tier: { id: additive.tier, label: RISK_TIERS[additive.tier] }
+  }
+}
+
+export default {
+  ADDITIVE_CLASSES,
+  FSSAI_STATUSES,
+  RISK_TIERS,
+  ADDITIVES,
+  normalizeAdditiveCode,
+  formatAdditiveCode,
+  lookupAdditive,
+  lookupAdditiveByName,
+  additiveClassOf,
+  describeAdditive
+}
@@ -0,0 +1,424 @@
+/**
+ * Allergen detection
+ *
+ * A taxonomy of the FSSAI (Labelling and Display Regulations 2020) and EU
+ * (Regulation 1169/2011, Annex II) major allergens with English, Hindi and
+ * transliterated synonyms, so "milk" finds casein and ghee and "nuts" finds
+ * cashew. "May contain" / "made in a facility that also handles" statements
+ * are read as a separate, lower-severity traces class. Open Food Facts
+ * allergens_tags and traces_tags are used when the product has them.
+ */
+
+/**
+ * @typedef {Object} Allergen
+ * @property {string} id
+ * @property {string} label
+ * @property {Array<string>} regulations - 'fssai' and/or 'eu'
+ * @property {Array<string>} offTags - Open Food Facts allergen/trace tags
+ * @property {Array<string>} terms - Lowercase words or phrases (plurals are matched too)
+ * @property {Array<{source: string, term: string}>} [patterns] - Extra regular expressions on the
+ *   lowercase text; term names the match ($1 is the first capture group)
+ * @property {Array<string>} [exclude] - Phrases that contain a term but are not the allergen
+ * @property {Array<string>} [includes] - Allergens whose terms also count for this one
+ */
+
+/** @type {Array<Allergen>} */
+export const ALLERGENS = [
+  {
+    id: 'wheat',
+    label: 'Wheat',
+    regulations: ['fssai', 'eu'],
+    offTags: [],
+    terms: [
+      'wheat', 'whole wheat', 'wheat flour', 'wheat gluten', 'durum', 'spelt', 'kamut', 'farro', 'triticale',
+      'atta', 'aata', 'maida', 'sooji', 'suji', 'semolina', 'rava', 'rawa', 'dalia', 'daliya', 'bulgur',
+      'couscous', 'seitan', 'vermicelli', 'seviyan', 'sevaiyan', 'breadcrumb', 'bread crumb',
+      'गेहूं', 'गेंहू', 'गेहू', 'मैदा', 'आटा', 'सूजी', 'रवा', 'दलिया', 'सेवई'
+    ],
+    exclude: [
+      'rice vermicelli', 'rice atta', 'ragi atta', 'bajra atta', 'jowar atta', 'makki atta', 'makka atta',
+      'kuttu atta', 'singhara atta', 'rajgira atta', 'ragi rava', 'rice rava', 'idli rava', 'corn rava',
+      'chawal ka atta', 'kuttu ka atta', 'singhare ka atta', 'makki ka atta', 'bajre ka atta', 'jowar ka atta',
+      'ragi ka atta',
+      'चावल का आटा', 'कुट्टू का आटा', 'सिंघाड़े का आटा', 'रागी का आटा', 'बाजरे का आटा', 'ज्वार का आटा',
+      'मक्के का आटा', 'राजगिरा आटा', 'चावल का रवा'
+    ]
+  },
+  {
+    id: 'gluten',
+    label: 'Gluten',
+    regulations: ['fssai', 'eu'],
+    offTags: ['en:gluten'],
+    terms: [
+      'gluten', 'barley', 'jau', 'rye', 'oat', 'oatmeal', 'oat bran', 'malt', 'malt extract', 'malted',
+      'जौ', 'जई'
+    ],
+    includes: ['wheat']
+  },
+  {
+    id: 'milk',
+    label: 'Milk',
+    regulations: ['fssai', 'eu'],
+    offTags: ['en:milk'],
+    terms: [
+      'milk', 'milk solids', 'milk powder', 'dairy', 'butter', 'buttermilk', 'ghee', 'cream', 'cheese',
+      'paneer', 'chhena', 'chenna', 'khoya', 'khoa', 'mawa', 'dahi', 'curd', 'yoghurt', 'yogurt', 'lassi',
+      'chaas', 'chhaas', 'malai', 'rabri', 'casein', 'caseinate', 'whey', 'lactose', 'lactalbumin',
+      'lactoglobulin', 'butterfat', 'butter oil', 'milk fat', 'doodh', 'dudh', 'makhan', 'makkhan',
+      'दूध', 'दुग्ध', 'घी', 'मक्खन', 'पनीर', 'खोया', 'खोआ', 'मावा', 'दही', 'छाछ', 'मलाई', 'क्रीम',
+      'छेना', 'रबड़ी'
+    ],
+    exclude: [
+      'coconut milk', 'coconut milk powder', 'soy milk', 'soya milk', 'almond milk', 'oat milk', 'rice milk',
+      'cashew milk', 'milk thistle', 'cocoa butter', 'peanut butter', 'shea butter', 'kokum butter',
+      'mango butter', 'nut butter', 'apple butter', 'butter beans', 'cream of tartar', 'coconut cream',
+      'vegetable cream', 'non dairy', 'vanaspati ghee', 'vegetable ghee', 'bean curd', 'soybean curd',
+      'soya curd', 'नारियल का दूध', 'वनस्पति घी'
+    ]
+  },
+  {
+    id: 'egg',
+    label: 'Egg',
+    regulations: ['fssai', 'eu'],
+    offTags: ['en:eggs'],
+    terms: [
+      'egg', 'egg white', 'egg yolk', 'egg powder', 'albumen', 'albumin', 'ovalbumin', 'lysozyme',
+      'mayonnaise', 'meringue', 'anda', 'ande', 'अंडा', 'अंडे', 'अण्डा', 'अण्डे'
+    ]
+  },
+  {
+    id: 'peanuts',
+    label: 'Peanuts',
+    regulations: ['fssai', 'eu'],
+    offTags: ['en:peanuts'],
+    terms: [
+      'peanut', 'groundnut', 'ground nut', 'monkey nut', 'arachis', 'moongphali', 'mungfali', 'moongfali',
+      'mungphali', 'singdana', 'shengdana', 'मूंगफली', 'मुंगफली', 'मूँगफली'
+    ]
+  },
+  {
+    id: 'tree_nuts',
+    label: 'Tree nuts',
+    regulations: ['fssai', 'eu'],
+    offTags: ['en:nuts'],
+    terms: [
+      'nut', 'tree nut', 'almond', 'badam', 'cashew', 'kaju', 'walnut', 'akhrot', 'pistachio', 'pista',
+      'hazelnut', 'pecan', 'brazil nut', 'macadamia', 'pine nut', 'chilgoza', 'chironji', 'praline',
+      'marzipan', 'बादाम', 'काजू', 'अखरोट', 'पिस्ता', 'चिलगोजा', 'चिरौंजी'
+    ],
+    exclude: [
+      'ground nut', 'monkey nut', 'betel nut', 'areca nut', 'kola nut', 'tiger nut'
+    ]
+  },
+  {
+    id: 'soy',
+    label: 'Soy',
+    regulations: ['fssai', 'eu'],
+    offTags: ['en:soybeans'],
+    terms: [
+      'soy', 'soya', 'soybean', 'soyabean', 'soy bean', 'soya bean', 'soy lecithin', 'soya lecithin',
+      'edamame', 'tofu', 'tempeh', 'miso', 'shoyu', 'tamari', 'bean curd', 'सोया', 'सोयाबीन'
+    ]
+  },
+  {
+    id: 'fish',
+    label: 'Fish',
+    regulations: ['fssai', 'eu'],
+    offTags: ['en:fish'],
+    terms: [
+      'fish', 'fish oil', 'fish sauce', 'anchovy', 'anchovies', 'tuna', 'salmon', 'sardine', 'mackerel',
+      'cod', 'hilsa', 'rohu', 'pomfret', 'surmai', 'bangda', 'bombil', 'basa', 'tilapia', 'machli',
+      'machhli', 'मछली'
+    ]
+  },
+  {
+    id: 'crustaceans',
+    label: 'Crustaceans',
+    regulations: ['fssai', 'eu'],
+    offTags: ['en:crustaceans'],
+    terms: [
+      'crustacean', 'shellfish', 'shrimp', 'prawn', 'crab', 'lobster', 'crayfish', 'krill', 'jhinga',
+      'jheenga', 'झींगा', 'केकड़ा'
+    ]
+  },
+  {
+    id: 'molluscs',
+    label: 'Molluscs',
+    regulations: ['eu'],
+    offTags: ['en:molluscs'],
+    terms: [
+      'mollusc', 'mollusk', 'squid', 'calamari', 'octopus', 'clam', 'mussel', 'oyster', 'scallop',
+      'cuttlefish', 'snail', 'oyster sauce'
+    ],
+    exclude: ['oyster mushroom']
+  },
+  {
+    id: 'sesame',
+    label: 'Sesame',
+    regulations: ['eu'],
+    offTags: ['en:sesame-seeds'],
+    terms: ['sesame', 'til', 'gingelly', 'tahini', 'tahina', 'benne', 'तिल']
+  },
+  {
+    id: 'mustard',
+    label: 'Mustard',
+    regulations: ['eu'],
+    offTags: ['en:mustard'],
+    terms: ['mustard', 'sarson', 'sarso', 'rai', 'सरसों', 'सरसो', 'राई']
+  },
+  {
+    id: 'celery',
+    label: 'Celery',
+    regulations: ['eu'],
+    offTags: ['en:celery'],
+    terms: ['celery', 'celeriac', 'ajmod', 'ajmoda', 'अजमोद']
+  },
+  {
+    id: 'lupin',
+    label: 'Lupin',
+    regulations: ['eu'],
+    offTags: ['en:lupin'],
+    terms: ['lupin', 'lupine']
+  },
+  {
+    id: 'sulphites',
+    label: 'Sulphites',
+    regulations: ['fssai', 'eu'],
+    offTags: ['en:sulphur-dioxide-and-sulphites'],
+    terms: [
+      'sulphite', 'sulfite', 'sulphur dioxide', 'sulfur dioxide', 'metabisulphite', 'metabisulfite',
+      'bisulphite', 'bisulfite'
+    ],
+    // E220-E228 as "INS 223", "E 224" or by function class, e.g. "dough conditioner (223)"
+    patterns: [
+      { source: '\\b(?:e|ins)\\s*-?\\s*(22[0-8])(?!\\d)', term: 'ins $1' },
+      {
+        source: '(?:preservatives?|dough\\s+conditioners?|flour\\s+treatment\\s+agents?|improvers?|antioxidants?)[^,;)]*?[(:]\\s*(?:ins\\s*)?(22[0-8])(?!\\d)',
+        term: 'ins $1'
+      }
+    ]
+  }
+]
+
+// Names users pick in their profile (and common variants) -> allergen ids
+const ALLERGY_ALIASES = {
+  dairy: ['milk'],
+  lactose: ['milk'],
+  'cow milk': ['milk'],
+  eggs: ['egg'],
+  peanut: ['peanuts'],
+  groundnut: ['peanuts'],
+  nuts: ['tree_nuts'],
+  'tree nut': ['tree_nuts'],
+  soya: ['soy'],
+  soybean: ['soy'],
+  soybeans: ['soy'],
+  shellfish: ['crustaceans', 'molluscs'],
+  seafood: ['fish', 'crustaceans', 'molluscs'],
+  sulfites: ['sulphites'],
+  'sulphur dioxide': ['sulphites']
+}
+
+// Statements whose allergens come after them ("may contain traces of nuts")
+const TRACES_BEFORE = new RegExp([
+  'may\\s+(?:also\\s+)?contain',
+  '(?:contains?\\s+)?traces?\\s+(?:amounts?\\s+)?of',
+  '(?:manufactured|made|produced|processed|packed|prepared)\\s+(?:in|on)\\s+[^.;]*?(?:facility|factory|plant|premises|unit|equipment|line)s?\\s+(?:that|which|where)?\\s*(?:also\\s+)?(?:process|handle|use|manufacture|pack)(?:es|s)?',
+  'shared\\s+(?:equipment|facilit(?:y|ies)|lines?)(?:\\s+with)?'
+].join('|'), 'u')
+
+// Statements whose allergens come before them ("nuts may be present", Hindi "... के अंश हो सकते हैं")
+const TRACES_AFTER = /may\s+be\s+present|हो\s+सकत[ेाी]/u
+
+// "gluten free", "free from nuts", "eggless"-style claims name an allergen without containing it
+const FREE_FROM = /[\p{L}]+\s*-?\s*free\b|free\s+from\s+[^.;\n(]*/gu
+
+const LETTER_BEFORE = '(?<![\\p{L}\\p{M}\\p{N}])'
+const LETTER_AFTER = '(?![\\p{L}\\p{M}])'
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * Lowercase and fold spelling variants (Devanagari nukta and chandrabindu, dashes)
+ */
+export const normalizeLabelText = (text) => String(text || '')
+  .normalize('NFC')
+  .toLowerCase()
+  .replace(/़/g, '')
+  .replace(/ँ/g, 'ं')
+  .replace(/[‐-―]/g, '-')
+
+const termPattern = (term) => {
+  const normalized = normalizeLabelText(term).trim()
+  const words = normalized.split(/\s+/).map(escapeRegExp).join('[\\s-]+')
+  const plural = /^[a-z ]+$/.test(normalized) ? '(?:e?s)?' : ''
+  return `${LETTER_BEFORE}${words}${plural}${LETTER_AFTER}`
+}
+
+const compile = (allergen, byId) => {
+  const terms = [
+    ...allergen.terms,
+    ...(allergen.includes || []).flatMap(id => byId.get(id)?.terms || [])
+  ]
+  const excludes = [
+    ...(allergen.exclude || []),
+    ...(allergen.includes || []).flatMap(id => byId.get(id)?.exclude || [])
+  ]
+  // Longest first so "milk powder" is reported rather than "milk"
+  const sources = [...new Set(terms)].sort((a, b) => b.length - a.length).map(termPattern)
+  return {
+    ...allergen,
+    matcher: new RegExp(sources.join('|'), 'gu'),
+    patterns: (allergen.patterns || []).map(({ source, term }) => ({ regex: new RegExp(source, 'gu'), term })),
+    excluder: excludes.length > 0
+      ? new RegExp(excludes.sort((a, b) => b.length - a.length).map(termPattern).join('|'), 'gu')
+      : null
+  }
+}
+
+const ALLERGENS_BY_ID = new Map(ALLERGENS.map(a => [a.id, a]))
+const COMPILED = ALLERGENS.map(a => compile(a, ALLERGENS_BY_ID))
+
+/**
+ * Split label text into what the product contains and what it may contain
+ * @param {string} text - Ingredients and allergen statements
+ * @returns {{contains: string, traces: string}}
+ */
+export const splitTraceStatements = (text) => {
+  const contains = []
+  const traces = []
+  // Sentences end at . (not a decimal point), ;, |, the Devanagari danda or a line break
+  const sentences = normalizeLabelText(text).split(/(?<!\d)\.(?!\d)|[;|\n।]/)
+  for (let sentence of sentences) {
+    let before = sentence.match(TRACES_BEFORE)
+    while (before) {
+      const start = before.index + before[0].length
+      const head = sentence.slice(0, before.index)
+      contains.push(head)
+      // Inside brackets, e.g. "vegetable oil (may contain palmolein), milk solids", the statement ends with them
+      const depth = (head.match(/\(/g) || []).length - (head.match(/\)/g) || []).length
+      const close = depth > 0 ? sentence.indexOf(')', start) : -1
+      if (close === -1) {
+        traces.push(sentence.slice(start))
+        sentence = ''
+        break
+      }
+      traces.push(sentence.slice(start, close))
+      sentence = sentence.slice(close + 1)
+      before = sentence.match(TRACES_BEFORE)
+    }
+
+    const after = sentence.match(TRACES_AFTER)
+    if (after) {
+      traces.push(sentence.slice(0, after.index))
+    } else {
+      contains.push(sentence)
+    }
+  }
+  return { contains: contains.join('. '), traces: traces.join('. ') }
+}
+
+const findTerms = (compiled, text) => {
+  if (!text) return []
+  const masked = compiled.excluder ? text.replace(compiled.excluder, ' ') : text
+  const terms = [...masked.matchAll(compiled.matcher)].map(m => m[0].trim())
+  for (const { regex, term } of compiled.patterns) {
+    for (const m of masked.matchAll(regex)) terms.push(term.replace('$1', m[1] ?? ''))
+  }
+  return [...new Set(terms)]
+}
+
+const tagSet = (tags) => new Set((tags || []).map(tag => String(tag).toLowerCase()))
+
+/**
+ * Allergens a product contains or may contain
+ * @param {Object} product - { ingredients, allergens (OFF allergens_tags), traces (OFF traces_tags) }
+ * @param {Array<Allergen>} [allergens] - Taxonomy entries to look for (default: all)
+ * @returns {{contains: Array<{id, label, terms, sources}>, traces: Array<{id, label, terms, sources}>}}
+ *   terms are the label words that matched; sources are 'ingredients' and/or 'tags'.
+ *   An allergen the product contains is not repeated under traces.
+ */
+export const detectAllergens = (product = {}, allergens = COMPILED) => {
+  const text = normalizeLabelText(product.ingredients).replace(FREE_FROM, ' ')
+  const { contains: containsText, traces: tracesText } = splitTraceStatements(text)
+  const allergenTags = tagSet(product.allergens)
+  const traceTags = tagSet(product.traces)
+
+  const contains = []
+  const traces = []
+  for (const allergen of allergens) {
+    const found = (textPart, tags) => {
+      const terms = findTerms(allergen, textPart)
+      const tagged = allergen.offTags.some(tag => tags.has(tag))
+      if (terms.length === 0 && !tagged) return null
+      return {
+        id: allergen.id,
+        label: allergen.label,
+        terms,
+        sources: [...(terms.length > 0 ? ['ingredients'] : []), ...(tagged ? ['tags'] : [])]
+      }
+    }
+
+    const contained = found(containsText, allergenTags)
+    if (contained) {
+      contains.push(contained)
+      continue
+    }
+    const trace = found(tracesText, traceTags)
+    if (trace) traces.push(trace)
+  }
+  return { contains, traces }
+}
+
+/**
+ * Allergen ids a user-entered allergy stands for
+ * @param {string} allergy - e.g. "Dairy", "Tree nuts", "Shellfish"
+ * @returns {Array<string>} Empty when the allergy is not in the taxonomy
+ */
+export const resolveAllergy = (allergy) => {
+  const key = String(allergy || '').trim().toLowerCase().replace(/_/g, ' ')
+  if (ALLERGY_ALIASES[key]) return ALLERGY_ALIASES[key]
+  const allergen = ALLERGENS.find(a => a.id.replace(/_/g, ' ') === key || a.label.toLowerCase() === key)
+  return allergen ? [allergen.id] : []
+}
+
+/**
+ * Match a user's allergies against a product
+ * @param {Array<string>} allergies - users.allergies
+ * @param {Object} product - See detectAllergens
+ * @returns {Array<{allergy: string, id: string, level: 'contains'|'traces', terms: Array<string>}>}
+ *   One entry per allergy, the stronger level first; allergies outside the
+ *   taxonomy are matched as plain words.
+ */
+export const matchAllergies = (allergies = [], product = {}) => {
+  const detected = detectAllergens(product)
+  const matches = []
+
+  for (const allergy of allergies) {
+    const ids = resolveAllergy(allergy)
+    let result = detected
+    if (ids.length === 0) {
+      const custom = compile({ id: String(allergy).toLowerCase(), label: allergy, offTags: [], terms: [String(allergy)] }, ALLERGENS_BY_ID)
+      result = detectAllergens(product, [custom])
+    }
+    const wanted = (entry) => ids.length === 0 || ids.includes(entry.id)
+
+    const contained = result.contains.filter(wanted)
+    const traced = result.traces.filter(wanted)
+    if (contained.length > 0) {
+      matches.push({ allergy, id: contained[0].id, level: 'contains', terms: [...new Set(contained.flatMap(e => e.terms))] })
+    } else if (traced.length > 0) {
+      matches.push({ allergy, id: traced[0].id, level: 'traces', terms: [...new Set(traced.flatMap(e => e.terms))] })
+    }
+  }
+  return matches
+}
+
+export default {
+  ALLERGENS,
+  normalizeLabelText,
+  splitTraceStatements,
+  detectAllergens,
+  resolveAllergy,
+  matchAllergies
+}
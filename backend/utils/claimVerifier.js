@@ -0,0 +1,261 @@
+/**
+ * Label claim verification
+ *
+ * Finds the claims a product makes ("Sugar free", "High protein", "No
+ * preservatives") in its name, its Open Food Facts labels_tags and text read
+ * from the front of the pack, then checks each one against the product's own
+ * nutrition facts and ingredients. Nutrient claims use the FSSAI thresholds in
+ * knowledgeBase.fssaiStandards; non-addition claims are checked against the
+ * ingredient list.
+ */
+import { knowledgeBase } from '../services/knowledgeBase.js'
+import { normalizeNutrition } from './truthScore.js'
+import { detectAddedSugars, describeAddedSugars } from './sugarAliases.js'
+import { normalizeLabelText, detectAllergens } from './allergens.js'
+import { productAdditives, ingredientTreeOf, flattenIngredients } from './ingredientParser.js'
+import { buildServingInfo } from './portions.js'
+
+/** Verdicts, as shown to a reader */
+export const CLAIM_VERDICTS = {
+  verified: 'Verified',
+  misleading: 'Misleading',
+  unverifiable: 'Unverifiable'
+}
+
+/** Where a claim was found */
+export const CLAIM_SOURCES = {
+  name: 'Product name',
+  labels: 'Open Food Facts labels',
+  front_of_pack: 'Front of pack'
+}
+
+const CLAIMS_REGULATION = 'FSSAI (Advertising and Claims) Regulations, 2018'
+
+// Nutrients the thresholds name, read from normalizeNutrition
+const NUTRIENTS = {
+  sugar: { key: 'sugars_g', label: 'sugars', unit: 'g' },
+  fat: { key: 'fat_g', label: 'fat', unit: 'g' },
+  saturated_fat: { key: 'satFat_g', label: 'saturated fat', unit: 'g' },
+  trans_fat: { key: 'transFat_g', label: 'trans fat', unit: 'g' },
+  sodium: { key: 'sodium_g', label: 'sodium', unit: 'g' },
+  energy: { key: 'energy_kcal', label: 'energy', unit: 'kcal' },
+  fiber: { key: 'fiber_g', label: 'dietary fibre', unit: 'g' },
+  protein: { key: 'protein_g', label: 'protein', unit: 'g' }
+}
+
+/**
+ * Claims and the wording that makes them, checked in this order. A claim
+ * with a `check` is verified from the ingredients; the rest use the
+ * threshold of the same id in claims_regulation.
+ */
+const CLAIMS = [
+  {
+    id: 'no_added_sugar',
+    label: 'No added sugar',
+    check: 'added_sugar',
+    patterns: [/\b(?:no|zero|without) added sugars?\b/, /\bno sugars? added\b/, /\bunsweetened\b/, /बिना (?:अतिरिक्त )?चीनी/]
+  },
+  {
+    id: 'sugar_free',
+    label: 'Sugar free',
+    patterns: [/\bsugar[\s-]?free\b/, /\b(?:no|zero) sugars?\b(?![\s-]*added)/, /शुगर[\s-]?फ्री|चीनी रहित/]
+  },
+  { id: 'low_sugar', label: 'Low sugar', patterns: [/\blow[\s-](?:in )?sugars?\b/] },
+  {
+    id: 'fat_free',
+    label: 'Fat free',
+    patterns: [/(?<!(?:trans|saturated)[\s-]?)\bfat[\s-]?free\b/, /\b(?:no|zero) fat\b/, /(?<![\d.])0\s?%\s?fat\b/]
+  },
+  { id: 'low_fat', label: 'Low fat', patterns: [/\blow[\s-](?:in )?fat\b/, /कम वसा/] },
+  { id: 'low_saturated_fat', label: 'Low saturated fat', patterns: [/\blow[\s-](?:in )?saturated[\s-]fats?\b/, /\blow[\s-]sat[\s-]fat\b/] },
+  {
+    id: 'no_trans_fat',
+    label: 'No trans fat',
+    patterns: [/\b(?:no|zero|0\s?(?:g|%)?) trans[\s-]?fats?\b/, /\btrans[\s-]?fat[\s-]?free\b/]
+  },
+  { id: 'low_sodium', label: 'Low sodium', patterns: [/\blow[\s-](?:in )?(?:sodium|salt)\b/] },
+  { id: 'low_calorie', label: 'Low calorie', patterns: [/\blow[\s-](?:in )?(?:calories?|cal|energy)\b/] },
+  { id: 'high_fiber', label: 'High fibre', patterns: [/\b(?:high|rich)[\s-](?:in )?fib(?:re|er)s?\b/, /\bfib(?:re|er)[\s-]rich\b/] },
+  { id: 'source_of_fiber', label: 'Source of fibre', patterns: [/\bsource of fib(?:re|er)s?\b/] },
+  { id: 'high_protein', label: 'High protein', patterns: [/\b(?:high|rich)[\s-](?:in )?proteins?\b/, /\bprotein[\s-](?:rich|packed)\b/, /उच्च प्रोटीन/] },
+  { id: 'source_of_protein', label: 'Source of protein', patterns: [/\bsource of proteins?\b/] },
+  {
+    id: 'no_preservatives',
+    label: 'No preservatives',
+    check: 'preservatives',
+    patterns: [/\bno (?:added |artificial )?preservatives?\b/, /\bpreservative[\s-]free\b/, /\b(?:without|free from) (?:added )?preservatives?\b/]
+  },
+  { id: 'gluten_free', label: 'Gluten free', check: 'gluten', patterns: [/\bgluten[\s-]?free\b/, /\bno gluten\b/] }
+]
+
+const INGREDIENT_RULES = {
+  added_sugar: `${CLAIMS_REGULATION}, Schedule I: "No added sugar" only when no sugars, and no ingredient containing added sugars (syrups, honey, jaggery, fruit juice concentrate), have been added`,
+  preservatives: `${CLAIMS_REGULATION}: a non-addition claim such as "No preservatives" only when no preservative has been added, directly or through an ingredient`,
+  gluten: 'FSSAI gluten-free standard: no more than 20 mg/kg gluten, so no wheat, barley, rye or oats unless processed to remove the gluten'
+}
+
+const formatAmount = (value) => Number(value.toFixed(value < 1 ? 2 : 1))
+
+/**
+ * Thresholds of a nutrient claim
+ * @returns {{bound: 'max'|'min', nutrient: string, solid: number, liquid: number|null}|null}
+ */
+const claimLimits = (id) => {
+  const regulation = knowledgeBase.fssaiStandards.labeling.claims_regulation[id]
+  if (!regulation) return null
+  let limits = null
+  for (const [key, value] of Object.entries(regulation)) {
+    const [, bound, nutrient, liquid] = key.match(/^(max|min)_(.+?)(_liquid)?$/) || []
+    if (!bound || !NUTRIENTS[nutrient]) continue
+    limits = limits || { bound, nutrient, solid: null, liquid: null }
+    limits[liquid ? 'liquid' : 'solid'] = value
+  }
+  return limits
+}
+
+const nutrientRule = (claim, limits) => {
+  const { label, unit } = NUTRIENTS[limits.nutrient]
+  const bound = limits.bound === 'max' ? 'no more than' : 'at least'
+  const per = limits.liquid != null
+    ? `per 100 g (${limits.liquid} ${unit} per 100 ml for liquids)`
+    : 'per 100 g or 100 ml'
+  return `${CLAIMS_REGULATION}, Schedule I: "${claim.label}" needs ${bound} ${limits.solid} ${unit} ${label} ${per}`
+}
+
+// Text of each source, split so a match can be reported as the label wrote it
+const claimTexts = (product, frontText) => [
+  { source: 'name', texts: [product.name] },
+  {
+    source: 'labels',
+    // "en:no-added-sugar" reads as "no added sugar"; tags in other languages are skipped
+    texts: (Array.isArray(product.labels) ? product.labels : [])
+      .filter(tag => typeof tag === 'string' && /^(en:)?[a-z0-9-]+$/i.test(tag))
+      .map(tag => tag.replace(/^en:/i, '').replace(/-/g, ' '))
+  },
+  { source: 'front_of_pack', texts: [frontText] }
+]
+
+/**
+ * Claims a product makes and where it makes them
+ * @param {Object} product - Product data (name, labels)
+ * @param {Object} [options]
+ * @param {string} [options.frontText] - Text read from the front of the pack
+ * @returns {Array<{id: string, label: string, found_in: Array<{source: string, text: string}>}>}
+ */
+export const extractClaims = (product = {}, { frontText } = {}) => {
+  const found = new Map()
+  for (const { source, texts } of claimTexts(product, frontText || product.front_text)) {
+    for (const raw of texts) {
+      if (!raw) continue
+      let text = normalizeLabelText(raw)
+      for (const claim of CLAIMS) {
+        for (const pattern of claim.patterns) {
+          const match = text.match(pattern)
+          if (!match) continue
+          const entry = found.get(claim.id) || { id: claim.id, label: claim.label, found_in: [] }
+          if (!entry.found_in.some(f => f.source === source)) entry.found_in.push({ source, text: match[0] })
+          found.set(claim.id, entry)
+          // "No added sugar" is not also read as "no sugar"
+          text = text.replace(match[0], ' ')
+        }
+      }
+    }
+  }
+  return CLAIMS.filter(claim => found.has(claim.id)).map(claim => found.get(claim.id))
+}
+
+const verifyNutrientClaim = (claim, product) => {
+  const limits = claimLimits(claim.id)
+  const rule = nutrientRule(claim, limits)
+  const { key, label, unit } = NUTRIENTS[limits.nutrient]
+  const nutrition = normalizeNutrition(product.nutrition_facts)
+  // Mapped products keep kcal under "energy", which normalizeNutrition does not read
+  if (nutrition.energy_kcal == null && product.nutrition_facts?.energy != null) nutrition.energy_kcal = Number(product.nutrition_facts.energy)
+  const liquid = buildServingInfo(product.serving).basis === '100ml'
+  const limit = liquid && limits.liquid != null ? limits.liquid : limits.solid
+  const per = liquid ? '100 ml' : '100 g'
+
+  // Sources that lack a panel store zeros, so a label with nothing above zero declared nothing
+  const declared = Object.values(NUTRIENTS).some(n => nutrition[n.key] > 0)
+  const amount = nutrition[key]
+  if (!declared || amount == null || Number.isNaN(amount)) {
+    return { verdict: 'unverifiable', rule, evidence: `The nutrition facts do not declare ${label}`, amount: null, limit, unit }
+  }
+
+  const passes = limits.bound === 'max' ? amount <= limit : amount >= limit
+  const shown = `${formatAmount(amount)} ${unit} ${label} per ${per}`
+  return {
+    verdict: passes ? 'verified' : 'misleading',
+    rule,
+    evidence: passes
+      ? `${shown}, within the ${limit} ${unit} ${limits.bound === 'max' ? 'limit' : 'minimum'}`
+      : `${shown}, ${limits.bound === 'max' ? 'above the' : 'below the'} ${limit} ${unit} ${limits.bound === 'max' ? 'limit' : 'minimum'}`,
+    amount: formatAmount(amount),
+    limit,
+    unit
+  }
+}
+
+const verifyIngredientClaim = (claim, product) => {
+  const rule = INGREDIENT_RULES[claim.check]
+  const ingredients = product.ingredients || ''
+  const result = (verdict, evidence) => ({ verdict, rule, evidence, amount: null, limit: null, unit: null })
+
+  if (claim.check === 'added_sugar') {
+    if (!ingredients.trim()) return result('unverifiable', 'No ingredient list to check')
+    const sugars = detectAddedSugars(product)?.aliases || []
+    return sugars.length
+      ? result('misleading', `The ingredients list ${describeAddedSugars(sugars)}`)
+      : result('verified', 'No sugar or syrup in the ingredient list')
+  }
+
+  if (claim.check === 'preservatives') {
+    const additives = Array.isArray(product.additives) ? product.additives : []
+    if (!ingredients.trim() && additives.length === 0) return result('unverifiable', 'No ingredient list to check')
+    const found = productAdditives(product)
+      .filter(a => (a.function || a.classes[0]) === 'preservative')
+      .map(a => `${a.name || a.listed_as} (${a.ins})`)
+    // "Preservative (class II)" names the class without a code
+    const unnamed = flattenIngredients(ingredientTreeOf(product)?.ingredients)
+      .filter(node => node.function === 'preservative' && !node.additive && node.children.length === 0)
+      .map(node => node.name)
+    const listed = [...found, ...unnamed]
+    return listed.length > 0
+      ? result('misleading', `The ingredients list ${listed.join(', ')}`)
+      : result('verified', 'No preservative in the ingredient list')
+  }
+
+  // Gluten: the label's own ingredients and allergen statements
+  const allergens = Array.isArray(product.allergens) ? product.allergens : []
+  if (!ingredients.trim() && allergens.length === 0) return result('unverifiable', 'No ingredient list to check')
+  const { contains, traces } = detectAllergens(product)
+  const gluten = contains.find(a => a.id === 'gluten')
+  if (gluten) return result('misleading', `The ingredients list ${gluten.terms.join(', ') || 'gluten'}`)
+  if (traces.some(a => a.id === 'gluten')) return result('misleading', 'The label says it may contain gluten')
+  return result('verified', 'No gluten-containing cereal in the ingredient list')
+}
+
+/**
+ * Check every claim a product makes against its nutrition facts and ingredients
+ * @param {Object} product - Product data (name, labels, nutrition_facts, serving, ingredients, additives, allergens)
+ * @param {Object} [options]
+ * @param {string} [options.frontText] - Text read from the front of the pack
+ * @returns {Array<Object>} One entry per claim: { id, label, found_in, verdict,
+ *   rule, evidence, amount, limit, unit }; amount/limit/unit are null for
+ *   claims checked against the ingredients
+ */
+export const verifyClaims = (product = {}, options = {}) =>
+  extractClaims(product, options).map((found) => {
+    const claim = CLAIMS.find(c => c.id === found.id)
+    return {
+      ...found,
+      ...(claim.check ? verifyIngredientClaim(claim, product) : verifyNutrientClaim(claim, product))
+    }
+  })
+
+export default {
+  CLAIM_VERDICTS,
+  CLAIM_SOURCES,
+  extractClaims,
+  verifyClaims
+}
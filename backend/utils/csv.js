@@ -0,0 +1,89 @@
+/**
+ * CSV helpers
+ *
+ * Enough CSV for our imports: comma or tab separated, double-quoted fields
+ * with "" escapes. Tab-separated files (the Open Food Facts export) are not
+ * quoted.
+ */
+
+/**
+ * Split one line into fields
+ * @param {string} line - A single line without its line break
+ * @param {string} delimiter - ',' or '\t'
+ */
+export const splitCsvLine = (line, delimiter) => {
+  if (delimiter === '\t') return line.split('\t')
+  return parseCsvRows(line, delimiter)[0] || ['']
+}
+
+// Quoted fields may span lines, so this walks the whole text
+const parseCsvRows = (text, delimiter) => {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i]
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (ch === '"') {
+        quoted = false
+      } else {
+        field += ch
+      }
+    } else if (ch === '"') {
+      quoted = true
+    } else if (ch === delimiter) {
+      row.push(field)
+      field = ''
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += ch
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+  return rows
+}
+
+/**
+ * Parse a CSV document with a header row
+ * @param {string} text - File contents
+ * @returns {{header: Array<string>, records: Array<{line: number, values: Object}>, errors: Array<{line: number, error: string}>}}
+ *   line is the 1-based data row number (the header is row 0)
+ */
+export const parseCsv = (text) => {
+  const source = String(text || '').replace(/^﻿/, '')
+  const firstLine = source.split(/\r?\n/, 1)[0] || ''
+  const delimiter = firstLine.includes('\t') && !firstLine.includes(',') ? '\t' : ','
+
+  const rows = parseCsvRows(source, delimiter).filter(r => r.some(v => v.trim() !== ''))
+  if (rows.length === 0) return { header: [], records: [], errors: [] }
+
+  const header = rows[0].map(h => h.trim().toLowerCase())
+  const records = []
+  const errors = []
+  rows.slice(1).forEach((values, index) => {
+    const line = index + 1
+    if (values.length !== header.length) {
+      errors.push({ line, error: `expected ${header.length} columns, got ${values.length}` })
+      return
+    }
+    records.push({ line, values: Object.fromEntries(header.map((h, i) => [h, values[i].trim()])) })
+  })
+  return { header, records, errors }
+}
+
+export default {
+  splitCsvLine,
+  parseCsv
+}
@@ -0,0 +1,205 @@
+/**
+ * Fat-source classification
+ *
+ * Answers "what oil is in this?" from the parsed ingredient list
+ * (utils/ingredientParser.js): palm oil and palmolein, hydrogenated
+ * vegetable fat (vanaspati), ghee, butter, refined and cold-pressed oils.
+ * Partially hydrogenated fat is a source of trans fat, which labels often
+ * leave undeclared; scoring models from version 4 read it from here.
+ */
+import { ingredientTreeOf } from './ingredientParser.js'
+import { normalizeLabelText } from './allergens.js'
+
+/**
+ * Fat classes and the names labels use for them (English, Hindi and
+ * transliterated Hindi). Terms are matched as whole words, longest first,
+ * so "vanaspati ghee" is hydrogenated fat and not ghee.
+ */
+export const FAT_CLASSES = [
+  {
+    id: 'hydrogenated',
+    name: 'Hydrogenated fat (vanaspati)',
+    terms: [
+      'hydrogenated vegetable fat', 'hydrogenated vegetable oil', 'hydrogenated fat', 'hydrogenated oil',
+      'partially hydrogenated vegetable oil', 'partially hydrogenated oil', 'partially hydrogenated fat',
+      'partially hydrogenated', 'hydrogenated', 'vanaspati', 'vanaspati ghee', 'vegetable ghee', 'dalda',
+      'interesterified vegetable fat', 'interesterified fat', 'interesterified', 'shortening', 'bakery shortening',
+      'वनस्पति', 'वनस्पति घी'
+    ]
+  },
+  {
+    id: 'palm',
+    name: 'Palm oil',
+    terms: [
+      'palm', 'palm oil', 'palmolein', 'palmolein oil', 'palm olein', 'palm fat', 'palm stearin', 'palm kernel oil',
+      'palm kernel', 'refined palm oil', 'refined palmolein', 'पाम', 'पाम तेल', 'पामोलीन'
+    ]
+  },
+  {
+    id: 'ghee',
+    name: 'Ghee',
+    terms: [
+      'ghee', 'desi ghee', 'cow ghee', 'pure ghee', 'butter oil', 'clarified butter', 'milk fat', 'anhydrous milk fat',
+      'butter fat', 'butterfat', 'घी', 'देसी घी'
+    ]
+  },
+  { id: 'butter', name: 'Butter', terms: ['butter', 'white butter', 'table butter', 'salted butter', 'makhan', 'makkhan', 'मक्खन'] },
+  {
+    id: 'cold_pressed_oil',
+    name: 'Cold-pressed oil',
+    terms: [
+      'cold pressed', 'kachi ghani', 'kachchi ghani', 'kacchi ghani', 'wood pressed', 'chekku', 'extra virgin',
+      'virgin', 'कच्ची घानी'
+    ]
+  },
+  {
+    id: 'refined_oil',
+    name: 'Refined oil',
+    terms: [
+      'oil', 'edible oil', 'refined oil', 'vegetable oil', 'edible vegetable oil', 'vegetable fat', 'edible vegetable fat',
+      'sunflower oil', 'soybean oil', 'soyabean oil', 'soya oil', 'rice bran oil', 'cottonseed oil', 'groundnut oil',
+      'peanut oil', 'mustard oil', 'corn oil', 'canola oil', 'rapeseed oil', 'sesame oil', 'til oil', 'olive oil',
+      'coconut oil', 'safflower oil', 'तेल', 'रिफाइंड तेल'
+    ]
+  }
+]
+
+// Oils named without the word "oil" inside "Vegetable oil (sunflower, soya)"
+const OIL_SEEDS = /^(?:sunflower|soy(?:a|abean|bean)?|rice bran|cottonseed|groundnut|peanut|mustard|corn|canola|rapeseed|sesame|til|olive|coconut|safflower|sarson)$/u
+
+// Wording that names a fat without containing one
+const NOT_FAT = /(?:cocoa|cacao|peanut|nut|almond|cashew|shea|kokum|mango|apple|fruit)\s+butter|butter\s*(?:flavou?r(?:ing)?|milk|scotch)|buttermilk|palm\s+(?:sugar|jaggery)|oil\s*seeds?|trans\s+fat\s+free|no\s+(?:hydrogenated|palm)\s+\w+/gu
+
+// Hydrogenation that does not leave trans fat behind
+const NO_TRANS = /fully\s+hydrogenated|interesterified|shortening/u
+
+const LETTER_BEFORE = '(?<![\\p{L}\\p{M}\\p{N}])'
+const LETTER_AFTER = '(?![\\p{L}\\p{M}])'
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const TERMS = FAT_CLASSES
+  .flatMap(fat => fat.terms.map(term => ({ fat, term: normalizeLabelText(term) })))
+  .sort((a, b) => b.term.length - a.term.length)
+const MATCHER = new RegExp(
+  TERMS.map(({ term }) => {
+    const words = term.split(/[\s-]+/).map(escapeRegExp).join('[\\s-]+')
+    const plural = /^[a-z ]+$/.test(term) ? 's?' : ''
+    return `${LETTER_BEFORE}(${words})${plural}${LETTER_AFTER}`
+  }).join('|'),
+  'gu'
+)
+
+// Classes named in a piece of label text, most specific first
+const classesIn = (text) => {
+  const found = []
+  for (const match of text.matchAll(MATCHER)) {
+    const index = match.slice(1).findIndex(Boolean)
+    const fat = TERMS[index].fat
+    if (!found.some(f => f.fat === fat)) found.push({ fat, term: match[0] })
+  }
+  const rank = (f) => FAT_CLASSES.indexOf(f.fat)
+  return found.sort((a, b) => rank(a) - rank(b))
+}
+
+// Generic oil names (processing included) whose bracketed parts say which oil it is
+const GENERIC_OIL = /^(?:(?:refined|edible|vegetable|blended|cold\s+pressed|kac+h?i\s+ghani)\s+)*(?:oils?|fats?)$/u
+
+const ordinal = (n) => {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th')
+  return `${n}${suffix}`
+}
+
+/**
+ * Fat sources in a list of nodes. A generic oil ("Edible vegetable oil
+ * (palm, sunflower)") is described by its parts, which share its place in
+ * the list and its processing; any other compound ingredient is searched
+ * for fats ("Cream filling (sugar, vanaspati)").
+ */
+const findInNodes = (nodes, found, { position = null, within = null, component = null, oil = null } = {}) => {
+  nodes.forEach((node, index) => {
+    if (node.component) {
+      findInNodes(node.children, found, { component: node.name })
+      return
+    }
+    if (node.additive) return
+    const place = position ?? index + 1
+    const text = normalizeLabelText(node.name).replace(NOT_FAT, ' ').trim()
+    const matches = classesIn(text)
+    const generic = GENERIC_OIL.test(text) && node.children.some(child => !child.additive)
+
+    if (generic) {
+      findInNodes(node.children, found, { position: place, within: within || node.name, component, oil: matches[0] })
+      return
+    }
+
+    // Inside a generic oil the parts are oils even when only the seed is named
+    const match = matches[0] || (oil && OIL_SEEDS.test(text) ? { fat: oil.fat, term: text } : null)
+    if (!match) {
+      findInNodes(node.children, found, { position: place, within: within || node.name, component })
+      return
+    }
+    const fat = match.fat
+    found.push({
+      id: fat.id,
+      name: fat.name,
+      term: match.term,
+      ingredient: node.name,
+      position: place,
+      position_label: ordinal(place),
+      partially_hydrogenated: fat.id === 'hydrogenated' && (/partially\s+hydrogenated/u.test(text) || !NO_TRANS.test(text)),
+      within,
+      component
+    })
+  })
+  return found
+}
+
+/**
+ * Fat sources in a product's ingredient list
+ * @param {Object} product - Product data (ingredients, ingredient_tree)
+ * @returns {{sources: Array<Object>, classes: Array<string>, flags: Array<Object>, partially_hydrogenated: boolean}|null}
+ *   null when there is no ingredient list. Each source is { id, name, term,
+ *   ingredient, position, position_label, partially_hydrogenated, within,
+ *   component }, sorted by position; `classes` are the class ids found and
+ *   `flags` are { id, label, ingredients } for partially hydrogenated fat
+ *   and palm oil.
+ */
+export const detectFatSources = (product = {}) => {
+  const tree = ingredientTreeOf(product)
+  if (!tree || tree.ingredients.length === 0) return null
+
+  const sources = findInNodes(tree.ingredients, [])
+  sources.sort((a, b) => a.position - b.position)
+  const named = (filter) => [...new Set(sources.filter(filter).map(s => s.ingredient))]
+
+  const flags = []
+  const hydrogenated = named(s => s.partially_hydrogenated)
+  if (hydrogenated.length > 0) {
+    flags.push({ id: 'partially_hydrogenated', label: 'Contains partially hydrogenated fat', ingredients: hydrogenated })
+  }
+  const palm = named(s => s.id === 'palm')
+  if (palm.length > 0) flags.push({ id: 'palm_oil', label: 'Contains palm oil', ingredients: palm })
+
+  return {
+    sources,
+    classes: FAT_CLASSES.map(fat => fat.id).filter(id => sources.some(s => s.id === id)),
+    flags,
+    partially_hydrogenated: hydrogenated.length > 0
+  }
+}
+
+/**
+ * "Vanaspati (2nd), palm (3rd, in Edible vegetable oil)"
+ * @param {Array<Object>} sources - detectFatSources(...).sources
+ * @returns {string}
+ */
+export const describeFatSources = (sources = []) => sources
+  .map(s => `${s.ingredient} (${s.position_label}${s.within ? `, in ${s.within}` : ''}${s.component ? `, ${s.component}` : ''})`)
+  .join(', ')
+
+export default {
+  FAT_CLASSES,
+  detectFatSources,
+  describeFatSources
+}
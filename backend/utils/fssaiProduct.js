@@ -0,0 +1,205 @@
+/**
+ * FSSAI product validation
+ *
+ * Shared by the admin console and community submissions: the nutrition_info
+ * schema of fssai_products, FSSAI licence numbers and barcode equivalence.
+ */
+
+// Nutrients per 100g/100ml with their sanity bounds
+export const NUTRIENT_LIMITS = {
+  energy: { unit: 'kcal', max: 900 },
+  protein: { unit: 'g', max: 100 },
+  carbohydrates: { unit: 'g', max: 100 },
+  sugar: { unit: 'g', max: 100 },
+  fat: { unit: 'g', max: 100 },
+  saturated_fat: { unit: 'g', max: 100 },
+  trans_fat: { unit: 'g', max: 100 },
+  fiber: { unit: 'g', max: 100 },
+  sodium: { unit: 'g', max: 40 },
+  fruit_veg_pct: { unit: '%', max: 100 }
+}
+
+const SERVING_FIELDS = ['basis', 'serving_size', 'serving_quantity', 'pack_size', 'pack_quantity']
+const NUTRITION_INFO_FIELDS = ['nutrition_facts', 'ingredients', 'serving']
+
+// Licence (1…) or registration (2…), then a two-digit state code (00 for central licences)
+const FSSAI_LICENSE_PATTERN = /^[12][0-3]\d{12}$/
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+
+/**
+ * Check an FSSAI licence or registration number
+ * @param {string} value - As printed; spaces are ignored
+ * @returns {{license?: string|null, error?: string}} 14 digits, or null when blank
+ */
+export const validateFssaiLicense = (value) => {
+  if (value == null || String(value).trim() === '') return { license: null }
+  const license = String(value).replace(/\s+/g, '')
+  if (!/^\d{14}$/.test(license)) {
+    return { error: 'fssai_license must be the 14-digit number printed next to the FSSAI logo' }
+  }
+  if (!FSSAI_LICENSE_PATTERN.test(license)) {
+    return { error: 'fssai_license must start with 1 (licence) or 2 (registration) followed by a state code 00-39' }
+  }
+  return { license }
+}
+
+/**
+ * Validate nutrition facts per 100g/100ml
+ * @param {Object} facts - nutrient -> amount; blank values are dropped
+ * @returns {{facts?: Object, error?: string}}
+ */
+export const validateNutritionFacts = (facts) => {
+  if (!isPlainObject(facts)) {
+    return { error: 'nutrition_facts must be an object of nutrient: amount per 100g' }
+  }
+
+  const clean = {}
+  for (const [key, value] of Object.entries(facts)) {
+    const spec = NUTRIENT_LIMITS[key]
+    if (!spec) {
+      return { error: `Unknown nutrient "${key}". Use one of: ${Object.keys(NUTRIENT_LIMITS).join(', ')}` }
+    }
+    if (value == null || value === '') continue
+
+    const amount = Number(value)
+    if (!Number.isFinite(amount) || amount < 0 || amount > spec.max) {
+      return { error: `${key} must be between 0 and ${spec.max} ${spec.unit} per 100g` }
+    }
+    clean[key] = amount
+  }
+
+  // Parts cannot exceed their whole, and 100g holds at most ~100g of macros (label rounding aside)
+  if (clean.sugar != null && clean.carbohydrates != null && clean.sugar > clean.carbohydrates + 0.5) {
+    return { error: 'sugar cannot be more than carbohydrates' }
+  }
+  if (clean.saturated_fat != null && clean.fat != null && clean.saturated_fat > clean.fat + 0.5) {
+    return { error: 'saturated_fat cannot be more than fat' }
+  }
+  const macros = ['protein', 'carbohydrates', 'fat', 'fiber'].reduce((sum, key) => sum + (clean[key] || 0), 0)
+  if (macros > 105) {
+    return { error: `protein, carbohydrates, fat and fibre add up to ${macros} g per 100g` }
+  }
+  return { facts: clean }
+}
+
+/**
+ * Validate serving information
+ * @returns {{serving?: Object|null, error?: string}}
+ */
+export const validateServing = (serving) => {
+  if (serving == null) return { serving: null }
+  if (!isPlainObject(serving)) return { error: 'serving must be an object' }
+
+  const unknown = Object.keys(serving).find(key => !SERVING_FIELDS.includes(key))
+  if (unknown) return { error: `Unknown serving field "${unknown}". Use: ${SERVING_FIELDS.join(', ')}` }
+
+  const basis = serving.basis || '100g'
+  if (!['100g', '100ml'].includes(basis)) return { error: 'serving.basis must be 100g or 100ml' }
+
+  const clean = { basis }
+  for (const key of ['serving_size', 'pack_size']) {
+    if (serving[key] != null && serving[key] !== '') clean[key] = String(serving[key]).trim().slice(0, 100)
+  }
+  for (const key of ['serving_quantity', 'pack_quantity']) {
+    if (serving[key] == null || serving[key] === '') continue
+    const amount = Number(serving[key])
+    if (!Number.isFinite(amount) || amount <= 0 || amount > 100000) {
+      return { error: `serving.${key} must be a positive amount in g or ml` }
+    }
+    clean[key] = amount
+  }
+  return { serving: clean }
+}
+
+/**
+ * Validate fssai_products.nutrition_info
+ * @param {Object} info - { nutrition_facts, ingredients, serving }
+ * @returns {{nutritionInfo?: Object, error?: string}}
+ */
+export const validateNutritionInfo = (info) => {
+  if (!isPlainObject(info)) return { error: 'nutrition_info must be an object' }
+
+  const unknown = Object.keys(info).find(key => !NUTRITION_INFO_FIELDS.includes(key))
+  if (unknown) return { error: `Unknown nutrition_info field "${unknown}". Use: ${NUTRITION_INFO_FIELDS.join(', ')}` }
+
+  const { facts, error: factsError } = validateNutritionFacts(info.nutrition_facts ?? {})
+  if (factsError) return { error: factsError }
+  if (!['energy', 'sugar', 'fat', 'sodium'].some(key => facts[key] != null)) {
+    return { error: 'nutrition_facts needs at least energy, sugar, fat or sodium' }
+  }
+
+  if (info.ingredients != null && typeof info.ingredients !== 'string') {
+    return { error: 'ingredients must be text' }
+  }
+
+  const { serving, error: servingError } = validateServing(info.serving)
+  if (servingError) return { error: servingError }
+
+  return {
+    nutritionInfo: {
+      nutrition_facts: facts,
+      ingredients: (info.ingredients || '').trim().slice(0, 5000),
+      serving
+    }
+  }
+}
+
+/**
+ * Barcode without leading zeros; EAN-13 "0" + UPC-A and GTIN-14 padding name the same product
+ */
+export const canonicalBarcode = (barcode) => String(barcode || '').replace(/\D/g, '').replace(/^0+(?=\d)/, '')
+
+/**
+ * Every stored form a barcode may take (zero-padded to GTIN lengths)
+ * @returns {Array<string>}
+ */
+export const barcodeVariants = (barcode) => {
+  const canonical = canonicalBarcode(barcode)
+  if (!canonical) return []
+  const variants = new Set([canonical, String(barcode)])
+  for (const length of [8, 12, 13, 14]) {
+    if (canonical.length <= length) variants.add(canonical.padStart(length, '0'))
+  }
+  return [...variants]
+}
+
+/**
+ * GS1 check digit of an EAN/UPC/GTIN barcode
+ * @returns {boolean} true when the last digit matches
+ */
+export const hasValidCheckDigit = (barcode) => {
+  const digits = String(barcode).split('').map(Number)
+  const check = digits.pop()
+  const sum = digits.reverse().reduce((total, digit, i) => total + digit * (i % 2 === 0 ? 3 : 1), 0)
+  return (10 - (sum % 10)) % 10 === check
+}
+
+/**
+ * Validate a barcode for the product database
+ * @param {Object} [options]
+ * @param {boolean} [options.checkDigit] - false for barcodes already stored (older rows predate the check)
+ * @returns {{barcode?: string, error?: string}}
+ */
+export const validateBarcode = (value, { checkDigit = true } = {}) => {
+  const barcode = String(value || '').trim()
+  if (!/^\d{8}$|^\d{12,14}$/.test(barcode)) {
+    return { error: 'barcode must be an 8, 12, 13 or 14 digit EAN/UPC code' }
+  }
+  if (checkDigit && !hasValidCheckDigit(barcode)) {
+    return { error: `barcode ${barcode} has a wrong check digit` }
+  }
+  return { barcode }
+}
+
+export default {
+  NUTRIENT_LIMITS,
+  validateFssaiLicense,
+  validateNutritionFacts,
+  validateServing,
+  validateNutritionInfo,
+  canonicalBarcode,
+  barcodeVariants,
+  hasValidCheckDigit,
+  validateBarcode
+}
@@ -0,0 +1,305 @@
+import {
+  normalizeAdditiveCode,
+  lookupAdditive,
+  lookupAdditiveByName,
+  additiveClassOf
+} from './additives.js'
+
+/**
+ * Ingredient list parser
+ *
+ * Turns a label's ingredient statement into a tree: nested lists
+ * ("Vegetable oil (palm, sunflower)") become children, percentages are
+ * pulled out, and INS/E-numbers ("INS 621", "E330", "Raising agents
+ * [503(ii), 500(ii)]") or additive names ("citric acid") are looked up in
+ * the additive catalogue (utils/additives.js). Allergen statements that
+ * follow the list ("Contains wheat. May contain nuts.") are left out.
+ */
+
+// Bump when the tree changes shape or the additive catalogue changes, so stored trees are re-parsed
+export const INGREDIENT_PARSER_VERSION = 3
+
+/**
+ * @typedef {Object} IngredientNode
+ * @property {string} name - As written, without brackets or percentage
+ * @property {number|null} percent
+ * @property {string|null} function - ADDITIVE_CLASSES id declared on the label ("Emulsifier (322)")
+ *   or the additive's main class
+ * @property {Object|null} additive - lookupAdditive result (code, ins, name, classes, tier, ...)
+ * @property {string} [source] - What an additive is made from ("322 (from soya)")
+ * @property {boolean} [component] - A heading listing the parts of a component ("Masala tastemaker: ..."),
+ *   whose children are in order of weight within it
+ * @property {Array<IngredientNode>} children
+ */
+
+const OPEN = '([{'
+const CLOSE = ')]}'
+
+const LEADING_LABEL = /^\s*(?:ingredients?|ingredient list|सामग्री|अवयव|सामग्रियां)\s*[:：-]\s*/i
+const STATEMENT = /^(?:contains?\b|may contain|allergen|allergy|manufactured|made in|produced|processed|packed|this product|free from|[a-z ]+ free$|no added|store |best before|इसमें|इस उत्पाद|एलर्जी)/i
+const PERCENT = /(?:min(?:imum)?\.?\s*|max(?:imum)?\.?\s*)?(\d+(?:[.,]\d+)?)\s*%/i
+const CODE_LIST_SEPARATOR = /\s*(?:&|\/|\band\b|\bor\b)\s*/i
+const CODE_IN_NAME = /\b(?:ins|e)\s*[-.]?\s*(\d{3,4}[a-f]?[ivx]{0,4})\b/i
+const BARE_CODE_WITH_TEXT = /^(?:(.+?)\s*[-:]?\s+)?(\d{3,4}[a-f]?[ivx]{0,4})(?:\s+(?:from|of|-)\s+(.+))?$/i
+
+// "503(ii)" -> "503ii", so the roman numeral is not read as a nested list
+const joinCodeVariants = (text) => text.replace(/\b(\d{3,4}[a-f]?)\s*\(\s*([ivx]{1,4})\s*\)/gi, '$1$2')
+
+/**
+ * Split at separator characters outside brackets
+ * @param {string} text
+ * @param {function(string, number, string): boolean} isSeparator - (char, index, text)
+ * @returns {Array<string>} Trimmed, non-empty pieces
+ */
+const splitTopLevel = (text, isSeparator) => {
+  const pieces = []
+  let depth = 0
+  let start = 0
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (OPEN.includes(char)) depth++
+    else if (CLOSE.includes(char)) depth = Math.max(depth - 1, 0)
+    else if (depth === 0 && isSeparator(char, i, text)) {
+      pieces.push(text.slice(start, i))
+      start = i + 1
+    }
+  }
+  pieces.push(text.slice(start))
+  return pieces.map(p => p.trim()).filter(Boolean)
+}
+
+// "Wheat flour (Atta) (66%)" -> { outside: "Wheat flour", groups: ["Atta", "66%"] }
+const extractGroups = (text) => {
+  const groups = []
+  let outside = ''
+  let depth = 0
+  let start = -1
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (OPEN.includes(char)) {
+      if (depth === 0) start = i + 1
+      depth++
+    } else if (CLOSE.includes(char) && depth > 0) {
+      depth--
+      if (depth === 0) groups.push(text.slice(start, i).trim())
+    } else if (depth === 0) {
+      outside += char
+    }
+  }
+  // Unclosed bracket (OCR or a truncated label): keep what was inside it
+  if (depth > 0) groups.push(text.slice(start).trim())
+  return { outside: outside.replace(/\s+/g, ' ').trim(), groups: groups.filter(Boolean) }
+}
+
+const percentOnly = (text) => {
+  const match = text.match(new RegExp(`^${PERCENT.source}$`, 'i'))
+  return match ? Number(match[1].replace(',', '.')) : null
+}
+
+const cleanName = (name) => name
+  .replace(/^(?:and|&)\s+/i, '')
+  .replace(/[\s*†:.\-–]+$/, '')
+  .replace(/^[\s*†:.\-–]+/, '')
+  .trim()
+
+// "322" and "322i" are the same additive; "150" and "1505" are not
+const sameAdditive = (a, b) => {
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a]
+  return longer.startsWith(shorter) && /^[a-f]?[ivx]*$/.test(longer.slice(shorter.length))
+}
+
+const additiveFromCode = (code, context) => {
+  const additive = lookupAdditive(code)
+  // A bare number is only an additive when the catalogue knows it or the label says what it is for
+  return additive && (additive.known || context) ? additive : null
+}
+
+/**
+ * Read an additive from an item's own text
+ * @returns {{additive: Object, name: string, source: string|null}|null}
+ */
+const readAdditive = (name, functionClass) => {
+  if (!name) return null
+  const whole = normalizeAdditiveCode(name)
+  if (whole) {
+    const additive = additiveFromCode(whole, functionClass || /^(?:ins|e)/i.test(name))
+    return additive ? { additive, name, source: null } : null
+  }
+
+  const prefixed = name.match(CODE_IN_NAME)
+  if (prefixed) {
+    const additive = lookupAdditive(prefixed[1])
+    const rest = cleanName(name.replace(prefixed[0], ' ').replace(/\s+/g, ' '))
+    const source = rest.match(/^(?:from|of)\s+(.+)$/i)
+    return { additive, name: source || !rest ? name : rest, source: source ? source[1] : null }
+  }
+
+  const bare = name.match(BARE_CODE_WITH_TEXT)
+  if (bare && (bare[3] || additiveClassOf(bare[1]))) {
+    const additive = additiveFromCode(bare[2], true)
+    if (additive) return { additive, name: bare[1] ? cleanName(bare[1]) : bare[2], source: bare[3] || null }
+  }
+
+  const named = lookupAdditiveByName(name)
+  return named ? { additive: named, name, source: null } : null
+}
+
+const parseList = (text, functionClass, { topLevel = false } = {}) => {
+  const nodes = []
+  for (const piece of splitTopLevel(text, char => char === ',' || char === ';')) {
+    // "..., Salt, Contains permitted natural colour"
+    if (topLevel && STATEMENT.test(piece)) continue
+    // "508 & 412": several codes under one class
+    const codes = piece.split(CODE_LIST_SEPARATOR)
+    if (codes.length > 1 && codes.every(code => normalizeAdditiveCode(code))) {
+      codes.forEach(code => nodes.push(parseItem(code, functionClass)))
+      continue
+    }
+    const node = parseItem(piece, functionClass)
+    if (node) nodes.push(node)
+  }
+  return nodes
+}
+
+/**
+ * Parse one list item and its bracketed sub-list
+ * @param {string} text - "Emulsifier (322i (Soya lecithin), 476)"
+ * @param {string|null} functionClass - Class declared by the enclosing item
+ * @returns {IngredientNode|null}
+ */
+const parseItem = (text, functionClass = null) => {
+  const { outside, groups } = extractGroups(text)
+
+  let percent = null
+  let name = outside
+  const inlinePercent = name.match(PERCENT)
+  if (inlinePercent) {
+    percent = Number(inlinePercent[1].replace(',', '.'))
+    name = name.replace(inlinePercent[0], ' ')
+  }
+  name = cleanName(name.replace(/\s+/g, ' '))
+
+  const ownClass = additiveClassOf(name)
+  const context = ownClass || functionClass
+  const node = { name, percent, function: context, additive: null, children: [] }
+
+  for (const group of groups) {
+    const groupPercent = percentOnly(group)
+    if (groupPercent != null) {
+      if (percent == null) percent = groupPercent
+      continue
+    }
+    node.children.push(...parseList(group, context))
+  }
+  node.percent = percent
+
+  const found = readAdditive(name, context)
+  if (found) {
+    node.name = found.name
+    node.additive = found.additive
+    if (found.source) node.source = found.source
+    // The brackets spell the additive out ("415 (Xanthan gum)"), say what it is
+    // made from ("322 (from soya)") or what it is for ("Sulphur dioxide (Preservative)")
+    if (node.children.length > 0 && node.children.every(c => !c.additive || sameAdditive(c.additive.code, found.additive.code))) {
+      const declared = node.children.find(c => !c.additive && additiveClassOf(c.name) && c.children.length === 0)
+      if (declared) node.function = additiveClassOf(declared.name)
+      const spelledOut = node.children.find(c => c.additive)
+      if (spelledOut && normalizeAdditiveCode(node.name)) node.name = spelledOut.name
+      const sources = node.children.filter(c => c !== declared && !c.additive).map(c => c.name.replace(/^(?:from|of)\s+/i, ''))
+      if (sources.length > 0) node.source = sources.join(', ')
+      node.children = []
+    }
+  } else if (ownClass && node.children.length === 1 && node.children[0].additive && node.children[0].children.length === 0) {
+    // "Acidity regulator (330)", "Permitted natural colour (Annatto)"
+    const [child] = node.children
+    node.additive = child.additive
+    if (child.source) node.source = child.source
+    node.children = []
+  }
+
+  if (!node.name && node.children.length === 0 && !node.additive) return null
+  if (node.additive && !node.function) node.function = node.additive.classes[0] || null
+  return node
+}
+
+/**
+ * Parse an ingredient statement
+ * @param {string} text - Ingredients as printed (English or Hindi)
+ * @returns {{version: number, ingredients: Array<IngredientNode>}|null} null when there is no text
+ */
+export const parseIngredients = (text) => {
+  if (!text || !String(text).trim()) return null
+
+  const cleaned = joinCodeVariants(String(text).replace(/\s+/g, ' ').trim())
+  // Sentences end at ". " or the Hindi danda; decimals ("1.8%") have no space after the point
+  const sentences = splitTopLevel(cleaned, (char, i, all) => char === '।' || (char === '.' && (i === all.length - 1 || /\s/.test(all[i + 1]))))
+
+  const ingredients = []
+  for (const raw of sentences) {
+    const sentence = raw.replace(LEADING_LABEL, '')
+    if (!sentence || STATEMENT.test(sentence)) continue
+
+    // "Masala tastemaker: Mixed spices (...), Sugar" lists the parts of a component
+    const heading = sentence.match(/^([^,;:()[\]{}]{1,60}):\s*(.+)$/)
+    if (heading) {
+      ingredients.push({ name: heading[1].trim(), percent: null, function: null, additive: null, component: true, children: parseList(heading[2], null, { topLevel: true }) })
+    } else {
+      ingredients.push(...parseList(sentence, null, { topLevel: true }))
+    }
+  }
+
+  return { version: INGREDIENT_PARSER_VERSION, ingredients }
+}
+
+/**
+ * Every node of a tree, depth first
+ * @param {Array<IngredientNode>} nodes
+ * @returns {Array<IngredientNode>}
+ */
+export const flattenIngredients = (nodes = []) =>
+  nodes.flatMap(node => [node, ...flattenIngredients(node.children)])
+
+/**
+ * Ingredient tree for a product, re-parsed when the stored one is missing or out of date
+ * @param {Object} product - Product data (ingredients, ingredient_tree)
+ * @returns {{version: number, ingredients: Array<IngredientNode>}|null}
+ */
+export const ingredientTreeOf = (product = {}) => {
+  const stored = product.ingredient_tree
+  if (stored && stored.version === INGREDIENT_PARSER_VERSION) return stored
+  return parseIngredients(product.ingredients || product.ingredients_text)
+}
+
+/**
+ * Additives in a product, from its ingredient list and Open Food Facts additives_tags
+ * @param {Object} product - Product data
+ * @returns {Array<Object>} One entry per code: lookupAdditive fields plus the
+ *   label's function class and the ingredient name it was listed as
+ */
+export const productAdditives = (product = {}) => {
+  const byCode = new Map()
+  const tree = ingredientTreeOf(product)
+  for (const node of flattenIngredients(tree?.ingredients)) {
+    if (!node.additive || byCode.has(node.additive.code)) continue
+    // Current reference data, whatever the stored tree was parsed with
+    byCode.set(node.additive.code, { ...lookupAdditive(node.additive.code), function: node.function, listed_as: node.name })
+  }
+
+  // OFF tags fill in what the text did not say ("en:e322" when the label said "322i")
+  const listed = [...byCode.keys()]
+  for (const tag of Array.isArray(product.additives) ? product.additives : []) {
+    const additive = lookupAdditive(tag)
+    if (!additive || listed.some(code => sameAdditive(code, additive.code))) continue
+    byCode.set(additive.code, { ...additive, function: additive.classes[0] || null, listed_as: null })
+    listed.push(additive.code)
+  }
+  return [...byCode.values()]
+}
+
+export default {
+  INGREDIENT_PARSER_VERSION,
+  parseIngredients,
+  flattenIngredients,
+  ingredientTreeOf,
+  productAdditives
+}
@@ -0,0 +1,153 @@
+import { normalizeNutrition } from './truthScore.js'
+
+/**
+ * Nutri-Score (2017 algorithm, as printed on EU imports)
+ *
+ * Points tables are "value strictly above threshold" counts, per 100g
+ * (or per 100ml for beverages).
+ */
+const ALGORITHM = 'nutriscore-2017'
+
+const THRESHOLDS = {
+  general: {
+    energy_kj: [335, 670, 1005, 1340, 1675, 2010, 2345, 2680, 3015, 3350],
+    sugars_g: [4.5, 9, 13.5, 18, 22.5, 27, 31, 36, 40, 45]
+  },
+  beverages: {
+    energy_kj: [0, 30, 60, 90, 120, 150, 180, 210, 240, 270],
+    sugars_g: [0, 1.5, 3, 4.5, 6, 7.5, 9, 10.5, 12, 13.5]
+  },
+  saturated_fat_g: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10],
+  // Added fats score the saturated/total fat ratio (%) instead
+  saturated_fat_ratio: [10, 16, 22, 28, 34, 40, 46, 52, 58, 64],
+  sodium_mg: [90, 180, 270, 360, 450, 540, 630, 720, 810, 900],
+  fiber_g: [0.9, 1.9, 2.8, 3.7, 4.7],
+  protein_g: [1.6, 3.2, 4.8, 6.4, 8.0]
+}
+
+const countAbove = (value, thresholds) => {
+  if (value == null || Number.isNaN(value)) return 0
+  return thresholds.filter(t => value > t).length
+}
+
+const fruitVegPoints = (pct, isBeverage) => {
+  if (pct == null || Number.isNaN(pct)) return 0
+  if (pct > 80) return isBeverage ? 10 : 5
+  if (pct > 60) return isBeverage ? 4 : 2
+  if (pct > 40) return isBeverage ? 2 : 1
+  return 0
+}
+
+/**
+ * Detect the Nutri-Score category from free-text category/name
+ * @returns {'water'|'beverages'|'cheese'|'fats'|'general'}
+ */
+export const detectNutriScoreCategory = (product = {}) => {
+  const text = [
+    product.category,
+    ...(Array.isArray(product.categories_tags) ? product.categories_tags : []),
+    product.name
+  ].filter(Boolean).join(' ').toLowerCase()
+
+  const isBeverage = /beverage|drink|juice|soda|water|cola|squash|nectar/.test(text) && !/milk|yogurt|yoghurt|lassi|curd/.test(text)
+  if (isBeverage && /\bwater\b/.test(text) && !/flavou?red|sweetened|tonic/.test(text)) return 'water'
+  if (isBeverage) return 'beverages'
+  if (/cheese|paneer/.test(text)) return 'cheese'
+  if (/\boils?\b|\bfats?\b|butter|ghee|margarine|vanaspati/.test(text)) return 'fats'
+  return 'general'
+}
+
+const gradeFor = (score, category) => {
+  if (category === 'water') return 'A'
+  if (category === 'beverages') {
+    if (score <= 1) return 'B'
+    if (score <= 5) return 'C'
+    if (score <= 9) return 'D'
+    return 'E'
+  }
+  if (score <= -1) return 'A'
+  if (score <= 2) return 'B'
+  if (score <= 10) return 'C'
+  if (score <= 18) return 'D'
+  return 'E'
+}
+
+/**
+ * Calculate the Nutri-Score grade and points breakdown
+ * Uses the same normalized inputs as calculateTruthScore.
+ * @param {Object} product - Product data (category/name used to pick the table)
+ * @param {Object} nutritionFacts - Nutrition facts per 100g/100ml
+ * @returns {Object|null} Nutri-Score result, or null when core nutrients are missing
+ */
+export const calculateNutriScore = (product = {}, nutritionFacts = {}) => {
+  const facts = nutritionFacts || {}
+  const norm = normalizeNutrition(facts)
+
+  // OFF-derived facts keep kcal under the plain `energy` key
+  const energyKcal = norm.energy_kcal != null
+    ? norm.energy_kcal
+    : (facts.energy != null ? Number(facts.energy) : null)
+
+  const inputs = {
+    energy_kj: energyKcal != null ? Math.round(energyKcal * 4.184) : null,
+    sugars_g: norm.sugars_g,
+    saturated_fat_g: norm.satFat_g,
+    fat_g: norm.fat_g,
+    sodium_mg: norm.sodium_g != null ? Math.round(norm.sodium_g * 1000) : null,
+    fiber_g: norm.fiber_g,
+    protein_g: norm.protein_g,
+    fruit_veg_pct: norm.fruit_veg_pct
+  }
+
+  const core = ['energy_kj', 'sugars_g', 'saturated_fat_g', 'sodium_mg']
+  const missing = Object.keys(inputs).filter(k => inputs[k] == null)
+  if (core.every(k => inputs[k] == null)) return null
+
+  const category = detectNutriScoreCategory(product)
+  const isBeverage = category === 'beverages' || category === 'water'
+  const table = isBeverage ? THRESHOLDS.beverages : THRESHOLDS.general
+
+  const satFatPoints = category === 'fats' && inputs.fat_g
+    ? countAbove((inputs.saturated_fat_g / inputs.fat_g) * 100, THRESHOLDS.saturated_fat_ratio)
+    : countAbove(inputs.saturated_fat_g, THRESHOLDS.saturated_fat_g)
+
+  const negative = {
+    energy: countAbove(inputs.energy_kj, table.energy_kj),
+    sugars: countAbove(inputs.sugars_g, table.sugars_g),
+    saturated_fat: satFatPoints,
+    sodium: countAbove(inputs.sodium_mg, THRESHOLDS.sodium_mg)
+  }
+  negative.total = negative.energy + negative.sugars + negative.saturated_fat + negative.sodium
+
+  const positive = {
+    fruit_veg: fruitVegPoints(inputs.fruit_veg_pct, isBeverage),
+    fiber: countAbove(inputs.fiber_g, THRESHOLDS.fiber_g),
+    protein: countAbove(inputs.protein_g, THRESHOLDS.protein_g)
+  }
+
+  // Protein is ignored for high-negative foods unless they are mostly fruit/veg (cheese excepted)
+  const proteinCounted = category === 'cheese' || negative.total < 11 || positive.fruit_veg >= 5
+  positive.total = positive.fruit_veg + positive.fiber + (proteinCounted ? positive.protein : 0)
+
+  const score = negative.total - positive.total
+
+  return {
+    algorithm: ALGORITHM,
+    grade: gradeFor(score, category),
+    score,
+    category,
+    points: {
+      negative,
+      positive,
+      protein_counted: proteinCounted
+    },
+    inputs,
+    missing,
+    complete: missing.filter(k => k !== 'fat_g' && k !== 'fruit_veg_pct').length === 0
+  }
+}
+
+export default {
+  calculateNutriScore,
+  detectNutriScoreCategory
+}
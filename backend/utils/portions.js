@@ -0,0 +1,173 @@
+/**
+ * Serving/pack size helpers
+ *
+ * nutrition_facts are stored per 100g (solids) or per 100ml (liquids); these
+ * helpers turn them into "what you actually eat" amounts.
+ */
+
+// Values that are shares, not amounts, and must not be scaled
+const NON_SCALABLE = new Set(['fruit_veg_pct', 'serving_quantity', 'nutrition_data_per', 'basis'])
+
+const UNIT_FACTORS = {
+  g: { unit: 'g', factor: 1 },
+  gm: { unit: 'g', factor: 1 },
+  gms: { unit: 'g', factor: 1 },
+  gram: { unit: 'g', factor: 1 },
+  grams: { unit: 'g', factor: 1 },
+  kg: { unit: 'g', factor: 1000 },
+  mg: { unit: 'g', factor: 0.001 },
+  ml: { unit: 'ml', factor: 1 },
+  cl: { unit: 'ml', factor: 10 },
+  l: { unit: 'ml', factor: 1000 },
+  ltr: { unit: 'ml', factor: 1000 },
+  litre: { unit: 'ml', factor: 1000 },
+  liter: { unit: 'ml', factor: 1000 }
+}
+
+const round = (v, digits = 2) => {
+  const f = Math.pow(10, digits)
+  return Math.round(v * f) / f
+}
+
+/**
+ * Parse a free-text quantity such as "30 g", "600ml", "1.25 L",
+ * "2 slices (50 g)" or "6 x 25 g"
+ * @param {string|number} text - Quantity text
+ * @param {string} [defaultUnit] - Unit to assume for bare numbers
+ * @returns {{amount:number, unit:'g'|'ml'}|null}
+ */
+export const parseQuantity = (text, defaultUnit = 'g') => {
+  if (text == null || text === '') return null
+  if (typeof text === 'number') {
+    return Number.isFinite(text) && text > 0 ? { amount: text, unit: defaultUnit } : null
+  }
+
+  const clean = String(text).toLowerCase().replace(',', '.')
+
+  // Multipacks: "6 x 25 g"
+  const multi = clean.match(/(\d+)\s*[x×]\s*(\d+(?:\.\d+)?)\s*(kg|mg|gms?|grams?|g|ml|cl|ltr|litre|liter|l)\b/)
+  if (multi) {
+    const { unit, factor } = UNIT_FACTORS[multi[3]]
+    return { amount: round(Number(multi[1]) * Number(multi[2]) * factor), unit }
+  }
+
+  // Prefer the last "<number> <unit>" so "2 slices (50 g)" resolves to 50 g
+  const matches = [...clean.matchAll(/(\d+(?:\.\d+)?)\s*(kg|mg|gms?|grams?|g|ml|cl|ltr|litre|liter|l)\b/g)]
+  if (matches.length > 0) {
+    const last = matches[matches.length - 1]
+    const { unit, factor } = UNIT_FACTORS[last[2]]
+    return { amount: round(Number(last[1]) * factor), unit }
+  }
+
+  const bare = clean.match(/^\s*(\d+(?:\.\d+)?)\s*$/)
+  if (bare) return { amount: Number(bare[1]), unit: defaultUnit }
+
+  return null
+}
+
+/**
+ * Normalize a basis string ("per 100 ml", "100g", "100ml") to '100g' | '100ml'
+ */
+export const normalizeBasis = (basis) => {
+  if (!basis) return null
+  const b = String(basis).toLowerCase()
+  if (/ml|litre|liter|\bl\b/.test(b)) return '100ml'
+  if (/g/.test(b)) return '100g'
+  return null
+}
+
+/**
+ * Build a consistent serving description from any source
+ * @param {Object} raw - { basis, serving_size, serving_quantity, pack_size, pack_quantity }
+ * @returns {Object} { basis, unit, serving_size, serving_quantity, pack_size, pack_quantity, servings_per_pack }
+ */
+export const buildServingInfo = (raw = {}) => {
+  const source = raw || {}
+  const pack = source.pack_quantity != null
+    ? parseQuantity(Number(source.pack_quantity), normalizeBasis(source.basis) === '100ml' ? 'ml' : 'g')
+    : parseQuantity(source.pack_size)
+  const serving = source.serving_quantity != null
+    ? parseQuantity(Number(source.serving_quantity), normalizeBasis(source.basis) === '100ml' ? 'ml' : 'g')
+    : parseQuantity(source.serving_size)
+
+  // Liquids are labelled per 100ml; infer from the pack/serving unit when not stated
+  const basis = normalizeBasis(source.basis) ||
+    ((pack?.unit || serving?.unit) === 'ml' ? '100ml' : '100g')
+  const unit = basis === '100ml' ? 'ml' : 'g'
+
+  const servingQuantity = serving && serving.unit === unit ? serving.amount : null
+  const packQuantity = pack && pack.unit === unit ? pack.amount : null
+
+  return {
+    basis,
+    unit,
+    serving_size: source.serving_size || (servingQuantity ? `${servingQuantity} ${unit}` : null),
+    serving_quantity: servingQuantity,
+    pack_size: source.pack_size || (packQuantity ? `${packQuantity} ${unit}` : null),
+    pack_quantity: packQuantity,
+    servings_per_pack: servingQuantity && packQuantity ? round(packQuantity / servingQuantity, 1) : null
+  }
+}
+
+/**
+ * Scale per-100 nutrition facts to a given amount (g or ml)
+ * @param {Object} per100 - Nutrition facts per 100g/100ml
+ * @param {number} amount - Amount eaten
+ * @returns {Object|null} Scaled nutrition facts
+ */
+export const scaleNutrition = (per100, amount) => {
+  if (!per100 || !amount) return null
+  const out = {}
+  for (const [key, value] of Object.entries(per100)) {
+    if (NON_SCALABLE.has(key) || typeof value !== 'number') continue
+    out[key] = round((value * amount) / 100, key === 'sodium' ? 3 : 2)
+  }
+  return out
+}
+
+/**
+ * Convert per-serving nutrition facts (as printed on some labels) to per 100
+ * @param {Object} perServing - Nutrition facts for one serving
+ * @param {number} servingQuantity - Serving size in g or ml
+ * @returns {Object} Nutrition facts per 100g/100ml
+ */
+export const toPer100 = (perServing, servingQuantity) => {
+  if (!perServing || !servingQuantity) return perServing
+  const out = {}
+  for (const [key, value] of Object.entries(perServing)) {
+    if (NON_SCALABLE.has(key)) continue
+    out[key] = typeof value === 'number' ? round((value * 100) / servingQuantity, 3) : value
+  }
+  return out
+}
+
+/**
+ * Per-100, per-serving and per-pack views of a product's nutrition
+ * @param {Object} nutritionFacts - Nutrition facts per 100g/100ml
+ * @param {Object} servingInfo - Output of buildServingInfo
+ * @returns {Object} Portion breakdown
+ */
+export const buildPortions = (nutritionFacts, servingInfo) => {
+  const info = servingInfo || buildServingInfo({})
+  return {
+    basis: info.basis,
+    unit: info.unit,
+    serving_size: info.serving_size,
+    serving_quantity: info.serving_quantity,
+    pack_size: info.pack_size,
+    pack_quantity: info.pack_quantity,
+    servings_per_pack: info.servings_per_pack,
+    per_100: nutritionFacts || {},
+    per_serving: scaleNutrition(nutritionFacts, info.serving_quantity),
+    per_pack: scaleNutrition(nutritionFacts, info.pack_quantity)
+  }
+}
+
+export default {
+  parseQuantity,
+  normalizeBasis,
+  buildServingInfo,
+  scaleNutrition,
+  toPer100,
+  buildPortions
+}
@@ -0,0 +1,107 @@
+/**
+ * Side-by-side product comparison
+ *
+ * Lines up scored products nutrient by nutrient (per 100 g / 100 ml, from
+ * normalizeNutrition) and picks the better one in each dimension and
+ * overall. Used by POST /api/compare.
+ */
+
+/**
+ * Compared dimensions. `key` is the normalizeNutrition field, `scale`
+ * converts it to the display unit and `better` says which way wins.
+ */
+export const COMPARISON_DIMENSIONS = [
+  { id: 'truth_score', label: 'Truth score', unit: '/10', better: 'higher' },
+  { id: 'sugars', label: 'Sugars', key: 'sugars_g', unit: 'g', better: 'lower' },
+  { id: 'sodium', label: 'Sodium', key: 'sodium_g', unit: 'mg', scale: 1000, better: 'lower' },
+  { id: 'saturated_fat', label: 'Saturated fat', key: 'satFat_g', unit: 'g', better: 'lower' },
+  { id: 'trans_fat', label: 'Trans fat', key: 'transFat_g', unit: 'g', better: 'lower' },
+  { id: 'energy', label: 'Energy', key: 'energy_kcal', unit: 'kcal', better: 'lower' },
+  { id: 'fiber', label: 'Fibre', key: 'fiber_g', unit: 'g', better: 'higher' },
+  { id: 'protein', label: 'Protein', key: 'protein_g', unit: 'g', better: 'higher' },
+  { id: 'alerts', label: 'Health alerts', unit: '', better: 'lower' }
+]
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits
+
+const valueOf = (dimension, product) => {
+  if (dimension.id === 'truth_score') return product.truth_score ?? null
+  if (dimension.id === 'alerts') return Array.isArray(product.alerts) ? product.alerts.length : null
+  const value = product.nutrition?.[dimension.key]
+  if (value == null || Number.isNaN(value)) return null
+  return round(value * (dimension.scale || 1), dimension.scale ? 0 : 2)
+}
+
+/**
+ * One dimension across the products. `relative` runs from 0 (worst of the
+ * compared products) to 1 (best); the winner is the single best product,
+ * or null on a tie or when fewer than two products have a value.
+ */
+const compareDimension = (dimension, products) => {
+  const values = products.map(product => ({ barcode: product.barcode, value: valueOf(dimension, product) }))
+  const known = values.filter(v => v.value != null).map(v => v.value)
+  const best = dimension.better === 'higher' ? Math.max(...known) : Math.min(...known)
+  const worst = dimension.better === 'higher' ? Math.min(...known) : Math.max(...known)
+
+  const leaders = values.filter(v => v.value != null && v.value === best).map(v => v.barcode)
+  return {
+    id: dimension.id,
+    label: dimension.label,
+    unit: dimension.unit,
+    better: dimension.better,
+    values: values.map(v => ({
+      ...v,
+      relative: v.value == null ? null : (best === worst ? 1 : round((v.value - worst) / (best - worst), 2))
+    })),
+    winner: known.length >= 2 && leaders.length === 1 ? leaders[0] : null,
+    tied: known.length >= 2 && leaders.length > 1 ? leaders : []
+  }
+}
+
+/**
+ * Compare scored products
+ * @param {Array<Object>} products - { barcode, truth_score, alerts, nutrition }
+ *   where `nutrition` is normalizeNutrition output
+ * @returns {{dimensions: Array<Object>, overall: {winner: string|null, decided_by: string|null, wins: Object<string, number>}}}
+ *   The overall winner has the highest truth score; a tie goes to fewer
+ *   health alerts, then to more dimensions won. `decided_by` names the
+ *   step that settled it.
+ */
+export const compareProducts = (products = []) => {
+  const dimensions = COMPARISON_DIMENSIONS.map(dimension => compareDimension(dimension, products))
+
+  const wins = Object.fromEntries(products.map(p => [p.barcode, 0]))
+  for (const dimension of dimensions) {
+    if (dimension.winner) wins[dimension.winner] += 1
+  }
+
+  let candidates = products.map(p => p.barcode)
+  let decidedBy = null
+  const steps = [
+    ['truth_score', barcode => dimensions[0].values.find(v => v.barcode === barcode).value ?? -Infinity],
+    ['alerts', barcode => -(dimensions.find(d => d.id === 'alerts').values.find(v => v.barcode === barcode).value ?? 0)],
+    ['dimension_wins', barcode => wins[barcode]]
+  ]
+  for (const [step, rank] of steps) {
+    const top = Math.max(...candidates.map(rank))
+    candidates = candidates.filter(barcode => rank(barcode) === top)
+    if (candidates.length === 1) {
+      decidedBy = step
+      break
+    }
+  }
+
+  return {
+    dimensions,
+    overall: {
+      winner: candidates.length === 1 ? candidates[0] : null,
+      decided_by: decidedBy,
+      wins
+    }
+  }
+}
+
+export default {
+  COMPARISON_DIMENSIONS,
+  compareProducts
+}
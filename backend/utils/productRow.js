@@ -0,0 +1,102 @@
+import crypto from 'crypto'
+import { calculateNutriScore } from './nutriScore.js'
+import { buildServingInfo } from './portions.js'
+import { parseIngredients } from './ingredientParser.js'
+
+/**
+ * products table rows <-> product data
+ *
+ * Product data is the shape getProductByBarcode returns and scoring reads;
+ * rows add the derived Nutri-Score, normalised serving info, the parsed
+ * ingredient tree and an etag.
+ */
+
+// Columns that make up the product as scored; the etag changes only when they do
+const CONTENT_COLUMNS = [
+  'name', 'brand', 'category', 'categories_tags', 'ingredients', 'nova_group',
+  'nutrition_facts', 'serving_info', 'additives', 'allergens', 'traces', 'labels'
+]
+
+const truncate = (value, length) => (value ? String(value).slice(0, length) : value)
+
+const toInteger = (value) => (value != null && Number.isInteger(Number(value)) ? Number(value) : null)
+
+// JSONB does not keep key order, so hash with sorted keys
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`
+  }
+  return JSON.stringify(value ?? null)
+}
+
+/**
+ * Content hash of a products row
+ * @param {Object} row - products row
+ * @returns {string} 16 hex characters
+ */
+export const productEtag = (row) => {
+  const content = CONTENT_COLUMNS.map(column => row[column] ?? null)
+  return crypto.createHash('sha1').update(stableStringify(content)).digest('hex').slice(0, 16)
+}
+
+/**
+ * Build a products row
+ * @param {Object} product - Product data (nutrition facts per 100g/100ml)
+ * @param {string} [dataSource] - Where the data came from
+ * @returns {Object} Row for an upsert on barcode
+ */
+export const toProductRow = (product, dataSource = product.data_source) => {
+  const row = {
+    barcode: product.barcode,
+    name: truncate(product.name, 500),
+    brand: truncate(product.brand, 255),
+    category: truncate(product.category, 255),
+    categories_tags: product.categories_tags || [],
+    ingredients: product.ingredients || '',
+    ingredient_tree: parseIngredients(product.ingredients),
+    nova_group: toInteger(product.nova_group),
+    nutrition_facts: product.nutrition_facts || {},
+    nutri_score: calculateNutriScore(product, product.nutrition_facts),
+    serving_info: buildServingInfo(product.serving),
+    additives: product.additives || [],
+    allergens: product.allergens || [],
+    traces: product.traces || [],
+    labels: product.labels || [],
+    image_url: product.image_url || null,
+    off_last_modified: product.off_last_modified || null,
+    data_source: dataSource,
+    last_updated: new Date().toISOString()
+  }
+  row.etag = productEtag(row)
+  return row
+}
+
+/**
+ * Product data from a products row
+ */
+export const fromProductRow = (row) => ({
+  name: row.name || 'Unknown Product',
+  brand: row.brand || 'Unknown Brand',
+  category: row.category || 'Unknown Category',
+  categories_tags: row.categories_tags || [],
+  barcode: row.barcode,
+  ingredients: row.ingredients || '',
+  ingredient_tree: row.ingredient_tree || null,
+  nova_group: row.nova_group ?? null,
+  nutrition_facts: row.nutrition_facts || {},
+  serving: row.serving_info || null,
+  additives: row.additives || [],
+  allergens: row.allergens || [],
+  traces: row.traces || [],
+  labels: row.labels || [],
+  image_url: row.image_url || '',
+  off_last_modified: row.off_last_modified || null,
+  data_source: row.data_source
+})
+
+export default {
+  productEtag,
+  toProductRow,
+  fromProductRow
+}
@@ -0,0 +1,263 @@
+/**
+ * Truth score model definitions
+ *
+ * Every model is plain data consumed by calculateTruthScore. A model is
+ * identified by `id` + `version`; once a version has been used to score a
+ * scan it must never be edited — publish a new version instead so scores
+ * stored in `scans` stay explainable.
+ *
+ * Curve types:
+ * - linear: 0 below `low`, 1 above `high`, linear in between
+ * - bands:  fraction of the largest `above` threshold that the value exceeds
+ */
+
+const DEFAULT_CATEGORY_WEIGHTS = [
+  {
+    // Heavier sugar weighting for beverages
+    match: ['beverage', 'drink', 'juice', 'soda'],
+    weights: { sugar: 1.6, sodium: 1.0, satFat: 1.0, transFat: 1.4, energy: 1.2, fiber: 1.2, protein: 0.8 }
+  },
+  {
+    // Higher sodium weighting for savory snacks
+    match: ['snack', 'chips', 'namkeen', 'noodles'],
+    weights: { sugar: 1.2, sodium: 1.6, satFat: 1.3, transFat: 1.6, energy: 1.2, fiber: 1.0, protein: 1.0 }
+  },
+  {
+    match: ['dessert', 'chocolate', 'sweet'],
+    weights: { sugar: 1.6, sodium: 0.8, satFat: 1.4, transFat: 1.6, energy: 1.3, fiber: 1.0, protein: 0.8 }
+  }
+]
+
+const DEFAULT_WEIGHTS = { sugar: 1.3, sodium: 1.3, satFat: 1.2, transFat: 1.6, energy: 1.0, fiber: 1.0, protein: 1.0 }
+
+const FLAT_WEIGHTS = { sugar: 1, sodium: 1, satFat: 1, transFat: 1, energy: 1, fiber: 1, protein: 1 }
+
+export const SCORING_MODELS = [
+  {
+    id: 'honestbite-default',
+    version: 1,
+    name: 'HonestBite balanced',
+    description: 'Continuous penalties tuned on WHO/UK/FSSAI "high in" guidance with category weights, NOVA and additive penalties.',
+    nutrients: {
+      // Penalties (thresholds per 100g/100ml; sodium in g, energy in kcal)
+      sugar: { max: 4.0, curve: 'linear', low: 5, high: 25 },
+      sodium: { max: 4.0, curve: 'linear', low: 0.3, high: 1.5 },
+      satFat: { max: 3.0, curve: 'linear', low: 1.5, high: 10 },
+      transFat: { max: 3.0, curve: 'linear', low: 0.1, high: 2 },
+      energy: { max: 2.0, curve: 'linear', low: 150, high: 450 }
+    },
+    bonuses: {
+      fiber: { max: 3.0, curve: 'linear', low: 3, high: 8 },
+      protein: { max: 2.0, curve: 'linear', low: 5, high: 12 }
+    },
+    product: {
+      additives: { max: 2.0, low: 0, high: 6 },
+      sweetener: 1.0,
+      nova4: 2.0
+    },
+    categoryWeights: DEFAULT_CATEGORY_WEIGHTS,
+    defaultWeights: DEFAULT_WEIGHTS,
+    completeness: { base: 0.7 }
+  },
+  {
+    id: 'fssai-high-in',
+    version: 1,
+    name: 'FSSAI "high in"',
+    description: 'Step penalties once sugar, sodium or saturated fat cross the FSSAI medium/high per-100g classification used in the knowledge base.',
+    nutrients: {
+      sugar: { max: 4.0, curve: 'bands', bands: [{ above: 15, fraction: 0.5 }, { above: 22.5, fraction: 1 }] },
+      sodium: { max: 4.0, curve: 'bands', bands: [{ above: 0.6, fraction: 0.5 }, { above: 1.5, fraction: 1 }] },
+      satFat: { max: 3.0, curve: 'bands', bands: [{ above: 3, fraction: 0.5 }, { above: 5, fraction: 1 }] },
+      transFat: { max: 3.0, curve: 'bands', bands: [{ above: 0.2, fraction: 1 }] },
+      energy: { max: 1.0, curve: 'bands', bands: [{ above: 500, fraction: 1 }] }
+    },
+    bonuses: {
+      fiber: { max: 2.0, curve: 'bands', bands: [{ above: 3, fraction: 0.5 }, { above: 6, fraction: 1 }] },
+      protein: { max: 1.0, curve: 'bands', bands: [{ above: 10, fraction: 1 }] }
+    },
+    product: {
+      additives: { max: 1.0, low: 0, high: 6 },
+      sweetener: 0.5,
+      nova4: 1.0
+    },
+    categoryWeights: [],
+    defaultWeights: FLAT_WEIGHTS,
+    completeness: { base: 0.7 }
+  },
+  {
+    id: 'uk-traffic-light',
+    version: 1,
+    name: 'UK traffic light',
+    description: 'Amber/red bands from the UK front-of-pack scheme; amber costs half the penalty, red the full penalty.',
+    nutrients: {
+      sugar: { max: 3.0, curve: 'bands', bands: [{ above: 5, fraction: 0.5 }, { above: 22.5, fraction: 1 }] },
+      sodium: { max: 3.0, curve: 'bands', bands: [{ above: 0.12, fraction: 0.5 }, { above: 0.6, fraction: 1 }] },
+      satFat: { max: 3.0, curve: 'bands', bands: [{ above: 1.5, fraction: 0.5 }, { above: 5, fraction: 1 }] },
+      transFat: { max: 2.0, curve: 'bands', bands: [{ above: 0.1, fraction: 1 }] },
+      energy: { max: 1.0, curve: 'linear', low: 150, high: 450 }
+    },
+    bonuses: {
+      fiber: { max: 1.5, curve: 'linear', low: 3, high: 6 },
+      protein: { max: 1.0, curve: 'linear', low: 5, high: 12 }
+    },
+    product: {
+      additives: { max: 1.0, low: 0, high: 6 },
+      sweetener: 0.5,
+      nova4: 1.0
+    },
+    categoryWeights: [],
+    defaultWeights: FLAT_WEIGHTS,
+    completeness: { base: 0.7 }
+  },
+  {
+    id: 'nutriscore-like',
+    version: 1,
+    name: 'Nutri-Score-like',
+    description: 'Graduated bands that mirror the Nutri-Score negative/positive point tables, mapped onto the 1-10 scale.',
+    nutrients: {
+      sugar: {
+        max: 4.0,
+        curve: 'bands',
+        bands: [4.5, 9, 13.5, 18, 22.5, 27, 31, 36, 40, 45].map((above, i) => ({ above, fraction: (i + 1) / 10 }))
+      },
+      sodium: {
+        max: 3.0,
+        curve: 'bands',
+        bands: [0.09, 0.18, 0.27, 0.36, 0.45, 0.54, 0.63, 0.72, 0.81, 0.9].map((above, i) => ({ above, fraction: (i + 1) / 10 }))
+      },
+      satFat: {
+        max: 3.0,
+        curve: 'bands',
+        bands: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map((above, i) => ({ above, fraction: (i + 1) / 10 }))
+      },
+      transFat: { max: 2.0, curve: 'linear', low: 0.1, high: 2 },
+      energy: {
+        max: 3.0,
+        curve: 'bands',
+        // Nutri-Score energy steps are 335 kJ (~80 kcal)
+        bands: [80, 160, 240, 320, 400, 480, 560, 640, 720, 800].map((above, i) => ({ above, fraction: (i + 1) / 10 }))
+      }
+    },
+    bonuses: {
+      fiber: {
+        max: 2.0,
+        curve: 'bands',
+        bands: [0.9, 1.9, 2.8, 3.7, 4.7].map((above, i) => ({ above, fraction: (i + 1) / 5 }))
+      },
+      protein: {
+        max: 2.0,
+        curve: 'bands',
+        bands: [1.6, 3.2, 4.8, 6.4, 8.0].map((above, i) => ({ above, fraction: (i + 1) / 5 }))
+      }
+    },
+    product: {
+      additives: { max: 0, low: 0, high: 6 },
+      sweetener: 0,
+      nova4: 0
+    },
+    categoryWeights: [],
+    defaultWeights: FLAT_WEIGHTS,
+    completeness: { base: 0.7 }
+  }
+]
+
+// Version 2 of the models that penalise additives reads additives and intense
+// sweeteners (by INS code) from the parsed ingredient list, and weighs each
+// additive by its risk tier (utils/additives.js) instead of counting them, so
+// six additives reach the full penalty only when they are all of moderate
+// concern. Version 1 keeps counting the OFF additive tags.
+const ADDITIVE_TIER_WEIGHTS = { low: 0.25, moderate: 1, high: 2, unknown: 1 }
+
+SCORING_MODELS.push(...['honestbite-default', 'fssai-high-in', 'uk-traffic-light'].map(id => {
+  const v1 = SCORING_MODELS.find(m => m.id === id && m.version === 1)
+  return {
+    ...v1,
+    version: 2,
+    description: `${v1.description} Additives are weighted by risk tier.`,
+    product: { ...v1.product, parsedIngredients: true, additives: { ...v1.product.additives, tierWeights: ADDITIVE_TIER_WEIGHTS } }
+  }
+}))
+
+// Version 3 reads added sugars from the ingredient list (utils/sugarAliases.js):
+// a sugar among the first three ingredients costs `dominant`, and a label with
+// no sugars value is scored as if it declared `assumedSugars` grams per 100
+const ADDED_SUGARS = { dominant: 0.5, assumedSugars: { dominant: 22.5, minor: 5 } }
+
+SCORING_MODELS.push(...['honestbite-default', 'fssai-high-in', 'uk-traffic-light'].map(id => {
+  const v2 = SCORING_MODELS.find(m => m.id === id && m.version === 2)
+  return {
+    ...v2,
+    version: 3,
+    description: `${v2.description} Added sugars are read from the ingredient list.`,
+    product: { ...v2.product, addedSugars: ADDED_SUGARS }
+  }
+}))
+
+// Version 4 reads fat sources from the ingredient list (utils/fatSources.js):
+// with partially hydrogenated fat and no trans fat value, trans fat is taken
+// as `fatFraction` of total fat (the FSSAI 2% limit for oils and fats), or
+// `fallback` grams per 100 when total fat is missing too
+const PARTIALLY_HYDROGENATED = { assumedTransFat: { fatFraction: 0.02, fallback: 0.4 } }
+
+SCORING_MODELS.push(...['honestbite-default', 'fssai-high-in', 'uk-traffic-light'].map(id => {
+  const v3 = SCORING_MODELS.find(m => m.id === id && m.version === 3)
+  return {
+    ...v3,
+    version: 4,
+    description: `${v3.description} Partially hydrogenated fat counts as trans fat when none is declared.`,
+    product: { ...v3.product, partiallyHydrogenated: PARTIALLY_HYDROGENATED }
+  }
+}))
+
+export const DEFAULT_SCORING_MODEL_ID = process.env.TRUTH_SCORE_MODEL || 'honestbite-default'
+
+/**
+ * Look up a scoring model
+ * @param {string} id - Model id
+ * @param {number} [version] - Specific version; latest when omitted
+ * @returns {Object|null} Model definition
+ */
+export const getScoringModel = (id, version = null) => {
+  const candidates = SCORING_MODELS.filter(m => m.id === id)
+  if (candidates.length === 0) return null
+  if (version != null) {
+    return candidates.find(m => m.version === Number(version)) || null
+  }
+  return candidates.reduce((latest, m) => (m.version > latest.version ? m : latest))
+}
+
+/**
+ * Resolve the model to score with, falling back to the default model
+ * @param {string} [id] - Requested model id
+ * @returns {Object} Model definition
+ */
+export const resolveScoringModel = (id) => {
+  return (id && getScoringModel(id)) || getScoringModel(DEFAULT_SCORING_MODEL_ID) || getScoringModel('honestbite-default')
+}
+
+/**
+ * List the latest version of every model (public summary)
+ * @returns {Array} Model summaries
+ */
+export const listScoringModels = () => {
+  const ids = [...new Set(SCORING_MODELS.map(m => m.id))]
+  return ids.map(id => {
+    const model = getScoringModel(id)
+    return {
+      id: model.id,
+      version: model.version,
+      name: model.name,
+      description: model.description,
+      versions: SCORING_MODELS.filter(m => m.id === id).map(m => m.version),
+      is_default: model.id === DEFAULT_SCORING_MODEL_ID
+    }
+  })
+}
+
+export default {
+  SCORING_MODELS,
+  DEFAULT_SCORING_MODEL_ID,
+  getScoringModel,
+  resolveScoringModel,
+  listScoringModels
+}
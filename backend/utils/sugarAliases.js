@@ -0,0 +1,181 @@
+/**
+ * Added-sugar detection
+ *
+ * Indian labels spread added sugar over many names: jaggery, invert syrup,
+ * liquid glucose, maltodextrin, honey, "चीनी". This finds every one of them
+ * in the parsed ingredient list (utils/ingredientParser.js) with its place
+ * in the list. Ingredients are listed by weight, so a sugar among the first
+ * three is a main ingredient; several small ones can add up to the same.
+ */
+import { ingredientTreeOf } from './ingredientParser.js'
+import { normalizeLabelText } from './allergens.js'
+
+/** Ingredients listed in the first this many places are dominant */
+export const DOMINANT_POSITIONS = 3
+
+/**
+ * Added sugars and the names labels use for them (English, Hindi and
+ * transliterated Hindi). Terms are matched as whole words, longest first.
+ */
+export const SUGAR_ALIASES = [
+  {
+    id: 'sugar',
+    name: 'Sugar',
+    terms: [
+      'sugar', 'sucrose', 'cane sugar', 'white sugar', 'brown sugar', 'raw sugar', 'refined sugar', 'icing sugar',
+      'powdered sugar', 'castor sugar', 'caster sugar', 'demerara sugar', 'caramelised sugar', 'caramelized sugar',
+      'cheeni', 'chini', 'shakkar', 'khand', 'khandsari', 'bura', 'mishri', 'misri',
+      'चीनी', 'शक्कर', 'शकर', 'खांड', 'खांडसारी', 'बूरा', 'मिश्री'
+    ]
+  },
+  { id: 'jaggery', name: 'Jaggery', terms: ['jaggery', 'gur', 'gud', 'panela', 'गुड'] },
+  { id: 'palm_sugar', name: 'Palm or coconut sugar', terms: ['palm sugar', 'coconut sugar', 'palm jaggery', 'date sugar', 'date jaggery'] },
+  {
+    id: 'glucose',
+    name: 'Glucose',
+    terms: ['glucose', 'liquid glucose', 'glucose syrup', 'glucose syrup solids', 'dextrose', 'dextrose monohydrate', 'dextrose anhydrous', 'ग्लूकोज', 'तरल ग्लूकोज']
+  },
+  {
+    id: 'fructose',
+    name: 'Fructose',
+    terms: ['fructose', 'fruit sugar', 'fructose syrup', 'glucose-fructose syrup', 'high fructose corn syrup', 'hfcs']
+  },
+  {
+    id: 'invert_syrup',
+    name: 'Invert syrup',
+    terms: ['invert syrup', 'invert sugar', 'invert sugar syrup', 'sugar syrup', 'golden syrup', 'treacle']
+  },
+  {
+    id: 'syrup',
+    name: 'Syrup',
+    terms: [
+      'syrup', 'corn syrup', 'corn syrup solids', 'rice syrup', 'brown rice syrup', 'maple syrup', 'agave syrup',
+      'agave nectar', 'date syrup', 'malt syrup', 'sugarcane syrup'
+    ]
+  },
+  { id: 'maltodextrin', name: 'Maltodextrin', terms: ['maltodextrin', 'malto dextrin', 'maltodextrine'] },
+  {
+    id: 'malt',
+    name: 'Malt extract',
+    terms: ['maltose', 'malt extract', 'malted barley extract', 'barley malt extract', 'diastatic malt', 'malt sugar']
+  },
+  { id: 'lactose', name: 'Lactose', terms: ['lactose'] },
+  { id: 'honey', name: 'Honey', terms: ['honey', 'madhu', 'शहद'] },
+  { id: 'molasses', name: 'Molasses', terms: ['molasses', 'cane molasses', 'cane juice', 'evaporated cane juice', 'sugarcane juice'] },
+  {
+    id: 'juice_concentrate',
+    name: 'Fruit juice concentrate',
+    terms: ['fruit juice concentrate', 'juice concentrate', 'concentrated fruit juice', 'apple juice concentrate', 'grape juice concentrate']
+  }
+]
+
+// Wording that names sugar without adding it
+const NOT_ADDED = /(?:no|without|zero) added sugars?|no sugars? added|sugars?[\s-]*free|sugar alcohols?|sugar[\s-]*beet fib(?:re|er)/gu
+
+const LETTER_BEFORE = '(?<![\\p{L}\\p{M}\\p{N}])'
+const LETTER_AFTER = '(?![\\p{L}\\p{M}])'
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const spaced = (text) => text.replace(/[\s-]+/g, ' ')
+
+const TERMS = SUGAR_ALIASES
+  .flatMap(alias => alias.terms.map(term => ({ alias, term: normalizeLabelText(term) })))
+  .sort((a, b) => b.term.length - a.term.length)
+const ALIAS_BY_TERM = new Map(TERMS.map(({ alias, term }) => [spaced(term), alias]))
+const MATCHER = new RegExp(
+  TERMS.map(({ term }) => {
+    const words = term.split(/[\s-]+/).map(escapeRegExp).join('[\\s-]+')
+    const plural = /^[a-z ]+$/.test(term) ? '(?:e?s)?' : ''
+    return `${LETTER_BEFORE}${words}${plural}${LETTER_AFTER}`
+  }).join('|'),
+  'gu'
+)
+
+// The alias a matched word belongs to, with any plural ending dropped
+const aliasOf = (matched) => {
+  const text = spaced(matched)
+  return ALIAS_BY_TERM.get(text) || ALIAS_BY_TERM.get(text.replace(/s$/, '')) || ALIAS_BY_TERM.get(text.replace(/es$/, ''))
+}
+
+const ordinal = (n) => {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th')
+  return `${n}${suffix}`
+}
+
+/**
+ * Sugars in a list of nodes. `position` is the place of the top-level
+ * ingredient (or of the ingredient within its component); a compound
+ * ingredient that is itself a sugar ("Sugar syrup (sugar, water)") is
+ * reported once, without its parts.
+ */
+const findInNodes = (nodes, found, { position = null, within = null, component = null } = {}) => {
+  nodes.forEach((node, index) => {
+    if (node.component) {
+      findInNodes(node.children, found, { component: node.name })
+      return
+    }
+    const place = position ?? index + 1
+    // Additives ("Sweetener (965)", "Caramel colour (150c)") are not sugars
+    const name = node.additive ? '' : normalizeLabelText(node.name).replace(NOT_ADDED, ' ')
+    let matched = false
+    for (const match of name.matchAll(MATCHER)) {
+      const alias = aliasOf(match[0])
+      if (!alias || found.some(a => a.id === alias.id && a.ingredient === node.name)) continue
+      matched = true
+      found.push({
+        id: alias.id,
+        name: alias.name,
+        term: match[0],
+        ingredient: node.name,
+        position: place,
+        position_label: ordinal(place),
+        dominant: place <= DOMINANT_POSITIONS,
+        within,
+        component
+      })
+    }
+    if (!matched) findInNodes(node.children, found, { position: place, within: within || node.name, component })
+  })
+  return found
+}
+
+/**
+ * Added sugars in a product's ingredient list
+ * @param {Object} product - Product data (ingredients, ingredient_tree)
+ * @returns {{aliases: Array<Object>, count: number, dominant: boolean, first_position: number|null}|null}
+ *   null when there is no ingredient list. Each alias is { id, name, term,
+ *   ingredient, position, position_label, dominant, within, component }:
+ *   `term` is the word the label used, `position` the 1-based place of the
+ *   ingredient (or of the compound ingredient it is part of) and `dominant`
+ *   whether that is within the first DOMINANT_POSITIONS. Sorted by position.
+ */
+export const detectAddedSugars = (product = {}) => {
+  const tree = ingredientTreeOf(product)
+  if (!tree || tree.ingredients.length === 0) return null
+
+  const aliases = findInNodes(tree.ingredients, [])
+  aliases.sort((a, b) => a.position - b.position)
+  return {
+    aliases,
+    count: aliases.length,
+    dominant: aliases.some(a => a.dominant),
+    first_position: aliases[0]?.position ?? null
+  }
+}
+
+/**
+ * "Sugar (1st), Liquid glucose (4th, in Cream filling)"
+ * @param {Array<Object>} aliases - detectAddedSugars(...).aliases
+ * @returns {string}
+ */
+export const describeAddedSugars = (aliases = []) => aliases
+  .map(a => `${a.ingredient} (${a.position_label}${a.within ? `, in ${a.within}` : ''}${a.component ? `, ${a.component}` : ''})`)
+  .join(', ')
+
+export default {
+  DOMINANT_POSITIONS,
+  SUGAR_ALIASES,
+  detectAddedSugars,
+  describeAddedSugars
+}
@@ -1,101 +1,175 @@
 import { logger } from '../utils/logger.js'
+import { resolveScoringModel } from './scoringModels.js'
+import { toPer100 } from './portions.js'
+import { matchAllergies } from './allergens.js'
+import { productAdditives } from './ingredientParser.js'
+import { detectAddedSugars, describeAddedSugars } from './sugarAliases.js'
+import { detectFatSources, describeFatSources } from './fatSources.js'
+import { knowledgeBase } from '../services/knowledgeBase.js'
+
+const clamp = (x, min, max) => Math.min(max, Math.max(min, x))
+const smooth01 = (x, low, high) => {
+  if (x == null || Number.isNaN(x)) return 0
+  if (high === low) return x > high ? 1 : 0
+  return clamp((x - low) / (high - low), 0, 1)
+}
+
+const mgToG = v => (v != null ? v / 1000 : null)
+
+// INS codes of high-intensity sweeteners (polyols such as sorbitol are not penalised)
+const INTENSE_SWEETENERS = [950, 951, 952, 954, 955, 960, 961, 962, 969]
 
 /**
- * Calculate truth score for a product (1-10 scale)
- * @param {Object} product - Product data
- * @param {Object} nutritionFacts - Nutrition facts per 100g
- * @returns {number} Truth score (1-10)
+ * Map a value onto 0..1 using a model curve (see utils/scoringModels.js)
  */
-export const calculateTruthScore = (product, nutritionFacts) => {
-  // Improved truth score using continuous penalties/bonuses and category weights
-
-  const clamp = (x, min, max) => Math.min(max, Math.max(min, x))
-  const smooth01 = (x, low, high) => {
+const applyCurve = (x, curve) => {
+  if (!curve) return 0
+  if (curve.curve === 'bands') {
     if (x == null || Number.isNaN(x)) return 0
-    if (high === low) return x > high ? 1 : 0
-    return clamp((x - low) / (high - low), 0, 1)
+    let fraction = 0
+    for (const band of curve.bands || []) {
+      if (x > band.above) fraction = Math.max(fraction, band.fraction)
+    }
+    return fraction
   }
+  return smooth01(x, curve.low, curve.high)
+}
 
-  const mgToG = v => (v != null ? v / 1000 : null)
-  const kjFromKcal = v => (v != null ? v * 4.184 : null)
-
-  // Tries common keys and normalizes to per-100g/100ml
-  function normalizeNutrition(n) {
-    if (!n) n = {}
-    const pick = (...keys) => {
-      for (const k of keys) if (n[k] != null) return Number(n[k])
-      return null
-    }
+/**
+ * Normalize nutrition facts from any source into one shape
+ * Tries common keys (OFF, FSSAI seed, OCR). Values are per 100g/100ml unless
+ * the facts are marked `nutrition_data_per: 'serving'` with a `serving_quantity`,
+ * in which case they are converted to per 100 first.
+ * @param {Object} n - Raw nutrition facts
+ * @returns {Object} Normalized per-100 values
+ */
+export const normalizeNutrition = (n) => {
+  if (!n) n = {}
+  if (n.nutrition_data_per === 'serving' && Number(n.serving_quantity) > 0) {
+    n = toPer100(n, Number(n.serving_quantity))
+  }
+  const pick = (...keys) => {
+    for (const k of keys) if (n[k] != null) return Number(n[k])
+    return null
+  }
 
-    // Per-100 normalization best-effort (assumes values already per 100 when typical fields exist)
-    const sugars_g = pick('sugars_100g', 'sugar_100g', 'sugars', 'sugar', 'total_sugars_g_per_100g')
-    let sodium_g = pick('sodium_100g', 'sodium', 'sodium_g_per_100g')
-    const sodium_mg = pick('sodium_mg', 'sodium_mg_per_100g')
-    if (sodium_g == null && sodium_mg != null) sodium_g = mgToG(sodium_mg)
+  // Per-100 normalization best-effort (assumes values already per 100 when typical fields exist)
+  const sugars_g = pick('sugars_100g', 'sugar_100g', 'sugars', 'sugar', 'total_sugars_g_per_100g')
+  let sodium_g = pick('sodium_100g', 'sodium', 'sodium_g_per_100g')
+  const sodium_mg = pick('sodium_mg', 'sodium_mg_per_100g')
+  if (sodium_g == null && sodium_mg != null) sodium_g = mgToG(sodium_mg)
 
-    const satFat_g = pick('saturated_fat_100g', 'saturated-fat_100g', 'saturatedFat_100g', 'saturated_fat', 'sat_fat_g_per_100g')
-    const transFat_g = pick('trans_fat_100g', 'trans-fat_100g', 'trans_fat', 'trans_fat_g_per_100g')
-    const fiber_g = pick('fiber_100g', 'fiber', 'dietary_fiber_g_per_100g')
-    const protein_g = pick('proteins_100g', 'protein_100g', 'protein', 'protein_g_per_100g')
-    const energy_kcal = pick('energy-kcal_100g', 'energy_kcal_100g', 'energy-kcal', 'energy_kcal')
+  const satFat_g = pick('saturated_fat_100g', 'saturated-fat_100g', 'saturatedFat_100g', 'saturated_fat', 'sat_fat_g_per_100g')
+  const transFat_g = pick('trans_fat_100g', 'trans-fat_100g', 'trans_fat', 'trans_fat_g_per_100g')
+  const fiber_g = pick('fiber_100g', 'fiber', 'dietary_fiber_g_per_100g')
+  const protein_g = pick('proteins_100g', 'protein_100g', 'protein', 'protein_g_per_100g')
+  const energy_kcal = pick('energy-kcal_100g', 'energy_kcal_100g', 'energy-kcal', 'energy_kcal')
+  const fat_g = pick('fat_100g', 'fat', 'total_fat', 'fat_g_per_100g')
+  const fruit_veg_pct = pick('fruits-vegetables-nuts_100g', 'fruits-vegetables-nuts-estimate-from-ingredients_100g', 'fruit_veg_pct')
 
-    return {
-      sugars_g, sodium_g, satFat_g, transFat_g, fiber_g, protein_g, energy_kcal
-    }
+  return {
+    sugars_g, sodium_g, satFat_g, transFat_g, fiber_g, protein_g, energy_kcal, fat_g, fruit_veg_pct
   }
+}
+
+/**
+ * Calculate truth score for a product (1-10 scale)
+ * @param {Object} product - Product data
+ * @param {Object} nutritionFacts - Nutrition facts per 100g
+ * @param {Object} [options]
+ * @param {string|Object} [options.model] - Scoring model id or definition (defaults to DEFAULT_SCORING_MODEL_ID)
+ * @returns {Object} { score, model: { id, version }, breakdown }
+ */
+export const calculateTruthScore = (product, nutritionFacts, options = {}) => {
+  // Continuous penalties/bonuses and category weights, all driven by the scoring model
+  const model = typeof options.model === 'object' && options.model
+    ? options.model
+    : resolveScoringModel(options.model)
 
   function categoryWeights(category = 'general') {
     const c = (category || 'general').toLowerCase()
-    // Heavier sugar weighting for beverages; higher sodium for savory snacks
-    if (c.includes('beverage') || c.includes('drink') || c.includes('juice') || c.includes('soda')) {
-      return { sugar: 1.6, sodium: 1.0, satFat: 1.0, transFat: 1.4, energy: 1.2, fiber: 1.2, protein: 0.8 }
-    }
-    if (c.includes('snack') || c.includes('chips') || c.includes('namkeen') || c.includes('noodles')) {
-      return { sugar: 1.2, sodium: 1.6, satFat: 1.3, transFat: 1.6, energy: 1.2, fiber: 1.0, protein: 1.0 }
-    }
-    if (c.includes('dessert') || c.includes('chocolate') || c.includes('sweet')) {
-      return { sugar: 1.6, sodium: 0.8, satFat: 1.4, transFat: 1.6, energy: 1.3, fiber: 1.0, protein: 0.8 }
-    }
-    return { sugar: 1.3, sodium: 1.3, satFat: 1.2, transFat: 1.6, energy: 1.0, fiber: 1.0, protein: 1.0 }
+    const entry = (model.categoryWeights || []).find(cw => cw.match.some(m => c.includes(m)))
+    return entry ? entry.weights : model.defaultWeights
   }
 
-  // Additive/NOVA/sweetener heuristics
+  // Added sugars in the ingredient list (aliases such as jaggery and liquid glucose, with their position)
+  const addedSugars = detectAddedSugars(product)
+  // Fat sources in the ingredient list (palm oil, vanaspati, ghee, ...)
+  const fatSources = detectFatSources(product)
+
+  // Additive/NOVA/sweetener/added-sugar heuristics (additives from the parsed ingredient list and OFF tags)
   function productPenalties(product = {}) {
-    const additives = Array.isArray(product.additives) ? product.additives.length : (product.additives_count || 0) || 0
-    const hasSweetener = (product.ingredients_text || '').toLowerCase().match(/sucralose|acesulfame|aspartame|saccharin|stevia|acesulfame\s*k|acesulfame-k|neotame|advantame|cyclamate/)
+    const cfg = model.product || {}
+    // Models from version 2 read the parsed ingredient list and weigh additives
+    // by risk tier; version 1 counts the OFF additive tags and reads
+    // sweeteners from ingredients_text only
+    const found = cfg.parsedIngredients ? productAdditives(product) : []
+    const weights = cfg.additives?.tierWeights
+    let additives
+    if (!cfg.parsedIngredients) {
+      additives = Array.isArray(product.additives) ? product.additives.length : (product.additives_count || 0) || 0
+    } else if (weights && found.length > 0) {
+      additives = found.reduce((sum, a) => sum + (weights[a.tier] ?? weights.unknown), 0)
+    } else {
+      additives = found.length || product.additives_count || 0
+    }
+    const sweetenerText = cfg.parsedIngredients ? (product.ingredients_text || product.ingredients || '') : (product.ingredients_text || '')
+    const hasSweetener = found.some(a => INTENSE_SWEETENERS.includes(parseInt(a.code, 10))) ||
+      sweetenerText.toLowerCase().match(/sucralose|acesulfame|aspartame|saccharin|stevia|acesulfame\s*k|acesulfame-k|neotame|advantame|cyclamate/)
     const nova = product.nova_group || product.nova_group_100g || null
 
-    const pAdditives = 2.0 * smooth01(additives, 0, 6) // 0..2
-    const pSweeteners = hasSweetener ? 1.0 : 0
-    const pNOVA = nova >= 4 ? 2.0 : 0 // ultra-processed
-    return pAdditives + pSweeteners + pNOVA
+    const pAdditives = cfg.additives ? cfg.additives.max * smooth01(additives, cfg.additives.low, cfg.additives.high) : 0
+    const pSweeteners = hasSweetener ? (cfg.sweetener || 0) : 0
+    const pNOVA = nova >= 4 ? (cfg.nova4 || 0) : 0 // ultra-processed
+    const pAddedSugars = addedSugars?.dominant ? (cfg.addedSugars?.dominant || 0) : 0
+    return pAdditives + pSweeteners + pNOVA + pAddedSugars
   }
 
   // Data completeness reduces score uncertainty/over-optimism
   function completenessFactor(norm) {
     const keys = ['sugars_g','sodium_g','satFat_g','transFat_g','fiber_g','protein_g','energy_kcal']
     const present = keys.filter(k => norm[k] != null).length
-    // 0.7 base + up to +0.3 with complete data
-    return 0.7 + 0.3 * (present / keys.length)
+    // base (0.7 by default) + remainder with complete data
+    const base = model.completeness?.base ?? 0.7
+    return base + (1 - base) * (present / keys.length)
   }
 
   const norm = normalizeNutrition(nutritionFacts || {})
   const w = categoryWeights((product.category || product.categories_tags?.[0] || '').toString())
+  const nutrient = (key, value) => {
+    const curve = model.nutrients[key]
+    return curve ? curve.max * w[key] * applyCurve(value, curve) : 0
+  }
+  const bonus = (key, value) => {
+    const curve = model.bonuses[key]
+    return curve ? curve.max * w[key] * applyCurve(value, curve) : 0
+  }
 
-  // Continuous penalties (scaled 0..1 via smooth01, then weighted)
-  // Thresholds from public guidance (WHO/UK/FSSAI high-in), tuned:
-  const sugarP = 4.0 * w.sugar   * smooth01(norm.sugars_g, 5, 25)     // hits max near 25g/100g
-  const sodiumP = 4.0 * w.sodium * smooth01(norm.sodium_g, 0.3, 1.5)  // 300mg..1500mg/100g
-  const satFatP = 3.0 * w.satFat * smooth01(norm.satFat_g, 1.5, 10)
-  const transFatP = 3.0 * w.transFat * smooth01(norm.transFat_g, 0.1, 2) // strong penalty even at low
+  // With no sugars value, models from version 3 assume one from where added sugar sits in the list
+  const assumed = model.product?.addedSugars?.assumedSugars
+  const assumedSugars = assumed && addedSugars?.count > 0 && sugarsMissing(norm, addedSugars)
+    ? assumed[addedSugars.dominant ? 'dominant' : 'minor']
+    : null
+
+  // With partially hydrogenated fat and no trans fat value, models from version 4 assume one from total fat
+  const assumedTrans = model.product?.partiallyHydrogenated?.assumedTransFat
+  const assumedTransFat = assumedTrans && fatSources?.partially_hydrogenated && (norm.transFat_g == null || Number.isNaN(norm.transFat_g))
+    ? (norm.fat_g > 0 ? Math.round(norm.fat_g * assumedTrans.fatFraction * 100) / 100 : assumedTrans.fallback)
+    : null
+
+  // Penalties (scaled 0..1 via the model curve, then weighted)
+  const sugarP = nutrient('sugar', assumedSugars ?? norm.sugars_g)
+  const sodiumP = nutrient('sodium', norm.sodium_g)
+  const satFatP = nutrient('satFat', norm.satFat_g)
+  const transFatP = nutrient('transFat', assumedTransFat ?? norm.transFat_g)
   const energyKcal = norm.energy_kcal != null ? norm.energy_kcal : null
-  const energyP = 2.0 * w.energy * smooth01(energyKcal, 150, 450) // energy density
+  const energyP = nutrient('energy', energyKcal)
 
   const productP = productPenalties(product)
 
   // Bonuses
-  const fiberB = 3.0 * w.fiber   * smooth01(norm.fiber_g, 3, 8)   // reward high fiber
-  const proteinB = 2.0 * w.protein * smooth01(norm.protein_g, 5, 12)
+  const fiberB = bonus('fiber', norm.fiber_g)
+  const proteinB = bonus('protein', norm.protein_g)
 
   // Aggregate
   let raw = 10
@@ -111,74 +185,231 @@ export const calculateTruthScore = (product, nutritionFacts) => {
 
   return {
     score,
+    model: { id: model.id, version: model.version },
     breakdown: {
       sugarP, sodiumP, satFatP, transFatP, energyP, productP, fiberB, proteinB,
       completeness: c,
+      addedSugars: addedSugars ? { count: addedSugars.count, dominant: addedSugars.dominant, first_position: addedSugars.first_position } : null,
+      assumedSugars,
+      fatSources: fatSources ? { classes: fatSources.classes, partially_hydrogenated: fatSources.partially_hydrogenated } : null,
+      assumedTransFat,
       inputs: { ...norm, category: product.category || null }
     }
   }
 }
 
 /**
- * Generate health alerts based on user profile and product
- * @param {Object} userProfile - User health conditions and allergies
- * @param {Object} product - Product data
- * @param {Object} nutritionFacts - Nutrition facts
- * @returns {Array} List of alerts
+ * Per-100g thresholds behind health alerts and risk factors. A doctor's
+ * dietary targets scale these per patient (see services/dietaryTargets.js).
+ *  - alert / severe: condition alerts (medium / high severity)
+ *  - kidney, cholesterol: stricter condition-specific cut-offs
+ *  - risk: the risk factors stored with each scan
  */
-export const generateHealthAlerts = (userProfile, product, nutritionFacts) => {
-  const alerts = []
+export const DEFAULT_ALERT_THRESHOLDS = {
+  sugar: { alert: 15, severe: 22.5, risk: 15 },
+  sodium: { alert: 0.6, severe: 1.5, kidney: 0.4, risk: 0.6 },
+  saturated_fat: { alert: 3, severe: 5, cholesterol: 2, risk: 3 },
+  energy: { alert: 400, risk: 500 },
+  protein: { kidney: 20 },
+  // Doctor-set daily limits ({ nutrient: amount }) and the nutrients they cover
+  daily: {},
+  custom: [],
+  avoid_added_sugar: false
+}
 
-  // Check for allergens
-  if (userProfile.allergies && product.allergens) {
-    for (const allergy of userProfile.allergies) {
-      const allergyLower = allergy.toLowerCase()
-      const productAllergens = product.allergens.join(' ').toLowerCase()
-      const ingredients = (product.ingredients || '').toLowerCase()
+/**
+ * Whether the ingredient list declares added sugar
+ * @param {string} ingredients - Ingredient text
+ * @returns {string|null} The label's word for the first added sugar (see utils/sugarAliases.js)
+ */
+export const findAddedSugar = (ingredients) => {
+  if (!ingredients) return null
+  return detectAddedSugars({ ingredients })?.aliases[0]?.term || null
+}
+
+/**
+ * Whether the label's sugars value is missing. Sources store an absent value
+ * as 0, so 0 g with sugar among the first ingredients counts as missing too.
+ * @param {Object} norm - normalizeNutrition output
+ * @param {Object|null} addedSugars - detectAddedSugars output
+ */
+const sugarsMissing = (norm, addedSugars) =>
+  norm.sugars_g == null || Number.isNaN(norm.sugars_g) || (norm.sugars_g === 0 && Boolean(addedSugars?.dominant))
 
-      if (productAllergens.includes(allergyLower) || ingredients.includes(allergyLower)) {
+/**
+ * Alerts on the amount actually eaten (one serving / the whole pack)
+ * compared with ICMR daily limits from the knowledge base
+ */
+const portionAlerts = (portions, conditions = [], dailyTargets = {}) => {
+  const alerts = []
+  if (!portions) return alerts
+
+  // A doctor's daily target replaces the ICMR limit
+  const daily = knowledgeBase.nutritionGuidelines.dailyValues
+  const limits = [
+    { key: 'sugar', label: 'SUGAR', max: dailyTargets.sugar ?? daily.sugar.max_daily, format: v => `${v}g`, sensitive: ['Diabetes', 'Obesity'] },
+    { key: 'sodium', label: 'SODIUM', max: dailyTargets.sodium ?? daily.sodium.max_daily, format: v => `${Math.round(v * 1000)}mg`, sensitive: ['Hypertension', 'Kidney Disease', 'Heart Disease'] }
+  ]
+
+  const views = [
+    { facts: portions.per_serving, label: `ONE SERVING (${portions.serving_size})` },
+    // A single-serve pack is the same as one serving
+    ...(portions.servings_per_pack > 1 ? [{ facts: portions.per_pack, label: `THE WHOLE PACK (${portions.pack_size})` }] : [])
+  ]
+
+  for (const { key, label, max, format, sensitive } of limits) {
+    // Flag the smallest portion that crosses the threshold
+    const threshold = conditions.some(c => sensitive.includes(c)) ? 0.3 : 0.5
+    for (const view of views) {
+      const amount = view.facts?.[key]
+      if (amount == null || !max) continue
+      const share = amount / max
+      if (share >= threshold) {
         alerts.push({
-          severity: 'high',
-          message: `🚨 CONTAINS ${allergy.toUpperCase()} - Unsafe for your allergy profile`,
-          category: 'allergy'
+          severity: share >= 1 ? 'high' : 'medium',
+          message: `🍽️ ${view.label} HAS ${format(amount)} ${label} - ${Math.round(share * 100)}% of the daily limit`,
+          category: 'portion'
         })
+        break
       }
     }
   }
 
+  return alerts
+}
+
+/**
+ * Alerts against what the user has already eaten today
+ * @param {Object} dailyIntake - Output of intakeBudget.getDailyIntake
+ * @param {Object} portions - Output of buildPortions
+ * @param {Object} nutritionFacts - Nutrition facts per 100g/100ml
+ */
+const intakeAlerts = (dailyIntake, portions, nutritionFacts) => {
+  const alerts = []
+  const budget = dailyIntake?.budget
+  if (!budget) return alerts
+
+  // One serving when the size is known, otherwise 100g/100ml
+  const serving = portions?.per_serving || nutritionFacts || {}
+  const servingLabel = portions?.per_serving ? 'ONE SERVING' : `${(portions?.basis || '100g').toUpperCase()}`
+
+  const tracked = [
+    { key: 'sugar', label: 'SUGAR', format: v => `${Math.round(v * 10) / 10}g` },
+    { key: 'sodium', label: 'SODIUM', format: v => `${Math.round(v * 1000)}mg` },
+    { key: 'saturated_fat', label: 'SATURATED FAT', format: v => `${Math.round(v * 10) / 10}g` }
+  ]
+
+  for (const { key, label, format } of tracked) {
+    const entry = budget[key]
+    if (!entry?.limit) continue
+    const added = Number(serving[key]) || 0
+    const after = entry.consumed + added
+    const percentAfter = Math.round((after / entry.limit) * 100)
+
+    if (entry.consumed >= entry.limit) {
+      alerts.push({
+        severity: 'high',
+        message: `📅 YOU'VE ALREADY HAD ${format(entry.consumed)} ${label} TODAY - ${entry.percent}% of your daily limit`,
+        category: 'daily_intake'
+      })
+    } else if (added > 0 && after > entry.limit) {
+      alerts.push({
+        severity: 'high',
+        message: `📅 ${servingLabel} WOULD TAKE YOU OVER TODAY'S ${label} LIMIT (${format(after)} of ${format(entry.limit)}, ${percentAfter}%)`,
+        category: 'daily_intake'
+      })
+    } else if (added > 0 && after >= entry.limit * 0.8) {
+      alerts.push({
+        severity: 'medium',
+        message: `📅 ${servingLabel} BRINGS TODAY'S ${label} TO ${percentAfter}% of your daily limit (${format(entry.remaining)} left before eating it)`,
+        category: 'daily_intake'
+      })
+    }
+  }
+
+  return alerts
+}
+
+/**
+ * Generate health alerts based on user profile and product
+ * @param {Object} userProfile - User health conditions and allergies
+ * @param {Object} product - Product data
+ * @param {Object} nutritionFacts - Nutrition facts (per 100g/100ml)
+ * @param {Object} [options]
+ * @param {Object} [options.portions] - Output of buildPortions, enables per-serving/per-pack alerts
+ * @param {Object} [options.dailyIntake] - Output of getDailyIntake, enables alerts against today's totals
+ * @param {Object} [options.thresholds] - Output of resolveAlertThresholds; defaults to DEFAULT_ALERT_THRESHOLDS
+ * @returns {Array} List of alerts
+ */
+export const generateHealthAlerts = (userProfile, product, nutritionFacts, options = {}) => {
+  const alerts = []
+  const t = options.thresholds || DEFAULT_ALERT_THRESHOLDS
+  // A doctor's target on a nutrient applies whatever conditions are on file
+  const targeted = (nutrient) => t.custom.includes(nutrient)
+  const reason = (nutrient, fallback) => targeted(nutrient) ? "Above your doctor's target" : fallback
+
+  // Check for allergens (synonyms, "may contain" statements and OFF tags; see utils/allergens.js)
+  const allergenAlerted = new Set()
+  for (const match of matchAllergies(userProfile.allergies || [], product)) {
+    const found = match.terms.length > 0 ? ` (${match.terms.join(', ')})` : ''
+    const contains = match.level === 'contains'
+    allergenAlerted.add(`${match.id}:${match.level}`)
+    alerts.push({
+      severity: contains ? 'high' : 'medium',
+      message: contains
+        ? `🚨 CONTAINS ${match.allergy.toUpperCase()}${found} - Unsafe for your allergy profile`
+        : `⚠️ MAY CONTAIN ${match.allergy.toUpperCase()}${found} - Made alongside it; avoid if your allergy is severe`,
+      category: 'allergy',
+      allergen: match.id,
+      level: match.level
+    })
+  }
+
   // Health condition-specific alerts
   if (userProfile.health_conditions) {
     const conditions = userProfile.health_conditions
 
     // Diabetes alerts
-    if (conditions.includes('Diabetes') && nutritionFacts.sugar > 15) {
+    if ((conditions.includes('Diabetes') || targeted('sugar')) && nutritionFacts.sugar > t.sugar.alert) {
       alerts.push({
-        severity: conditions.includes('Diabetes') && nutritionFacts.sugar > 22.5 ? 'high' : 'medium',
-        message: `⚠️ HIGH SUGAR (${nutritionFacts.sugar}g/100g) - Risky for diabetes management`,
+        severity: nutritionFacts.sugar > t.sugar.severe ? 'high' : 'medium',
+        message: `⚠️ HIGH SUGAR (${nutritionFacts.sugar}g/100g) - ${reason('sugar', 'Risky for diabetes management')}`,
         category: 'health'
       })
     }
 
+    // No sugars value on the label: the ingredient list still shows added sugar
+    if (conditions.includes('Diabetes') || targeted('sugar')) {
+      const addedSugars = detectAddedSugars(product)
+      if (addedSugars?.count > 0 && sugarsMissing(normalizeNutrition(nutritionFacts), addedSugars)) {
+        alerts.push({
+          severity: addedSugars.dominant ? 'high' : 'medium',
+          message: `⚠️ ADDED SUGAR: ${describeAddedSugars(addedSugars.aliases)} - No sugar value on the label, but ${addedSugars.dominant ? 'sugar is one of the main ingredients' : 'sugar is added'}`,
+          category: 'health'
+        })
+      }
+    }
+
     // Hypertension alerts
-    if (conditions.includes('Hypertension') && nutritionFacts.sodium > 0.6) {
+    if ((conditions.includes('Hypertension') || targeted('sodium')) && nutritionFacts.sodium > t.sodium.alert) {
       alerts.push({
-        severity: nutritionFacts.sodium > 1.5 ? 'high' : 'medium',
-        message: `⚠️ HIGH SODIUM (${Math.round(nutritionFacts.sodium * 1000)}mg/100g) - Risky for hypertension`,
+        severity: nutritionFacts.sodium > t.sodium.severe ? 'high' : 'medium',
+        message: `⚠️ HIGH SODIUM (${Math.round(nutritionFacts.sodium * 1000)}mg/100g) - ${reason('sodium', 'Risky for hypertension')}`,
         category: 'health'
       })
     }
 
     // Heart Disease alerts
-    if (conditions.includes('Heart Disease') && nutritionFacts.saturated_fat > 3) {
+    if ((conditions.includes('Heart Disease') || targeted('saturated_fat')) && nutritionFacts.saturated_fat > t.saturated_fat.alert) {
       alerts.push({
-        severity: nutritionFacts.saturated_fat > 5 ? 'high' : 'medium',
-        message: `⚠️ HIGH SATURATED FAT (${nutritionFacts.saturated_fat}g/100g) - Risky for heart health`,
+        severity: nutritionFacts.saturated_fat > t.saturated_fat.severe ? 'high' : 'medium',
+        message: `⚠️ HIGH SATURATED FAT (${nutritionFacts.saturated_fat}g/100g) - ${reason('saturated_fat', 'Risky for heart health')}`,
         category: 'health'
       })
     }
 
     // High Cholesterol alerts
-    if (conditions.includes('High Cholesterol') && nutritionFacts.saturated_fat > 2) {
+    if (conditions.includes('High Cholesterol') && nutritionFacts.saturated_fat > t.saturated_fat.cholesterol) {
       alerts.push({
         severity: 'medium',
         message: `⚠️ SATURATED FAT CONTENT - Monitor cholesterol levels`,
@@ -186,25 +417,38 @@ export const generateHealthAlerts = (userProfile, product, nutritionFacts) => {
       })
     }
 
+    // Partially hydrogenated fat is a trans fat source whether or not the label declares any
+    if (conditions.includes('Heart Disease') || conditions.includes('High Cholesterol')) {
+      const fatSources = detectFatSources(product)
+      if (fatSources?.partially_hydrogenated) {
+        const transFat = normalizeNutrition(nutritionFacts).transFat_g
+        alerts.push({
+          severity: transFat == null || transFat > 0.2 ? 'high' : 'medium',
+          message: `⚠️ PARTIALLY HYDROGENATED FAT: ${describeFatSources(fatSources.sources.filter(s => s.partially_hydrogenated))} - A source of trans fat${transFat == null ? ', which the label does not declare' : ''}`,
+          category: 'health'
+        })
+      }
+    }
+
     // Obesity/Weight management alerts
-    if (conditions.includes('Obesity') && nutritionFacts.energy > 400) {
+    if ((conditions.includes('Obesity') || targeted('energy')) && nutritionFacts.energy > t.energy.alert) {
       alerts.push({
         severity: 'medium',
-        message: `⚠️ HIGH CALORIE CONTENT (${nutritionFacts.energy} kcal/100g) - Monitor portion size`,
+        message: `⚠️ HIGH CALORIE CONTENT (${nutritionFacts.energy} kcal/100g) - ${reason('energy', 'Monitor portion size')}`,
         category: 'health'
       })
     }
 
     // Kidney Disease alerts (sodium + protein)
     if (conditions.includes('Kidney Disease')) {
-      if (nutritionFacts.sodium > 0.4) {
+      if (nutritionFacts.sodium > t.sodium.kidney) {
         alerts.push({
           severity: 'high',
           message: `⚠️ HIGH SODIUM - Risky for kidney disease patients`,
           category: 'health'
         })
       }
-      if (nutritionFacts.protein > 20) {
+      if (nutritionFacts.protein > t.protein.kidney) {
         alerts.push({
           severity: 'medium',
           message: `⚠️ HIGH PROTEIN CONTENT - Consult doctor for kidney disease management`,
@@ -213,31 +457,51 @@ export const generateHealthAlerts = (userProfile, product, nutritionFacts) => {
       }
     }
 
-    // Celiac Disease / Gluten alerts
-    if (conditions.includes('Celiac Disease')) {
-      const ingredients = (product.ingredients || '').toLowerCase()
-      if (ingredients.includes('wheat') || ingredients.includes('gluten') || ingredients.includes('barley') || ingredients.includes('rye')) {
-        alerts.push({
-          severity: 'high',
-          message: `🚨 CONTAINS GLUTEN - Unsafe for celiac disease`,
-          category: 'allergy'
-        })
-      }
+    // Celiac disease and lactose intolerance, unless the allergy check already said so
+    const intolerances = [
+      { condition: 'Celiac Disease', allergy: 'gluten', message: '🚨 CONTAINS GLUTEN - Unsafe for celiac disease' },
+      { condition: 'Lactose Intolerance', allergy: 'milk', message: '🚨 CONTAINS DAIRY/LACTOSE - May cause discomfort' }
+    ]
+    for (const { condition, allergy, message } of intolerances) {
+      if (!conditions.includes(condition)) continue
+      const [match] = matchAllergies([allergy], product)
+      if (match?.level !== 'contains' || allergenAlerted.has(`${match.id}:contains`)) continue
+      alerts.push({ severity: 'high', message, category: 'allergy', allergen: match.id, level: match.level })
     }
+  }
 
-    // Lactose Intolerance alerts
-    if (conditions.includes('Lactose Intolerance')) {
-      const ingredients = (product.ingredients || '').toLowerCase()
-      if (ingredients.includes('milk') || ingredients.includes('lactose') || ingredients.includes('dairy') || ingredients.includes('whey')) {
-        alerts.push({
-          severity: 'high',
-          message: `🚨 CONTAINS DAIRY/LACTOSE - May cause discomfort`,
-          category: 'allergy'
-        })
-      }
+  // Additives that matter for a condition on file (phosphates with kidney disease, MSG with hypertension)
+  const conditions = userProfile.health_conditions || []
+  for (const additive of productAdditives(product)) {
+    for (const [condition, why] of Object.entries(additive.conditions || {})) {
+      if (!conditions.includes(condition)) continue
+      alerts.push({
+        severity: 'medium',
+        message: `⚠️ ${additive.name.toUpperCase()} (${additive.ins}) - ${why}`,
+        category: 'additive',
+        additive: additive.code
+      })
+    }
+  }
+
+  // Doctor asked for no added sugar
+  if (t.avoid_added_sugar) {
+    const addedSugar = findAddedSugar(product.ingredients)
+    if (addedSugar) {
+      alerts.push({
+        severity: 'high',
+        message: `🩺 CONTAINS ADDED SUGAR (${addedSugar}) - Your doctor asked you to avoid added sugar`,
+        category: 'doctor_target'
+      })
     }
   }
 
+  // "What you actually eat" alerts
+  alerts.push(...portionAlerts(options.portions, userProfile.health_conditions || [], t.daily))
+
+  // Cumulative alerts against what was already eaten today
+  alerts.push(...intakeAlerts(options.dailyIntake, options.portions, nutritionFacts))
+
   return alerts
 }
 
@@ -245,28 +509,51 @@ export const generateHealthAlerts = (userProfile, product, nutritionFacts) => {
  * Identify risk factors in product
  * @param {Object} product - Product data
  * @param {Object} nutritionFacts - Nutrition facts
+ * @param {Object} [thresholds] - Output of resolveAlertThresholds
  * @returns {Array} List of risk factors
  */
-export const identifyRiskFactors = (product, nutritionFacts) => {
+export const identifyRiskFactors = (product, nutritionFacts, thresholds = DEFAULT_ALERT_THRESHOLDS) => {
   const risks = []
+  const t = thresholds
 
-  if (nutritionFacts.sugar > 15) {
+  if (nutritionFacts.sugar > t.sugar.risk) {
     risks.push(`High Sugar Content: ${nutritionFacts.sugar}g per 100g`)
   }
 
-  if (nutritionFacts.sodium > 0.6) {
+  if (t.avoid_added_sugar && findAddedSugar(product.ingredients)) {
+    risks.push(`Contains Added Sugar: ${findAddedSugar(product.ingredients)}`)
+  }
+
+  // Sugar split over several names so no single one leads the list
+  const addedSugars = detectAddedSugars(product)
+  if (addedSugars && new Set(addedSugars.aliases.map(a => a.id)).size > 1) {
+    risks.push(`Multiple Added Sugars: ${describeAddedSugars(addedSugars.aliases)}`)
+  }
+
+  const fatSources = detectFatSources(product)
+  if (fatSources?.partially_hydrogenated) {
+    risks.push(`Partially Hydrogenated Fat: ${describeFatSources(fatSources.sources.filter(s => s.partially_hydrogenated))}`)
+  }
+
+  if (nutritionFacts.sodium > t.sodium.risk) {
     risks.push(`High Sodium: ${Math.round(nutritionFacts.sodium * 1000)}mg per 100g`)
   }
 
-  if (nutritionFacts.saturated_fat > 3) {
+  if (nutritionFacts.saturated_fat > t.saturated_fat.risk) {
     risks.push(`High Saturated Fat: ${nutritionFacts.saturated_fat}g per 100g`)
   }
 
-  if (product.additives && product.additives.length > 3) {
-    risks.push(`Contains ${product.additives.length} artificial additives`)
+  const additives = productAdditives(product)
+  if (additives.length > 3) {
+    risks.push(`Contains ${additives.length} artificial additives`)
+  }
+
+  const highRisk = additives.filter(a => a.tier === 'high')
+  if (highRisk.length > 0) {
+    risks.push(`High-Risk Additives: ${highRisk.map(a => `${a.name} (${a.ins})`).join(', ')}`)
   }
 
-  if (nutritionFacts.energy > 500) {
+  if (nutritionFacts.energy > t.energy.risk) {
     risks.push(`High Calorie Density: ${nutritionFacts.energy} kcal per 100g`)
   }
 
@@ -274,6 +561,9 @@ export const identifyRiskFactors = (product, nutritionFacts) => {
 }
 
 export default {
+  DEFAULT_ALERT_THRESHOLDS,
+  findAddedSugar,
+  normalizeNutrition,
   calculateTruthScore,
   generateHealthAlerts,
   identifyRiskFactors
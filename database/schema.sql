@@ -5,9 +5,17 @@
 CREATE TABLE IF NOT EXISTS users (
   id SERIAL PRIMARY KEY,
   user_id VARCHAR(255) UNIQUE NOT NULL,
+  auth_id UUID UNIQUE,
+  email VARCHAR(320),
   health_conditions TEXT[] DEFAULT '{}',
   allergies TEXT[] DEFAULT '{}',
+  scoring_model VARCHAR(100),
+  role VARCHAR(20) DEFAULT 'patient',
+  display_name VARCHAR(200),
+  clinic_name VARCHAR(200),
   doctor_link VARCHAR(500),
+  claim_secret_hash VARCHAR(64),
+  claim_device_id VARCHAR(64),
   created_at TIMESTAMP DEFAULT NOW(),
   updated_at TIMESTAMP DEFAULT NOW()
 );
@@ -19,8 +27,12 @@ CREATE TABLE IF NOT EXISTS scans (
   product_name VARCHAR(500),
   barcode VARCHAR(50),
   truth_score INTEGER CHECK (truth_score >= 1 AND truth_score <= 10),
+  scoring_model_id VARCHAR(100),
+  scoring_model_version INTEGER,
+  truth_score_breakdown JSONB,
   risk_factors TEXT[] DEFAULT '{}',
   scan_type VARCHAR(50) DEFAULT 'barcode',
+  client_scan_id VARCHAR(64),
   scanned_at TIMESTAMP DEFAULT NOW()
 );
 
@@ -32,9 +44,22 @@ CREATE TABLE IF NOT EXISTS products (
   brand VARCHAR(255),
   category VARCHAR(255),
   ingredients TEXT,
+  ingredient_tree JSONB,
   nutrition_facts JSONB,
   truth_score INTEGER,
+  nutri_score JSONB,
+  serving_info JSONB,
   risk_flags TEXT[] DEFAULT '{}',
+  categories_tags TEXT[] DEFAULT '{}',
+  countries_tags TEXT[] DEFAULT '{}',
+  nova_group INTEGER,
+  additives TEXT[] DEFAULT '{}',
+  allergens TEXT[] DEFAULT '{}',
+  traces TEXT[] DEFAULT '{}',
+  labels TEXT[] DEFAULT '{}',
+  image_url TEXT,
+  off_last_modified TIMESTAMP,
+  etag VARCHAR(64),
   data_source VARCHAR(100) DEFAULT 'Open Food Facts',
   last_updated TIMESTAMP DEFAULT NOW(),
   created_at TIMESTAMP DEFAULT NOW()
@@ -50,16 +75,222 @@ CREATE TABLE IF NOT EXISTS fssai_products (
   fssai_license VARCHAR(100),
   fssai_approved BOOLEAN DEFAULT TRUE,
   nutrition_info JSONB,
+  source VARCHAR(20) DEFAULT 'manual',
+  submission_id INTEGER,
+  contributed_by VARCHAR(255),
+  approved_by VARCHAR(255),
+  approved_at TIMESTAMPTZ,
+  is_active BOOLEAN DEFAULT TRUE,
   created_at TIMESTAMP DEFAULT NOW(),
   updated_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Consumption log ("I ate this") for daily intake budgets
+CREATE TABLE IF NOT EXISTS consumption_log (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) REFERENCES users(user_id) ON DELETE CASCADE,
+  scan_id INTEGER REFERENCES scans(id) ON DELETE SET NULL,
+  barcode VARCHAR(50),
+  product_name VARCHAR(500),
+  servings NUMERIC(6,2) DEFAULT 1,
+  amount NUMERIC(8,2),
+  unit VARCHAR(10) DEFAULT 'g',
+  nutrients JSONB,
+  consumed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Doctor share links (only the SHA-256 of each token is stored)
+CREATE TABLE IF NOT EXISTS doctor_shares (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) REFERENCES users(user_id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  token_hint VARCHAR(12),
+  label VARCHAR(200),
+  scope VARCHAR(20) NOT NULL DEFAULT 'dashboard' CHECK (scope IN ('dashboard', 'dashboard_pdf')),
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  last_accessed_at TIMESTAMPTZ,
+  access_count INTEGER DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Every time a doctor opened a shared dashboard or report
+CREATE TABLE IF NOT EXISTS doctor_access_log (
+  id SERIAL PRIMARY KEY,
+  share_id INTEGER REFERENCES doctor_shares(id) ON DELETE CASCADE,
+  user_id VARCHAR(255) REFERENCES users(user_id) ON DELETE CASCADE,
+  action VARCHAR(20) NOT NULL,
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  accessed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Doctor rosters: a doctor asks, the patient accepts or declines
+CREATE TABLE IF NOT EXISTS doctor_patient_links (
+  id SERIAL PRIMARY KEY,
+  doctor_user_id VARCHAR(255) REFERENCES users(user_id) ON DELETE CASCADE,
+  patient_user_id VARCHAR(255) REFERENCES users(user_id) ON DELETE CASCADE,
+  patient_email VARCHAR(320),
+  message TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'revoked')),
+  requested_at TIMESTAMPTZ DEFAULT NOW(),
+  responded_at TIMESTAMPTZ,
+  UNIQUE (doctor_user_id, patient_user_id)
+);
+
+-- Doctor-authored dietary targets (one row per patient)
+CREATE TABLE IF NOT EXISTS dietary_targets (
+  patient_user_id VARCHAR(255) PRIMARY KEY REFERENCES users(user_id) ON DELETE CASCADE,
+  daily_limits JSONB NOT NULL DEFAULT '{}'::jsonb,
+  avoid_added_sugar BOOLEAN NOT NULL DEFAULT FALSE,
+  notes TEXT,
+  set_by_user_id VARCHAR(255) REFERENCES users(user_id) ON DELETE SET NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Open Food Facts dump and delta imports (backend/scripts/importOffDump.js)
+CREATE TABLE IF NOT EXISTS off_import_runs (
+  id SERIAL PRIMARY KEY,
+  kind VARCHAR(10) NOT NULL CHECK (kind IN ('full', 'delta')),
+  source_file VARCHAR(500) NOT NULL,
+  countries TEXT[],
+  status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+  rows_read INTEGER DEFAULT 0,
+  rows_matched INTEGER DEFAULT 0,
+  rows_upserted INTEGER DEFAULT 0,
+  rows_unchanged INTEGER DEFAULT 0,
+  rows_skipped INTEGER DEFAULT 0,
+  rows_invalid INTEGER DEFAULT 0,
+  error TEXT,
+  started_at TIMESTAMP DEFAULT NOW(),
+  finished_at TIMESTAMP
+);
+
+-- Versions of a product's content, written when a refresh or import changes it
+CREATE TABLE IF NOT EXISTS product_history (
+  id SERIAL PRIMARY KEY,
+  barcode VARCHAR(50) NOT NULL,
+  version INTEGER NOT NULL,
+  name VARCHAR(500),
+  brand VARCHAR(255),
+  ingredients TEXT,
+  nutrition_facts JSONB,
+  nutri_score JSONB,
+  truth_score INTEGER,
+  scoring_model_id VARCHAR(100),
+  scoring_model_version INTEGER,
+  etag VARCHAR(64),
+  data_source VARCHAR(100),
+  changes JSONB NOT NULL DEFAULT '[]'::jsonb,
+  recorded_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (barcode, version)
+);
+
+-- In-app notifications
+CREATE TABLE IF NOT EXISTS notifications (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  type VARCHAR(50) NOT NULL,
+  barcode VARCHAR(50),
+  product_history_id INTEGER REFERENCES product_history(id) ON DELETE CASCADE,
+  title VARCHAR(500) NOT NULL,
+  body TEXT,
+  data JSONB DEFAULT '{}'::jsonb,
+  read_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Community submissions for barcodes no source knows (backend/services/productSubmissions.js)
+CREATE TABLE IF NOT EXISTS product_submissions (
+  id SERIAL PRIMARY KEY,
+  barcode VARCHAR(50) NOT NULL,
+  user_id VARCHAR(255) REFERENCES users(user_id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'pending', 'approved', 'rejected')),
+  name VARCHAR(500),
+  brand VARCHAR(255),
+  category VARCHAR(255),
+  fssai_license VARCHAR(100),
+  ingredients TEXT,
+  nutrition_facts JSONB DEFAULT '{}'::jsonb,
+  serving JSONB,
+  photos JSONB DEFAULT '{}'::jsonb,
+  ocr JSONB,
+  moderator_user_id VARCHAR(255) REFERENCES users(user_id) ON DELETE SET NULL,
+  moderator_notes TEXT,
+  fssai_product_id INTEGER REFERENCES fssai_products(id) ON DELETE SET NULL,
+  submitted_at TIMESTAMPTZ,
+  reviewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Audit trail of admin changes to curated data (backend/services/fssaiAdmin.js)
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id SERIAL PRIMARY KEY,
+  actor_user_id VARCHAR(255) REFERENCES users(user_id) ON DELETE SET NULL,
+  action VARCHAR(30) NOT NULL,
+  entity VARCHAR(50) NOT NULL,
+  entity_id INTEGER,
+  barcode VARCHAR(50),
+  changes JSONB DEFAULT '[]'::jsonb,
+  notes TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_users_user_id ON users(user_id);
 CREATE INDEX IF NOT EXISTS idx_scans_user_id ON scans(user_id);
 CREATE INDEX IF NOT EXISTS idx_scans_scanned_at ON scans(scanned_at DESC);
 CREATE INDEX IF NOT EXISTS idx_products_barcode ON products(barcode);
 CREATE INDEX IF NOT EXISTS idx_fssai_products_barcode ON fssai_products(barcode);
+CREATE INDEX IF NOT EXISTS idx_consumption_log_user_consumed ON consumption_log(user_id, consumed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_doctor_shares_user_id ON doctor_shares(user_id);
+CREATE INDEX IF NOT EXISTS idx_doctor_patient_links_doctor ON doctor_patient_links(doctor_user_id, status);
+CREATE INDEX IF NOT EXISTS idx_doctor_patient_links_patient ON doctor_patient_links(patient_user_id, status);
+CREATE INDEX IF NOT EXISTS idx_off_import_runs_source ON off_import_runs(kind, source_file, status);
+CREATE INDEX IF NOT EXISTS idx_doctor_access_log_user_accessed ON doctor_access_log(user_id, accessed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_scans_barcode ON scans(barcode);
+CREATE INDEX IF NOT EXISTS idx_notifications_user_created ON notifications(user_id, created_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notifications_user_history ON notifications(user_id, product_history_id);
+CREATE INDEX IF NOT EXISTS idx_product_submissions_status ON product_submissions(status, submitted_at);
+CREATE INDEX IF NOT EXISTS idx_product_submissions_user ON product_submissions(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_entity ON admin_audit_log(entity, entity_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created ON admin_audit_log(created_at DESC);
+
+-- Upgrades for databases created from an older version of this schema
+ALTER TABLE users ADD COLUMN IF NOT EXISTS scoring_model VARCHAR(100);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS auth_id UUID UNIQUE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email VARCHAR(320);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) DEFAULT 'patient';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS display_name VARCHAR(200);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS clinic_name VARCHAR(200);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS claim_secret_hash VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS claim_device_id VARCHAR(64);
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS scoring_model_id VARCHAR(100);
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS scoring_model_version INTEGER;
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS truth_score_breakdown JSONB;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS nutri_score JSONB;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS serving_info JSONB;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS categories_tags TEXT[] DEFAULT '{}';
+ALTER TABLE products ADD COLUMN IF NOT EXISTS countries_tags TEXT[] DEFAULT '{}';
+ALTER TABLE products ADD COLUMN IF NOT EXISTS nova_group INTEGER;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS additives TEXT[] DEFAULT '{}';
+ALTER TABLE products ADD COLUMN IF NOT EXISTS allergens TEXT[] DEFAULT '{}';
+ALTER TABLE products ADD COLUMN IF NOT EXISTS traces TEXT[] DEFAULT '{}';
+ALTER TABLE products ADD COLUMN IF NOT EXISTS labels TEXT[] DEFAULT '{}';
+ALTER TABLE products ADD COLUMN IF NOT EXISTS ingredient_tree JSONB;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS image_url TEXT;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS off_last_modified TIMESTAMP;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS etag VARCHAR(64);
+ALTER TABLE fssai_products ADD COLUMN IF NOT EXISTS source VARCHAR(20) DEFAULT 'manual';
+ALTER TABLE fssai_products ADD COLUMN IF NOT EXISTS submission_id INTEGER;
+ALTER TABLE fssai_products ADD COLUMN IF NOT EXISTS contributed_by VARCHAR(255);
+ALTER TABLE fssai_products ADD COLUMN IF NOT EXISTS approved_by VARCHAR(255);
+ALTER TABLE fssai_products ADD COLUMN IF NOT EXISTS approved_at TIMESTAMPTZ;
+ALTER TABLE fssai_products ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT TRUE;
+CREATE INDEX IF NOT EXISTS idx_scans_scoring_model ON scans(scoring_model_id, scoring_model_version);
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS client_scan_id VARCHAR(64);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scans_client_scan_id ON scans(user_id, client_scan_id);
 
 -- Create updated_at trigger for users table
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -80,4 +311,40 @@ FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 COMMENT ON TABLE users IS 'User profiles with health conditions and allergies';
 COMMENT ON TABLE scans IS 'Product scan history for all users';
 COMMENT ON TABLE products IS 'Cached product data from Open Food Facts API';
+COMMENT ON COLUMN users.auth_id IS 'Supabase Auth user id (auth.users.id); NULL for anonymous profiles not yet claimed';
+COMMENT ON COLUMN scans.scoring_model_id IS 'Truth score model used for this scan (see backend/utils/scoringModels.js)';
+COMMENT ON COLUMN scans.scoring_model_version IS 'Version of the truth score model; versions are immutable once published';
+COMMENT ON COLUMN scans.client_scan_id IS 'Id the app gave an offline scan, so a replayed scan is stored once';
+COMMENT ON COLUMN products.nutri_score IS 'Nutri-Score grade and points breakdown (backend/utils/nutriScore.js)';
+COMMENT ON COLUMN products.serving_info IS 'Serving size, pack size and per-100g/100ml basis of nutrition_facts';
+COMMENT ON TABLE consumption_log IS 'Products a user logged as eaten, used for daily/weekly intake budgets';
+COMMENT ON COLUMN consumption_log.nutrients IS 'Nutrients eaten for this entry (amount-scaled, sodium in g, energy in kcal)';
+COMMENT ON TABLE doctor_shares IS 'Expiring, revocable doctor links; token_hash is sha256(token), the raw token is shown once';
+COMMENT ON COLUMN users.claim_secret_hash IS 'SHA-256 of the claim secret issued to the device that moved a pre-account profile (POST /api/auth/legacy); cleared once claimed';
+COMMENT ON COLUMN users.claim_device_id IS 'Device the claim secret was issued to; a claim must come from it';
+COMMENT ON COLUMN users.doctor_link IS 'Deprecated: raw user-id link, replaced by doctor_shares';
+COMMENT ON TABLE doctor_access_log IS 'Audit log of doctors opening shared dashboards and PDF reports';
+COMMENT ON COLUMN users.role IS 'patient | doctor | moderator | admin; doctors get a patient roster (doctor_patient_links), moderators review product_submissions, admins curate fssai_products. moderator and admin are granted in the database, never self-selected';
+COMMENT ON TABLE doctor_patient_links IS 'Doctor roster requests; only accepted links expose patient data to the doctor';
+COMMENT ON TABLE dietary_targets IS 'Per-patient limits set by a doctor; they override the default alert thresholds and daily budget';
+COMMENT ON COLUMN dietary_targets.daily_limits IS 'Daily maximums by nutrient (sugar, sodium, saturated_fat in g; energy in kcal)';
+COMMENT ON COLUMN products.off_last_modified IS 'last_modified_t of the Open Food Facts record; delta imports only overwrite older copies';
+COMMENT ON COLUMN products.etag IS 'Hash of the product content (backend/utils/productRow.js); changes only when the product does';
+COMMENT ON COLUMN products.last_updated IS 'When the row was last fetched from its source; compared with the per-source TTL in productRepository.js';
+COMMENT ON TABLE off_import_runs IS 'One row per Open Food Facts dump or delta file imported into products';
+COMMENT ON TABLE product_history IS 'Versioned product content; version 1 is the copy cached before the first recorded change';
+COMMENT ON COLUMN product_history.changes IS 'Field-level diff from the previous version: [{field, before, after}]';
+COMMENT ON COLUMN product_history.truth_score IS 'Default-model truth score of this version; both sides of a change are scored with the same model';
+COMMENT ON TABLE notifications IS 'In-app notifications, e.g. a scanned product whose truth score moved by a point or more';
+COMMENT ON TABLE product_submissions IS 'Label photos and fields contributed for unknown barcodes; draft -> pending -> approved | rejected';
+COMMENT ON COLUMN product_submissions.photos IS 'Storage paths by photo (front, nutrition, ingredients) in the PRODUCT_SUBMISSIONS_BUCKET bucket';
+COMMENT ON COLUMN product_submissions.ocr IS 'Text read from the photos and the OCR pipeline confidence used to pre-fill the fields';
+COMMENT ON COLUMN fssai_products.barcode IS 'Unique: a submission approved concurrently with another for the same barcode fails with 23505 and is reported as a conflict';
+COMMENT ON COLUMN fssai_products.source IS 'manual (curated) | community (approved product_submissions row, see submission_id)';
+COMMENT ON COLUMN products.ingredient_tree IS 'Ingredients parsed by utils/ingredientParser.js: nested list with percentages and INS/E-number additives ({version, ingredients}); re-parsed on read when version is old';
+COMMENT ON COLUMN products.traces IS 'Open Food Facts traces_tags: allergens the product may contain (cross-contact), warned about at lower severity';
+COMMENT ON COLUMN products.labels IS 'Open Food Facts labels_tags (en:no-added-sugar, en:high-proteins, ...): claims checked against the nutrition facts';
+COMMENT ON COLUMN fssai_products.is_active IS 'FALSE once an admin deactivates the product; inactive rows are kept for the audit trail but never served';
+COMMENT ON TABLE admin_audit_log IS 'Who changed curated data and how: create, update, deactivate, reactivate, import';
+COMMENT ON COLUMN admin_audit_log.changes IS 'Field-level diff: [{field, before, after}]';
 COMMENT ON TABLE fssai_products IS 'Manual database of FSSAI-approved Indian products';
@@ -13,7 +13,8 @@ INSERT INTO fssai_products (barcode, name, brand, category, fssai_approved, nutr
     "sodium": 0.42,
     "fiber": 6.5
   },
-  "ingredients": "Whole wheat flour, water, yeast, sugar, salt, vegetable oil"
+  "ingredients": "Whole wheat flour, water, yeast, sugar, salt, vegetable oil",
+  "serving": { "basis": "100g", "serving_size": "2 slices (50 g)", "pack_size": "400 g" }
 }'),
 
 ('8901063112148', 'Good Day Butter Cookies', 'Britannia', 'Biscuits', TRUE, '{
@@ -27,7 +28,8 @@ INSERT INTO fssai_products (barcode, name, brand, category, fssai_approved, nutr
     "sodium": 0.38,
     "fiber": 1.2
   },
-  "ingredients": "Refined wheat flour, sugar, vegetable oils, butter, milk solids, raising agents, salt"
+  "ingredients": "Refined wheat flour, sugar, vegetable oils, butter, milk solids, raising agents, salt",
+  "serving": { "basis": "100g", "serving_size": "4 biscuits (25 g)", "pack_size": "75 g" }
 }'),
 
 ('8901030741715', 'Maggi 2-Minute Noodles', 'Nestle', 'Instant Noodles', TRUE, '{
@@ -41,7 +43,8 @@ INSERT INTO fssai_products (barcode, name, brand, category, fssai_approved, nutr
     "sodium": 2.1,
     "fiber": 2.3
   },
-  "ingredients": "Refined wheat flour, palm oil, salt, thickeners, acidity regulators, flavor enhancers (MSG)"
+  "ingredients": "Refined wheat flour, palm oil, salt, thickeners, acidity regulators, flavor enhancers (MSG)",
+  "serving": { "basis": "100g", "serving_size": "1 cake (70 g)", "pack_size": "70 g" }
 }'),
 
 ('8901063012059', 'Marie Gold Biscuits', 'Britannia', 'Biscuits', TRUE, '{
@@ -55,7 +58,8 @@ INSERT INTO fssai_products (barcode, name, brand, category, fssai_approved, nutr
     "sodium": 0.52,
     "fiber": 2.1
   },
-  "ingredients": "Refined wheat flour, sugar, vegetable oils, invert syrup, leavening agents, salt, milk solids"
+  "ingredients": "Refined wheat flour, sugar, vegetable oils, invert syrup, leavening agents, salt, milk solids",
+  "serving": { "basis": "100g", "serving_size": "4 biscuits (25 g)", "pack_size": "250 g" }
 }'),
 
 ('8906021470018', 'Amul Taaza Toned Milk', 'Amul', 'Dairy', TRUE, '{
@@ -69,7 +73,8 @@ INSERT INTO fssai_products (barcode, name, brand, category, fssai_approved, nutr
     "sodium": 0.045,
     "fiber": 0
   },
-  "ingredients": "Toned milk, vitamin A & D"
+  "ingredients": "Toned milk, vitamin A & D",
+  "serving": { "basis": "100ml", "serving_size": "1 glass (200 ml)", "pack_size": "500 ml" }
 }'),
 
 ('8901063012127', 'Bourbon Biscuits', 'Britannia', 'Biscuits', TRUE, '{
@@ -83,7 +88,8 @@ INSERT INTO fssai_products (barcode, name, brand, category, fssai_approved, nutr
     "sodium": 0.28,
     "fiber": 1.8
   },
-  "ingredients": "Refined wheat flour, sugar, vegetable oils, cocoa solids, milk solids, raising agents"
+  "ingredients": "Refined wheat flour, sugar, vegetable oils, cocoa solids, milk solids, raising agents",
+  "serving": { "basis": "100g", "serving_size": "3 biscuits (30 g)", "pack_size": "150 g" }
 }'),
 
 ('8901491101158', 'Tata Salt', 'Tata', 'Condiments', TRUE, '{
@@ -97,7 +103,8 @@ INSERT INTO fssai_products (barcode, name, brand, category, fssai_approved, nutr
     "sodium": 38.758,
     "fiber": 0
   },
-  "ingredients": "Iodised salt"
+  "ingredients": "Iodised salt",
+  "serving": { "basis": "100g", "serving_size": "1 g", "pack_size": "1 kg" }
 }'),
 
 ('8901725111502', 'MTR Rava Idli Mix', 'MTR', 'Ready-to-Cook', TRUE, '{
@@ -111,7 +118,8 @@ INSERT INTO fssai_products (barcode, name, brand, category, fssai_approved, nutr
     "sodium": 1.86,
     "fiber": 3.8
   },
-  "ingredients": "Semolina, rice flour, Bengal gram flour, salt, citric acid, vegetable oil"
+  "ingredients": "Semolina, rice flour, Bengal gram flour, salt, citric acid, vegetable oil",
+  "serving": { "basis": "100g", "serving_size": "50 g", "pack_size": "500 g" }
 }'),
 
 ('8901262000123', 'Fortune Sunflower Oil', 'Fortune', 'Cooking Oil', TRUE, '{
@@ -125,7 +133,8 @@ INSERT INTO fssai_products (barcode, name, brand, category, fssai_approved, nutr
     "sodium": 0,
     "fiber": 0
   },
-  "ingredients": "Refined sunflower oil, vitamin A & D"
+  "ingredients": "Refined sunflower oil, vitamin A & D",
+  "serving": { "basis": "100g", "serving_size": "1 tbsp (10 g)", "pack_size": "910 g" }
 }'),
 
 ('8901063010123', 'Britannia NutriChoice Digestive', 'Britannia', 'Biscuits', TRUE, '{
@@ -139,7 +148,8 @@ INSERT INTO fssai_products (barcode, name, brand, category, fssai_approved, nutr
     "sodium": 0.58,
     "fiber": 4.2
   },
-  "ingredients": "Whole wheat flour, refined wheat flour, sugar, vegetable oils, oats, raising agents"
+  "ingredients": "Whole wheat flour, refined wheat flour, sugar, vegetable oils, oats, raising agents",
+  "serving": { "basis": "100g", "serving_size": "3 biscuits (30 g)", "pack_size": "250 g" }
 }');
 
 -- Add more common products (snacks, beverages, etc.)
@@ -155,7 +165,8 @@ INSERT INTO fssai_products (barcode, name, brand, category, fssai_approved, nutr
     "sodium": 0.35,
     "fiber": 2.1
   },
-  "ingredients": "Refined wheat flour, sugar, vegetable oils, invert sugar syrup, leavening agents"
+  "ingredients": "Refined wheat flour, sugar, vegetable oils, invert sugar syrup, leavening agents",
+  "serving": { "basis": "100g", "serving_size": "4 biscuits (25 g)", "pack_size": "70 g" }
 }'),
 
 ('8901063011014', 'Britannia 50-50 Biscuits', 'Britannia', 'Biscuits', TRUE, '{
@@ -169,7 +180,8 @@ INSERT INTO fssai_products (barcode, name, brand, category, fssai_approved, nutr
     "sodium": 0.82,
     "fiber": 1.5
   },
-  "ingredients": "Refined wheat flour, sugar, vegetable oils, salt, milk solids, raising agents"
+  "ingredients": "Refined wheat flour, sugar, vegetable oils, salt, milk solids, raising agents",
+  "serving": { "basis": "100g", "serving_size": "4 biscuits (25 g)", "pack_size": "62 g" }
 }'),
 
 ('8902102450016', 'Haldiram Aloo Bhujia', 'Haldiram', 'Snacks', TRUE, '{
@@ -183,5 +195,6 @@ INSERT INTO fssai_products (barcode, name, brand, category, fssai_approved, nutr
     "sodium": 1.42,
     "fiber": 5.6
   },
-  "ingredients": "Gram flour, potato flakes, vegetable oil, spices, salt"
+  "ingredients": "Gram flour, potato flakes, vegetable oil, spices, salt",
+  "serving": { "basis": "100g", "serving_size": "30 g", "pack_size": "200 g" }
 }');
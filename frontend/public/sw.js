@@ -0,0 +1,63 @@
+/**
+ * HonestBite service worker
+ *
+ * Keeps the app shell available offline so the scanner still opens with no
+ * signal. API responses are not cached here: scan results and the offline
+ * scan queue live in IndexedDB (src/utils/offlineStore.js).
+ */
+
+const CACHE_VERSION = 'honestbite-shell-v2'
+const SHELL = ['/', '/index.html', '/logo.jpg', '/manifest.webmanifest', '/icons/icon-192.png']
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_VERSION)
+      .then(cache => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  )
+})
+
+// Pages: network first, so a deploy is picked up as soon as there is signal
+const handleNavigation = async (request) => {
+  const cache = await caches.open(CACHE_VERSION)
+  try {
+    const response = await fetch(request)
+    if (response.ok) cache.put('/index.html', response.clone())
+    return response
+  } catch {
+    return (await cache.match('/index.html')) || (await cache.match('/')) || Response.error()
+  }
+}
+
+// Built assets have hashed names, so a cached copy never goes stale
+const handleAsset = async (request) => {
+  const cache = await caches.open(CACHE_VERSION)
+  const cached = await cache.match(request)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  if (response.ok) cache.put(request, response.clone())
+  return response
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+
+  const url = new URL(request.url)
+  if (url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request))
+  } else if (url.pathname.startsWith('/assets/') || SHELL.includes(url.pathname)) {
+    event.respondWith(handleAsset(request))
+  }
+})
@@ -4,32 +4,147 @@ import Onboarding from './pages/Onboarding'
 import Home from './pages/Home'
 import Scanner from './pages/Scanner'
 import ScanResults from './pages/ScanResults'
+import Compare from './pages/Compare'
 import Profile from './pages/Profile'
 import DoctorDashboard from './pages/DoctorDashboard'
+import DoctorRoster from './pages/DoctorRoster'
 import About from './pages/About'
+import Contribute from './pages/Contribute'
+import Moderation from './pages/Moderation'
+import Admin from './pages/Admin'
+import Login from './pages/Login'
+import AuthCallback from './pages/AuthCallback'
+import SyncStatus from './components/SyncStatus'
+import { clearOfflineScans } from './utils/offlineScan'
+import { getMe, claimAnonymousProfile, migrateLegacyProfile, signOut } from './services/api'
+import {
+  getSession,
+  saveSession,
+  clearSession,
+  getLegacyUserId,
+  clearLegacyUserId,
+  getAnonymousProfile,
+  saveAnonymousProfile,
+  clearAnonymousProfile,
+  getDeviceId,
+  AUTH_EXPIRED_EVENT
+} from './utils/session'
 import './App.css'
 
+let legacyMigration = null
+
+/**
+ * Exchange the id kept by pre-account builds for a claim secret bound to this
+ * device, so the profile can be claimed after sign-in. The id is only
+ * dropped once the server has answered for it.
+ */
+const migrateLegacyId = () => {
+  const legacyId = getLegacyUserId()
+  if (!legacyId) return Promise.resolve()
+  if (getAnonymousProfile()?.user_id === legacyId) {
+    clearLegacyUserId()
+    return Promise.resolve()
+  }
+
+  legacyMigration ||= (async () => {
+    try {
+      saveAnonymousProfile(await migrateLegacyProfile(legacyId, getDeviceId()))
+      clearLegacyUserId()
+    } catch (err) {
+      // 404: no such profile. Anything else keeps the id for a later attempt
+      if (err.response?.status === 404) clearLegacyUserId()
+      console.warn('Could not move pre-account profile:', err.response?.data?.error || err.message)
+    } finally {
+      legacyMigration = null
+    }
+  })()
+  return legacyMigration
+}
+
 function App() {
+  const [session, setSession] = useState(() => getSession())
+  const [authChecked, setAuthChecked] = useState(false)
   const [isOnboarded, setIsOnboarded] = useState(false)
   const [userId, setUserId] = useState(null)
+  const [role, setRole] = useState('patient')
   const [theme, setTheme] = useState('light')
 
+  // Resolve the signed-in account to a profile, claiming a pre-account anonymous one once
+  useEffect(() => {
+    if (!session) {
+      setUserId(null)
+      setRole('patient')
+      setIsOnboarded(false)
+      setAuthChecked(true)
+      return
+    }
+
+    const loadProfile = async () => {
+      try {
+        let { user } = await getMe()
+        await migrateLegacyId()
+        const anonymous = getAnonymousProfile()
+        if (anonymous) {
+          try {
+            const claimed = await claimAnonymousProfile(anonymous, getDeviceId())
+            user = claimed.user || user
+            clearAnonymousProfile()
+          } catch (err) {
+            // 403/404/409: nothing this device can claim; a blocked merge can be retried later
+            if ([403, 404, 409].includes(err.response?.status) && !err.response.data?.merge_blocked) clearAnonymousProfile()
+            console.warn('Could not claim anonymous profile:', err.response?.data?.error || err.message)
+          }
+        }
+        setUserId(user?.user_id || null)
+        setRole(user?.role || 'patient')
+        setIsOnboarded(Boolean(user))
+      } catch (err) {
+        console.error('Error loading account:', err)
+      } finally {
+        setAuthChecked(true)
+      }
+    }
+
+    setAuthChecked(false)
+    loadProfile()
+  }, [session?.access_token])
+
+  // Before sign-in too, so the profile is bound to this device as early as possible
   useEffect(() => {
-    // Check if user has completed onboarding
-    const storedUserId = localStorage.getItem('userId')
-    const onboardingComplete = localStorage.getItem('onboardingComplete')
-    
-    if (storedUserId && onboardingComplete === 'true') {
-      setUserId(storedUserId)
-      setIsOnboarded(true)
+    migrateLegacyId()
+  }, [])
+
+  useEffect(() => {
+    // The next account to sign in on this device must not replay or see this user's offline data
+    const handleExpired = async () => {
+      await clearOfflineScans()
+      setSession(null)
     }
+    window.addEventListener(AUTH_EXPIRED_EVENT, handleExpired)
+    return () => window.removeEventListener(AUTH_EXPIRED_EVENT, handleExpired)
   }, [])
 
-  const handleOnboardingComplete = (newUserId) => {
-    setUserId(newUserId)
+  const handleSignedIn = (newSession) => {
+    saveSession(newSession)
+    setSession(newSession)
+  }
+
+  const handleSignOut = async () => {
+    // Cached results hold this user's alerts and budget
+    await clearOfflineScans(userId)
+    try {
+      await signOut()
+    } catch (err) {
+      console.warn('Sign-out request failed:', err.message)
+    }
+    clearSession()
+    setSession(null)
+  }
+
+  const handleOnboardingComplete = (user) => {
+    setUserId(user.user_id)
+    setRole(user.role || 'patient')
     setIsOnboarded(true)
-    localStorage.setItem('userId', newUserId)
-    localStorage.setItem('onboardingComplete', 'true')
   }
 
   // Theme handling (light/dark) without affecting app logic
@@ -71,14 +186,30 @@ function App() {
             </div>
           </div>
         </header>
+        {isOnboarded && userId && <SyncStatus userId={userId} />}
+        {!authChecked ? (
+          <div className="page">
+            <div className="container">
+              <div className="spinner"></div>
+            </div>
+          </div>
+        ) : (
         <Routes>
           <Route 
             path="/" 
-            element={isOnboarded ? <Navigate to="/home" /> : <Onboarding onComplete={handleOnboardingComplete} />} 
+            element={
+              !session
+                ? <Login onSignedIn={handleSignedIn} />
+                : isOnboarded ? <Navigate to="/home" /> : <Onboarding onComplete={handleOnboardingComplete} />
+            } 
+          />
+          <Route
+            path="/auth/callback"
+            element={<AuthCallback onSignedIn={handleSignedIn} />}
           />
           <Route 
             path="/home" 
-            element={isOnboarded ? <Home userId={userId} /> : <Navigate to="/" />} 
+            element={isOnboarded ? <Home userId={userId} role={role} /> : <Navigate to="/" />} 
           />
           <Route 
             path="/scanner" 
@@ -88,12 +219,36 @@ function App() {
             path="/results" 
             element={isOnboarded ? <ScanResults userId={userId} /> : <Navigate to="/" />} 
           />
+          <Route
+            path="/compare"
+            element={isOnboarded ? <Compare userId={userId} /> : <Navigate to="/" />}
+          />
           <Route 
             path="/profile" 
-            element={isOnboarded ? <Profile userId={userId} /> : <Navigate to="/" />} 
+            element={isOnboarded ? <Profile userId={userId} onSignOut={handleSignOut} /> : <Navigate to="/" />} 
+          />
+          <Route
+            path="/contribute"
+            element={isOnboarded ? <Contribute /> : <Navigate to="/" />}
+          />
+          <Route
+            path="/moderation"
+            element={isOnboarded && role === 'moderator' ? <Moderation /> : <Navigate to="/" />}
+          />
+          <Route
+            path="/admin"
+            element={isOnboarded && role === 'admin' ? <Admin /> : <Navigate to="/" />}
+          />
+          <Route
+            path="/roster"
+            element={isOnboarded && role === 'doctor' ? <DoctorRoster /> : <Navigate to="/" />}
+          />
+          <Route
+            path="/roster/:patientUserId"
+            element={isOnboarded && role === 'doctor' ? <DoctorDashboard /> : <Navigate to="/" />}
           />
           <Route 
-            path="/doctor/:patientId" 
+            path="/doctor/:token" 
             element={<DoctorDashboard />} 
           />
           <Route
@@ -101,6 +256,7 @@ function App() {
             element={<About />}
           />
         </Routes>
+        )}
         {/* Global Footer */}
         <footer className="app-footer" role="contentinfo">
           <div className="container footer-inner">
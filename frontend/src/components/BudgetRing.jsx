@@ -0,0 +1,79 @@
+import { useState } from 'react'
+import './BudgetRing.css'
+
+const NUTRIENTS = [
+  { key: 'sugar', label: 'Sugar', format: (v) => `${v} g` },
+  { key: 'sodium', label: 'Sodium', format: (v) => `${Math.round(v * 1000)} mg` },
+  { key: 'energy', label: 'Energy', format: (v) => `${Math.round(v)} kcal` },
+  { key: 'saturated_fat', label: 'Sat. fat', format: (v) => `${v} g` }
+]
+
+const RADIUS = 52
+const CIRCUMFERENCE = 2 * Math.PI * RADIUS
+
+function BudgetRing({ budget, entries = 0 }) {
+  const [selected, setSelected] = useState('sugar')
+
+  if (!budget) return null
+
+  const nutrient = NUTRIENTS.find((n) => n.key === selected) || NUTRIENTS[0]
+  const item = budget[nutrient.key]
+  if (!item) return null
+
+  const fraction = Math.min(item.percent, 100) / 100
+  const over = item.status === 'over'
+
+  return (
+    <div className="budget-ring card">
+      <div className="budget-ring-header">
+        <h3>🎯 Today's Budget</h3>
+        <span className="text-secondary">{entries} logged</span>
+      </div>
+
+      <div className="budget-ring-body">
+        <svg viewBox="0 0 120 120" className="budget-ring-svg" role="img" aria-label={`${nutrient.label}: ${item.percent}% of daily limit`}>
+          <circle className="budget-ring-track" cx="60" cy="60" r={RADIUS} />
+          <circle
+            className={`budget-ring-progress ${over ? 'over' : ''}`}
+            cx="60"
+            cy="60"
+            r={RADIUS}
+            strokeDasharray={CIRCUMFERENCE}
+            strokeDashoffset={CIRCUMFERENCE * (1 - fraction)}
+            transform="rotate(-90 60 60)"
+          />
+          <text x="60" y="58" className="budget-ring-percent">{item.percent}%</text>
+          <text x="60" y="76" className="budget-ring-caption">{over ? 'over limit' : 'of limit'}</text>
+        </svg>
+
+        <div className="budget-ring-detail">
+          <div className="budget-ring-value">{nutrient.format(item.consumed)}</div>
+          <div className="text-secondary">
+            of {nutrient.format(item.limit)}{item.source === 'doctor' && " (your doctor's target)"}
+          </div>
+          <div className="budget-ring-remaining">
+            {over ? 'Limit reached for today' : `${nutrient.format(item.remaining)} left`}
+          </div>
+        </div>
+      </div>
+
+      <div className="budget-ring-tabs" role="tablist">
+        {NUTRIENTS.filter((n) => budget[n.key]).map((n) => (
+          <button
+            key={n.key}
+            type="button"
+            role="tab"
+            aria-selected={n.key === selected}
+            className={`budget-ring-tab ${n.key === selected ? 'active' : ''} ${budget[n.key].status === 'over' ? 'over' : ''}`}
+            onClick={() => setSelected(n.key)}
+          >
+            {n.label}
+            <span className="budget-ring-tab-percent">{budget[n.key].percent}%</span>
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default BudgetRing
@@ -0,0 +1,167 @@
+import { useState } from 'react'
+import './DietaryTargets.css'
+
+// Form units; sodium is entered in mg but stored in g like the nutrition facts
+const FIELDS = [
+  { key: 'sugar', label: 'Sugar', unit: 'g/day', toForm: (v) => v, fromForm: (v) => v },
+  { key: 'sodium', label: 'Sodium', unit: 'mg/day', toForm: (v) => Math.round(v * 1000), fromForm: (v) => v / 1000 },
+  { key: 'saturated_fat', label: 'Saturated fat', unit: 'g/day', toForm: (v) => v, fromForm: (v) => v },
+  { key: 'energy', label: 'Energy', unit: 'kcal/day', toForm: (v) => v, fromForm: (v) => v }
+]
+
+const toFormState = (targets) => ({
+  limits: Object.fromEntries(FIELDS.map(f => [
+    f.key,
+    targets?.daily_limits?.[f.key] != null ? String(f.toForm(targets.daily_limits[f.key])) : ''
+  ])),
+  avoidAddedSugar: Boolean(targets?.avoid_added_sugar),
+  notes: targets?.notes || ''
+})
+
+/**
+ * Patient-specific dietary targets on the doctor dashboard.
+ * Read-only unless onSave is given (roster doctors only).
+ */
+function DietaryTargets({ targets, onSave, onClear }) {
+  const [editing, setEditing] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const [form, setForm] = useState(() => toFormState(targets))
+
+  const startEditing = () => {
+    setForm(toFormState(targets))
+    setError('')
+    setEditing(true)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    setError('')
+
+    const dailyLimits = {}
+    for (const field of FIELDS) {
+      const raw = form.limits[field.key].trim()
+      if (raw !== '') dailyLimits[field.key] = field.fromForm(Number(raw))
+    }
+
+    try {
+      await onSave({ daily_limits: dailyLimits, avoid_added_sugar: form.avoidAddedSugar, notes: form.notes.trim() || null })
+      setEditing(false)
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save targets')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleClear = async () => {
+    if (!window.confirm('Remove all targets? Alerts will go back to the default thresholds.')) return
+
+    try {
+      await onClear()
+      setEditing(false)
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to clear targets')
+    }
+  }
+
+  const setLimit = (key, value) => setForm(prev => ({ ...prev, limits: { ...prev.limits, [key]: value } }))
+  const setFields = FIELDS.filter(f => targets?.daily_limits?.[f.key] != null)
+
+  if (!targets && !onSave) return null
+
+  return (
+    <div className="card dietary-targets">
+      <div className="card-header">
+        <h2>🎯 Dietary Targets</h2>
+        {onSave && !editing && (
+          <button className="btn-edit" onClick={startEditing}>{targets ? 'Edit' : 'Set targets'}</button>
+        )}
+      </div>
+
+      {!editing ? (
+        targets ? (
+          <>
+            <ul className="target-list">
+              {setFields.map(field => (
+                <li key={field.key}>
+                  <span>{field.label}</span>
+                  <strong>under {field.toForm(targets.daily_limits[field.key])} {field.unit}</strong>
+                </li>
+              ))}
+              {targets.avoid_added_sugar && (
+                <li>
+                  <span>Added sugar</span>
+                  <strong>avoid</strong>
+                </li>
+              )}
+            </ul>
+            {targets.notes && <p className="text-sm text-secondary mt-2">{targets.notes}</p>}
+            <p className="text-sm text-secondary mt-2">
+              These replace the default alert thresholds for this patient.
+            </p>
+          </>
+        ) : (
+          <p className="text-secondary">
+            No targets yet. Alerts use the standard thresholds for the patient's conditions.
+          </p>
+        )
+      ) : (
+        <form className="target-form" onSubmit={handleSubmit}>
+          {FIELDS.map(field => (
+            <label key={field.key} className="target-field">
+              <span>{field.label}</span>
+              <input
+                type="number"
+                className="input"
+                min="0"
+                step="any"
+                placeholder="No limit"
+                value={form.limits[field.key]}
+                onChange={(e) => setLimit(field.key, e.target.value)}
+              />
+              <span className="text-sm text-secondary">{field.unit}</span>
+            </label>
+          ))}
+
+          <label className="checkbox-item">
+            <input
+              type="checkbox"
+              checked={form.avoidAddedSugar}
+              onChange={(e) => setForm(prev => ({ ...prev, avoidAddedSugar: e.target.checked }))}
+            />
+            <span>No added sugar</span>
+          </label>
+
+          <textarea
+            className="input"
+            rows={2}
+            maxLength={1000}
+            placeholder="Notes for the patient (optional)"
+            value={form.notes}
+            onChange={(e) => setForm(prev => ({ ...prev, notes: e.target.value }))}
+          />
+
+          {error && <div className="alert alert-danger">{error}</div>}
+
+          <div className="target-actions">
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? 'Saving…' : 'Save targets'}
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={() => setEditing(false)} disabled={saving}>
+              Cancel
+            </button>
+            {targets && (
+              <button type="button" className="btn btn-outline" onClick={handleClear} disabled={saving}>
+                Clear all
+              </button>
+            )}
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
+
+export default DietaryTargets
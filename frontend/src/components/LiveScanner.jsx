@@ -0,0 +1,134 @@
+import { useEffect, useRef, useState } from 'react'
+import Webcam from 'react-webcam'
+import { scanBarcodeFromVideo, normalizeAndValidateBarcode, isValidBarcode } from '../utils/barcode'
+import './LiveScanner.css'
+
+// The same code must be read this many times in a row before it is submitted
+const STABLE_READS = 3
+
+const VIDEO_CONSTRAINTS = {
+  facingMode: { ideal: 'environment' },
+  width: { ideal: 1280 },
+  height: { ideal: 720 }
+}
+
+// Checksum-valid EAN/UPC first; other symbologies only need a plausible length
+const toBarcode = (raw) => {
+  const normalized = normalizeAndValidateBarcode(raw)
+  if (normalized) return normalized
+  const digits = String(raw || '').replace(/\D/g, '')
+  return isValidBarcode(digits) ? digits : null
+}
+
+/**
+ * Live camera scanning with a viewfinder
+ * @param {Function} onDetected - Called once with a stable barcode
+ * @param {Function} onCancel - Close the camera
+ * @param {boolean} paused - Stop decoding (e.g. while the barcode is being looked up)
+ */
+function LiveScanner({ onDetected, onCancel, paused = false }) {
+  const webcamRef = useRef(null)
+  const onDetectedRef = useRef(onDetected)
+  const [stream, setStream] = useState(null)
+  const [cameraError, setCameraError] = useState('')
+  const [torchSupported, setTorchSupported] = useState(false)
+  const [torchOn, setTorchOn] = useState(false)
+  const [candidate, setCandidate] = useState('')
+
+  onDetectedRef.current = onDetected
+
+  const handleUserMedia = (mediaStream) => {
+    setStream(mediaStream)
+    const track = mediaStream.getVideoTracks()[0]
+    const capabilities = track?.getCapabilities ? track.getCapabilities() : {}
+    setTorchSupported(Boolean(capabilities.torch))
+  }
+
+  const handleUserMediaError = (err) => {
+    console.warn('Camera unavailable:', err)
+    const denied = err?.name === 'NotAllowedError' || err?.name === 'SecurityError'
+    setCameraError(denied
+      ? 'Camera access was blocked. Allow camera access for this site, or use Take Photo instead.'
+      : 'No camera could be opened. Use Take Photo or enter the barcode instead.')
+  }
+
+  useEffect(() => {
+    const video = webcamRef.current?.video
+    if (!stream || !video || paused) return undefined
+
+    let reads = { code: null, count: 0 }
+    setCandidate('')
+    const scanner = scanBarcodeFromVideo(video, (raw) => {
+      const code = toBarcode(raw)
+      if (!code) return
+
+      reads = { code, count: reads.code === code ? reads.count + 1 : 1 }
+      setCandidate(code)
+      if (reads.count >= STABLE_READS) {
+        scanner.stop()
+        if (navigator.vibrate) navigator.vibrate(80)
+        onDetectedRef.current(code)
+      }
+    })
+    return () => scanner.stop()
+  }, [stream, paused])
+
+  const toggleTorch = async () => {
+    const track = stream?.getVideoTracks()[0]
+    if (!track) return
+    try {
+      await track.applyConstraints({ advanced: [{ torch: !torchOn }] })
+      setTorchOn(!torchOn)
+    } catch (err) {
+      console.warn('Torch not available:', err?.message || err)
+      setTorchSupported(false)
+    }
+  }
+
+  if (cameraError) {
+    return (
+      <div className="live-scanner-error card">
+        <p>{cameraError}</p>
+        <button type="button" className="btn btn-secondary" onClick={onCancel}>Back</button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="live-scanner">
+      <div className="live-scanner-view">
+        <Webcam
+          ref={webcamRef}
+          audio={false}
+          videoConstraints={VIDEO_CONSTRAINTS}
+          onUserMedia={handleUserMedia}
+          onUserMediaError={handleUserMediaError}
+          className="live-scanner-video"
+        />
+        <div className={`live-scanner-viewfinder ${candidate ? 'reading' : ''}`} aria-hidden="true">
+          <span className="live-scanner-line" />
+        </div>
+        <p className="live-scanner-hint" role="status" aria-live="polite">
+          {!stream
+            ? 'Starting camera…'
+            : paused
+              ? `Looking up ${candidate}…`
+              : candidate ? `Reading ${candidate}…` : 'Point the camera at the barcode'}
+        </p>
+      </div>
+
+      <div className="live-scanner-controls">
+        {torchSupported && (
+          <button type="button" className="btn btn-secondary" onClick={toggleTorch} aria-pressed={torchOn}>
+            {torchOn ? '🔦 Torch off' : '🔦 Torch on'}
+          </button>
+        )}
+        <button type="button" className="btn btn-outline" onClick={onCancel}>
+          Close camera
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default LiveScanner
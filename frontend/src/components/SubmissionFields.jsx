@@ -0,0 +1,111 @@
+import './SubmissionFields.css'
+
+// Per-100g/100ml nutrients a contributor can enter (server: SUBMISSION_NUTRIENTS)
+export const SUBMISSION_NUTRIENTS = [
+  { key: 'energy', label: 'Energy', unit: 'kcal' },
+  { key: 'protein', label: 'Protein', unit: 'g' },
+  { key: 'carbohydrates', label: 'Carbohydrates', unit: 'g' },
+  { key: 'sugar', label: 'Sugars', unit: 'g' },
+  { key: 'fat', label: 'Total fat', unit: 'g' },
+  { key: 'saturated_fat', label: 'Saturated fat', unit: 'g' },
+  { key: 'trans_fat', label: 'Trans fat', unit: 'g' },
+  { key: 'fiber', label: 'Fibre', unit: 'g' },
+  { key: 'sodium', label: 'Sodium', unit: 'g' }
+]
+
+/**
+ * Editable form state from a submission row
+ */
+export const toFormFields = (submission) => ({
+  name: submission.name || '',
+  brand: submission.brand || '',
+  category: submission.category || '',
+  fssai_license: submission.fssai_license || '',
+  ingredients: submission.ingredients || '',
+  nutrition_facts: Object.fromEntries(SUBMISSION_NUTRIENTS.map(({ key }) => [key, submission.nutrition_facts?.[key] ?? ''])),
+  serving: {
+    basis: submission.serving?.basis || '100g',
+    serving_size: submission.serving?.serving_size || '',
+    serving_quantity: submission.serving?.serving_quantity ?? ''
+  }
+})
+
+/**
+ * Product fields of a community submission (contributor and moderator views)
+ */
+function SubmissionFields({ fields, onChange, disabled = false }) {
+  const set = (key, value) => onChange({ ...fields, [key]: value })
+  const setNutrient = (key, value) => set('nutrition_facts', { ...fields.nutrition_facts, [key]: value })
+  const setServing = (key, value) => set('serving', { ...fields.serving, [key]: value })
+
+  return (
+    <fieldset className="submission-fields" disabled={disabled}>
+      <label>
+        <span>Product name *</span>
+        <input className="input" value={fields.name} maxLength={500} onChange={(e) => set('name', e.target.value)} />
+      </label>
+      <div className="submission-row">
+        <label>
+          <span>Brand</span>
+          <input className="input" value={fields.brand} maxLength={255} onChange={(e) => set('brand', e.target.value)} />
+        </label>
+        <label>
+          <span>Category</span>
+          <input className="input" value={fields.category} maxLength={255} onChange={(e) => set('category', e.target.value)} />
+        </label>
+      </div>
+      <label>
+        <span>FSSAI licence no.</span>
+        <input className="input" value={fields.fssai_license} maxLength={100} inputMode="numeric" onChange={(e) => set('fssai_license', e.target.value)} />
+      </label>
+      <label>
+        <span>Ingredients</span>
+        <textarea className="input" rows={4} value={fields.ingredients} onChange={(e) => set('ingredients', e.target.value)} />
+      </label>
+
+      <div className="submission-nutrition-header">
+        <span>Nutrition per</span>
+        <select className="input" value={fields.serving.basis} onChange={(e) => setServing('basis', e.target.value)}>
+          <option value="100g">100 g</option>
+          <option value="100ml">100 ml</option>
+        </select>
+      </div>
+      <div className="submission-nutrients">
+        {SUBMISSION_NUTRIENTS.map(({ key, label, unit }) => (
+          <label key={key}>
+            <span>{label} ({unit})</span>
+            <input
+              className="input"
+              type="number"
+              min="0"
+              step="any"
+              inputMode="decimal"
+              value={fields.nutrition_facts[key]}
+              onChange={(e) => setNutrient(key, e.target.value)}
+            />
+          </label>
+        ))}
+      </div>
+
+      <div className="submission-row">
+        <label>
+          <span>Serving size (as printed)</span>
+          <input className="input" value={fields.serving.serving_size} maxLength={100} onChange={(e) => setServing('serving_size', e.target.value)} />
+        </label>
+        <label>
+          <span>Serving ({fields.serving.basis === '100ml' ? 'ml' : 'g'})</span>
+          <input
+            className="input"
+            type="number"
+            min="0"
+            step="any"
+            value={fields.serving.serving_quantity}
+            onChange={(e) => setServing('serving_quantity', e.target.value)}
+          />
+        </label>
+      </div>
+    </fieldset>
+  )
+}
+
+export default SubmissionFields
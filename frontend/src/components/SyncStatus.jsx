@@ -0,0 +1,65 @@
+import { useEffect, useState } from 'react'
+import { SCAN_QUEUE_EVENT, countQueuedScans, startScanSync } from '../utils/offlineScan'
+import './SyncStatus.css'
+
+// Connectivity strip under the header: offline state and scans waiting to sync
+function SyncStatus({ userId }) {
+  const [online, setOnline] = useState(() => navigator.onLine !== false)
+  const [pending, setPending] = useState(0)
+  const [justSynced, setJustSynced] = useState(0)
+
+  useEffect(() => {
+    const handleOnline = () => setOnline(true)
+    const handleOffline = () => setOnline(false)
+    window.addEventListener('online', handleOnline)
+    window.addEventListener('offline', handleOffline)
+    return () => {
+      window.removeEventListener('online', handleOnline)
+      window.removeEventListener('offline', handleOffline)
+    }
+  }, [])
+
+  useEffect(() => {
+    if (!userId) return undefined
+
+    let timer = null
+    const handleQueue = (event) => {
+      setPending(event.detail.pending)
+      if (event.detail.synced > 0) {
+        setJustSynced(event.detail.synced)
+        clearTimeout(timer)
+        timer = setTimeout(() => setJustSynced(0), 5000)
+      }
+    }
+
+    window.addEventListener(SCAN_QUEUE_EVENT, handleQueue)
+    countQueuedScans(userId).then(setPending)
+    const stopSync = startScanSync(userId)
+    return () => {
+      window.removeEventListener(SCAN_QUEUE_EVENT, handleQueue)
+      clearTimeout(timer)
+      stopSync()
+    }
+  }, [userId])
+
+  if (online && pending === 0 && justSynced === 0) return null
+
+  let message
+  if (!online) {
+    message = pending > 0
+      ? `You're offline. ${pending} scan${pending === 1 ? '' : 's'} will sync when you reconnect.`
+      : "You're offline. Barcode scans will be saved and synced later."
+  } else if (pending > 0) {
+    message = `Syncing ${pending} offline scan${pending === 1 ? '' : 's'}...`
+  } else {
+    message = `✓ ${justSynced} offline scan${justSynced === 1 ? '' : 's'} synced. See them in your recent scans.`
+  }
+
+  return (
+    <div className={`sync-status ${online ? '' : 'offline'}`} role="status" aria-live="polite">
+      <div className="container">{message}</div>
+    </div>
+  )
+}
+
+export default SyncStatus
@@ -0,0 +1,533 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import {
+  getAdminProducts,
+  getAdminProduct,
+  createAdminProduct,
+  updateAdminProduct,
+  deactivateAdminProduct,
+  reactivateAdminProduct,
+  importAdminProducts,
+  getDuplicateProducts,
+  getAdminAuditLog
+} from '../services/api'
+import { formatDateTime } from '../utils/helpers'
+import SubmissionFields, { toFormFields } from '../components/SubmissionFields'
+import './Admin.css'
+
+const TABS = [
+  { value: 'products', label: 'Products' },
+  { value: 'import', label: 'CSV import' },
+  { value: 'duplicates', label: 'Duplicates' },
+  { value: 'audit', label: 'Audit log' }
+]
+
+const IMPORT_ACTION_LABELS = {
+  create: 'New',
+  update: 'Update',
+  unchanged: 'Unchanged',
+  skip: 'Skipped',
+  error: 'Error'
+}
+
+const NEW_PRODUCT = { barcode: '', fssai_approved: true, form: toFormFields({}) }
+
+// Edit state from an fssai_products row (nutrition_info holds the label fields)
+const toEditState = (product) => ({
+  barcode: product.barcode,
+  fssai_approved: product.fssai_approved !== false,
+  form: toFormFields({
+    ...product,
+    ingredients: product.nutrition_info?.ingredients,
+    nutrition_facts: product.nutrition_info?.nutrition_facts,
+    serving: product.nutrition_info?.serving
+  })
+})
+
+// Request body; nutrients and serving fields the form does not show are kept
+const toProductInput = (edit, product) => {
+  const { ingredients, nutrition_facts, serving, ...fields } = edit.form
+  const info = product?.nutrition_info || {}
+  return {
+    ...fields,
+    barcode: edit.barcode.trim(),
+    fssai_approved: edit.fssai_approved,
+    nutrition_info: {
+      ingredients,
+      nutrition_facts: { ...info.nutrition_facts, ...nutrition_facts },
+      serving: { ...info.serving, ...serving }
+    }
+  }
+}
+
+const describeChanges = (changes = []) => changes.map(c => c.field).join(', ')
+
+function Admin() {
+  const [tab, setTab] = useState('products')
+  const [error, setError] = useState('')
+  const [notice, setNotice] = useState('')
+
+  // Products
+  const [query, setQuery] = useState('')
+  const [status, setStatus] = useState('active')
+  const [products, setProducts] = useState([])
+  const [total, setTotal] = useState(0)
+  const [loading, setLoading] = useState(true)
+  const [selected, setSelected] = useState(null)
+  const [edit, setEdit] = useState(null)
+  const [notes, setNotes] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  // Import
+  const [file, setFile] = useState(null)
+  const [onConflict, setOnConflict] = useState('skip')
+  const [importResult, setImportResult] = useState(null)
+
+  // Duplicates and audit log
+  const [duplicateGroups, setDuplicateGroups] = useState(null)
+  const [auditEntries, setAuditEntries] = useState(null)
+
+  useEffect(() => {
+    loadProducts()
+  }, [status])
+
+  useEffect(() => {
+    setError('')
+    setNotice('')
+    if (tab === 'duplicates') loadDuplicates()
+    if (tab === 'audit') loadAudit()
+  }, [tab])
+
+  const fail = (message) => (err) => {
+    console.error(message, err)
+    setError(err.response?.data?.error || message)
+  }
+
+  const loadProducts = async (event) => {
+    event?.preventDefault()
+    try {
+      setLoading(true)
+      setError('')
+      const data = await getAdminProducts({ q: query, status })
+      setProducts(data.products || [])
+      setTotal(data.total || 0)
+    } catch (err) {
+      fail('Failed to load products')(err)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const loadDuplicates = async () => {
+    try {
+      setDuplicateGroups(null)
+      const data = await getDuplicateProducts()
+      setDuplicateGroups(data.groups || [])
+    } catch (err) {
+      fail('Failed to look for duplicates')(err)
+    }
+  }
+
+  const loadAudit = async () => {
+    try {
+      setAuditEntries(null)
+      const data = await getAdminAuditLog({ limit: 100 })
+      setAuditEntries(data.entries || [])
+    } catch (err) {
+      fail('Failed to load the audit log')(err)
+    }
+  }
+
+  const open = async (productId) => {
+    try {
+      setTab('products')
+      setError('')
+      setNotice('')
+      const data = await getAdminProduct(productId)
+      setSelected(data)
+      setEdit(toEditState(data.product))
+      setNotes('')
+    } catch (err) {
+      fail('Failed to load product')(err)
+    }
+  }
+
+  const startNew = () => {
+    setSelected({ product: null, duplicates: [], audit: [] })
+    setEdit(NEW_PRODUCT)
+    setNotes('')
+    setNotice('')
+    setError('')
+  }
+
+  const save = async () => {
+    setBusy(true)
+    setError('')
+    setNotice('')
+    try {
+      const input = { ...toProductInput(edit, selected.product), notes }
+      if (selected.product) {
+        const result = await updateAdminProduct(selected.product.id, input)
+        await open(selected.product.id)
+        setNotice(result.changes.length > 0 ? `Saved: ${describeChanges(result.changes)}` : 'Nothing changed.')
+      } else {
+        const result = await createAdminProduct(input)
+        await open(result.product.id)
+        setNotice(`${result.product.name} was added.`)
+      }
+      loadProducts()
+    } catch (err) {
+      fail('Save failed')(err)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const toggleActive = async () => {
+    const { product } = selected
+    if (product.is_active && !window.confirm(`Deactivate ${product.name}? It will no longer be shown to users.`)) return
+
+    setBusy(true)
+    setError('')
+    try {
+      if (product.is_active) await deactivateAdminProduct(product.id, notes)
+      else await reactivateAdminProduct(product.id, notes)
+      await open(product.id)
+      setNotice(product.is_active ? 'Product deactivated.' : 'Product reactivated.')
+      loadProducts()
+    } catch (err) {
+      fail('Update failed')(err)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const runImport = async (dryRun) => {
+    setBusy(true)
+    setError('')
+    setNotice('')
+    try {
+      const result = await importAdminProducts(file, { dryRun, onConflict })
+      setImportResult(result)
+      if (!dryRun) {
+        const { created, updated } = result.summary
+        setNotice(`Imported: ${created} new, ${updated} updated.`)
+        loadProducts()
+      }
+    } catch (err) {
+      fail('Import failed')(err)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const product = selected?.product
+
+  return (
+    <div className="admin-page page">
+      <div className="page-header">
+        <h1 className="page-title">Product Database</h1>
+        <p>Curate the FSSAI product database</p>
+      </div>
+
+      <div className="container">
+        {error && <div className="alert alert-danger">{error}</div>}
+        {notice && <div className="alert alert-success">{notice}</div>}
+
+        <div className="admin-tabs">
+          {TABS.map(t => (
+            <button
+              key={t.value}
+              className={`admin-tab ${tab === t.value ? 'active' : ''}`}
+              onClick={() => setTab(t.value)}
+            >
+              {t.label}
+            </button>
+          ))}
+        </div>
+
+        {tab === 'products' && (
+          <div className="admin-layout">
+            <div>
+              <form className="admin-search" onSubmit={loadProducts}>
+                <input
+                  className="input"
+                  placeholder="Name, brand or barcode"
+                  value={query}
+                  onChange={(e) => setQuery(e.target.value)}
+                />
+                <select className="input" value={status} onChange={(e) => setStatus(e.target.value)}>
+                  <option value="active">Active</option>
+                  <option value="inactive">Inactive</option>
+                  <option value="all">All</option>
+                </select>
+              </form>
+              <button type="button" className="btn btn-secondary admin-new" onClick={startNew}>
+                + New product
+              </button>
+
+              {loading ? (
+                <div className="spinner"></div>
+              ) : (
+                <>
+                  <p className="text-sm text-secondary mb-1">{total} product{total === 1 ? '' : 's'}</p>
+                  <ul className="admin-list">
+                    {products.map(p => (
+                      <li key={p.id}>
+                        <button
+                          type="button"
+                          className={`admin-list-item ${product?.id === p.id ? 'active' : ''} ${p.is_active ? '' : 'inactive'}`}
+                          onClick={() => open(p.id)}
+                        >
+                          <strong>{p.name}</strong>
+                          <span className="text-sm text-secondary">
+                            {p.barcode}{p.brand ? ` · ${p.brand}` : ''}{p.source === 'community' ? ' · community' : ''}
+                          </span>
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+            </div>
+
+            {selected && edit && (
+              <div className="card admin-detail">
+                <div className="admin-detail-header">
+                  <h2>{product ? product.name : 'New product'}</h2>
+                  {product && (
+                    <span className={`admin-status ${product.is_active ? '' : 'inactive'}`}>
+                      {product.is_active ? 'active' : 'inactive'}
+                    </span>
+                  )}
+                </div>
+
+                {selected.duplicates.length > 0 && (
+                  <div className="alert alert-danger">
+                    Same barcode as: {selected.duplicates.map(d => (
+                      <button key={d.id} type="button" className="admin-link" onClick={() => open(d.id)}>
+                        {d.barcode} ({d.name})
+                      </button>
+                    ))}
+                  </div>
+                )}
+
+                <fieldset className="admin-product-fields" disabled={busy}>
+                  <div className="submission-row">
+                    <label>
+                      <span>Barcode *</span>
+                      <input
+                        className="input"
+                        value={edit.barcode}
+                        inputMode="numeric"
+                        maxLength={14}
+                        onChange={(e) => setEdit({ ...edit, barcode: e.target.value })}
+                      />
+                    </label>
+                    <label className="admin-checkbox">
+                      <input
+                        type="checkbox"
+                        checked={edit.fssai_approved}
+                        onChange={(e) => setEdit({ ...edit, fssai_approved: e.target.checked })}
+                      />
+                      <span>FSSAI approved</span>
+                    </label>
+                  </div>
+                </fieldset>
+
+                <SubmissionFields fields={edit.form} onChange={(form) => setEdit({ ...edit, form })} disabled={busy} />
+
+                <label className="admin-notes">
+                  <span>Reason for the change (kept in the audit log)</span>
+                  <input className="input" maxLength={1000} value={notes} onChange={(e) => setNotes(e.target.value)} />
+                </label>
+
+                <div className="admin-actions">
+                  {product && (
+                    <button type="button" className="btn btn-secondary" disabled={busy} onClick={toggleActive}>
+                      {product.is_active ? 'Deactivate' : 'Reactivate'}
+                    </button>
+                  )}
+                  <button type="button" className="btn btn-primary" disabled={busy} onClick={save}>
+                    {product ? 'Save changes' : 'Add product'}
+                  </button>
+                </div>
+
+                {selected.audit.length > 0 && (
+                  <div className="admin-history">
+                    <h3>History</h3>
+                    <ul>
+                      {selected.audit.map(entry => (
+                        <li key={entry.id} className="text-sm">
+                          <strong>{entry.action}</strong> · {formatDateTime(entry.created_at)} · {entry.actor_user_id || 'unknown'}
+                          {entry.changes?.length > 0 && entry.action === 'update' && (
+                            <span className="text-secondary"> — {describeChanges(entry.changes)}</span>
+                          )}
+                          {entry.notes && <span className="text-secondary"> ({entry.notes})</span>}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        {tab === 'import' && (
+          <div className="card">
+            <h3>Bulk import from CSV</h3>
+            <p className="text-sm text-secondary mb-2">
+              Columns: barcode and name (required), brand, category, fssai_license, fssai_approved, ingredients,
+              nutrients per 100g/100ml (energy, protein, carbohydrates, sugar, fat, saturated_fat, trans_fat, fiber,
+              sodium, fruit_veg_pct), basis, serving_size, serving_quantity, pack_size, pack_quantity.
+              Check the file first; rows with errors are never imported.
+            </p>
+            <div className="admin-import-controls">
+              <input
+                type="file"
+                accept=".csv,text/csv"
+                onChange={(e) => {
+                  setFile(e.target.files?.[0] || null)
+                  setImportResult(null)
+                }}
+              />
+              <select className="input" value={onConflict} onChange={(e) => { setOnConflict(e.target.value); setImportResult(null) }}>
+                <option value="skip">Skip barcodes already in the database</option>
+                <option value="update">Update barcodes already in the database</option>
+              </select>
+            </div>
+            <div className="admin-actions">
+              <button type="button" className="btn btn-secondary" disabled={!file || busy} onClick={() => runImport(true)}>
+                Check file
+              </button>
+              <button
+                type="button"
+                className="btn btn-primary"
+                disabled={!importResult?.dry_run || busy}
+                onClick={() => runImport(false)}
+              >
+                Import
+              </button>
+            </div>
+
+            {importResult && (
+              <div className="admin-import-result">
+                <p className="text-sm mb-1">
+                  {importResult.dry_run ? 'Check' : 'Import'}: {importResult.summary.rows} rows —{' '}
+                  {importResult.summary.created} new, {importResult.summary.updated} to update,{' '}
+                  {importResult.summary.unchanged} unchanged, {importResult.summary.skipped} skipped,{' '}
+                  {importResult.summary.errors} errors
+                </p>
+                <table className="admin-table">
+                  <thead>
+                    <tr>
+                      <th>Row</th>
+                      <th>Barcode</th>
+                      <th>Result</th>
+                      <th>Details</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {importResult.results.filter(r => r.action !== 'unchanged').map(r => (
+                      <tr key={r.line} className={r.action === 'error' ? 'error' : ''}>
+                        <td>{r.line}</td>
+                        <td>{r.barcode || '—'}</td>
+                        <td>{IMPORT_ACTION_LABELS[r.action] || r.action}</td>
+                        <td>{r.error || describeChanges(r.changes)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+
+        {tab === 'duplicates' && (
+          duplicateGroups === null ? (
+            <div className="spinner"></div>
+          ) : duplicateGroups.length === 0 ? (
+            <div className="card">
+              <p className="text-secondary">No barcode is stored twice.</p>
+            </div>
+          ) : (
+            duplicateGroups.map(group => (
+              <div key={group.canonical} className="card">
+                <h3>{group.canonical}</h3>
+                <ul className="admin-list">
+                  {group.products.map(p => (
+                    <li key={p.id}>
+                      <button type="button" className={`admin-list-item ${p.is_active ? '' : 'inactive'}`} onClick={() => open(p.id)}>
+                        <strong>{p.name}</strong>
+                        <span className="text-sm text-secondary">
+                          {p.barcode} · {p.is_active ? 'active' : 'inactive'} · updated {formatDateTime(p.updated_at)}
+                        </span>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))
+          )
+        )}
+
+        {tab === 'audit' && (
+          auditEntries === null ? (
+            <div className="spinner"></div>
+          ) : (
+            <div className="card">
+              <table className="admin-table">
+                <thead>
+                  <tr>
+                    <th>When</th>
+                    <th>Who</th>
+                    <th>Action</th>
+                    <th>Barcode</th>
+                    <th>Changes</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {auditEntries.map(entry => (
+                    <tr key={entry.id}>
+                      <td>{formatDateTime(entry.created_at)}</td>
+                      <td>{entry.actor_user_id || 'unknown'}</td>
+                      <td>{entry.action}</td>
+                      <td>
+                        <button type="button" className="admin-link" onClick={() => open(entry.entity_id)}>
+                          {entry.barcode}
+                        </button>
+                      </td>
+                      <td>
+                        {entry.action === 'update' ? describeChanges(entry.changes) : ''}
+                        {entry.notes && <span className="text-secondary"> ({entry.notes})</span>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )
+        )}
+      </div>
+
+      {/* Bottom Navigation */}
+      <nav className="nav">
+        <Link to="/home" className="nav-item">
+          <span className="nav-icon">🏠</span>
+          <span>Home</span>
+        </Link>
+        <Link to="/admin" className="nav-item active">
+          <span className="nav-icon">🗄️</span>
+          <span>Products</span>
+        </Link>
+        <Link to="/profile" className="nav-item">
+          <span className="nav-icon">👤</span>
+          <span>Profile</span>
+        </Link>
+      </nav>
+    </div>
+  )
+}
+
+export default Admin
@@ -0,0 +1,39 @@
+import { useEffect, useState } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import { parseSessionFromHash } from '../utils/session'
+
+// Landing page for magic-link and email-confirmation redirects
+function AuthCallback({ onSignedIn }) {
+  const navigate = useNavigate()
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    const { session, error: linkError } = parseSessionFromHash(window.location.hash)
+    if (linkError) {
+      setError(linkError)
+      return
+    }
+    // Drop the tokens from the address bar before moving on
+    window.history.replaceState(null, '', window.location.pathname)
+    onSignedIn(session)
+    navigate('/', { replace: true })
+  }, [])
+
+  return (
+    <div className="page">
+      <div className="container">
+        {error ? (
+          <div className="empty-state">
+            <h2>Sign-in link didn't work</h2>
+            <p className="text-secondary">{error}</p>
+            <Link to="/" className="btn btn-primary">Back to sign in</Link>
+          </div>
+        ) : (
+          <div className="spinner"></div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default AuthCallback
@@ -0,0 +1,215 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { getUserScans, compareProducts } from '../services/api'
+import { timeAgo } from '../utils/helpers'
+import './Compare.css'
+
+const MIN_PRODUCTS = 2
+const MAX_PRODUCTS = 4
+
+const DECIDED_BY_LABELS = {
+  truth_score: 'highest truth score',
+  alerts: 'same score, fewer health alerts',
+  dimension_wins: 'same score and alerts, more nutrients won'
+}
+
+function Compare({ userId }) {
+  const [scans, setScans] = useState([])
+  const [queue, setQueue] = useState([])
+  const [result, setResult] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [comparing, setComparing] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    loadScans()
+  }, [userId])
+
+  const loadScans = async () => {
+    try {
+      setLoading(true)
+      const data = await getUserScans(userId)
+      // One entry per product, most recent scan first
+      const seen = new Set()
+      setScans((data.scans || []).filter(scan => {
+        if (!scan.barcode || scan.barcode === 'N/A' || seen.has(scan.barcode)) return false
+        seen.add(scan.barcode)
+        return true
+      }))
+    } catch (err) {
+      console.error('Error loading scans:', err)
+      setError('Failed to load your scan history')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const toggleQueued = (scan) => {
+    setResult(null)
+    setQueue(current => current.some(q => q.barcode === scan.barcode)
+      ? current.filter(q => q.barcode !== scan.barcode)
+      : current.length < MAX_PRODUCTS ? [...current, scan] : current)
+  }
+
+  const handleCompare = async () => {
+    try {
+      setComparing(true)
+      setError('')
+      setResult(await compareProducts(userId, queue.map(q => q.barcode)))
+    } catch (err) {
+      console.error('Error comparing products:', err)
+      setError(err.response?.data?.error || 'Failed to compare products')
+    } finally {
+      setComparing(false)
+    }
+  }
+
+  const nameOf = (barcode) => result?.products.find(p => p.barcode === barcode)?.name || barcode
+
+  return (
+    <div className="compare-page page">
+      <div className="compare-header">
+        <h1>⚖️ Compare Products</h1>
+        <p>Pick {MIN_PRODUCTS} to {MAX_PRODUCTS} products you scanned to see which is better</p>
+      </div>
+
+      <div className="container">
+        {error && <div className="alert alert-danger">{error}</div>}
+
+        {/* Queue */}
+        <div className="card">
+          <h2>🛒 To compare ({queue.length}/{MAX_PRODUCTS})</h2>
+          {queue.length === 0 ? (
+            <p className="text-secondary">Add products from your scan history below.</p>
+          ) : (
+            <ul className="compare-queue">
+              {queue.map(scan => (
+                <li key={scan.barcode}>
+                  <span>{scan.product_name}</span>
+                  <button className="compare-remove" title="Remove" onClick={() => toggleQueued(scan)}>✕</button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <button
+            className="btn btn-primary compare-submit mt-2"
+            onClick={handleCompare}
+            disabled={queue.length < MIN_PRODUCTS || comparing}
+          >
+            {comparing ? 'Comparing…' : 'Compare'}
+          </button>
+        </div>
+
+        {/* Result */}
+        {result && (
+          <div className="card">
+            <h2>📊 Side by side</h2>
+            {result.overall.winner ? (
+              <p className="compare-winner">
+                🏆 <strong>{nameOf(result.overall.winner)}</strong>
+                <span className="text-secondary"> · {DECIDED_BY_LABELS[result.overall.decided_by]}</span>
+              </p>
+            ) : (
+              <p className="compare-winner text-secondary">No clear winner: these products are too close to call.</p>
+            )}
+            {result.mixed_basis && (
+              <p className="text-sm text-secondary">Some values are per 100 g and some per 100 ml, so they are not like for like.</p>
+            )}
+            <div className="compare-table-wrap">
+              <table className="compare-table">
+                <thead>
+                  <tr>
+                    <th>Per 100</th>
+                    {result.products.map(product => (
+                      <th key={product.barcode} className={product.barcode === result.overall.winner ? 'overall-winner' : ''}>
+                        {product.name}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.dimensions.map(dimension => (
+                    <tr key={dimension.id}>
+                      <td>
+                        {dimension.label}
+                        <div className="text-xs text-secondary">{dimension.better === 'higher' ? 'Higher is better' : 'Lower is better'}</div>
+                      </td>
+                      {dimension.values.map(value => (
+                        <td key={value.barcode} className={value.barcode === dimension.winner ? 'dimension-winner' : ''}>
+                          {value.value == null ? '–' : `${value.value}${dimension.unit && dimension.unit !== '/10' ? ` ${dimension.unit}` : dimension.unit}`}
+                          {value.relative != null && (
+                            <div className="compare-bar" aria-hidden="true">
+                              <span style={{ width: `${Math.round(value.relative * 100)}%` }}></span>
+                            </div>
+                          )}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                  <tr>
+                    <td>Dimensions won</td>
+                    {result.products.map(product => (
+                      <td key={product.barcode}>{result.overall.wins[product.barcode]}</td>
+                    ))}
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-secondary mt-2">
+              Scored with {result.truth_score_model.name} v{result.truth_score_model.version}. Health alerts are for your profile.
+            </p>
+          </div>
+        )}
+
+        {/* Scan history */}
+        <div className="card">
+          <h2>🕘 Scan History</h2>
+          {loading ? (
+            <div className="spinner"></div>
+          ) : scans.length === 0 ? (
+            <p className="text-secondary">No scanned products yet. Scan products to compare them here.</p>
+          ) : (
+            <div className="compare-history">
+              {scans.map(scan => {
+                const queued = queue.some(q => q.barcode === scan.barcode)
+                return (
+                  <div key={scan.id} className={`compare-scan ${queued ? 'queued' : ''}`}>
+                    <div>
+                      <strong>{scan.product_name}</strong>
+                      <div className="text-sm text-secondary">{scan.truth_score}/10 · {timeAgo(scan.scanned_at)}</div>
+                    </div>
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => toggleQueued(scan)}
+                      disabled={!queued && queue.length >= MAX_PRODUCTS}
+                    >
+                      {queued ? 'Remove' : 'Add'}
+                    </button>
+                  </div>
+                )
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Bottom Navigation */}
+      <nav className="nav">
+        <Link to="/home" className="nav-item">
+          <span className="nav-icon">🏠</span>
+          <span>Home</span>
+        </Link>
+        <Link to="/scanner" className="nav-item">
+          <span className="nav-icon">📷</span>
+          <span>Scan</span>
+        </Link>
+        <Link to="/profile" className="nav-item">
+          <span className="nav-icon">👤</span>
+          <span>Profile</span>
+        </Link>
+      </nav>
+    </div>
+  )
+}
+
+export default Compare
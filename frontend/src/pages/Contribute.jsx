@@ -0,0 +1,237 @@
+import { useState, useEffect } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { createSubmission, updateSubmission, getMySubmissions } from '../services/api'
+import { isValidBarcode } from '../utils/barcode'
+import { timeAgo } from '../utils/helpers'
+import SubmissionFields, { toFormFields } from '../components/SubmissionFields'
+import './Contribute.css'
+
+const PHOTOS = [
+  { kind: 'front', label: 'Front of pack', hint: 'Product name and brand' },
+  { kind: 'nutrition', label: 'Nutrition panel', hint: 'The whole table, straight on' },
+  { kind: 'ingredients', label: 'Ingredients', hint: 'The full list' }
+]
+
+const STATUS_LABELS = {
+  draft: 'Draft',
+  pending: 'Waiting for review',
+  approved: 'Approved',
+  rejected: 'Not accepted'
+}
+
+function Contribute() {
+  const [searchParams] = useSearchParams()
+  const [barcode, setBarcode] = useState(searchParams.get('barcode') || '')
+  const [photos, setPhotos] = useState({})
+  const [previews, setPreviews] = useState({})
+  const [submission, setSubmission] = useState(null)
+  const [fields, setFields] = useState(null)
+  const [mine, setMine] = useState([])
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const [notice, setNotice] = useState('')
+
+  useEffect(() => {
+    loadMine()
+  }, [])
+
+  // Object URLs for the previews are released when replaced or on leave
+  useEffect(() => () => Object.values(previews).forEach(URL.revokeObjectURL), [previews])
+
+  const loadMine = async () => {
+    try {
+      const data = await getMySubmissions()
+      setMine(data.submissions || [])
+      return data.submissions || []
+    } catch (err) {
+      console.warn('Could not load submissions:', err.message)
+      return []
+    }
+  }
+
+  const openSubmission = (row) => {
+    setSubmission(row)
+    setFields(toFormFields(row))
+    setBarcode(row.barcode)
+    setError('')
+    setNotice('')
+  }
+
+  const handlePhoto = (kind, file) => {
+    if (!file) return
+    setPhotos({ ...photos, [kind]: file })
+    setPreviews({ ...previews, [kind]: URL.createObjectURL(file) })
+  }
+
+  const handleReadLabels = async (e) => {
+    e.preventDefault()
+    if (!isValidBarcode(barcode)) {
+      setError('Please enter a valid barcode (6-14 digits)')
+      return
+    }
+    if (Object.keys(photos).length === 0) {
+      setError('Add at least one photo')
+      return
+    }
+
+    setBusy(true)
+    setError('')
+    try {
+      const { submission: created } = await createSubmission(barcode, photos)
+      openSubmission(created)
+      setNotice(created.ocr?.confidence != null
+        ? 'We filled in what we could read from the photos. Please check every value against the pack.'
+        : 'We could not read the labels automatically. Please type the values from the pack.')
+      loadMine()
+    } catch (err) {
+      // Already started on another visit: carry on with that one
+      const existingId = err.response?.data?.submission_id
+      const existing = existingId && (await loadMine()).find(s => s.id === existingId)
+      if (existing) {
+        openSubmission(existing)
+        setNotice('You already started a submission for this barcode; continue it below.')
+      } else {
+        setError(err.response?.data?.error || 'Could not upload the photos. Please try again.')
+      }
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const save = async (submit) => {
+    setBusy(true)
+    setError('')
+    setNotice('')
+    try {
+      const { submission: saved } = await updateSubmission(submission.id, fields, { submit })
+      setSubmission(saved)
+      setFields(toFormFields(saved))
+      setNotice(submit
+        ? 'Thanks! A moderator will check your submission. Once approved, scanning this barcode will show the product.'
+        : 'Draft saved.')
+      loadMine()
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not save your changes')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  // Locked once sent, so a moderator always reviews what was submitted
+  const editable = submission?.status === 'draft'
+
+  return (
+    <div className="contribute-page page">
+      <div className="page-header">
+        <h1 className="page-title">Add a Product</h1>
+        <p>Help others by adding a product we don't know yet</p>
+      </div>
+
+      <div className="container">
+        {error && <div className="alert alert-danger">{error}</div>}
+        {notice && <div className="alert alert-success">{notice}</div>}
+
+        {!submission && (
+          <form className="card" onSubmit={handleReadLabels}>
+            <h2>📸 Photograph the pack</h2>
+            <label className="contribute-barcode">
+              <span>Barcode</span>
+              <input
+                className="input"
+                inputMode="numeric"
+                value={barcode}
+                onChange={(e) => setBarcode(e.target.value.replace(/\D/g, ''))}
+                placeholder="e.g. 8901234567890"
+              />
+            </label>
+
+            <div className="contribute-photos">
+              {PHOTOS.map(({ kind, label, hint }) => (
+                <label key={kind} className={`contribute-photo ${previews[kind] ? 'has-photo' : ''}`}>
+                  {previews[kind]
+                    ? <img src={previews[kind]} alt={label} />
+                    : <span className="contribute-photo-icon">📷</span>}
+                  <strong>{label}</strong>
+                  <span className="text-secondary">{hint}</span>
+                  <input
+                    type="file"
+                    accept="image/jpeg,image/png,image/webp"
+                    capture="environment"
+                    onChange={(e) => handlePhoto(kind, e.target.files?.[0])}
+                  />
+                </label>
+              ))}
+            </div>
+
+            <button type="submit" className="btn btn-primary contribute-continue" disabled={busy}>
+              {busy ? 'Reading labels…' : 'Continue'}
+            </button>
+          </form>
+        )}
+
+        {submission && fields && (
+          <div className="card">
+            <div className="contribute-review-header">
+              <h2>📝 Check the details</h2>
+              <span className={`submission-status status-${submission.status}`}>{STATUS_LABELS[submission.status]}</span>
+            </div>
+            <p className="text-secondary mb-2">Barcode {submission.barcode}</p>
+            {submission.status === 'rejected' && submission.moderator_notes && (
+              <p className="text-sm">Moderator: {submission.moderator_notes}</p>
+            )}
+
+            <SubmissionFields fields={fields} onChange={setFields} disabled={!editable || busy} />
+
+            {editable && (
+              <div className="contribute-actions">
+                <button type="button" className="btn btn-secondary" disabled={busy} onClick={() => save(false)}>
+                  Save draft
+                </button>
+                <button type="button" className="btn btn-primary" disabled={busy} onClick={() => save(true)}>
+                  Submit for review
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {mine.length > 0 && (
+          <div className="card">
+            <h3>Your contributions</h3>
+            <ul className="contribute-list">
+              {mine.map(row => (
+                <li key={row.id}>
+                  <button type="button" className="contribute-list-item" onClick={() => openSubmission(row)}>
+                    <span>
+                      <strong>{row.name || `Barcode ${row.barcode}`}</strong>
+                      <span className="text-sm text-secondary"> · {timeAgo(row.created_at)}</span>
+                    </span>
+                    <span className={`submission-status status-${row.status}`}>{STATUS_LABELS[row.status]}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+
+      {/* Bottom Navigation */}
+      <nav className="nav">
+        <Link to="/home" className="nav-item">
+          <span className="nav-icon">🏠</span>
+          <span>Home</span>
+        </Link>
+        <Link to="/scanner" className="nav-item">
+          <span className="nav-icon">📷</span>
+          <span>Scan</span>
+        </Link>
+        <Link to="/profile" className="nav-item">
+          <span className="nav-icon">👤</span>
+          <span>Profile</span>
+        </Link>
+      </nav>
+    </div>
+  )
+}
+
+export default Contribute
@@ -1,48 +1,95 @@
 import { useState, useEffect } from 'react'
-import { useParams } from 'react-router-dom'
-import { getDoctorDashboard, exportDoctorReport } from '../services/api'
+import { useParams, Link } from 'react-router-dom'
+import {
+  getDoctorDashboard,
+  exportDoctorReport,
+  getRosterPatient,
+  exportRosterReport,
+  exportDoctorFhir,
+  exportRosterFhir,
+  updatePatientTargets,
+  clearPatientTargets
+} from '../services/api'
+import DietaryTargets from '../components/DietaryTargets'
 import { formatDateTime, downloadBlob } from '../utils/helpers'
 import './DoctorDashboard.css'
 
+// YYYY-MM-DD in local time, for <input type="date">
+const toDateInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000)
+  return local.toISOString().slice(0, 10)
+}
+
 function DoctorDashboard() {
-  const { patientId } = useParams()
+  // Opened from a share link (token) or from a doctor's roster (patientUserId)
+  const { token, patientUserId } = useParams()
   const [dashboardData, setDashboardData] = useState(null)
   const [loading, setLoading] = useState(true)
   const [exporting, setExporting] = useState(false)
+  const [reportRange, setReportRange] = useState(() => {
+    const today = new Date()
+    const monthAgo = new Date(today.getTime() - 29 * 24 * 60 * 60 * 1000)
+    return { from: toDateInput(monthAgo), to: toDateInput(today) }
+  })
   const [error, setError] = useState('')
   const [dismissedAlerts, setDismissedAlerts] = useState(new Set())
 
   useEffect(() => {
     loadDashboard()
-  }, [patientId])
+  }, [token, patientUserId])
 
   const loadDashboard = async () => {
     try {
       setLoading(true)
       setError('')
-      const data = await getDoctorDashboard(patientId)
+      const data = patientUserId ? await getRosterPatient(patientUserId) : await getDoctorDashboard(token)
       setDashboardData(data)
     } catch (err) {
       console.error('Error loading dashboard:', err)
-      setError('Failed to load patient data')
+      // 404 unknown link, 410 expired or revoked
+      setError(err.response?.data?.error || 'Failed to load patient data')
     } finally {
       setLoading(false)
     }
   }
 
-  const handleExportReport = async () => {
+  const handleExport = async (format) => {
     try {
-      setExporting(true)
-      const blob = await exportDoctorReport(patientId)
-      downloadBlob(blob, `patient-${patientId}-report.pdf`)
+      setExporting(format)
+      let blob
+      if (format === 'fhir') {
+        blob = patientUserId ? await exportRosterFhir(patientUserId, reportRange) : await exportDoctorFhir(token, reportRange)
+      } else {
+        blob = patientUserId ? await exportRosterReport(patientUserId, reportRange) : await exportDoctorReport(token, reportRange)
+      }
+      const extension = format === 'fhir' ? 'fhir.json' : 'pdf'
+      downloadBlob(blob, `patient-nutrition-report-${reportRange.from}-to-${reportRange.to}.${extension}`)
     } catch (err) {
       console.error('Error exporting report:', err)
-      alert('Failed to export report')
+      // Errors come back as a blob because of responseType
+      let message = null
+      try {
+        message = JSON.parse(await err.response.data.text()).error
+      } catch {
+        // Not a JSON error body
+      }
+      alert(message || 'Failed to export report')
     } finally {
       setExporting(false)
     }
   }
 
+  // Saving targets changes which alerts fire, so reload everything
+  const handleSaveTargets = async (targets) => {
+    await updatePatientTargets(patientUserId, targets)
+    await loadDashboard()
+  }
+
+  const handleClearTargets = async () => {
+    await clearPatientTargets(patientUserId)
+    await loadDashboard()
+  }
+
   const dismissAlert = (alertId) => {
     setDismissedAlerts(prev => new Set(prev).add(alertId))
   }
@@ -69,7 +116,7 @@ function DoctorDashboard() {
     )
   }
 
-  const { patient, scan_history, risk_patterns, alerts } = dashboardData || {}
+  const { patient, share, scan_history, risk_patterns, alerts, targets } = dashboardData || {}
   const activeAlerts = alerts?.filter(alert => !dismissedAlerts.has(alert.id)) || []
 
   return (
@@ -83,14 +130,26 @@ function DoctorDashboard() {
       </div>
 
       <div className="container">
+        {patientUserId && (
+          <Link to="/roster" className="back-to-roster">← Back to roster</Link>
+        )}
+
         {/* Patient Info */}
         <div className="card patient-card">
           <h2>Patient Information</h2>
           <div className="patient-info">
-            <div className="info-item">
-              <span className="info-label">Patient ID:</span>
-              <span className="info-value">{patientId}</span>
-            </div>
+            {patient?.label && (
+              <div className="info-item">
+                <span className="info-label">Patient:</span>
+                <span className="info-value">{patient.label}</span>
+              </div>
+            )}
+            {share?.expires_at && (
+              <div className="info-item">
+                <span className="info-label">Access until:</span>
+                <span className="info-value">{formatDateTime(share.expires_at)}</span>
+              </div>
+            )}
             {patient?.health_conditions?.length > 0 && (
               <div className="info-item">
                 <span className="info-label">Health Conditions:</span>
@@ -113,21 +172,65 @@ function DoctorDashboard() {
             )}
           </div>
           
-          <button
-            className="btn btn-primary"
-            onClick={handleExportReport}
-            disabled={exporting}
-          >
-            {exporting ? 'Generating...' : '📄 Export PDF Report'}
-          </button>
+          {share?.can_export_pdf && (
+            <div className="report-export">
+              <div className="report-range">
+                <label>
+                  <span className="info-label">From</span>
+                  <input
+                    type="date"
+                    className="input"
+                    value={reportRange.from}
+                    max={reportRange.to}
+                    onChange={(e) => setReportRange(prev => ({ ...prev, from: e.target.value }))}
+                  />
+                </label>
+                <label>
+                  <span className="info-label">To</span>
+                  <input
+                    type="date"
+                    className="input"
+                    value={reportRange.to}
+                    min={reportRange.from}
+                    onChange={(e) => setReportRange(prev => ({ ...prev, to: e.target.value }))}
+                  />
+                </label>
+              </div>
+              <div className="report-buttons">
+                <button
+                  className="btn btn-primary"
+                  onClick={() => handleExport('pdf')}
+                  disabled={Boolean(exporting) || !reportRange.from || !reportRange.to}
+                >
+                  {exporting === 'pdf' ? 'Generating...' : '📄 Export PDF Report'}
+                </button>
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => handleExport('fhir')}
+                  disabled={Boolean(exporting) || !reportRange.from || !reportRange.to}
+                  title="FHIR R4 Bundle for import into an EHR"
+                >
+                  {exporting === 'fhir' ? 'Generating...' : '🏥 Export FHIR (EHR)'}
+                </button>
+              </div>
+            </div>
+          )}
         </div>
 
+        {/* Dietary Targets */}
+        <DietaryTargets
+          key={targets?.updated_at || 'none'}
+          targets={targets}
+          onSave={share?.can_edit_targets ? handleSaveTargets : null}
+          onClear={share?.can_edit_targets ? handleClearTargets : null}
+        />
+
         {/* Health Alerts */}
         {activeAlerts.length > 0 ? (
           <div className="card alerts-card">
             <h2>🚨 Health Alerts</h2>
             <p className="text-secondary mb-2">
-              Alerts are triggered when patients scan 3+ risky products per week
+              Alerts are triggered by 3+ risky products per week, condition-specific patterns and missed dietary targets
             </p>
             {activeAlerts.map((alert) => (
               <div key={alert.id} className="health-alert">
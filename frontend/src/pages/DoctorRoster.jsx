@@ -0,0 +1,231 @@
+import { useState, useEffect } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import { getDoctorRoster, requestPatientLink, removeRosterPatient } from '../services/api'
+import { timeAgo, formatDateTime } from '../utils/helpers'
+import './DoctorRoster.css'
+
+const SORT_OPTIONS = [
+  { value: 'risk', label: 'Highest risk first' },
+  { value: 'recent', label: 'Most recent scan' },
+  { value: 'name', label: 'Name' }
+]
+
+const RISK_LABELS = { high: 'High', medium: 'Medium', low: 'Low', none: 'No scans' }
+
+function DoctorRoster() {
+  const navigate = useNavigate()
+  const [roster, setRoster] = useState(null)
+  const [sort, setSort] = useState('risk')
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [requestEmail, setRequestEmail] = useState('')
+  const [requestMessage, setRequestMessage] = useState('')
+  const [requestNotice, setRequestNotice] = useState('')
+  const [requesting, setRequesting] = useState(false)
+
+  useEffect(() => {
+    loadRoster()
+  }, [sort])
+
+  const loadRoster = async () => {
+    try {
+      setLoading(true)
+      setError('')
+      setRoster(await getDoctorRoster(sort))
+    } catch (err) {
+      console.error('Error loading roster:', err)
+      setError(err.response?.data?.error || 'Failed to load your patients')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleRequest = async (e) => {
+    e.preventDefault()
+    setRequesting(true)
+    setRequestNotice('')
+
+    try {
+      const result = await requestPatientLink(requestEmail, requestMessage)
+      setRequestNotice(result.message)
+      setRequestEmail('')
+      setRequestMessage('')
+      loadRoster()
+    } catch (err) {
+      console.error('Error requesting patient link:', err)
+      setRequestNotice(err.response?.data?.error || 'Failed to send request')
+    } finally {
+      setRequesting(false)
+    }
+  }
+
+  const handleRemove = async (patient) => {
+    const name = patient.display_name || patient.email || 'this patient'
+    if (!window.confirm(`Remove ${name} from your roster?`)) return
+
+    try {
+      await removeRosterPatient(patient.user_id)
+      loadRoster()
+    } catch (err) {
+      console.error('Error removing patient:', err)
+      setError('Failed to remove patient')
+    }
+  }
+
+  return (
+    <div className="doctor-roster-page page">
+      <div className="doctor-header">
+        <h1>
+          <img src="/logo.jpg" alt="HonestBite" className="title-logo" />
+          Patient Roster
+        </h1>
+        <p>Recent risk patterns across your linked patients</p>
+      </div>
+
+      <div className="container">
+        {error && <div className="alert alert-danger">{error}</div>}
+
+        {/* Patients */}
+        <div className="card">
+          <div className="card-header">
+            <h2>👥 Patients</h2>
+            <select
+              className="input roster-sort"
+              value={sort}
+              onChange={(e) => setSort(e.target.value)}
+              aria-label="Sort patients"
+            >
+              {SORT_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {loading ? (
+            <div className="spinner"></div>
+          ) : roster?.patients?.length > 0 ? (
+            <div className="roster-table-wrap">
+              <table className="roster-table">
+                <thead>
+                  <tr>
+                    <th>Patient</th>
+                    <th>Risk</th>
+                    <th>Scans (7d)</th>
+                    <th>Risky</th>
+                    <th>High sugar</th>
+                    <th>High sodium</th>
+                    <th>Avg score</th>
+                    <th>Alerts</th>
+                    <th>Last scan</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {roster.patients.map(patient => (
+                    <tr
+                      key={patient.user_id}
+                      className="roster-row"
+                      onClick={() => navigate(`/roster/${encodeURIComponent(patient.user_id)}`)}
+                    >
+                      <td>
+                        <strong>{patient.display_name || patient.email}</strong>
+                        {patient.health_conditions.length > 0 && (
+                          <div className="text-sm text-secondary">{patient.health_conditions.join(', ')}</div>
+                        )}
+                      </td>
+                      <td>
+                        <span className={`risk-pill risk-${patient.risk_level}`}>{RISK_LABELS[patient.risk_level]}</span>
+                      </td>
+                      <td>{patient.risk_patterns['Total Scans (7 days)'] ?? 0}</td>
+                      <td>{patient.risk_patterns['Risky Products (Score ≤5)'] ?? 0}</td>
+                      <td>{patient.risk_patterns['High Sugar Products'] ?? 0}</td>
+                      <td>{patient.risk_patterns['High Sodium Products'] ?? 0}</td>
+                      <td>{patient.risk_patterns['Average Truth Score'] ?? '–'}</td>
+                      <td title={patient.alerts.map(a => a.title).join('\n')}>{patient.alerts.length}</td>
+                      <td>{patient.last_scan_at ? timeAgo(patient.last_scan_at) : '–'}</td>
+                      <td>
+                        <button
+                          className="btn-dismiss"
+                          title="Remove from roster"
+                          onClick={(e) => {
+                            e.stopPropagation()
+                            handleRemove(patient)
+                          }}
+                        >
+                          ✕
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-secondary">No linked patients yet. Send a request below.</p>
+          )}
+        </div>
+
+        {/* Request access */}
+        <div className="card">
+          <h2>➕ Add a Patient</h2>
+          <p className="text-secondary mb-2">
+            The patient sees your request in their profile and decides whether to share their data.
+          </p>
+          <form className="roster-request-form" onSubmit={handleRequest}>
+            <input
+              type="email"
+              className="input"
+              placeholder="Patient's HonestBite email"
+              value={requestEmail}
+              onChange={(e) => setRequestEmail(e.target.value)}
+              required
+            />
+            <input
+              type="text"
+              className="input"
+              placeholder="Message (optional)"
+              maxLength={500}
+              value={requestMessage}
+              onChange={(e) => setRequestMessage(e.target.value)}
+            />
+            <button type="submit" className="btn btn-primary" disabled={requesting}>
+              {requesting ? 'Sending…' : 'Send request'}
+            </button>
+          </form>
+          {requestNotice && <p className="text-sm text-secondary mt-2">{requestNotice}</p>}
+
+          {roster?.pending?.length > 0 && (
+            <div className="roster-pending">
+              <h3>Waiting for response</h3>
+              <ul>
+                {roster.pending.map(request => (
+                  <li key={request.id} className="text-sm">
+                    {request.patient_email} — requested {formatDateTime(request.requested_at)}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Bottom Navigation */}
+      <nav className="nav">
+        <Link to="/home" className="nav-item">
+          <span className="nav-icon">🏠</span>
+          <span>Home</span>
+        </Link>
+        <Link to="/roster" className="nav-item active">
+          <span className="nav-icon">👥</span>
+          <span>Patients</span>
+        </Link>
+        <Link to="/profile" className="nav-item">
+          <span className="nav-icon">👤</span>
+          <span>Profile</span>
+        </Link>
+      </nav>
+    </div>
+  )
+}
+
+export default DoctorRoster
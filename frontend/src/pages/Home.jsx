@@ -1,13 +1,16 @@
 import { useState, useEffect } from 'react'
 import { Link, useNavigate } from 'react-router-dom'
-import { getUser, getUserScans } from '../services/api'
-import { formatDateTime, timeAgo, buildDoctorLink } from '../utils/helpers'
+import { getUser, getUserScans, getIntakeBudget, getNotifications, markNotificationsRead } from '../services/api'
+import { formatDateTime, timeAgo } from '../utils/helpers'
+import BudgetRing from '../components/BudgetRing'
 import './Home.css'
 
-function Home({ userId }) {
+function Home({ userId, role }) {
   const navigate = useNavigate()
   const [user, setUser] = useState(null)
   const [recentScans, setRecentScans] = useState([])
+  const [intakeBudget, setIntakeBudget] = useState(null)
+  const [notifications, setNotifications] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState('')
 
@@ -26,6 +29,15 @@ function Home({ userId }) {
       
       setUser(userData)
       setRecentScans(scansData.scans?.slice(0, 5) || [])
+
+      // The budget ring is optional; don't fail the page without it
+      getIntakeBudget(userId)
+        .then(setIntakeBudget)
+        .catch((err) => console.warn('Intake budget unavailable:', err.message))
+
+      getNotifications(userId, { unreadOnly: true })
+        .then((data) => setNotifications(data.notifications || []))
+        .catch((err) => console.warn('Notifications unavailable:', err.message))
     } catch (err) {
       console.error('Error loading home data:', err)
       setError('Failed to load data')
@@ -34,6 +46,15 @@ function Home({ userId }) {
     }
   }
 
+  const dismissNotifications = async () => {
+    try {
+      await markNotificationsRead(userId)
+      setNotifications([])
+    } catch (err) {
+      console.warn('Could not mark notifications read:', err.message)
+    }
+  }
+
   if (loading) {
     return (
       <div className="page">
@@ -62,6 +83,25 @@ function Home({ userId }) {
           <p>Tap to scan a product barcode</p>
         </Link>
 
+        {/* Reformulated products the user scanned */}
+        {notifications.length > 0 && (
+          <div className="card product-updates">
+            <div className="product-updates-header">
+              <h3>🔔 Product updates</h3>
+              <button className="btn btn-secondary product-updates-dismiss" onClick={dismissNotifications}>
+                Mark all read
+              </button>
+            </div>
+            {notifications.map((n) => (
+              <div key={n.id} className="product-update">
+                <strong>{n.title}</strong>
+                <p className="text-secondary">{n.body}</p>
+                <span className="text-secondary">{timeAgo(n.created_at)}</span>
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* Quick Stats */}
         {user && (
           <div className="quick-stats">
@@ -80,6 +120,11 @@ function Home({ userId }) {
           </div>
         )}
 
+        {/* Daily intake budget */}
+        {intakeBudget && (
+          <BudgetRing budget={intakeBudget.budget} entries={intakeBudget.entries} />
+        )}
+
         {/* Recent Scans */}
         <div className="section">
           <h2 className="section-title">Recent Scans</h2>
@@ -109,32 +154,83 @@ function Home({ userId }) {
           )}
         </div>
 
+        {/* Compare scanned products */}
+        {recentScans.length > 1 && (
+          <div className="card">
+            <h3>⚖️ Compare Products</h3>
+            <p className="text-secondary mb-2">
+              Put products you scanned side by side to see which is better
+            </p>
+            <button
+              className="btn btn-primary"
+              onClick={() => navigate('/compare')}
+            >
+              Compare products
+            </button>
+          </div>
+        )}
+
+        {/* Patient Roster */}
+        {role === 'doctor' && (
+          <div className="card">
+            <h3>👥 Patient Roster</h3>
+            <p className="text-secondary mb-2">
+              Review recent risk patterns across the patients who linked their accounts to you
+            </p>
+            <button
+              className="btn btn-primary"
+              onClick={() => navigate('/roster')}
+            >
+              Open roster
+            </button>
+          </div>
+        )}
+
+        {/* Moderation queue */}
+        {role === 'moderator' && (
+          <div className="card">
+            <h3>🗂️ Product Submissions</h3>
+            <p className="text-secondary mb-2">
+              Review products the community added for unknown barcodes
+            </p>
+            <button
+              className="btn btn-primary"
+              onClick={() => navigate('/moderation')}
+            >
+              Open review queue
+            </button>
+          </div>
+        )}
+
+        {/* Product database curation */}
+        {role === 'admin' && (
+          <div className="card">
+            <h3>🗄️ Product Database</h3>
+            <p className="text-secondary mb-2">
+              Add, correct, import and retire products in the FSSAI database
+            </p>
+            <button
+              className="btn btn-primary"
+              onClick={() => navigate('/admin')}
+            >
+              Open admin console
+            </button>
+          </div>
+        )}
+
         {/* Doctor Link */}
-        {user && (
+        {user && role !== 'doctor' && (
           <div className="card">
             <h3>👨‍⚕️ Share with Doctor</h3>
             <p className="text-secondary mb-2">
-              Share this link with your doctor to give them access to your nutrition data
+              Create a private, expiring link so your doctor can review your nutrition data
             </p>
-            <div className="doctor-link-container">
-              <input 
-                type="text" 
-                value={buildDoctorLink(userId)} 
-                readOnly 
-                className="doctor-link-input"
-                onClick={() => navigate(`/doctor/${userId}`)}
-                title="Open doctor's dashboard"
-              />
-              <button 
-                className="btn btn-primary"
-                onClick={() => {
-                  navigator.clipboard.writeText(buildDoctorLink(userId))
-                  alert('Link copied to clipboard!')
-                }}
-              >
-                Copy
-              </button>
-            </div>
+            <button
+              className="btn btn-primary"
+              onClick={() => navigate('/profile#doctor-sharing')}
+            >
+              Manage doctor links
+            </button>
           </div>
         )}
       </div>
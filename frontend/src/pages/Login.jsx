@@ -0,0 +1,120 @@
+import { useState } from 'react'
+import { signIn, signUp, sendMagicLink } from '../services/api'
+import './Login.css'
+
+const MODES = {
+  signin: { title: 'Sign in', submit: 'Sign in' },
+  signup: { title: 'Create account', submit: 'Create account' },
+  magic: { title: 'Email me a link', submit: 'Send sign-in link' }
+}
+
+function Login({ onSignedIn }) {
+  const [mode, setMode] = useState('signin')
+  const [email, setEmail] = useState('')
+  const [password, setPassword] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [notice, setNotice] = useState('')
+
+  const switchMode = (next) => {
+    setMode(next)
+    setError('')
+    setNotice('')
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setLoading(true)
+    setError('')
+    setNotice('')
+
+    try {
+      if (mode === 'magic') {
+        await sendMagicLink(email)
+        setNotice(`Check ${email} for a sign-in link.`)
+      } else if (mode === 'signup') {
+        const result = await signUp(email, password)
+        if (result.session) {
+          onSignedIn(result.session)
+        } else {
+          setNotice(`We sent a confirmation link to ${email}. Open it to finish creating your account.`)
+        }
+      } else {
+        const result = await signIn(email, password)
+        onSignedIn(result.session)
+      }
+    } catch (err) {
+      console.error('Sign-in error:', err)
+      setError(err.response?.data?.error || 'Something went wrong. Please try again.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="login-page">
+      <div className="login-header">
+        <h1>
+          <img src="/logo.jpg" alt="HonestBite" className="title-logo" />
+          HonestBite
+        </h1>
+        <p>Sign in to keep your health profile private and in sync</p>
+      </div>
+
+      <div className="login-card">
+        <div className="login-tabs" role="tablist">
+          {Object.entries(MODES).map(([key, { title }]) => (
+            <button
+              key={key}
+              type="button"
+              role="tab"
+              aria-selected={mode === key}
+              className={`login-tab ${mode === key ? 'active' : ''}`}
+              onClick={() => switchMode(key)}
+            >
+              {title}
+            </button>
+          ))}
+        </div>
+
+        <form onSubmit={handleSubmit} className="login-form">
+          <label className="login-label" htmlFor="login-email">Email</label>
+          <input
+            id="login-email"
+            type="email"
+            className="input"
+            autoComplete="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            required
+          />
+
+          {mode !== 'magic' && (
+            <>
+              <label className="login-label" htmlFor="login-password">Password</label>
+              <input
+                id="login-password"
+                type="password"
+                className="input"
+                autoComplete={mode === 'signup' ? 'new-password' : 'current-password'}
+                minLength={mode === 'signup' ? 8 : undefined}
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+              />
+            </>
+          )}
+
+          {error && <div className="alert alert-danger">{error}</div>}
+          {notice && <div className="alert alert-success">{notice}</div>}
+
+          <button type="submit" className="btn btn-primary btn-large" disabled={loading}>
+            {loading ? 'Please wait…' : MODES[mode].submit}
+          </button>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default Login
@@ -0,0 +1,192 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { getSubmissionQueue, reviewSubmission } from '../services/api'
+import { formatDateTime } from '../utils/helpers'
+import SubmissionFields, { toFormFields } from '../components/SubmissionFields'
+import './Moderation.css'
+
+const PHOTO_LABELS = { front: 'Front', nutrition: 'Nutrition', ingredients: 'Ingredients' }
+
+const TABS = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' }
+]
+
+function Moderation() {
+  const [status, setStatus] = useState('pending')
+  const [queue, setQueue] = useState([])
+  const [selected, setSelected] = useState(null)
+  const [fields, setFields] = useState(null)
+  const [notes, setNotes] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const [notice, setNotice] = useState('')
+
+  useEffect(() => {
+    loadQueue()
+  }, [status])
+
+  const loadQueue = async () => {
+    try {
+      setLoading(true)
+      setError('')
+      const data = await getSubmissionQueue(status)
+      setQueue(data.submissions || [])
+      setSelected(null)
+    } catch (err) {
+      console.error('Error loading moderation queue:', err)
+      setError(err.response?.data?.error || 'Failed to load submissions')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const select = (submission) => {
+    setSelected(submission)
+    setFields(toFormFields(submission))
+    setNotes(submission.moderator_notes || '')
+    setNotice('')
+    setError('')
+  }
+
+  const review = async (action) => {
+    if (action === 'reject' && !notes.trim()) {
+      setError('Add a note so the contributor knows why')
+      return
+    }
+
+    setBusy(true)
+    setError('')
+    try {
+      await reviewSubmission(selected.id, action === 'approve' ? { action, notes, ...fields } : { action, notes })
+      setNotice(action === 'approve'
+        ? `${fields.name} was added to the product database.`
+        : 'Submission rejected.')
+      setQueue(queue.filter(s => s.id !== selected.id))
+      setSelected(null)
+    } catch (err) {
+      console.error('Review failed:', err)
+      setError(err.response?.data?.error || 'Review failed')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="moderation-page page">
+      <div className="page-header">
+        <h1 className="page-title">Product Submissions</h1>
+        <p>Check contributed products against their label photos</p>
+      </div>
+
+      <div className="container">
+        {error && <div className="alert alert-danger">{error}</div>}
+        {notice && <div className="alert alert-success">{notice}</div>}
+
+        <div className="moderation-tabs">
+          {TABS.map(tab => (
+            <button
+              key={tab.value}
+              className={`moderation-tab ${status === tab.value ? 'active' : ''}`}
+              onClick={() => setStatus(tab.value)}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {loading ? (
+          <div className="spinner"></div>
+        ) : queue.length === 0 ? (
+          <div className="card">
+            <p className="text-secondary">Nothing here.</p>
+          </div>
+        ) : (
+          <div className="moderation-layout">
+            <ul className="moderation-queue">
+              {queue.map(submission => (
+                <li key={submission.id}>
+                  <button
+                    type="button"
+                    className={`moderation-queue-item ${selected?.id === submission.id ? 'active' : ''}`}
+                    onClick={() => select(submission)}
+                  >
+                    <strong>{submission.name || 'Unnamed product'}</strong>
+                    <span className="text-sm text-secondary">
+                      {submission.barcode} · {formatDateTime(submission.submitted_at || submission.created_at)}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            {selected && fields && (
+              <div className="card moderation-detail">
+                <div className="moderation-detail-header">
+                  <h2>{selected.barcode}</h2>
+                  <span className={`submission-status status-${selected.status}`}>{selected.status}</span>
+                </div>
+
+                <div className="moderation-photos">
+                  {Object.entries(selected.photo_urls || {}).map(([kind, url]) => (
+                    <a key={kind} href={url} target="_blank" rel="noreferrer">
+                      <img src={url} alt={PHOTO_LABELS[kind] || kind} />
+                      <span className="text-sm">{PHOTO_LABELS[kind] || kind}</span>
+                    </a>
+                  ))}
+                </div>
+
+                {selected.ocr?.confidence != null && (
+                  <p className="text-sm text-secondary mb-2">
+                    Pre-filled by OCR (confidence {Math.round(selected.ocr.confidence * 100)}%); the contributor may have corrected it.
+                  </p>
+                )}
+
+                <SubmissionFields fields={fields} onChange={setFields} disabled={selected.status !== 'pending' || busy} />
+
+                {selected.status === 'pending' ? (
+                  <>
+                    <label className="moderation-notes">
+                      <span>Notes for the contributor</span>
+                      <textarea className="input" rows={2} maxLength={1000} value={notes} onChange={(e) => setNotes(e.target.value)} />
+                    </label>
+                    <div className="moderation-actions">
+                      <button type="button" className="btn btn-secondary" disabled={busy} onClick={() => review('reject')}>
+                        Reject
+                      </button>
+                      <button type="button" className="btn btn-primary" disabled={busy} onClick={() => review('approve')}>
+                        Approve
+                      </button>
+                    </div>
+                  </>
+                ) : selected.moderator_notes && (
+                  <p className="text-sm mt-2">Notes: {selected.moderator_notes}</p>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Bottom Navigation */}
+      <nav className="nav">
+        <Link to="/home" className="nav-item">
+          <span className="nav-icon">🏠</span>
+          <span>Home</span>
+        </Link>
+        <Link to="/moderation" className="nav-item active">
+          <span className="nav-icon">🗂️</span>
+          <span>Review</span>
+        </Link>
+        <Link to="/profile" className="nav-item">
+          <span className="nav-icon">👤</span>
+          <span>Profile</span>
+        </Link>
+      </nav>
+    </div>
+  )
+}
+
+export default Moderation
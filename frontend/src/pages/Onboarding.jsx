@@ -1,7 +1,6 @@
 import { useState } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { createUser } from '../services/api'
-import { generateUserId } from '../utils/helpers'
 import './Onboarding.css'
 
 const HEALTH_CONDITIONS = [
@@ -27,7 +26,9 @@ const ALLERGIES = [
   'Fish',
   'Shellfish',
   'Sesame',
-  'Wheat'
+  'Wheat',
+  'Mustard',
+  'Sulphites'
 ]
 
 function Onboarding({ onComplete }) {
@@ -37,10 +38,15 @@ function Onboarding({ onComplete }) {
   const [error, setError] = useState('')
   
   const [formData, setFormData] = useState({
+    role: 'patient',
+    displayName: '',
+    clinicName: '',
     healthConditions: [],
     allergies: []
   })
 
+  const isDoctor = formData.role === 'doctor'
+
   const toggleHealthCondition = (condition) => {
     setFormData(prev => ({
       ...prev,
@@ -60,7 +66,8 @@ function Onboarding({ onComplete }) {
   }
 
   const handleNext = () => {
-    if (step === 1) {
+    // Doctors have no health profile to fill in
+    if (step === 1 && !isDoctor) {
       setStep(2)
     } else {
       handleSubmit()
@@ -78,16 +85,17 @@ function Onboarding({ onComplete }) {
     setError('')
 
     try {
-      const userId = generateUserId()
-      
-      await createUser({
-        user_id: userId,
-        health_conditions: formData.healthConditions,
-        allergies: formData.allergies
+      // The server derives the profile id from the signed-in account
+      const user = await createUser({
+        role: formData.role,
+        display_name: formData.displayName.trim() || null,
+        clinic_name: isDoctor ? formData.clinicName.trim() || null : null,
+        health_conditions: isDoctor ? [] : formData.healthConditions,
+        allergies: isDoctor ? [] : formData.allergies
       })
 
-      onComplete(userId)
-      navigate('/home')
+      onComplete(user)
+      navigate(isDoctor ? '/roster' : '/home')
     } catch (err) {
       console.error('Onboarding error:', err)
       setError('Failed to create profile. Please try again.')
@@ -115,6 +123,63 @@ function Onboarding({ onComplete }) {
       <div className="onboarding-content">
         {step === 1 && (
           <div className="onboarding-step">
+            <div className="role-choice" role="radiogroup" aria-label="Account type">
+              {[
+                { value: 'patient', label: '🛒 I track my own food' },
+                { value: 'doctor', label: '🩺 I\'m a doctor' }
+              ].map(option => (
+                <button
+                  key={option.value}
+                  type="button"
+                  role="radio"
+                  aria-checked={formData.role === option.value}
+                  className={`role-option ${formData.role === option.value ? 'active' : ''}`}
+                  onClick={() => setFormData(prev => ({ ...prev, role: option.value }))}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+
+            <input
+              type="text"
+              className="input mb-2"
+              placeholder={isDoctor ? 'Your name (shown to patients)' : 'Your name (optional)'}
+              maxLength={200}
+              value={formData.displayName}
+              onChange={(e) => setFormData(prev => ({ ...prev, displayName: e.target.value }))}
+            />
+
+            {isDoctor ? (
+              <>
+                <input
+                  type="text"
+                  className="input mb-2"
+                  placeholder="Clinic or hospital (optional)"
+                  maxLength={200}
+                  value={formData.clinicName}
+                  onChange={(e) => setFormData(prev => ({ ...prev, clinicName: e.target.value }))}
+                />
+                <p className="step-description">
+                  Patients link to you by accepting a request you send from your roster.
+                </p>
+
+                {error && (
+                  <div className="alert alert-danger">
+                    {error}
+                  </div>
+                )}
+
+                <button
+                  className="btn btn-primary btn-large"
+                  onClick={handleSubmit}
+                  disabled={loading || !formData.displayName.trim()}
+                >
+                  {loading ? 'Creating Profile...' : 'Complete Setup'}
+                </button>
+              </>
+            ) : (
+            <>
             <h2>Health Conditions</h2>
             <p className="step-description">
               Select any health conditions you have (optional)
@@ -142,10 +207,13 @@ function Onboarding({ onComplete }) {
             
             <button
               className="btn btn-outline btn-large mt-2"
-              onClick={() => onComplete(generateUserId())}
+              onClick={handleSubmit}
+              disabled={loading}
             >
               Skip Onboarding
             </button>
+            </>
+            )}
           </div>
         )}
 
@@ -1,7 +1,17 @@
 import { useState, useEffect } from 'react'
-import { Link, useNavigate } from 'react-router-dom'
-import { getUser, updateUser } from '../services/api'
-import { copyToClipboard, buildDoctorLink } from '../utils/helpers'
+import { Link } from 'react-router-dom'
+import {
+  getUser,
+  updateUser,
+  getScoringModels,
+  createDoctorShare,
+  getDoctorShares,
+  revokeDoctorShare,
+  getDoctorAccessLog,
+  getDoctorRequests,
+  respondToDoctorRequest
+} from '../services/api'
+import { copyToClipboard, buildDoctorLink, formatDateTime } from '../utils/helpers'
 import './Profile.css'
 
 const HEALTH_CONDITIONS = [
@@ -9,18 +19,37 @@ const HEALTH_CONDITIONS = [
   'PCOD/PCOS', 'Thyroid Disorders', 'High Cholesterol', 'Lactose Intolerance', 'Celiac Disease'
 ]
 
+const SHARE_EXPIRY_OPTIONS = [
+  { days: 1, label: '24 hours' },
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' }
+]
+
 const ALLERGIES = [
   'Peanuts', 'Tree nuts', 'Dairy', 'Gluten', 'Soy',
-  'Eggs', 'Fish', 'Shellfish', 'Sesame', 'Wheat'
+  'Eggs', 'Fish', 'Shellfish', 'Sesame', 'Wheat', 'Mustard', 'Sulphites'
 ]
 
-function Profile({ userId }) {
-  const navigate = useNavigate()
+const ACCESS_ACTIONS = {
+  dashboard: 'opened the dashboard',
+  report: 'downloaded the PDF report',
+  fhir: 'exported FHIR data'
+}
+
+function Profile({ userId, onSignOut }) {
   const [user, setUser] = useState(null)
   const [editing, setEditing] = useState(false)
   const [loading, setLoading] = useState(true)
   const [saving, setSaving] = useState(false)
   const [message, setMessage] = useState('')
+  const [scoringModels, setScoringModels] = useState([])
+  const [shares, setShares] = useState([])
+  const [accessLog, setAccessLog] = useState([])
+  const [shareForm, setShareForm] = useState({ label: '', scope: 'dashboard', expiresInDays: 7 })
+  const [newShareLink, setNewShareLink] = useState('')
+  const [creatingShare, setCreatingShare] = useState(false)
+  const [doctorRequests, setDoctorRequests] = useState([])
   
   const [formData, setFormData] = useState({
     healthConditions: [],
@@ -31,6 +60,48 @@ function Profile({ userId }) {
     loadUserData()
   }, [userId])
 
+  useEffect(() => {
+    getScoringModels()
+      .then((data) => setScoringModels(data.models || []))
+      .catch((error) => console.error('Error loading scoring models:', error))
+  }, [])
+
+  useEffect(() => {
+    loadShares()
+    loadDoctorRequests()
+  }, [userId])
+
+  const loadDoctorRequests = async () => {
+    try {
+      const data = await getDoctorRequests(userId)
+      setDoctorRequests(data.requests || [])
+    } catch (error) {
+      console.error('Error loading doctor requests:', error)
+    }
+  }
+
+  const handleDoctorRequest = async (request, status) => {
+    if (status === 'revoked' && !window.confirm('Stop sharing your data with this doctor?')) return
+
+    try {
+      await respondToDoctorRequest(userId, request.id, status)
+      await loadDoctorRequests()
+    } catch (error) {
+      console.error('Error answering doctor request:', error)
+      setMessage(error.response?.data?.error || 'Failed to update doctor request')
+    }
+  }
+
+  const loadShares = async () => {
+    try {
+      const [shareData, logData] = await Promise.all([getDoctorShares(), getDoctorAccessLog()])
+      setShares(shareData.shares || [])
+      setAccessLog(logData.access_log || [])
+    } catch (error) {
+      console.error('Error loading doctor links:', error)
+    }
+  }
+
   const loadUserData = async () => {
     try {
       setLoading(true)
@@ -92,15 +163,66 @@ function Profile({ userId }) {
     }
   }
 
+  const handleScoringModelChange = async (event) => {
+    const scoringModel = event.target.value || null
+    setMessage('')
+
+    try {
+      const updated = await updateUser(userId, {
+        health_conditions: user?.health_conditions || [],
+        allergies: user?.allergies || [],
+        scoring_model: scoringModel
+      })
+      setUser(prev => ({ ...prev, scoring_model: updated?.scoring_model ?? scoringModel }))
+      setMessage('Scoring model updated!')
+      setTimeout(() => setMessage(''), 3000)
+    } catch (error) {
+      console.error('Error updating scoring model:', error)
+      setMessage('Failed to update scoring model')
+    }
+  }
+
+  const handleCreateShare = async (event) => {
+    event.preventDefault()
+    setCreatingShare(true)
+    setMessage('')
+
+    try {
+      const { token } = await createDoctorShare(shareForm)
+      // The token is only returned once; keep the full link on screen until dismissed
+      setNewShareLink(buildDoctorLink(token))
+      setShareForm(prev => ({ ...prev, label: '' }))
+      await loadShares()
+    } catch (error) {
+      console.error('Error creating doctor link:', error)
+      setMessage(error.response?.data?.error || 'Failed to create doctor link')
+    } finally {
+      setCreatingShare(false)
+    }
+  }
+
   const handleCopyDoctorLink = async () => {
-    const link = buildDoctorLink(userId)
-    const success = await copyToClipboard(link)
+    const success = await copyToClipboard(newShareLink)
     if (success) {
       setMessage('Doctor link copied to clipboard!')
       setTimeout(() => setMessage(''), 3000)
     }
   }
 
+  const handleRevokeShare = async (shareId) => {
+    if (!window.confirm('Revoke this link? Your doctor will no longer be able to open it.')) return
+
+    try {
+      await revokeDoctorShare(shareId)
+      await loadShares()
+      setMessage('Doctor link revoked')
+      setTimeout(() => setMessage(''), 3000)
+    } catch (error) {
+      console.error('Error revoking doctor link:', error)
+      setMessage('Failed to revoke doctor link')
+    }
+  }
+
   if (loading) {
     return (
       <div className="page">
@@ -125,9 +247,17 @@ function Profile({ userId }) {
           </div>
         )}
 
-        {/* User ID */}
+        {/* Account */}
         <div className="card">
-          <h3>User ID</h3>
+          <div className="card-header">
+            <h3>🔐 Account</h3>
+            {onSignOut && (
+              <button className="btn-edit" onClick={onSignOut}>
+                Sign out
+              </button>
+            )}
+          </div>
+          {user?.email && <p className="text-secondary mb-2">{user.email}</p>}
           <p className="user-id-text">{userId}</p>
         </div>
 
@@ -270,29 +400,179 @@ function Profile({ userId }) {
           </div>
         )}
 
-        {/* Doctor Link */}
+        {/* Scoring Model */}
+        {scoringModels.length > 0 && (
+          <div className="card">
+            <h3>🧮 Scoring Model</h3>
+            <p className="text-secondary mb-2">
+              Choose how your truth scores are calculated. Past scans keep the model they were scored with.
+            </p>
+            <select
+              className="input"
+              value={user?.scoring_model || ''}
+              onChange={handleScoringModelChange}
+              disabled={editing}
+            >
+              <option value="">Default ({scoringModels.find(m => m.is_default)?.name || 'server default'})</option>
+              {scoringModels.map((model) => (
+                <option key={model.id} value={model.id}>
+                  {model.name} (v{model.version})
+                </option>
+              ))}
+            </select>
+            {user?.scoring_model && (
+              <p className="text-sm text-secondary" style={{ marginTop: '0.5rem' }}>
+                {scoringModels.find(m => m.id === user.scoring_model)?.description}
+              </p>
+            )}
+          </div>
+        )}
+
+        {/* Doctor Requests */}
+        {doctorRequests.some(r => ['pending', 'accepted'].includes(r.status)) && (
+          <div className="card">
+            <h3>🩺 Linked Doctors</h3>
+            <p className="text-secondary mb-2">
+              Doctors you accept can see your scans and risk patterns until you remove them
+            </p>
+            <ul className="share-list">
+              {doctorRequests
+                .filter(r => ['pending', 'accepted'].includes(r.status))
+                .map(request => (
+                  <li key={request.id} className="share-item">
+                    <div className="share-info">
+                      <strong>{request.doctor?.display_name || request.doctor?.email || 'A doctor'}</strong>
+                      <span className="text-sm text-secondary">
+                        {request.doctor?.clinic_name && `${request.doctor.clinic_name} · `}
+                        {request.status === 'pending'
+                          ? `requested ${formatDateTime(request.requested_at)}`
+                          : `linked since ${formatDateTime(request.responded_at)}`}
+                      </span>
+                      {request.status === 'pending' && request.message && (
+                        <span className="text-sm">“{request.message}”</span>
+                      )}
+                    </div>
+                    {request.status === 'pending' ? (
+                      <div className="request-actions">
+                        <button className="btn btn-primary" onClick={() => handleDoctorRequest(request, 'accepted')}>
+                          Accept
+                        </button>
+                        <button className="btn btn-secondary" onClick={() => handleDoctorRequest(request, 'declined')}>
+                          Decline
+                        </button>
+                      </div>
+                    ) : (
+                      <button className="btn btn-secondary" onClick={() => handleDoctorRequest(request, 'revoked')}>
+                        Remove
+                      </button>
+                    )}
+                  </li>
+                ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Doctor Links */}
         {user && (
-          <div className="card doctor-link-card">
+          <div className="card doctor-link-card" id="doctor-sharing">
             <h3>👨‍⚕️ Share with Doctor</h3>
             <p className="text-secondary mb-2">
-              Share this link with your doctor to give them access to your nutrition data
+              Each link is private to one doctor, expires automatically and can be revoked at any time
             </p>
-            <div className="doctor-link-container">
-              <input 
-                type="text" 
-                value={buildDoctorLink(userId)} 
-                readOnly 
-                className="doctor-link-input"
-                onClick={() => navigate(`/doctor/${userId}`)}
-                title="Open doctor's dashboard"
+
+            <form className="share-form" onSubmit={handleCreateShare}>
+              <input
+                type="text"
+                className="input"
+                placeholder="Label, e.g. Dr. Mehta (optional)"
+                value={shareForm.label}
+                maxLength={200}
+                onChange={(e) => setShareForm(prev => ({ ...prev, label: e.target.value }))}
               />
-              <button 
-                className="btn btn-primary"
-                onClick={handleCopyDoctorLink}
-              >
-                📋 Copy
+              <div className="share-form-row">
+                <select
+                  className="input"
+                  value={shareForm.expiresInDays}
+                  onChange={(e) => setShareForm(prev => ({ ...prev, expiresInDays: Number(e.target.value) }))}
+                  aria-label="Link expiry"
+                >
+                  {SHARE_EXPIRY_OPTIONS.map(option => (
+                    <option key={option.days} value={option.days}>Expires in {option.label}</option>
+                  ))}
+                </select>
+                <select
+                  className="input"
+                  value={shareForm.scope}
+                  onChange={(e) => setShareForm(prev => ({ ...prev, scope: e.target.value }))}
+                  aria-label="What the doctor can see"
+                >
+                  <option value="dashboard">Dashboard only</option>
+                  <option value="dashboard_pdf">Dashboard + exports (PDF, FHIR)</option>
+                </select>
+              </div>
+              <button type="submit" className="btn btn-primary" disabled={creatingShare}>
+                {creatingShare ? 'Creating…' : 'Create link'}
               </button>
-            </div>
+            </form>
+
+            {newShareLink && (
+              <div className="new-share">
+                <p className="text-sm text-secondary">Copy this link now — it won't be shown again.</p>
+                <div className="doctor-link-container">
+                  <input
+                    type="text"
+                    value={newShareLink}
+                    readOnly
+                    className="doctor-link-input"
+                    onFocus={(e) => e.target.select()}
+                  />
+                  <button className="btn btn-primary" onClick={handleCopyDoctorLink}>
+                    📋 Copy
+                  </button>
+                </div>
+                <button className="btn-edit" onClick={() => setNewShareLink('')}>Done</button>
+              </div>
+            )}
+
+            {shares.length > 0 && (
+              <ul className="share-list">
+                {shares.map(share => (
+                  <li key={share.id} className={`share-item share-${share.status}`}>
+                    <div className="share-info">
+                      <strong>{share.label || `Link ${share.token_hint}…`}</strong>
+                      <span className="text-sm text-secondary">
+                        {share.scope === 'dashboard_pdf' ? 'Dashboard + exports' : 'Dashboard only'}
+                        {' · '}
+                        {share.status === 'active' && `expires ${formatDateTime(share.expires_at)}`}
+                        {share.status === 'expired' && 'expired'}
+                        {share.status === 'revoked' && 'revoked'}
+                        {' · '}
+                        opened {share.access_count} time{share.access_count === 1 ? '' : 's'}
+                      </span>
+                    </div>
+                    {share.status === 'active' && (
+                      <button className="btn btn-secondary" onClick={() => handleRevokeShare(share.id)}>
+                        Revoke
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {accessLog.length > 0 && (
+              <details className="access-log">
+                <summary>Access history ({accessLog.length})</summary>
+                <ul>
+                  {accessLog.map(entry => (
+                    <li key={entry.id} className="text-sm">
+                      {formatDateTime(entry.accessed_at)} — {ACCESS_ACTIONS[entry.action] || ACCESS_ACTIONS.dashboard}
+                      {' '}({shares.find(s => s.id === entry.share_id)?.label || 'unlabelled link'})
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            )}
           </div>
         )}
       </div>
@@ -1,12 +1,45 @@
 import { useLocation, useNavigate, Link } from 'react-router-dom'
 import { useEffect, useRef, useState } from 'react'
-import { getScoreLabel } from '../utils/helpers'
+import { getScoreLabel, formatDate } from '../utils/helpers'
+import { logIntake, deleteIntakeEntry, getAdditive } from '../services/api'
 import AIChat from '../components/AIChat'
 import './ScanResults.css'
 
+const TIER_LABELS = {
+  low: 'Low risk',
+  moderate: 'Moderate',
+  high: 'High risk',
+  unknown: 'Unrated'
+}
+
+const VERDICT_LABELS = {
+  verified: 'Verified',
+  misleading: 'Misleading',
+  unverifiable: 'Unverifiable'
+}
+
+const SEVERITY_LABELS = {
+  high: 'High',
+  medium: 'Medium',
+  low: 'Low'
+}
+
+const CLAIM_SOURCE_LABELS = {
+  name: 'product name',
+  labels: 'Open Food Facts labels',
+  front_of_pack: 'front of pack'
+}
+
 function ScanResults({ userId }) {
   const [showScoreInfo, setShowScoreInfo] = useState(false)
   const [popoverStyle, setPopoverStyle] = useState({})
+  const [portionView, setPortionView] = useState('per_100')
+  const [servings, setServings] = useState(1)
+  const [loggedEntry, setLoggedEntry] = useState(null)
+  const [logging, setLogging] = useState(false)
+  const [logError, setLogError] = useState('')
+  const [openAdditive, setOpenAdditive] = useState(null)
+  const [additiveDetails, setAdditiveDetails] = useState({})
   const infoBtnRef = useRef(null)
   const scoreWrapRef = useRef(null)
   const popoverRef = useRef(null)
@@ -29,7 +62,69 @@ function ScanResults({ userId }) {
     )
   }
 
-  const { product_info, truth_score, alerts, risk_factors, data_source, greenwashing_flags, ai_insights } = scanResult
+  const { product_info, truth_score, truth_score_model, nutri_score, portions, alerts, risk_factors, additives, added_sugars, fat_sources, claims, data_source, freshness, greenwashing_flags, ai_insights } = scanResult
+
+  // Per 100 / per serving / per pack; options without a known size are hidden
+  const portionOptions = [
+    { key: 'per_100', label: `Per ${portions?.basis || '100g'}` },
+    { key: 'per_serving', label: portions?.serving_size ? `Per serving (${portions.serving_size})` : 'Per serving' },
+    { key: 'per_pack', label: portions?.pack_size ? `Per pack (${portions.pack_size})` : 'Per pack' }
+  ].filter(option => option.key === 'per_100' || portions?.[option.key])
+  const displayedNutrition = (portionView !== 'per_100' && portions?.[portionView]) || product_info?.nutrition_facts
+
+  const handleLogIntake = async () => {
+    try {
+      setLogging(true)
+      setLogError('')
+      const { entry } = await logIntake({
+        user_id: userId,
+        scan_id: scanResult.scan_id,
+        barcode: product_info?.barcode !== 'N/A' ? product_info?.barcode : null,
+        product_name: product_info?.name,
+        nutrition_facts: product_info?.nutrition_facts,
+        serving_info: portions
+          ? { basis: portions.basis, serving_size: portions.serving_size, serving_quantity: portions.serving_quantity, pack_size: portions.pack_size }
+          : product_info?.serving,
+        servings
+      })
+      setLoggedEntry(entry)
+    } catch (err) {
+      console.error('Error logging intake:', err)
+      setLogError('Could not log this product. Please try again.')
+    } finally {
+      setLogging(false)
+    }
+  }
+
+  // Tap an additive to open its explanation; details are fetched once per code
+  const toggleAdditive = async (code) => {
+    if (openAdditive === code) {
+      setOpenAdditive(null)
+      return
+    }
+    setOpenAdditive(code)
+    if (additiveDetails[code]) return
+    try {
+      const { additive } = await getAdditive(code)
+      setAdditiveDetails(prev => ({ ...prev, [code]: additive }))
+    } catch (err) {
+      console.error('Error loading additive details:', err)
+      setAdditiveDetails(prev => ({ ...prev, [code]: { error: true } }))
+    }
+  }
+
+  const handleUndoIntake = async () => {
+    try {
+      setLogging(true)
+      await deleteIntakeEntry(userId, loggedEntry.id)
+      setLoggedEntry(null)
+    } catch (err) {
+      console.error('Error removing intake entry:', err)
+      setLogError('Could not undo. Please try again.')
+    } finally {
+      setLogging(false)
+    }
+  }
   const numericScore = typeof truth_score === 'number' ? truth_score : (truth_score?.score ?? 0)
 
   // Close popover on outside click
@@ -124,15 +219,23 @@ function ScanResults({ userId }) {
                     )}
                   </ul>
                 )}
-                {Array.isArray(product_info?.additives) && (
+                {Array.isArray(additives) ? (
+                  <p>• Additives: {additives.length}{additives.some(a => a.tier === 'high') ? ` (${additives.filter(a => a.tier === 'high').length} high risk)` : ''}</p>
+                ) : Array.isArray(product_info?.additives) && (
                   <p>• Additives: {product_info.additives.length}</p>
                 )}
+                {claims?.some(c => c.verdict === 'misleading') && (
+                  <p>• Misleading claims: {claims.filter(c => c.verdict === 'misleading').map(c => c.label).join(', ')}</p>
+                )}
                 {product_info?.nova_group && (
                   <p>• NOVA group: {product_info.nova_group}</p>
                 )}
                 {product_info?.category && (
                   <p>• Category: {product_info.category}</p>
                 )}
+                {truth_score_model && (
+                  <p>• Scoring model: {truth_score_model.name || truth_score_model.id} (v{truth_score_model.version})</p>
+                )}
                 <p className="text-secondary" style={{ marginTop: 6 }}>
                   Personal alerts appear above and don’t change this objective score.
                 </p>
@@ -142,11 +245,26 @@ function ScanResults({ userId }) {
         </div>
         <h1>{product_info?.name || 'Unknown Product'}</h1>
         {data_source && (
-          <p className="data-source">Data from: {data_source}</p>
+          <p className="data-source">
+            Data from: {data_source}
+            {freshness?.last_updated && ` · updated ${formatDate(freshness.last_updated)}`}
+            {freshness?.revalidating && ' · checking for changes'}
+          </p>
         )}
       </div>
 
       <div className="container">
+        {/* Offline: last result saved on this device, not a fresh analysis */}
+        {scanResult.provisional && (
+          <div className="alert alert-warning provisional-banner" role="status">
+            <strong>📶 Provisional result</strong>
+            <p>
+              You're offline, so this is the result saved on this device{scanResult.cached_at ? ` on ${formatDate(scanResult.cached_at)}` : ''}.
+              Alerts and today's budget may be out of date. The scan is queued and will be re-analysed when you reconnect.
+            </p>
+          </div>
+        )}
+
         {/* Alerts */}
         {alerts && alerts.length > 0 && (
           <div className="alerts-section">
@@ -187,12 +305,96 @@ function ScanResults({ userId }) {
           )}
         </div>
 
+        {/* Label Claims */}
+        {claims && claims.length > 0 && (
+          <div className="card">
+            <h2>🔎 Label Claims</h2>
+            <p className="text-secondary mb-2">What the pack promises, checked against its own nutrition facts and ingredients.</p>
+            <ul className="claim-list">
+              {claims.map((claim) => (
+                <li key={claim.id} className={`claim-item verdict-${claim.verdict}`}>
+                  <div className="claim-header">
+                    <span className="claim-name">
+                      “{claim.label}”
+                      <span className="claim-source">
+                        On the {claim.found_in.map(f => CLAIM_SOURCE_LABELS[f.source] || f.source).join(', ')}
+                      </span>
+                    </span>
+                    <span className="claim-verdict">{VERDICT_LABELS[claim.verdict] || claim.verdict}</span>
+                  </div>
+                  <p className="claim-evidence">{claim.evidence}</p>
+                  <p className="claim-rule">{claim.rule}</p>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Nutri-Score */}
+        {nutri_score && (
+          <div className="card nutriscore-card">
+            <h2>🔤 Nutri-Score</h2>
+            <div className="nutriscore-scale" aria-label={`Nutri-Score ${nutri_score.grade}`}>
+              {['A', 'B', 'C', 'D', 'E'].map((grade) => (
+                <span
+                  key={grade}
+                  className={`nutriscore-letter ${grade === nutri_score.grade ? 'active' : ''}`}
+                >
+                  {grade}
+                </span>
+              ))}
+            </div>
+            <p className="text-secondary mb-2">
+              The A–E grade printed on many imported products. It is computed from the same
+              per‑100g nutrition as the truth score{nutri_score.category !== 'general' ? ` using the ${nutri_score.category} table` : ''}.
+            </p>
+            <div className="info-row">
+              <span className="info-label">Negative points</span>
+              <span className="info-value">
+                {nutri_score.points.negative.total} (energy {nutri_score.points.negative.energy}, sugars {nutri_score.points.negative.sugars}, sat. fat {nutri_score.points.negative.saturated_fat}, sodium {nutri_score.points.negative.sodium})
+              </span>
+            </div>
+            <div className="info-row">
+              <span className="info-label">Positive points</span>
+              <span className="info-value">
+                {nutri_score.points.positive.total} (fruit/veg {nutri_score.points.positive.fruit_veg}, fiber {nutri_score.points.positive.fiber}, protein {nutri_score.points.protein_counted ? nutri_score.points.positive.protein : 'not counted'})
+              </span>
+            </div>
+            <div className="info-row">
+              <span className="info-label">Final score</span>
+              <span className="info-value">{nutri_score.score}</span>
+            </div>
+            {!nutri_score.complete && (
+              <p className="text-sm text-secondary mt-1">
+                Some nutrients were missing and counted as zero, so the real grade may be worse.
+              </p>
+            )}
+          </div>
+        )}
+
         {/* Nutrition Facts */}
         {product_info?.nutrition_facts && (
           <div className="card">
-            <h2>📊 Nutrition Facts (per 100g)</h2>
+            <h2>📊 Nutrition Facts</h2>
+            {portionOptions.length > 1 && (
+              <div className="portion-toggle" role="group" aria-label="Nutrition basis">
+                {portionOptions.map(option => (
+                  <button
+                    key={option.key}
+                    type="button"
+                    className={`portion-option ${portionView === option.key ? 'active' : ''}`}
+                    onClick={() => setPortionView(option.key)}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            )}
+            {portionOptions.length === 1 && (
+              <p className="portion-note">{portionOptions[0].label}</p>
+            )}
             <div className="nutrition-grid">
-              {Object.entries(product_info.nutrition_facts).map(([key, value]) => (
+              {Object.entries(displayedNutrition).filter(([, value]) => value != null).map(([key, value]) => (
                 <div key={key} className="nutrition-item">
                   <span className="nutrition-label">
                     {key.charAt(0).toUpperCase() + key.slice(1)}
@@ -204,11 +406,146 @@ function ScanResults({ userId }) {
           </div>
         )}
 
+        {/* I ate this (needs the server's scan record, so not for provisional results) */}
+        {product_info?.nutrition_facts && !scanResult.provisional && (
+          <div className="card">
+            <h2>🍽️ I Ate This</h2>
+            {loggedEntry ? (
+              <div className="intake-logged">
+                <p>
+                  Logged {loggedEntry.servings} serving{Number(loggedEntry.servings) === 1 ? '' : 's'} ({loggedEntry.amount} {loggedEntry.unit}) to today's intake.
+                </p>
+                <button type="button" className="btn btn-secondary" onClick={handleUndoIntake} disabled={logging}>
+                  Undo
+                </button>
+              </div>
+            ) : (
+              <div className="intake-log">
+                <label className="info-label" htmlFor="intake-servings">
+                  Servings{portions?.serving_size ? ` of ${portions.serving_size}` : ` of ${portions?.basis || '100g'}`}
+                </label>
+                <div className="intake-controls">
+                  <select
+                    id="intake-servings"
+                    value={servings}
+                    onChange={(e) => setServings(Number(e.target.value))}
+                    disabled={logging}
+                  >
+                    {[0.5, 1, 1.5, 2, 3, 4].map((n) => (
+                      <option key={n} value={n}>{n}</option>
+                    ))}
+                  </select>
+                  <button type="button" className="btn btn-primary" onClick={handleLogIntake} disabled={logging}>
+                    {logging ? 'Saving…' : 'Add to today'}
+                  </button>
+                </div>
+              </div>
+            )}
+            {logError && <p className="text-secondary">{logError}</p>}
+          </div>
+        )}
+
         {/* Ingredients */}
         {product_info?.ingredients && (
           <div className="card">
             <h2>🧪 Ingredients</h2>
             <p className="ingredients-text">{product_info.ingredients}</p>
+            {added_sugars?.count > 0 && (
+              <div className="added-sugars">
+                <p className="added-sugars-title">
+                  Added sugar under {added_sugars.count === 1 ? '1 name' : `${added_sugars.count} names`}
+                  {added_sugars.dominant ? ', one of them among the first three ingredients' : ''}
+                </p>
+                <ul className="added-sugar-list">
+                  {added_sugars.aliases.map((alias, index) => (
+                    <li key={`${alias.id}-${index}`} className={alias.dominant ? 'dominant' : ''}>
+                      <span>{alias.ingredient}</span>
+                      <span className="added-sugar-position">
+                        {alias.position_label}{alias.within ? ` (in ${alias.within})` : ''}{alias.component ? ` · ${alias.component}` : ''}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            {fat_sources?.sources.length > 0 && (
+              <div className="fat-sources">
+                <p className="added-sugars-title">Fats and oils</p>
+                {fat_sources.flags.length > 0 && (
+                  <div className="fat-flags">
+                    {fat_sources.flags.map((flag) => (
+                      <span key={flag.id} className={`fat-flag fat-flag-${flag.id}`}>{flag.label}</span>
+                    ))}
+                  </div>
+                )}
+                <ul className="added-sugar-list">
+                  {fat_sources.sources.map((source, index) => (
+                    <li key={`${source.id}-${index}`} className={source.partially_hydrogenated ? 'dominant' : ''}>
+                      <span>
+                        {source.ingredient}
+                        <span className="fat-class"> · {source.name}</span>
+                      </span>
+                      <span className="added-sugar-position">
+                        {source.position_label}{source.within ? ` (in ${source.within})` : ''}{source.component ? ` · ${source.component}` : ''}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Additives, tap one for what it is and how safe it is */}
+        {additives && additives.length > 0 && (
+          <div className="card">
+            <h2>🧴 Additives</h2>
+            <p className="text-secondary mb-2">Tap an additive to see what it does and what regulators say about it.</p>
+            <ul className="additive-list">
+              {additives.map((additive) => {
+                const open = openAdditive === additive.code
+                const details = additiveDetails[additive.code]
+                return (
+                  <li key={additive.code} className={`additive-item tier-${additive.tier}`}>
+                    <button
+                      type="button"
+                      className="additive-toggle"
+                      onClick={() => toggleAdditive(additive.code)}
+                      aria-expanded={open}
+                    >
+                      <span className="additive-name">
+                        {additive.name || additive.listed_as || additive.ins}
+                        <span className="additive-code">{additive.ins}</span>
+                      </span>
+                      <span className="additive-tier">{TIER_LABELS[additive.tier] || additive.tier}</span>
+                    </button>
+                    {open && (
+                      <div className="additive-details">
+                        {!details && <p className="text-secondary">Loading…</p>}
+                        {details?.error && (
+                          <p className="text-secondary">Details are not available right now{additive.function ? `. Used here as: ${additive.function.replace(/_/g, ' ')}` : ''}.</p>
+                        )}
+                        {details && !details.error && (
+                          <>
+                            {details.classes?.length > 0 && (
+                              <p><strong>Used as:</strong> {details.classes.map(c => c.label).join(', ')}</p>
+                            )}
+                            {details.fssai && <p><strong>FSSAI:</strong> {details.fssai.label}</p>}
+                            {details.adi && (
+                              <p>
+                                <strong>Acceptable daily intake:</strong> {details.adi.label} ({details.adi.source}{details.adi.note ? `, ${details.adi.note}` : ''})
+                              </p>
+                            )}
+                            <p><strong>Risk:</strong> {details.tier.label}</p>
+                            {details.notes && <p>{details.notes}</p>}
+                          </>
+                        )}
+                      </div>
+                    )}
+                  </li>
+                )
+              })}
+            </ul>
           </div>
         )}
 
@@ -258,13 +595,23 @@ function ScanResults({ userId }) {
           <div className="card greenwashing-card">
             <h2>🚩 Marketing Red Flags</h2>
             <p className="text-secondary mb-2">
-              These buzzwords may be misleading or unsubstantiated:
+              Words on the pack that may be misleading or unsubstantiated, and what the label says against them:
             </p>
-            <div className="buzzword-tags">
+            <ul className="flag-list">
               {greenwashing_flags.map((flag, index) => (
-                <span key={index} className="buzzword-tag">{flag}</span>
+                typeof flag === 'string' ? (
+                  <li key={index} className="flag-item"><span className="flag-term">“{flag}”</span></li>
+                ) : (
+                  <li key={index} className={`flag-item severity-${flag.severity}`}>
+                    <div className="flag-header">
+                      <span className="flag-term">“{flag.term}”</span>
+                      <span className="flag-severity">{SEVERITY_LABELS[flag.severity] || flag.severity}</span>
+                    </div>
+                    <p className="flag-evidence">{flag.evidence}</p>
+                  </li>
+                )
               ))}
-            </div>
+            </ul>
           </div>
         )}
 
@@ -1,7 +1,9 @@
 import { useState, useRef } from 'react'
 import { useNavigate, Link } from 'react-router-dom'
-import { scanProduct, extractBarcodes } from '../services/api'
+import { extractBarcodes } from '../services/api'
 import { isValidBarcode, scanBarcodeFromImage } from '../utils/barcode'
+import { scanOrQueue } from '../utils/offlineScan'
+import LiveScanner from '../components/LiveScanner'
 import './Scanner.css'
 
 function Scanner({ userId }) {
@@ -9,17 +11,27 @@ function Scanner({ userId }) {
   const fileInputRef = useRef(null)
   const cameraInputRef = useRef(null)
   
-  const [mode, setMode] = useState('scan') // 'scan' | 'manual'
+  const [mode, setMode] = useState('scan') // 'scan' | 'live' | 'manual'
   const [scanning, setScanning] = useState(false)
   const [error, setError] = useState('')
+  const [notice, setNotice] = useState('')
   const [manualBarcode, setManualBarcode] = useState('')
   const [detectedBarcode, setDetectedBarcode] = useState('')
   const [processingStep, setProcessingStep] = useState('')
-  
+  const [missingBarcode, setMissingBarcode] = useState('')
+
+  // Offline with no cached copy: the scan waits in the queue, nothing to show yet
+  const showQueued = (barcode) => {
+    setNotice(`You're offline. Barcode ${barcode} is saved and will be analysed when you reconnect; it will then appear in your recent scans.`)
+    setDetectedBarcode('')
+    setProcessingStep('')
+  }
 
   const processImage = async (file) => {
     setScanning(true)
     setError('')
+    setNotice('')
+    setMissingBarcode('')
     setDetectedBarcode('')
   setProcessingStep('Extracting barcode from image...')
 
@@ -58,14 +70,19 @@ function Scanner({ userId }) {
       setDetectedBarcode(decoded)
       setProcessingStep('Fetching product information...')
 
-      // Send to backend for analysis by barcode
-      const result = await scanProduct({
+      // Send to backend for analysis by barcode (queued when offline)
+      const { result, queued } = await scanOrQueue({
         user_id: userId,
         barcode: decoded,
         scan_type: 'barcode'
       })
+      if (queued && !result) {
+        showQueued(decoded)
+        return
+      }
       if (result?.not_found) {
         const bc = result.barcode || decoded
+        setMissingBarcode(bc)
         setError(`${result.message || 'Product not found. You can try again or enter the barcode manually.'} (Barcode: ${bc || 'N/A'})`)
         setProcessingStep('')
         setScanning(false)
@@ -89,6 +106,44 @@ function Scanner({ userId }) {
     }
   }
 
+  // Live camera: a barcode read the same way several frames in a row
+  const handleLiveDetected = async (barcode) => {
+    setScanning(true)
+    setError('')
+    setNotice('')
+    setMissingBarcode('')
+    setDetectedBarcode(barcode)
+    setProcessingStep('Fetching product information...')
+
+    try {
+      const { result, queued } = await scanOrQueue({
+        user_id: userId,
+        barcode,
+        scan_type: 'live'
+      })
+      if (queued && !result) {
+        showQueued(barcode)
+        return
+      }
+      if (result?.not_found) {
+        setMissingBarcode(result.barcode || barcode)
+        setError(`${result.message || 'Product not found. Try again or enter the barcode manually.'} (Barcode: ${result.barcode || barcode})`)
+        setDetectedBarcode('')
+        setProcessingStep('')
+        return
+      }
+
+      navigate('/results', { state: { scanResult: result } })
+    } catch (err) {
+      console.error('Live scan error:', err)
+      setError(err.response?.data?.message || err.response?.data?.error || err.message || 'Could not look up this barcode. Please try again.')
+      setDetectedBarcode('')
+      setProcessingStep('')
+    } finally {
+      setScanning(false)
+    }
+  }
+
   const handleCameraCapture = async (event) => {
     const file = event.target.files?.[0]
     if (!file) return
@@ -122,18 +177,26 @@ function Scanner({ userId }) {
 
     setScanning(true)
     setError('')
+    setNotice('')
+    setMissingBarcode('')
     setDetectedBarcode(manualBarcode)
     setProcessingStep('Fetching product information...')
 
     try {
       console.log('Calling scanProduct API...')
-      const result = await scanProduct({
+      const { result, queued } = await scanOrQueue({
         user_id: userId,
         barcode: manualBarcode,
         scan_type: 'manual'
       })
+      if (queued && !result) {
+        showQueued(manualBarcode)
+        setManualBarcode('')
+        return
+      }
       if (result?.not_found) {
         const bc = result.barcode || manualBarcode
+        setMissingBarcode(bc)
         setError(`${result.message || 'Product not found. Please double-check the barcode or try again later.'} (Barcode: ${bc || 'N/A'})`)
         setProcessingStep('')
         setScanning(false)
@@ -171,6 +234,12 @@ function Scanner({ userId }) {
           >
             📷 Scan Barcode
           </button>
+          <button
+            className={`mode-toggle-btn ${mode === 'live' ? 'active' : ''}`}
+            onClick={() => setMode('live')}
+          >
+            🎥 Live Camera
+          </button>
           <button
             className={`mode-toggle-btn ${mode === 'manual' ? 'active' : ''}`}
             onClick={() => setMode('manual')}
@@ -189,7 +258,28 @@ function Scanner({ userId }) {
           </div>
         )}
 
-        {mode === 'scan' ? (
+        {missingBarcode && (
+          <div className="card contribute-prompt">
+            <p>Know this product? Photograph its label and we'll add it for everyone.</p>
+            <Link to={`/contribute?barcode=${missingBarcode}`} className="btn btn-primary">
+              ➕ Add this product
+            </Link>
+          </div>
+        )}
+
+        {notice && (
+          <div className="alert alert-warning">
+            📶 {notice}
+          </div>
+        )}
+
+        {mode === 'live' ? (
+          <LiveScanner
+            onDetected={handleLiveDetected}
+            onCancel={() => setMode('scan')}
+            paused={scanning}
+          />
+        ) : mode === 'scan' ? (
           <>
             <div className="scan-options">
               <div className="scan-option-card">
@@ -1,4 +1,5 @@
 import axios from 'axios'
+import { getSession, saveSession, clearSession, AUTH_EXPIRED_EVENT } from '../utils/session'
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001'
 
@@ -10,11 +11,17 @@ const api = axios.create({
   }
 })
 
-// Request interceptor for logging
+// Credential endpoints answer 401 for bad passwords, not expired sessions
+const isCredentialRequest = (url) => /^\/api\/auth\/(login|signup|magic-link|refresh)/.test(url || '')
+
+// Request interceptor for auth and logging
 api.interceptors.request.use(
   (config) => {
+    const session = getSession()
+    if (session?.access_token) {
+      config.headers.Authorization = `Bearer ${session.access_token}`
+    }
     console.log(`API Request: ${config.method?.toUpperCase()} ${config.url}`)
-    console.log('Request data:', config.data)
     console.log('Base URL:', config.baseURL)
     return config
   },
@@ -29,7 +36,35 @@ api.interceptors.response.use(
   (response) => {
     return response
   },
-  (error) => {
+  async (error) => {
+    const original = error.config
+    const session = getSession()
+
+    // Access tokens are short-lived: refresh once and replay the request
+    if (
+      error.response?.status === 401 &&
+      original &&
+      !original._retried &&
+      !isCredentialRequest(original.url) &&
+      session?.refresh_token
+    ) {
+      original._retried = true
+      try {
+        const { data } = await axios.post(`${API_BASE_URL}/api/auth/refresh`, {
+          refresh_token: session.refresh_token
+        })
+        saveSession(data.session)
+        original.headers.Authorization = `Bearer ${data.session.access_token}`
+        return api(original)
+      } catch (refreshError) {
+        clearSession()
+        window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT))
+      }
+    } else if (error.response?.status === 401 && !isCredentialRequest(original?.url)) {
+      clearSession()
+      window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT))
+    }
+
     console.error('API Error:', error.response?.data || error.message)
     return Promise.reject(error)
   }
@@ -61,6 +96,50 @@ export const checkHealth = async (options = {}) => {
   }
 }
 
+// Auth APIs
+export const signUp = async (email, password) => {
+  const response = await api.post('/api/auth/signup', {
+    email,
+    password,
+    redirect_to: `${window.location.origin}/auth/callback`
+  })
+  return response.data
+}
+
+export const signIn = async (email, password) => {
+  const response = await api.post('/api/auth/login', { email, password })
+  return response.data
+}
+
+export const sendMagicLink = async (email) => {
+  const response = await api.post('/api/auth/magic-link', {
+    email,
+    redirect_to: `${window.location.origin}/auth/callback`
+  })
+  return response.data
+}
+
+export const signOut = async () => {
+  const response = await api.post('/api/auth/logout')
+  return response.data
+}
+
+export const getMe = async () => {
+  const response = await api.get('/api/auth/me')
+  return response.data
+}
+
+// Bind a pre-account profile id to this device; keep the returned claim_secret (see utils/session)
+export const migrateLegacyProfile = async (userId, deviceId) => {
+  const response = await api.post('/api/auth/legacy', { user_id: userId, device_id: deviceId })
+  return response.data
+}
+
+export const claimAnonymousProfile = async ({ user_id, claim_secret }, deviceId) => {
+  const response = await api.post('/api/auth/claim', { anonymous_user_id: user_id, claim_secret, device_id: deviceId })
+  return response.data
+}
+
 // User APIs
 export const createUser = async (userData) => {
   const response = await api.post('/api/user', userData)
@@ -79,7 +158,8 @@ export const updateUser = async (userId, userData) => {
 
 // Scan APIs
 export const scanProduct = async (scanData) => {
-  const response = await api.post('/api/scan', scanData)
+  // tz_offset lets the server find "today" for daily intake alerts
+  const response = await api.post('/api/scan', { tz_offset: new Date().getTimezoneOffset(), ...scanData })
   return response.data
 }
 
@@ -88,20 +168,270 @@ export const getUserScans = async (userId) => {
   return response.data
 }
 
+// Side-by-side comparison of 2-4 scanned products
+export const compareProducts = async (userId, barcodes) => {
+  const response = await api.post('/api/compare', { user_id: userId, barcodes })
+  return response.data
+}
+
 // Product APIs
 export const getProduct = async (barcode) => {
   const response = await api.get(`/api/product/${barcode}`)
   return response.data
 }
 
-// Doctor APIs
-export const getDoctorDashboard = async (patientId) => {
-  const response = await api.get(`/api/doctor/${patientId}`)
+export const getProductHistory = async (barcode) => {
+  const response = await api.get(`/api/product/${barcode}/history`)
+  return response.data
+}
+
+// Additive reference data; code is "330", "INS 500(ii)" or "E330"
+export const getAdditive = async (code) => {
+  const response = await api.get(`/api/additive/${encodeURIComponent(code)}`)
+  return response.data
+}
+
+// Notifications
+export const getNotifications = async (userId, { unreadOnly = false } = {}) => {
+  const response = await api.get(`/api/user/${userId}/notifications`, { params: unreadOnly ? { unread: true } : {} })
+  return response.data
+}
+
+export const markNotificationsRead = async (userId, ids = null) => {
+  const response = await api.put(`/api/user/${userId}/notifications/read`, ids ? { ids } : {})
+  return response.data
+}
+
+// Intake budget APIs
+export const logIntake = async (entry) => {
+  const response = await api.post('/api/intake', entry)
+  return response.data
+}
+
+export const deleteIntakeEntry = async (userId, entryId) => {
+  const response = await api.delete(`/api/intake/${userId}/${entryId}`)
+  return response.data
+}
+
+export const getDailyIntake = async (userId, date = null) => {
+  const response = await api.get(`/api/intake/${userId}/daily`, {
+    params: { tz_offset: new Date().getTimezoneOffset(), ...(date ? { date } : {}) }
+  })
+  return response.data
+}
+
+export const getWeeklyIntake = async (userId) => {
+  const response = await api.get(`/api/intake/${userId}/weekly`, {
+    params: { tz_offset: new Date().getTimezoneOffset() }
+  })
+  return response.data
+}
+
+export const getIntakeBudget = async (userId) => {
+  const response = await api.get(`/api/intake/${userId}/budget`, {
+    params: { tz_offset: new Date().getTimezoneOffset() }
+  })
+  return response.data
+}
+
+// Scoring model APIs
+export const getScoringModels = async () => {
+  const response = await api.get('/api/scoring/models')
+  return response.data
+}
+
+// Doctor share APIs (patient side)
+export const createDoctorShare = async ({ scope, expiresInDays, label }) => {
+  const response = await api.post('/api/shares', {
+    scope,
+    expires_in_days: expiresInDays,
+    label
+  })
+  return response.data
+}
+
+export const getDoctorShares = async () => {
+  const response = await api.get('/api/shares')
+  return response.data
+}
+
+export const revokeDoctorShare = async (shareId) => {
+  const response = await api.delete(`/api/shares/${shareId}`)
+  return response.data
+}
+
+export const getDoctorAccessLog = async (shareId = null) => {
+  const response = await api.get('/api/shares/access-log', {
+    params: shareId ? { share_id: shareId } : {}
+  })
+  return response.data
+}
+
+// Doctor roster APIs (doctor accounts)
+export const getDoctorRoster = async (sort = 'risk') => {
+  const response = await api.get('/api/doctor/roster', { params: { sort } })
+  return response.data
+}
+
+export const requestPatientLink = async (patientEmail, message = '') => {
+  const response = await api.post('/api/doctor/roster/requests', {
+    patient_email: patientEmail,
+    message
+  })
+  return response.data
+}
+
+export const getRosterPatient = async (patientUserId) => {
+  const response = await api.get(`/api/doctor/roster/${encodeURIComponent(patientUserId)}`)
+  return response.data
+}
+
+// range: { from, to } as YYYY-MM-DD; the server defaults to the last 30 days
+export const exportRosterReport = async (patientUserId, range = {}) => {
+  const response = await api.get(`/api/doctor/roster/${encodeURIComponent(patientUserId)}/report`, {
+    params: range,
+    responseType: 'blob'
+  })
+  return response.data
+}
+
+export const exportRosterFhir = async (patientUserId, range = {}) => {
+  const response = await api.get(`/api/doctor/roster/${encodeURIComponent(patientUserId)}/fhir`, {
+    params: range,
+    responseType: 'blob'
+  })
+  return response.data
+}
+
+export const removeRosterPatient = async (patientUserId) => {
+  const response = await api.delete(`/api/doctor/roster/${encodeURIComponent(patientUserId)}`)
+  return response.data
+}
+
+export const updatePatientTargets = async (patientUserId, targets) => {
+  const response = await api.put(`/api/doctor/roster/${encodeURIComponent(patientUserId)}/targets`, targets)
+  return response.data
+}
+
+export const clearPatientTargets = async (patientUserId) => {
+  const response = await api.delete(`/api/doctor/roster/${encodeURIComponent(patientUserId)}/targets`)
+  return response.data
+}
+
+// Roster requests (patient side)
+export const getDoctorRequests = async (userId) => {
+  const response = await api.get(`/api/user/${userId}/doctor-requests`)
+  return response.data
+}
+
+export const respondToDoctorRequest = async (userId, requestId, status) => {
+  const response = await api.put(`/api/user/${userId}/doctor-requests/${requestId}`, { status })
+  return response.data
+}
+
+// Community product submissions
+export const createSubmission = async (barcode, photos) => {
+  const form = new FormData()
+  form.append('barcode', barcode)
+  for (const [kind, file] of Object.entries(photos)) {
+    if (file) form.append(kind, file)
+  }
+  const response = await api.post('/api/submissions', form, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+    timeout: 90000
+  })
+  return response.data
+}
+
+export const updateSubmission = async (submissionId, fields, { submit = false } = {}) => {
+  const response = await api.put(`/api/submissions/${submissionId}`, { ...fields, submit })
+  return response.data
+}
+
+export const getMySubmissions = async () => {
+  const response = await api.get('/api/submissions/mine')
+  return response.data
+}
+
+export const getSubmissionQueue = async (status = 'pending') => {
+  const response = await api.get('/api/submissions/queue', { params: { status } })
+  return response.data
+}
+
+export const reviewSubmission = async (submissionId, review) => {
+  const response = await api.post(`/api/submissions/${submissionId}/review`, review)
+  return response.data
+}
+
+// Admin console: FSSAI product curation
+export const getAdminProducts = async (params = {}) => {
+  const response = await api.get('/api/admin/products', { params })
+  return response.data
+}
+
+export const getAdminProduct = async (productId) => {
+  const response = await api.get(`/api/admin/products/${productId}`)
+  return response.data
+}
+
+export const createAdminProduct = async (product) => {
+  const response = await api.post('/api/admin/products', product)
+  return response.data
+}
+
+export const updateAdminProduct = async (productId, changes) => {
+  const response = await api.put(`/api/admin/products/${productId}`, changes)
+  return response.data
+}
+
+export const deactivateAdminProduct = async (productId, notes = '') => {
+  const response = await api.delete(`/api/admin/products/${productId}`, { data: { notes } })
+  return response.data
+}
+
+export const reactivateAdminProduct = async (productId, notes = '') => {
+  const response = await api.post(`/api/admin/products/${productId}/reactivate`, { notes })
+  return response.data
+}
+
+export const importAdminProducts = async (file, { dryRun = true, onConflict = 'skip' } = {}) => {
+  const form = new FormData()
+  form.append('file', file)
+  const response = await api.post('/api/admin/products/import', form, {
+    params: { dry_run: dryRun, on_conflict: onConflict },
+    headers: { 'Content-Type': 'multipart/form-data' },
+    timeout: 120000
+  })
+  return response.data
+}
+
+export const getDuplicateProducts = async () => {
+  const response = await api.get('/api/admin/products/duplicates')
+  return response.data
+}
+
+export const getAdminAuditLog = async (params = {}) => {
+  const response = await api.get('/api/admin/audit', { params })
+  return response.data
+}
+
+// Doctor APIs (opened with a share token, no sign-in)
+export const getDoctorDashboard = async (token) => {
+  const response = await api.get(`/api/doctor/${encodeURIComponent(token)}`)
+  return response.data
+}
+
+export const exportDoctorReport = async (token, range = {}) => {
+  const response = await api.get(`/api/doctor/${encodeURIComponent(token)}/report`, {
+    params: range,
+    responseType: 'blob'
+  })
   return response.data
 }
 
-export const exportDoctorReport = async (patientId) => {
-  const response = await api.get(`/api/doctor/${patientId}/report`, {
+export const exportDoctorFhir = async (token, range = {}) => {
+  const response = await api.get(`/api/doctor/${encodeURIComponent(token)}/fhir`, {
+    params: range,
     responseType: 'blob'
   })
   return response.data
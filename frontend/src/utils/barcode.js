@@ -392,45 +392,82 @@ const isValidEAN8 = (code) => {
 // OCR helpers removed
 
 /**
- * Scan barcode from video stream
- * @param {HTMLVideoElement} videoElement - Video element with camera stream
- * @returns {Promise<string>} Barcode value
+ * Decode barcodes from a live video stream, frame by frame
+ *
+ * Each tick grabs the central region of the current frame (where the
+ * viewfinder is drawn) and decodes it with BarcodeDetector when the browser
+ * has it, ZXing otherwise. Frames without a barcode are skipped silently.
+ * @param {HTMLVideoElement} videoElement - Video element playing the camera stream
+ * @param {Function} onDecode - Called with the raw text of every decoded frame
+ * @param {Object} [options] - { intervalMs, region: { width, height } as fractions of the frame }
+ * @returns {{stop: Function}} Call stop() to end the loop
  */
-export const scanBarcodeFromVideo = (videoElement) => {
-  return new Promise((resolve, reject) => {
-    const reader = new BrowserMultiFormatReader()
-    const hints = new Map()
-    hints.set(DecodeHintType.TRY_HARDER, true)
-    hints.set(DecodeHintType.POSSIBLE_FORMATS, [
-      BarcodeFormat.EAN_13,
-      BarcodeFormat.EAN_8,
-      BarcodeFormat.UPC_A,
-      BarcodeFormat.UPC_E,
-      BarcodeFormat.CODE_128,
-      BarcodeFormat.CODE_39
-    ])
-    reader.hints = hints
-    
-    const timeout = setTimeout(() => {
-      reader.reset()
-      reject(new Error('Barcode scan timeout'))
-    }, 15000) // 15 second timeout
-    
-    reader.decodeFromVideoElement(videoElement, (result, error) => {
-      if (result) {
-        clearTimeout(timeout)
-        reader.reset()
-        console.log('Barcode detected:', result.getText())
-        resolve(result.getText())
-      }
-      
-      if (error && error.name !== 'NotFoundException') {
-        clearTimeout(timeout)
-        reader.reset()
-        reject(error)
+export const scanBarcodeFromVideo = (videoElement, onDecode, options = {}) => {
+  const { intervalMs = 150, region = { width: 0.8, height: 0.5 } } = options
+  const canvas = document.createElement('canvas')
+  const ctx = canvas.getContext('2d', { willReadFrequently: true })
+
+  const detector = 'BarcodeDetector' in window
+    ? new window.BarcodeDetector({ formats: ['ean_13', 'ean_8', 'upc_a', 'upc_e', 'code_128', 'code_39', 'itf'] })
+    : null
+
+  const reader = new BrowserMultiFormatReader()
+  const hints = new Map()
+  hints.set(DecodeHintType.POSSIBLE_FORMATS, [
+    BarcodeFormat.EAN_13,
+    BarcodeFormat.EAN_8,
+    BarcodeFormat.UPC_A,
+    BarcodeFormat.UPC_E,
+    BarcodeFormat.CODE_128,
+    BarcodeFormat.CODE_39,
+    BarcodeFormat.ITF
+  ])
+  reader.hints = hints
+
+  let stopped = false
+  let timer = null
+
+  const decodeFrame = async () => {
+    const vw = videoElement.videoWidth
+    const vh = videoElement.videoHeight
+    if (!vw || !vh || videoElement.readyState < 2) return null
+
+    const w = Math.round(vw * region.width)
+    const h = Math.round(vh * region.height)
+    canvas.width = w
+    canvas.height = h
+    ctx.drawImage(videoElement, Math.round((vw - w) / 2), Math.round((vh - h) / 2), w, h, 0, 0, w, h)
+
+    if (detector) {
+      try {
+        const detections = await detector.detect(canvas)
+        if (detections?.[0]?.rawValue) return detections[0].rawValue
+      } catch {
+        // fall through to ZXing
       }
-    })
-  })
+    }
+    try {
+      return reader.decodeFromCanvas(canvas).getText()
+    } catch {
+      return null // NotFound/Checksum/Format: nothing readable in this frame
+    }
+  }
+
+  const tick = async () => {
+    if (stopped) return
+    const text = await decodeFrame()
+    if (stopped) return
+    if (text) onDecode(text)
+    timer = setTimeout(tick, intervalMs)
+  }
+  tick()
+
+  return {
+    stop: () => {
+      stopped = true
+      clearTimeout(timer)
+    }
+  }
 }
 
 /**
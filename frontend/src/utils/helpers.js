@@ -1,11 +1,3 @@
-/**
- * Generate a unique user ID
- * @returns {string} Unique user ID
- */
-export const generateUserId = () => {
-  return `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-}
-
 /**
  * Format date for display
  * @param {string|Date} date - Date to format
@@ -166,17 +158,17 @@ export const getScoreLabel = (score) => {
 }
 
 /**
- * Build the public doctor link for the given user/patient id based on current origin
- * Example (localhost): http://localhost:5173/doctor/<id>
- * Example (prod): https://honestbite.vercel.app/doctor/<id>
+ * Build the doctor link for a share token based on current origin
+ * Example (localhost): http://localhost:5173/doctor/<token>
+ * Example (prod): https://honestbite.vercel.app/doctor/<token>
  */
-export const buildDoctorLink = (userId) => {
+export const buildDoctorLink = (token) => {
   try {
     const origin = typeof window !== 'undefined' && window.location ? window.location.origin : ''
     // Fallback domain if rendered in non-browser contexts
     const base = origin || 'https://honestbite.vercel.app'
-    return `${base}/doctor/${encodeURIComponent(userId)}`
+    return `${base}/doctor/${encodeURIComponent(token)}`
   } catch {
-    return `https://honestbite.vercel.app/doctor/${encodeURIComponent(userId)}`
+    return `https://honestbite.vercel.app/doctor/${encodeURIComponent(token)}`
   }
 }
@@ -0,0 +1,180 @@
+import { scanProduct } from '../services/api'
+import { saveScanResult, getCachedScanResult, queueScan, getQueuedScans, removeQueuedScan, clearOfflineData } from './offlineStore'
+
+/**
+ * Offline-first scanning
+ *
+ * Barcode scans that cannot reach the server are queued in IndexedDB and
+ * answered from the last cached result for that barcode, marked provisional.
+ * The queue is replayed to POST /api/scan when the browser comes back online.
+ */
+
+// Fired on window after the queue changes: detail = { pending, synced }
+export const SCAN_QUEUE_EVENT = 'hb-scan-queue'
+
+// The request never got an answer (offline, DNS failure, timeout)
+export const isNetworkError = (err) =>
+  Boolean(err) && !err.response && (Boolean(err.request) || err.code === 'ERR_NETWORK' || !navigator.onLine)
+
+const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false
+
+const newClientScanId = () =>
+  (crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(16).slice(2)}`)
+
+const notify = (detail) => {
+  window.dispatchEvent(new CustomEvent(SCAN_QUEUE_EVENT, { detail }))
+}
+
+const remember = async (userId, result) => {
+  try {
+    await saveScanResult(userId, result)
+  } catch (err) {
+    console.warn('Could not cache scan result for offline use:', err?.message || err)
+  }
+}
+
+/**
+ * Scan online, or queue the scan and fall back to the cached result
+ * @param {Object} scan - Body for POST /api/scan (must include user_id and barcode)
+ * @returns {Promise<{result: Object|null, queued: boolean}>} result is null when
+ *   offline and the barcode has never been scanned on this device
+ */
+export const scanOrQueue = async (scan) => {
+  // One id for the online attempt and any replay: if the server saved the scan
+  // but the response was lost, the replay is recognised instead of saved twice
+  const clientScanId = newClientScanId()
+  const queuedAt = new Date().toISOString()
+  const payload = scan.barcode ? { ...scan, client_scan_id: clientScanId } : scan
+
+  if (!isOffline()) {
+    try {
+      const result = await scanProduct(payload)
+      await remember(payload.user_id, result)
+      return { result, queued: false }
+    } catch (err) {
+      if (!isNetworkError(err) || !payload.barcode) throw err
+    }
+  }
+
+  if (!payload.barcode) {
+    throw new Error('You are offline. Only barcode scans can be saved for later.')
+  }
+
+  try {
+    await queueScan({
+      client_scan_id: clientScanId,
+      user_id: payload.user_id,
+      payload,
+      queued_at: queuedAt
+    })
+  } catch (err) {
+    console.warn('Could not queue offline scan:', err?.message || err)
+    throw new Error('You are offline and this browser cannot store scans. Please try again when connected.')
+  }
+  notify({ pending: (await getQueuedScans(payload.user_id)).length, synced: 0 })
+
+  let cached = null
+  try {
+    cached = await getCachedScanResult(payload.user_id, payload.barcode)
+  } catch (err) {
+    console.warn('Offline cache unavailable:', err?.message || err)
+  }
+
+  return {
+    queued: true,
+    result: cached
+      ? { ...cached.result, provisional: true, cached_at: cached.saved_at, queued_at: queuedAt }
+      : null
+  }
+}
+
+let replaying = null
+
+/**
+ * Send queued scans to the server, oldest first
+ *
+ * Stops at the first network failure and leaves the rest queued. A scan the
+ * server rejects (4xx) is dropped, since replaying it again cannot succeed.
+ * @returns {Promise<{synced: number, pending: number}>}
+ */
+export const replayQueuedScans = (userId) => {
+  if (!userId) return Promise.resolve({ synced: 0, pending: 0 })
+  if (replaying) return replaying
+
+  replaying = (async () => {
+    let synced = 0
+    const queued = await getQueuedScans(userId)
+
+    for (const scan of queued) {
+      try {
+        const result = await scanProduct({
+          ...scan.payload,
+          client_scan_id: scan.client_scan_id,
+          scanned_at: scan.queued_at
+        })
+        await remember(userId, result)
+        await removeQueuedScan(scan.client_scan_id)
+        synced++
+      } catch (err) {
+        const status = err?.response?.status
+        if (status >= 400 && status < 500 && status !== 401 && status !== 429) {
+          console.warn(`Dropping queued scan ${scan.payload?.barcode}:`, err.response.data?.error || status)
+          await removeQueuedScan(scan.client_scan_id)
+          continue
+        }
+        break
+      }
+    }
+
+    const pending = (await getQueuedScans(userId)).length
+    notify({ pending, synced })
+    return { synced, pending }
+  })().finally(() => {
+    replaying = null
+  })
+
+  return replaying
+}
+
+/**
+ * Number of scans waiting to be sent
+ */
+export const countQueuedScans = async (userId) => {
+  try {
+    return (await getQueuedScans(userId)).length
+  } catch {
+    return 0
+  }
+}
+
+/**
+ * Replay the queue now and whenever the browser comes back online
+ * @returns {Function} Cleanup that removes the listener
+ */
+export const startScanSync = (userId) => {
+  const sync = () => {
+    replayQueuedScans(userId).catch(err => console.warn('Queued scan sync failed:', err?.message || err))
+  }
+  window.addEventListener('online', sync)
+  if (!isOffline()) sync()
+  return () => window.removeEventListener('online', sync)
+}
+
+/**
+ * Send what is still queued, then forget this user's offline data so the
+ * next account on the device does not see it. Without a userId (expired
+ * session) nothing can be sent and the queue is dropped.
+ */
+export const clearOfflineScans = async (userId) => {
+  try {
+    if (userId && !isOffline()) await replayQueuedScans(userId)
+  } catch (err) {
+    console.warn('Queued scans could not be sent before sign-out:', err?.message || err)
+  }
+  try {
+    await clearOfflineData()
+  } catch (err) {
+    console.warn('Could not clear offline scan data:', err?.message || err)
+  }
+  notify({ pending: 0, synced: 0 })
+}
@@ -0,0 +1,120 @@
+/**
+ * Offline storage (IndexedDB)
+ *
+ * Two stores: the last scan result each user saw for each barcode, so a
+ * product can be shown without a connection, and a queue of scans made
+ * while offline that are sent to the server once connectivity returns.
+ * Results carry the user's alerts and budget, so both stores are cleared on
+ * sign-out (clearOfflineData).
+ */
+
+const DB_NAME = 'honestbite'
+const DB_VERSION = 2
+const RESULTS_STORE = 'scan_results'
+const QUEUE_STORE = 'scan_queue'
+
+// Cached results older than this are not shown, even offline
+const MAX_RESULT_AGE_MS = 90 * 24 * 60 * 60 * 1000
+
+let dbPromise = null
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'))
+        return
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = (event) => {
+        const db = request.result
+        // Version 1 kept results by barcode alone, shared between accounts on the device
+        if (event.oldVersion < 2 && db.objectStoreNames.contains(RESULTS_STORE)) {
+          db.deleteObjectStore(RESULTS_STORE)
+        }
+        if (!db.objectStoreNames.contains(RESULTS_STORE)) {
+          db.createObjectStore(RESULTS_STORE, { keyPath: ['user_id', 'barcode'] })
+        }
+        if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+          const queue = db.createObjectStore(QUEUE_STORE, { keyPath: 'client_scan_id' })
+          queue.createIndex('user_id', 'user_id')
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    }).catch((error) => {
+      // Allow a retry (e.g. private browsing blocked the first open)
+      dbPromise = null
+      throw error
+    })
+  }
+  return dbPromise
+}
+
+// Run one request in its own transaction and resolve with its result
+const run = async (storeName, mode, action) => {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode)
+    const request = action(tx.objectStore(storeName))
+    tx.oncomplete = () => resolve(request?.result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+/**
+ * Remember a scan result for offline use
+ * @param {string} userId - The user the result was computed for
+ * @param {Object} result - Response of POST /api/scan
+ */
+export const saveScanResult = async (userId, result) => {
+  const barcode = result?.product_info?.barcode
+  if (!userId || !barcode || barcode === 'N/A' || result.not_found) return
+
+  // scan_id belongs to the original scan; a provisional copy must not reuse it
+  const { scan_id, ...rest } = result
+  await run(RESULTS_STORE, 'readwrite', store => store.put({
+    user_id: userId,
+    barcode,
+    result: rest,
+    saved_at: new Date().toISOString()
+  }))
+}
+
+/**
+ * Last result a user saw for a barcode
+ * @returns {Promise<{result: Object, saved_at: string}|null>}
+ */
+export const getCachedScanResult = async (userId, barcode) => {
+  if (!userId || !barcode) return null
+  const entry = await run(RESULTS_STORE, 'readonly', store => store.get([userId, barcode]))
+  if (!entry) return null
+  if (Date.now() - new Date(entry.saved_at).getTime() > MAX_RESULT_AGE_MS) return null
+  return entry
+}
+
+/**
+ * Queue a scan to send when back online
+ * @param {Object} scan - { client_scan_id, user_id, payload, queued_at }
+ */
+export const queueScan = (scan) => run(QUEUE_STORE, 'readwrite', store => store.put(scan))
+
+/**
+ * Queued scans for a user, oldest first
+ */
+export const getQueuedScans = async (userId) => {
+  const scans = await run(QUEUE_STORE, 'readonly', store => store.index('user_id').getAll(userId))
+  return (scans || []).sort((a, b) => a.queued_at.localeCompare(b.queued_at))
+}
+
+export const removeQueuedScan = (clientScanId) =>
+  run(QUEUE_STORE, 'readwrite', store => store.delete(clientScanId))
+
+/**
+ * Drop cached results and queued scans (sign-out)
+ */
+export const clearOfflineData = async () => {
+  await run(RESULTS_STORE, 'readwrite', store => store.clear())
+  await run(QUEUE_STORE, 'readwrite', store => store.clear())
+}
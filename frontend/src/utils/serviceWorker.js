@@ -0,0 +1,13 @@
+/**
+ * Register public/sw.js (production builds only; the dev server serves
+ * unbundled modules that the worker should not cache)
+ */
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((err) => {
+      console.warn('Service worker registration failed:', err?.message || err)
+    })
+  })
+}
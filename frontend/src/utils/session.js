@@ -0,0 +1,102 @@
+/**
+ * Auth session storage
+ *
+ * The Supabase session returned by /api/auth/* is kept in localStorage so a
+ * reload stays signed in. Only tokens are stored — the profile is always
+ * fetched from /api/auth/me.
+ */
+
+const SESSION_KEY = 'hb-session'
+
+// Pre-account builds stored a client-generated id here. It is exchanged once
+// for a claim secret bound to this device (POST /api/auth/legacy)
+export const LEGACY_USER_ID_KEY = 'userId'
+const LEGACY_ONBOARDING_KEY = 'onboardingComplete'
+
+// A pre-account profile with its claim secret, claimed once after sign-in
+const ANONYMOUS_PROFILE_KEY = 'hb-anonymous-profile'
+const DEVICE_ID_KEY = 'hb-device-id'
+
+// Fired when a refresh fails and the user has to sign in again
+export const AUTH_EXPIRED_EVENT = 'hb-auth-expired'
+
+export const getSession = () => {
+  try {
+    const raw = localStorage.getItem(SESSION_KEY)
+    return raw ? JSON.parse(raw) : null
+  } catch {
+    return null
+  }
+}
+
+export const saveSession = (session) => {
+  if (session?.access_token) {
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session))
+  }
+}
+
+export const clearSession = () => {
+  localStorage.removeItem(SESSION_KEY)
+}
+
+export const getLegacyUserId = () => localStorage.getItem(LEGACY_USER_ID_KEY)
+
+export const clearLegacyUserId = () => {
+  localStorage.removeItem(LEGACY_USER_ID_KEY)
+  localStorage.removeItem(LEGACY_ONBOARDING_KEY)
+}
+
+// Random per-install id; anonymous profiles can only be claimed from the device they were moved from
+export const getDeviceId = () => {
+  let deviceId = localStorage.getItem(DEVICE_ID_KEY)
+  if (!deviceId) {
+    deviceId = crypto.randomUUID()
+    localStorage.setItem(DEVICE_ID_KEY, deviceId)
+  }
+  return deviceId
+}
+
+// { user_id, claim_secret } as issued by POST /api/auth/legacy
+export const getAnonymousProfile = () => {
+  try {
+    const raw = localStorage.getItem(ANONYMOUS_PROFILE_KEY)
+    return raw ? JSON.parse(raw) : null
+  } catch {
+    return null
+  }
+}
+
+export const saveAnonymousProfile = ({ user_id, claim_secret }) => {
+  localStorage.setItem(ANONYMOUS_PROFILE_KEY, JSON.stringify({ user_id, claim_secret }))
+}
+
+export const clearAnonymousProfile = () => {
+  localStorage.removeItem(ANONYMOUS_PROFILE_KEY)
+}
+
+/**
+ * Read a session from the magic-link redirect (#access_token=...&refresh_token=...)
+ * @param {string} hash - window.location.hash
+ * @returns {{session: Object|null, error: string|null}}
+ */
+export const parseSessionFromHash = (hash) => {
+  const params = new URLSearchParams((hash || '').replace(/^#/, ''))
+  const error = params.get('error_description') || params.get('error')
+  if (error) return { session: null, error }
+
+  const accessToken = params.get('access_token')
+  if (!accessToken) return { session: null, error: 'Sign-in link is missing a token' }
+
+  const expiresAt = params.get('expires_at')
+  const expiresIn = params.get('expires_in')
+  return {
+    session: {
+      access_token: accessToken,
+      refresh_token: params.get('refresh_token'),
+      expires_at: expiresAt
+        ? Number(expiresAt)
+        : (expiresIn ? Math.floor(Date.now() / 1000) + Number(expiresIn) : null)
+    },
+    error: null
+  }
+}